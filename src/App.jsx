@@ -9,6 +9,7 @@ import Home from './pages/Home';
 import StartNewProject from './pages/StartNewProject';
 import ContinueProject from './pages/ContinueProject';
 import MissingEquipment from './pages/MissingEquipment';
+import RuleSetEditor from './pages/RuleSetEditor';
 
 // Create Material-UI theme with your brand colors
 const theme = createTheme({
@@ -90,6 +91,7 @@ function App() {
             <Route path="/start-project" element={<StartNewProject />} />
             <Route path="/continue-project" element={<ContinueProject />} />
             <Route path="/missing-equipment" element={<MissingEquipment />} />
+            <Route path="/rule-sets" element={<RuleSetEditor />} />
             <Route path="*" element={<Home />} />
           </Routes>
         </Box>
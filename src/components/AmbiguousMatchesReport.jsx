@@ -0,0 +1,106 @@
+import React from 'react';
+import {
+  Box,
+  Typography,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableContainer,
+  Chip,
+  Tooltip,
+  Alert
+} from '@mui/material';
+import { CallSplit } from '@mui/icons-material';
+import { BRAND_COLORS, EQUIPMENT_CATEGORIES } from '../constants';
+
+// Tags that matched rules in more than one category, with the rule that won
+const AmbiguousMatchesReport = ({ matches = [], title = 'Ambiguous Classifications' }) => {
+  if (!matches || matches.length === 0) {
+    return (
+      <Alert severity="success">
+        No ambiguous classifications - every tag matched rules in a single category.
+      </Alert>
+    );
+  }
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+        <CallSplit sx={{ color: BRAND_COLORS.accent }} />
+        <Typography variant="subtitle1" sx={{ fontWeight: 600, color: BRAND_COLORS.text }}>
+          {title} ({matches.length})
+        </Typography>
+      </Box>
+      <Typography variant="body2" sx={{ mb: 2, color: BRAND_COLORS.text, opacity: 0.8 }}>
+        These tags match rules in several categories. The highlighted category was chosen by rule
+        priority, then pattern specificity, then rule order.
+      </Typography>
+
+      <TableContainer sx={{ maxHeight: 400 }}>
+        <Table size="small" stickyHeader>
+          <TableHead>
+            <TableRow>
+              <TableCell>Equipment</TableCell>
+              <TableCell>Description</TableCell>
+              <TableCell>Subsystem</TableCell>
+              <TableCell>Candidate Categories</TableCell>
+              <TableCell>Winning Rule</TableCell>
+              <TableCell>Resolved By</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {matches.map(match => (
+              <TableRow key={match.equipment_number}>
+                <TableCell sx={{ fontFamily: 'monospace', fontWeight: 600 }}>
+                  {match.equipment_number}
+                </TableCell>
+                <TableCell>{match.description}</TableCell>
+                <TableCell>{match.subsystem}</TableCell>
+                <TableCell>
+                  <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap' }}>
+                    {match.candidate_categories.map(categoryId => {
+                      const categoryRules = match.candidates.filter(candidate => candidate.category === categoryId);
+                      const isWinner = categoryId === match.winning_category;
+                      return (
+                        <Tooltip
+                          key={categoryId}
+                          title={categoryRules.map(rule =>
+                            `${rule.rule_name || rule.rule_id}: /${rule.pattern}/ (priority ${rule.priority}, specificity ${rule.specificity})`
+                          ).join('; ')}
+                        >
+                          <Chip
+                            size="small"
+                            label={`${categoryId} | ${EQUIPMENT_CATEGORIES[categoryId] || 'Unknown'}`}
+                            variant={isWinner ? 'filled' : 'outlined'}
+                            sx={isWinner ? { backgroundColor: BRAND_COLORS.accent, color: BRAND_COLORS.white } : {}}
+                          />
+                        </Tooltip>
+                      );
+                    })}
+                  </Box>
+                </TableCell>
+                <TableCell>
+                  <Typography variant="body2">{match.winning_rule.name || match.winning_rule.id}</Typography>
+                  <Typography variant="caption" sx={{ fontFamily: 'monospace', opacity: 0.7 }}>
+                    /{match.winning_rule.pattern}/
+                  </Typography>
+                </TableCell>
+                <TableCell>
+                  <Chip
+                    size="small"
+                    label={match.resolved_by}
+                    color={match.resolved_by === 'rule order' ? 'warning' : 'default'}
+                  />
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    </Box>
+  );
+};
+
+export default AmbiguousMatchesReport;
@@ -0,0 +1,91 @@
+import React from 'react';
+import { Box, Typography, Chip, Grid } from '@mui/material';
+import { BRAND_COLORS, CLASSIFICATION_METHODS, EQUIPMENT_CATEGORIES } from '../constants';
+
+const METHOD_LABELS = {
+  [CLASSIFICATION_METHODS.RULE_MATCH]: 'Matched rule',
+  [CLASSIFICATION_METHODS.INHERITED]: 'Inherited from parent',
+  [CLASSIFICATION_METHODS.ORPHANED]: 'Parent not found',
+  [CLASSIFICATION_METHODS.NO_MATCH]: 'No rule matched',
+  [CLASSIFICATION_METHODS.TBC]: 'To be confirmed',
+  [CLASSIFICATION_METHODS.OUT_OF_SCOPE]: 'Out of scope',
+  [CLASSIFICATION_METHODS.MANUAL]: 'Assigned manually',
+  [CLASSIFICATION_METHODS.OVERRIDE]: 'Overridden'
+};
+
+const METHOD_COLORS = {
+  [CLASSIFICATION_METHODS.RULE_MATCH]: 'success',
+  [CLASSIFICATION_METHODS.INHERITED]: 'info',
+  [CLASSIFICATION_METHODS.ORPHANED]: 'error',
+  [CLASSIFICATION_METHODS.NO_MATCH]: 'error',
+  [CLASSIFICATION_METHODS.TBC]: 'warning',
+  [CLASSIFICATION_METHODS.OUT_OF_SCOPE]: 'default',
+  [CLASSIFICATION_METHODS.MANUAL]: 'secondary',
+  [CLASSIFICATION_METHODS.OVERRIDE]: 'secondary'
+};
+
+const DetailRow = ({ label, value, monospace = false }) => {
+  if (value === null || value === undefined || value === '') return null;
+
+  return (
+    <Grid container spacing={1} sx={{ mb: 0.5 }}>
+      <Grid item xs={4}>
+        <Typography variant="caption" sx={{ color: BRAND_COLORS.text, opacity: 0.7 }}>
+          {label}
+        </Typography>
+      </Grid>
+      <Grid item xs={8}>
+        <Typography variant="body2" sx={{ fontFamily: monospace ? 'monospace' : 'inherit', wordBreak: 'break-word' }}>
+          {value}
+        </Typography>
+      </Grid>
+    </Grid>
+  );
+};
+
+// Explains why an equipment item ended up in its category (item.classification)
+const ClassificationDetail = ({ classification }) => {
+  if (!classification) {
+    return (
+      <Typography variant="body2" sx={{ color: BRAND_COLORS.text, opacity: 0.7 }}>
+        No classification details recorded for this item.
+      </Typography>
+    );
+  }
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1, flexWrap: 'wrap' }}>
+        <Chip
+          size="small"
+          label={METHOD_LABELS[classification.method] || classification.method}
+          color={METHOD_COLORS[classification.method] || 'default'}
+        />
+        {classification.ambiguous && (
+          <Chip size="small" variant="outlined" color="warning" label="Ambiguous" />
+        )}
+      </Box>
+
+      <Typography variant="body2" sx={{ mb: 1.5, color: BRAND_COLORS.text }}>
+        {classification.reason}
+      </Typography>
+
+      <DetailRow label="Rule set" value={classification.rule_set} />
+      <DetailRow label="Rule" value={classification.rule_name || classification.rule_id} />
+      <DetailRow label="Pattern" value={classification.pattern} monospace />
+      <DetailRow label="Matched text" value={classification.matched_text} monospace />
+      <DetailRow label="Inherited from" value={classification.inherited_from} monospace />
+      <DetailRow
+        label="Parent chain"
+        value={classification.inheritance_chain?.length > 1 ? classification.inheritance_chain.join(' → ') : null}
+        monospace
+      />
+      <DetailRow
+        label="Also matched"
+        value={classification.other_categories?.map(id => `${id} | ${EQUIPMENT_CATEGORIES[id] || 'Unknown'}`).join(', ')}
+      />
+    </Box>
+  );
+};
+
+export default ClassificationDetail;
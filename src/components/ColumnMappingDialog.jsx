@@ -0,0 +1,153 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Select,
+  MenuItem,
+  FormControl,
+  FormControlLabel,
+  Checkbox,
+  Typography,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  Chip,
+  Box,
+  Alert
+} from '@mui/material';
+import {
+  EQUIPMENT_FIELDS,
+  MAPPING_CONFIDENCE,
+  validateColumnMapping
+} from '../lib/columnMapper';
+import { BRAND_COLORS } from '../constants';
+
+const CONFIDENCE_CHIPS = {
+  [MAPPING_CONFIDENCE.EXACT]: { label: 'Exact match', color: 'success' },
+  [MAPPING_CONFIDENCE.SAVED]: { label: 'Saved mapping', color: 'success' },
+  [MAPPING_CONFIDENCE.ALIAS]: { label: 'Likely', color: 'info' },
+  [MAPPING_CONFIDENCE.PARTIAL]: { label: 'Possible - check', color: 'warning' },
+  [MAPPING_CONFIDENCE.MANUAL]: { label: 'Chosen', color: 'default' },
+  [MAPPING_CONFIDENCE.NONE]: { label: 'Not found', color: 'default' }
+};
+
+// Map the columns of an equipment list onto the fields the WBS generator reads
+const ColumnMappingDialog = ({ open, proposal, sampleRows = [], fileName = '', onCancel, onConfirm }) => {
+  const [mapping, setMapping] = useState({});
+  const [confidence, setConfidence] = useState({});
+  const [remember, setRemember] = useState(true);
+
+  useEffect(() => {
+    if (open && proposal) {
+      setMapping(proposal.mapping);
+      setConfidence(proposal.confidence);
+    }
+  }, [open, proposal]);
+
+  if (!proposal) return null;
+
+  const validation = validateColumnMapping(mapping);
+
+  const handleChange = (field, header) => {
+    setMapping(prev => ({ ...prev, [field]: header || null }));
+    setConfidence(prev => ({ ...prev, [field]: header ? MAPPING_CONFIDENCE.MANUAL : MAPPING_CONFIDENCE.NONE }));
+  };
+
+  const getSamples = (header) => sampleRows
+    .map(row => row?.[header])
+    .filter(value => value !== undefined && value !== null && String(value).trim() !== '')
+    .join(', ');
+
+  return (
+    <Dialog open={open} onClose={onCancel} maxWidth="md" fullWidth>
+      <DialogTitle sx={{ color: BRAND_COLORS.text, fontWeight: 600 }}>
+        Map Equipment List Columns{fileName ? ` - ${fileName}` : ''}
+      </DialogTitle>
+      <DialogContent>
+        <Typography variant="body2" sx={{ mb: 1, color: BRAND_COLORS.text, opacity: 0.8 }}>
+          Choose which column holds each field. Proposed mappings are based on the header names.
+        </Typography>
+        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, mb: 2 }}>
+          {proposal.headers.map(header => (
+            <Chip key={header} label={header} size="small" variant="outlined" sx={{ fontFamily: 'monospace' }} />
+          ))}
+        </Box>
+
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Field</TableCell>
+              <TableCell>Column</TableCell>
+              <TableCell>Confidence</TableCell>
+              <TableCell>Sample Values</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {EQUIPMENT_FIELDS.map(field => {
+              const chip = CONFIDENCE_CHIPS[confidence[field.key]] || CONFIDENCE_CHIPS[MAPPING_CONFIDENCE.NONE];
+              return (
+                <TableRow key={field.key}>
+                  <TableCell sx={{ fontWeight: field.required ? 600 : 400 }}>
+                    {field.label}{field.required ? ' *' : ''}
+                  </TableCell>
+                  <TableCell sx={{ minWidth: 200 }}>
+                    <FormControl size="small" fullWidth>
+                      <Select
+                        value={mapping[field.key] || ''}
+                        displayEmpty
+                        onChange={(e) => handleChange(field.key, e.target.value)}
+                      >
+                        <MenuItem value="">
+                          <em>Not mapped</em>
+                        </MenuItem>
+                        {proposal.headers.map(header => (
+                          <MenuItem key={header} value={header}>{header}</MenuItem>
+                        ))}
+                      </Select>
+                    </FormControl>
+                  </TableCell>
+                  <TableCell>
+                    <Chip size="small" label={chip.label} color={chip.color} />
+                  </TableCell>
+                  <TableCell sx={{ maxWidth: 220, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                    {mapping[field.key] ? getSamples(mapping[field.key]) : '-'}
+                  </TableCell>
+                </TableRow>
+              );
+            })}
+          </TableBody>
+        </Table>
+
+        {!validation.isValid && (
+          <Alert severity="error" sx={{ mt: 2 }}>
+            {validation.errors.join('. ')}
+          </Alert>
+        )}
+
+        <FormControlLabel
+          sx={{ mt: 1 }}
+          control={<Checkbox checked={remember} onChange={(e) => setRemember(e.target.checked)} />}
+          label="Remember this mapping for files with the same columns"
+        />
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onCancel}>Cancel</Button>
+        <Button
+          variant="contained"
+          disabled={!validation.isValid}
+          onClick={() => onConfirm(mapping, remember)}
+          sx={{ backgroundColor: BRAND_COLORS.accent, '&:hover': { backgroundColor: BRAND_COLORS.level5 } }}
+        >
+          Use Mapping
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ColumnMappingDialog;
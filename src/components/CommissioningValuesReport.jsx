@@ -0,0 +1,163 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Typography,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableContainer,
+  Chip,
+  Button,
+  Collapse,
+  Select,
+  MenuItem,
+  FormControl
+} from '@mui/material';
+import { FactCheck, ExpandMore, ExpandLess } from '@mui/icons-material';
+import useProjectStore from '../store/projectStore';
+import {
+  DEFAULT_COMMISSIONING_VALUE_MAP,
+  EXCLUSION_REASON_LABELS,
+  EXCLUSION_REASONS
+} from '../lib/commissioningStatus';
+import { formatSourceLocation } from '../lib/fileParser';
+import { BRAND_COLORS, COMMISSIONING_STATUS } from '../constants';
+
+// Select value for "not in the map"
+const UNRECOGNISED = '';
+
+const STATUS_OPTIONS = [
+  { value: COMMISSIONING_STATUS.YES, label: 'Y - in WBS' },
+  { value: COMMISSIONING_STATUS.TBC, label: 'TBC - TBC section' },
+  { value: COMMISSIONING_STATUS.NO, label: 'N - excluded' },
+  { value: UNRECOGNISED, label: 'Unrecognised - excluded' }
+];
+
+// Raw commissioning values with their row counts and mapping, plus every excluded row
+const CommissioningValuesReport = ({ summary = [], excluded = [], onMappingChange = null, disabled = false }) => {
+  const { setCommissioningValue, clearCommissioningValue } = useProjectStore();
+  const [showExcluded, setShowExcluded] = useState(false);
+
+  if (!summary || summary.length === 0) return null;
+
+  const handleStatusChange = (key, status) => {
+    // Back to the built-in value removes the user entry
+    if ((DEFAULT_COMMISSIONING_VALUE_MAP[key] || UNRECOGNISED) === status) {
+      clearCommissioningValue(key);
+    } else {
+      setCommissioningValue(key, status);
+    }
+    if (onMappingChange) onMappingChange();
+  };
+
+  const countsByReason = excluded.reduce((counts, item) => {
+    counts[item.reason] = (counts[item.reason] || 0) + 1;
+    return counts;
+  }, {});
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+        <FactCheck sx={{ color: BRAND_COLORS.accent }} />
+        <Typography variant="subtitle1" sx={{ fontWeight: 600, color: BRAND_COLORS.text }}>
+          Commissioning Values ({summary.length})
+        </Typography>
+      </Box>
+      <Typography variant="body2" sx={{ mb: 2, color: BRAND_COLORS.text, opacity: 0.8 }}>
+        How each value in the commissioning column is treated. Changes are saved in this browser and used for every import.
+      </Typography>
+
+      <TableContainer sx={{ maxHeight: 300, mb: 2 }}>
+        <Table size="small" stickyHeader>
+          <TableHead>
+            <TableRow>
+              <TableCell>Value in File</TableCell>
+              <TableCell align="right">Rows</TableCell>
+              <TableCell>Treated As</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {summary.map(entry => (
+              <TableRow key={entry.key}>
+                <TableCell sx={{ fontFamily: 'monospace', fontWeight: 600 }}>
+                  {entry.value === '' ? <em>(blank)</em> : entry.value}
+                </TableCell>
+                <TableCell align="right">{entry.count}</TableCell>
+                <TableCell sx={{ minWidth: 220 }}>
+                  <FormControl size="small" fullWidth>
+                    <Select
+                      value={entry.status || UNRECOGNISED}
+                      displayEmpty
+                      disabled={disabled}
+                      onChange={(e) => handleStatusChange(entry.key, e.target.value)}
+                    >
+                      {STATUS_OPTIONS.map(option => (
+                        <MenuItem key={option.value || 'unrecognised'} value={option.value}>{option.label}</MenuItem>
+                      ))}
+                    </Select>
+                  </FormControl>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 1, flexWrap: 'wrap' }}>
+        <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+          {excluded.length === 0 ? (
+            <Chip size="small" color="success" label="No rows excluded" />
+          ) : Object.entries(countsByReason).map(([reason, count]) => (
+            <Chip
+              key={reason}
+              size="small"
+              color={reason === EXCLUSION_REASONS.NOT_COMMISSIONED ? 'default' : 'warning'}
+              label={`${EXCLUSION_REASON_LABELS[reason] || reason}: ${count}`}
+            />
+          ))}
+        </Box>
+        {excluded.length > 0 && (
+          <Button
+            size="small"
+            endIcon={showExcluded ? <ExpandLess /> : <ExpandMore />}
+            onClick={() => setShowExcluded(!showExcluded)}
+            sx={{ color: BRAND_COLORS.accent }}
+          >
+            {showExcluded ? 'Hide' : 'Show'} {excluded.length} excluded rows
+          </Button>
+        )}
+      </Box>
+
+      <Collapse in={showExcluded} unmountOnExit>
+        <TableContainer sx={{ maxHeight: 400, mt: 1 }}>
+          <Table size="small" stickyHeader>
+            <TableHead>
+              <TableRow>
+                <TableCell>Equipment</TableCell>
+                <TableCell>Description</TableCell>
+                <TableCell>Value</TableCell>
+                <TableCell>Reason</TableCell>
+                <TableCell>Source</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {excluded.map((item, index) => (
+                <TableRow key={`${item.equipment_number}-${index}`}>
+                  <TableCell sx={{ fontFamily: 'monospace', fontWeight: 600 }}>{item.equipment_number || '-'}</TableCell>
+                  <TableCell>{item.description}</TableCell>
+                  <TableCell sx={{ fontFamily: 'monospace' }}>{item.raw_commissioning_value || <em>(blank)</em>}</TableCell>
+                  <TableCell>{item.message}</TableCell>
+                  <TableCell>{formatSourceLocation(item) || '-'}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </Collapse>
+    </Box>
+  );
+};
+
+export default CommissioningValuesReport;
@@ -0,0 +1,104 @@
+import React from 'react';
+import {
+  Box,
+  Typography,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableContainer,
+  Chip,
+  Alert
+} from '@mui/material';
+import { ContentCopy } from '@mui/icons-material';
+import DuplicatePolicySelector from './DuplicatePolicySelector';
+import { DUPLICATE_POLICIES, DUPLICATE_POLICY_LABELS } from '../lib/duplicateEquipment';
+import { BRAND_COLORS } from '../constants';
+
+const FIELD_LABELS = {
+  description: 'Description',
+  subsystem: 'Subsystem',
+  parent_equipment_number: 'Parent',
+  commissioning_yn: 'Commissioning',
+  plu_field: 'PLU'
+};
+
+// Tags listed on more than one row, with the source rows and the values that differ
+const DuplicateEquipmentReport = ({ duplicates = [], onPolicyChange = null, disabled = false }) => {
+  if (!duplicates || duplicates.length === 0) {
+    return (
+      <Alert severity="success">
+        No duplicate equipment numbers - every tag appears on one row.
+      </Alert>
+    );
+  }
+
+  const conflictCount = duplicates.filter(duplicate => !duplicate.is_identical).length;
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 2, flexWrap: 'wrap', mb: 1 }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <ContentCopy sx={{ color: BRAND_COLORS.accent }} />
+          <Typography variant="subtitle1" sx={{ fontWeight: 600, color: BRAND_COLORS.text }}>
+            Duplicate Equipment Numbers ({duplicates.length})
+          </Typography>
+        </Box>
+        <DuplicatePolicySelector disabled={disabled} onChange={onPolicyChange} />
+      </Box>
+      <Typography variant="body2" sx={{ mb: 2, color: BRAND_COLORS.text, opacity: 0.8 }}>
+        {conflictCount > 0
+          ? `${conflictCount} of these tags have rows with different values. `
+          : 'The repeated rows are identical. '}
+        {duplicates[0]?.resolution === DUPLICATE_POLICIES.KEEP_ALL
+          ? 'Every row gets its own WBS node - select a policy here to place each tag once.'
+          : 'Each tag is placed in the WBS once, resolved by the policy selected here.'}
+      </Typography>
+
+      <TableContainer sx={{ maxHeight: 400 }}>
+        <Table size="small" stickyHeader>
+          <TableHead>
+            <TableRow>
+              <TableCell>Equipment</TableCell>
+              <TableCell>Rows</TableCell>
+              <TableCell>Conflicting Values</TableCell>
+              <TableCell>Resolution</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {duplicates.map(duplicate => (
+              <TableRow key={duplicate.equipment_number}>
+                <TableCell sx={{ fontFamily: 'monospace', fontWeight: 600 }}>
+                  {duplicate.equipment_number}
+                </TableCell>
+                <TableCell>{duplicate.source_rows.join(', ')}</TableCell>
+                <TableCell>
+                  {duplicate.is_identical ? (
+                    <Typography variant="body2" sx={{ opacity: 0.7 }}>Identical rows</Typography>
+                  ) : duplicate.conflicting_fields.map(field => (
+                    <Typography key={field} variant="body2">
+                      {FIELD_LABELS[field] || field}:{' '}
+                      {duplicate.rows.map(row => `row ${row.source_row}: "${row[field] || '-'}"`).join(' / ')}
+                    </Typography>
+                  ))}
+                </TableCell>
+                <TableCell>
+                  <Chip
+                    size="small"
+                    label={duplicate.kept_row
+                      ? `Row ${duplicate.kept_row} kept`
+                      : DUPLICATE_POLICY_LABELS[duplicate.resolution]}
+                    color={duplicate.is_identical ? 'default' : 'warning'}
+                  />
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    </Box>
+  );
+};
+
+export default DuplicateEquipmentReport;
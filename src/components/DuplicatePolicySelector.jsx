@@ -0,0 +1,40 @@
+import React from 'react';
+import {
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem
+} from '@mui/material';
+import { ContentCopy } from '@mui/icons-material';
+import useProjectStore from '../store/projectStore';
+import { DUPLICATE_POLICY_LABELS, DEFAULT_DUPLICATE_POLICY } from '../lib/duplicateEquipment';
+import { BRAND_COLORS } from '../constants';
+
+// Pick how equipment numbers that appear on more than one row are resolved
+const DuplicatePolicySelector = ({ disabled = false, onChange = null, sx = { minWidth: 280 } }) => {
+  const { project, setDuplicatePolicy } = useProjectStore();
+
+  const handleChange = (e) => {
+    setDuplicatePolicy(e.target.value);
+    if (onChange) onChange(e.target.value);
+  };
+
+  return (
+    <FormControl size="small" sx={sx} disabled={disabled}>
+      <InputLabel id="duplicate-policy-label">Duplicate Equipment Numbers</InputLabel>
+      <Select
+        labelId="duplicate-policy-label"
+        label="Duplicate Equipment Numbers"
+        value={project.duplicate_policy || DEFAULT_DUPLICATE_POLICY}
+        onChange={handleChange}
+        startAdornment={<ContentCopy sx={{ mr: 1, color: BRAND_COLORS.accent }} fontSize="small" />}
+      >
+        {Object.entries(DUPLICATE_POLICY_LABELS).map(([policy, label]) => (
+          <MenuItem key={policy} value={policy}>{label}</MenuItem>
+        ))}
+      </Select>
+    </FormControl>
+  );
+};
+
+export default DuplicatePolicySelector;
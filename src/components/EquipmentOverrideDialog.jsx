@@ -0,0 +1,180 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  Typography,
+  Grid,
+  Alert
+} from '@mui/material';
+import useProjectStore from '../store/projectStore';
+import { normalizeOverrideKey } from '../lib/equipmentOverrides';
+import { BRAND_COLORS, EQUIPMENT_CATEGORIES, COMMISSIONING_STATUS } from '../constants';
+
+const EMPTY_OVERRIDE = {
+  category: '',
+  parent_equipment_number: '',
+  subsystem: '',
+  commissioning_yn: '',
+  description: ''
+};
+
+// Edit the persisted override for one equipment number. Empty fields keep the source value.
+const EquipmentOverrideDialog = ({ open, equipment, onClose, onSaved }) => {
+  const { getEquipmentOverrides, setEquipmentOverride, clearEquipmentOverride } = useProjectStore();
+  const [values, setValues] = useState(EMPTY_OVERRIDE);
+
+  const equipmentNumber = normalizeOverrideKey(equipment?.equipment_number);
+  const existingOverride = getEquipmentOverrides()[equipmentNumber];
+
+  useEffect(() => {
+    if (open) {
+      setValues({ ...EMPTY_OVERRIDE, ...(existingOverride || {}) });
+    }
+  }, [open, existingOverride]);
+
+  if (!equipment) return null;
+
+  const handleChange = (field, value) => {
+    setValues(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleSave = () => {
+    const { updated_at, ...fields } = values;
+    setEquipmentOverride(equipmentNumber, fields);
+    onClose();
+    if (onSaved) onSaved();
+  };
+
+  const handleRemove = () => {
+    clearEquipmentOverride(equipmentNumber);
+    onClose();
+    if (onSaved) onSaved();
+  };
+
+  // Show the current (source or processed) value as the placeholder
+  const currentValue = (field) => {
+    const original = equipment.original_values?.[field];
+    return original !== undefined ? original : (equipment[field] || '');
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle sx={{ color: BRAND_COLORS.text, fontWeight: 600 }}>
+        Override {equipmentNumber}
+      </DialogTitle>
+      <DialogContent>
+        <Typography variant="body2" sx={{ mb: 2, color: BRAND_COLORS.text, opacity: 0.8 }}>
+          Overrides are saved in this browser and applied every time an equipment list containing this tag
+          is processed. Leave a field empty to keep the value from the equipment list.
+        </Typography>
+
+        <Grid container spacing={2}>
+          <Grid item xs={12} sm={6}>
+            <FormControl size="small" fullWidth>
+              <InputLabel id="override-category-label" shrink>Category</InputLabel>
+              <Select
+                labelId="override-category-label"
+                label="Category"
+                value={values.category}
+                displayEmpty
+                notched
+                onChange={(e) => handleChange('category', e.target.value)}
+              >
+                <MenuItem value="">
+                  <em>From rules ({currentValue('category') || '-'})</em>
+                </MenuItem>
+                {Object.entries(EQUIPMENT_CATEGORIES).map(([id, name]) => (
+                  <MenuItem key={id} value={id}>{id} | {name}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid item xs={12} sm={6}>
+            <FormControl size="small" fullWidth>
+              <InputLabel id="override-commissioning-label" shrink>Commissioning</InputLabel>
+              <Select
+                labelId="override-commissioning-label"
+                label="Commissioning"
+                value={values.commissioning_yn}
+                displayEmpty
+                notched
+                onChange={(e) => handleChange('commissioning_yn', e.target.value)}
+              >
+                <MenuItem value="">
+                  <em>From list ({currentValue('commissioning_yn') || '-'})</em>
+                </MenuItem>
+                {Object.values(COMMISSIONING_STATUS).map(status => (
+                  <MenuItem key={status} value={status}>{status}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid item xs={12} sm={6}>
+            <TextField
+              label="Parent Equipment"
+              size="small"
+              fullWidth
+              value={values.parent_equipment_number}
+              placeholder={currentValue('parent_equipment_number') || '(none)'}
+              InputLabelProps={{ shrink: true }}
+              onChange={(e) => handleChange('parent_equipment_number', e.target.value)}
+            />
+          </Grid>
+          <Grid item xs={12} sm={6}>
+            <TextField
+              label="Subsystem"
+              size="small"
+              fullWidth
+              value={values.subsystem}
+              placeholder={currentValue('subsystem')}
+              InputLabelProps={{ shrink: true }}
+              onChange={(e) => handleChange('subsystem', e.target.value)}
+            />
+          </Grid>
+          <Grid item xs={12}>
+            <TextField
+              label="Description"
+              size="small"
+              fullWidth
+              value={values.description}
+              placeholder={currentValue('description')}
+              InputLabelProps={{ shrink: true }}
+              onChange={(e) => handleChange('description', e.target.value)}
+            />
+          </Grid>
+        </Grid>
+
+        {values.commissioning_yn === COMMISSIONING_STATUS.NO && (
+          <Alert severity="warning" sx={{ mt: 2 }}>
+            Commissioning "N" removes this item from the WBS.
+          </Alert>
+        )}
+      </DialogContent>
+      <DialogActions>
+        {existingOverride && (
+          <Button onClick={handleRemove} color="error" sx={{ mr: 'auto' }}>
+            Remove Override
+          </Button>
+        )}
+        <Button onClick={onClose}>Cancel</Button>
+        <Button
+          variant="contained"
+          onClick={handleSave}
+          sx={{ backgroundColor: BRAND_COLORS.accent, '&:hover': { backgroundColor: BRAND_COLORS.level5 } }}
+        >
+          Save Override
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default EquipmentOverrideDialog;
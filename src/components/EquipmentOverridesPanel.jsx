@@ -0,0 +1,112 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  IconButton,
+  Collapse,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableContainer,
+  Tooltip
+} from '@mui/material';
+import { Delete, ExpandMore, ExpandLess, EditNote } from '@mui/icons-material';
+import useProjectStore from '../store/projectStore';
+import { OVERRIDABLE_FIELDS } from '../lib/equipmentOverrides';
+import { BRAND_COLORS } from '../constants';
+
+const FIELD_LABELS = {
+  category: 'Category',
+  parent_equipment_number: 'Parent',
+  subsystem: 'Subsystem',
+  commissioning_yn: 'Commissioning',
+  description: 'Description'
+};
+
+// Lists the current project's equipment overrides that will be applied to the next import
+const EquipmentOverridesPanel = ({ onChange = null }) => {
+  const { getEquipmentOverrides, clearEquipmentOverride, clearAllEquipmentOverrides } = useProjectStore();
+  const [expanded, setExpanded] = useState(false);
+
+  const entries = Object.entries(getEquipmentOverrides())
+    .sort(([a], [b]) => a.localeCompare(b));
+
+  if (entries.length === 0) return null;
+
+  const handleRemove = (equipmentNumber) => {
+    clearEquipmentOverride(equipmentNumber);
+    if (onChange) onChange();
+  };
+
+  const handleClearAll = () => {
+    clearAllEquipmentOverrides();
+    if (onChange) onChange();
+  };
+
+  return (
+    <Box sx={{ mb: 3, border: `1px solid ${BRAND_COLORS.level3}40`, borderRadius: 1, p: 1.5 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+        <Button
+          size="small"
+          startIcon={<EditNote />}
+          endIcon={expanded ? <ExpandLess /> : <ExpandMore />}
+          onClick={() => setExpanded(!expanded)}
+          sx={{ color: BRAND_COLORS.accent }}
+        >
+          {entries.length} equipment override{entries.length === 1 ? '' : 's'} will be applied
+        </Button>
+        {expanded && (
+          <Button size="small" color="error" onClick={handleClearAll}>
+            Clear All
+          </Button>
+        )}
+      </Box>
+
+      <Collapse in={expanded} unmountOnExit>
+        <TableContainer sx={{ maxHeight: 300, mt: 1 }}>
+          <Table size="small" stickyHeader>
+            <TableHead>
+              <TableRow>
+                <TableCell>Equipment</TableCell>
+                <TableCell>Overridden Values</TableCell>
+                <TableCell>Updated</TableCell>
+                <TableCell />
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {entries.map(([equipmentNumber, override]) => (
+                <TableRow key={equipmentNumber}>
+                  <TableCell sx={{ fontFamily: 'monospace', fontWeight: 600 }}>{equipmentNumber}</TableCell>
+                  <TableCell>
+                    {OVERRIDABLE_FIELDS.filter(field => override[field] !== undefined).map(field => (
+                      <Typography key={field} variant="body2">
+                        {FIELD_LABELS[field]}: <strong>{override[field]}</strong>
+                      </Typography>
+                    ))}
+                  </TableCell>
+                  <TableCell>
+                    <Typography variant="caption">
+                      {override.updated_at ? new Date(override.updated_at).toLocaleDateString() : '-'}
+                    </Typography>
+                  </TableCell>
+                  <TableCell align="right">
+                    <Tooltip title="Remove override">
+                      <IconButton size="small" onClick={() => handleRemove(equipmentNumber)}>
+                        <Delete fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </Collapse>
+    </Box>
+  );
+};
+
+export default EquipmentOverridesPanel;
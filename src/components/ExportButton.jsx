@@ -35,8 +35,18 @@ import {
 import { styled } from '@mui/material/styles';
 import useProjectStore from '../store/projectStore';
 import { BRAND_COLORS } from '../constants';
-import { exportWBSToP6CSV, exportEquipmentListToCSV, exportComparisonToCSV, validateExportRequest, getExportStatistics } from '../lib/exporter';
+import {
+  exportWBSToP6CSV,
+  exportEquipmentListToCSV,
+  exportComparisonToCSV,
+  exportWBSToXER,
+  exportComparisonToXER,
+  canExportDeltaXER,
+  validateExportRequest,
+  getExportStatistics
+} from '../lib/exporter';
 import { dateHelpers } from '../utils';
+import ReconciliationReport from './ReconciliationReport';
 
 // Styled components with brand colors
 const StyledButton = styled(Button)(({ theme, variant }) => ({
@@ -90,6 +100,20 @@ const ExportButton = ({
     exportType: exportType
   });
   const [isExporting, setIsExporting] = useState(false);
+  const [allowUnreconciled, setAllowUnreconciled] = useState(false);
+
+  // ENHANCED: WBS and new items can also be exported as XER - new items only when the existing
+  // project came from an XER (its wbs_ids are referenced). handleExport shadows `data`
+  const comparisonResult = data;
+  const xerAvailable = exportOptions.exportType === 'wbs' ||
+    (exportOptions.exportType === 'comparison' && canExportDeltaXER(comparisonResult));
+  const exportFormat = xerAvailable ? exportOptions.format : 'csv';
+
+  // ENHANCED: A WBS that lost or duplicated equipment is not exported unless the user overrides
+  const reconciliationBlocked = exportOptions.exportType === 'wbs' &&
+    !!project.reconciliation &&
+    !project.reconciliation.isReconciled &&
+    !allowUnreconciled;
 
 // canExport function - SEPARATE function
 const canExport = () => {
@@ -155,17 +179,26 @@ const getExportData = () => {
       setLoading(true);
 
       const data = getExportData();
-      
-      // Validate export request
-      const validation = validateExportRequest(data, exportOptions);
-      if (!validation.isValid) {
-        setError(`Export validation failed: ${validation.errors.join(', ')}`);
+
+      // Applies to CSV and XER alike
+      if (reconciliationBlocked) {
+        setError('Export blocked: the WBS does not contain every accepted equipment item exactly once');
         return;
       }
-
-      // Show warnings if any
-      if (validation.warnings.length > 0) {
-        console.warn('Export warnings:', validation.warnings);
+      
+      // Validate export request - the CSV checks expect numeric codes; XER codes start with the
+      // project short name and are checked by the XER builders
+      if (exportFormat !== 'xer') {
+        const validation = validateExportRequest(data, exportOptions);
+        if (!validation.isValid) {
+          setError(`Export validation failed: ${validation.errors.join(', ')}`);
+          return;
+        }
+
+        // Show warnings if any
+        if (validation.warnings.length > 0) {
+          console.warn('Export warnings:', validation.warnings);
+        }
       }
 
       let exportResult;
@@ -173,6 +206,10 @@ const getExportData = () => {
       // Execute export based on type
       switch (exportOptions.exportType) {
         case 'wbs':
+          if (exportFormat === 'xer') {
+            exportResult = await exportWBSToXER(data, { filename: exportOptions.filename + '.xer' });
+            break;
+          }
           exportResult = await exportWBSToP6CSV(data, {
             filename: exportOptions.filename + '.csv',
             includeNewOnly: exportOptions.includeNewOnly,
@@ -187,7 +224,12 @@ const getExportData = () => {
           break;
 
         case 'comparison':
-          const csvData = data?.export_ready || [];
+          if (exportFormat === 'xer') {
+            exportResult = await exportComparisonToXER(comparisonResult, { filename: exportOptions.filename + '.xer' });
+            break;
+          }
+          // FIXED: getExportData() already returns the export_ready array here
+          const csvData = data || [];
           
           if (csvData.length === 0) {
             throw new Error('No data available for export');
@@ -224,6 +266,12 @@ const getExportData = () => {
           throw new Error('Invalid export type');
       }
 
+      // An export that wrote nothing is a failure, not a download
+      if (!exportResult?.success || !(exportResult.recordCount > 0)) {
+        setError('Export failed: no records were written');
+        return;
+      }
+
       // Handle success
       setSuccess(`Export completed successfully! Downloaded ${exportResult.recordCount} items.`);
       setDialogOpen(false);
@@ -284,9 +332,9 @@ const getExportData = () => {
               size="small" 
             />
           )}
-          {exportOptions.format && (
+          {exportFormat && (
             <Chip 
-              label={exportOptions.format.toUpperCase()} 
+              label={exportFormat.toUpperCase()} 
               color="default" 
               size="small" 
             />
@@ -404,20 +452,50 @@ const getExportData = () => {
             </Typography>
             
             <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+              {/* File format */}
+              {(exportOptions.exportType === 'wbs' || exportOptions.exportType === 'comparison') && (
+                <FormControl component="fieldset">
+                  <RadioGroup
+                    value={exportFormat}
+                    onChange={(e) => handleOptionChange('format', e.target.value)}
+                    row
+                  >
+                    <FormControlLabel
+                      value="csv"
+                      control={<Radio sx={{ color: BRAND_COLORS.accent }} />}
+                      label="CSV"
+                    />
+                    <FormControlLabel
+                      value="xer"
+                      disabled={!xerAvailable}
+                      control={<Radio sx={{ color: BRAND_COLORS.accent }} />}
+                      label={exportOptions.exportType === 'comparison' ? 'Delta XER (new items)' : 'XER (new project)'}
+                    />
+                  </RadioGroup>
+                  {!xerAvailable && (
+                    <Typography variant="caption" sx={{ color: BRAND_COLORS.text, opacity: 0.7 }}>
+                      A delta XER needs the existing project loaded from an XER export.
+                    </Typography>
+                  )}
+                </FormControl>
+              )}
+
               {/* Include headers */}
-              <FormControlLabel
-                control={
-                  <Checkbox
-                    checked={exportOptions.includeHeaders}
-                    onChange={(e) => handleOptionChange('includeHeaders', e.target.checked)}
-                    sx={{ color: BRAND_COLORS.accent }}
-                  />
-                }
-                label="Include column headers"
-              />
+              {exportFormat === 'csv' && (
+                <FormControlLabel
+                  control={
+                    <Checkbox
+                      checked={exportOptions.includeHeaders}
+                      onChange={(e) => handleOptionChange('includeHeaders', e.target.checked)}
+                      sx={{ color: BRAND_COLORS.accent }}
+                    />
+                  }
+                  label="Include column headers"
+                />
+              )}
 
-              {/* New items only */}
-              {(exportOptions.exportType === 'wbs' || exportOptions.exportType === 'comparison') && (
+              {/* New items only - an XER of the WBS is always the whole project */}
+              {exportFormat === 'csv' && (exportOptions.exportType === 'wbs' || exportOptions.exportType === 'comparison') && (
                 <FormControlLabel
                   control={
                     <Checkbox
@@ -437,7 +515,7 @@ const getExportData = () => {
                 onChange={(e) => handleOptionChange('filename', e.target.value)}
                 fullWidth
                 size="small"
-                helperText="File will be saved as .csv format"
+                helperText={`File will be saved as .${exportFormat} format`}
                 sx={{
                   '& .MuiOutlinedInput-root': {
                     '&:hover fieldset': {
@@ -457,8 +535,25 @@ const getExportData = () => {
           {/* Export Preview */}
           {renderExportPreview()}
 
+          {/* Equipment reconciliation (WBS export only) */}
+          {exportOptions.exportType === 'wbs' && project.reconciliation && !project.reconciliation.isReconciled && (
+            <Box sx={{ mt: 2 }}>
+              <ReconciliationReport reconciliation={project.reconciliation} sx={{ mb: 1 }} />
+              <FormControlLabel
+                control={
+                  <Checkbox
+                    checked={allowUnreconciled}
+                    onChange={(e) => setAllowUnreconciled(e.target.checked)}
+                    sx={{ color: BRAND_COLORS.accent }}
+                  />
+                }
+                label="I have checked the differences - export anyway"
+              />
+            </Box>
+          )}
+
           {/* P6 Compatibility Info */}
-          {exportOptions.exportType === 'wbs' && (
+          {exportOptions.exportType === 'wbs' && exportFormat === 'csv' && (
             <Alert severity="info" sx={{ mt: 2 }}>
               <Typography variant="body2">
                 <strong>P6 Import:</strong> This CSV format is compatible with Oracle Primavera P6. 
@@ -466,6 +561,15 @@ const getExportData = () => {
               </Typography>
             </Alert>
           )}
+          {exportFormat === 'xer' && (
+            <Alert severity="info" sx={{ mt: 2 }}>
+              <Typography variant="body2">
+                <strong>P6 Import:</strong> {exportOptions.exportType === 'comparison'
+                  ? 'Import this XER into the existing project (Update Existing Project) - new WBS nodes hang under the existing ones by their WBS ids.'
+                  : 'Import this XER as a new project. The WBS ids in the file are placeholders - P6 assigns its own.'}
+              </Typography>
+            </Alert>
+          )}
         </DialogContent>
 
         <DialogActions sx={{ p: 3, backgroundColor: `${BRAND_COLORS.background}` }}>
@@ -479,7 +583,7 @@ const getExportData = () => {
           <StyledButton
             onClick={handleExport}
             variant="contained"
-            disabled={isExporting || !exportOptions.filename.trim()}
+            disabled={isExporting || !exportOptions.filename.trim() || reconciliationBlocked}
             startIcon={isExporting ? <CircularProgress size={16} /> : <CheckCircle />}
           >
             {isExporting ? 'Exporting...' : 'Export'}
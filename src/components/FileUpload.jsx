@@ -21,13 +21,26 @@ import {
   Error,
   Warning,
   Delete,
-  Info
+  Info,
+  TableChart,
+  Tab,
+  AccountTree
 } from '@mui/icons-material';
 import { styled } from '@mui/material/styles';
 import useProjectStore from '../store/projectStore';
+import ColumnMappingDialog from './ColumnMappingDialog';
+import SheetSelectionDialog from './SheetSelectionDialog';
+import ProjectSelectionDialog from './ProjectSelectionDialog';
+import { readEquipmentListHeaders, readWorkbookSheets, readXERProjectList } from '../lib/fileParser';
+import { proposeColumnMapping, isConfidentMapping } from '../lib/columnMapper';
 import { BRAND_COLORS } from '../constants';
 import { fileHelpers } from '../utils';
 
+// Extensions that go through the column mapping step when mapColumns is set
+const MAPPABLE_EXTENSIONS = ['csv', 'xlsx', 'xls'];
+const WORKBOOK_EXTENSIONS = ['xlsx', 'xls'];
+const XER_EXTENSIONS = ['xer', 'txt'];
+
 // Styled components with brand colors
 const StyledPaper = styled(Paper)(({ theme, isDragActive, hasError }) => ({
   padding: theme.spacing(3),
@@ -63,19 +76,24 @@ const FileUpload = ({
   description = 'Click to browse or drag and drop your file here',
   maxSizeMB = 50,
   onFileProcessed = null,
-  disabled = false
+  disabled = false,
+  mapColumns = false // ENHANCED: Ask for the equipment list column mapping (see lib/columnMapper.js)
 }) => {
   // Store hooks
   const { 
     uploads, 
-    uploadFile, 
     clearFileUpload, 
     setError, 
-    setSuccess 
+    setSuccess,
+    getColumnMappings,
+    saveColumnMapping
   } = useProjectStore();
 
   // Local state
   const [isDragActive, setIsDragActive] = useState(false);
+  const [pendingMapping, setPendingMapping] = useState(null); // { file, proposal, sampleRows, sheetSelection }
+  const [pendingSheets, setPendingSheets] = useState(null); // { file, sheets, selection }
+  const [pendingProjects, setPendingProjects] = useState(null); // { file, projects, selection }
   const fileInputRef = useRef(null);
 
   // Get upload state for this specific upload type
@@ -104,33 +122,167 @@ const FileUpload = ({
         console.warn('File upload warnings:', validation.warnings);
       }
 
-      // Upload and process file
-      // Don't process the file here - just store it for later processing
-useProjectStore.setState(state => ({
-  uploads: {
-    ...state.uploads,
-    [uploadType]: {
-      file: file,
-      status: 'success',
-      error: null,
-      data: [],
-      validation: null
+      const extension = fileHelpers.getFileExtension(file.name).toLowerCase();
+      if (mapColumns && MAPPABLE_EXTENSIONS.includes(extension)) {
+        // ENHANCED: Workbooks with several sheets choose their sheets first
+        if (WORKBOOK_EXTENSIONS.includes(extension)) {
+          const sheets = await readWorkbookSheets(file);
+          if (sheets && sheets.length > 1) {
+            setPendingSheets({ file, sheets, selection: null });
+            return;
+          }
+        }
+        await startColumnMapping(file, null);
+        return;
+      }
+
+      // ENHANCED: XER exports with several projects choose their project first
+      if (XER_EXTENSIONS.includes(extension)) {
+        const projects = await readXERProjectList(file);
+        if (projects && projects.length > 1) {
+          setPendingProjects({ file, projects, selection: null });
+          return;
+        }
+      }
+
+      acceptFile(file, null, null);
+
+    } catch (error) {
+      setError(`Upload failed: ${error.message}`);
+    }
+  };
+
+  // ENHANCED: Confirm the column mapping unless every field matched exactly or was saved
+  const startColumnMapping = async (file, sheetSelection, currentMapping = null) => {
+    const preview = await readEquipmentListHeaders(file, 3, { sheetSelection });
+    if (!preview) {
+      acceptFile(file, null, sheetSelection);
+      return;
     }
-  }
-}));
-const result = { file, status: 'success' };
-      
-      if (file && onFileProcessed) {
-        onFileProcessed(file);
+
+    const proposal = proposeColumnMapping(preview.headers, getColumnMappings());
+    if (currentMapping) {
+      setPendingMapping({
+        file,
+        proposal: { ...proposal, mapping: { ...proposal.mapping, ...currentMapping } },
+        sampleRows: preview.sampleRows,
+        sheetSelection
+      });
+      return;
+    }
+    if (!isConfidentMapping(proposal)) {
+      setPendingMapping({ file, proposal, sampleRows: preview.sampleRows, sheetSelection });
+      return;
+    }
+    acceptFile(file, proposal.mapping, sheetSelection);
+  };
+
+  // Don't process the file here - just store it (with its column mapping, sheets or XER project) for later processing
+  const acceptFile = (file, columnMapping, sheetSelection, xerProject = null) => {
+    useProjectStore.setState(state => ({
+      uploads: {
+        ...state.uploads,
+        [uploadType]: {
+          file: file,
+          status: 'success',
+          error: null,
+          data: [],
+          validation: null,
+          columnMapping,
+          sheetSelection,
+          xerProject
+        }
       }
+    }));
+
+    if (file && onFileProcessed) {
+      onFileProcessed(file);
+    }
 
-      setSuccess(`File "${file.name}" uploaded successfully!`);
+    setSuccess(`File "${file.name}" uploaded successfully!`);
+  };
 
+  const handleConfirmMapping = (mapping, remember) => {
+    const { file, proposal, sheetSelection } = pendingMapping;
+    if (remember) {
+      saveColumnMapping(proposal.signature, mapping, proposal.headers);
+    }
+    setPendingMapping(null);
+    acceptFile(file, mapping, sheetSelection);
+  };
+
+  const handleConfirmSheets = async (selection) => {
+    const { file } = pendingSheets;
+    setPendingSheets(null);
+    try {
+      await startColumnMapping(file, selection);
     } catch (error) {
       setError(`Upload failed: ${error.message}`);
     }
   };
 
+  const handleCancelSheets = () => {
+    setPendingSheets(null);
+    if (fileInputRef.current) {
+      fileInputRef.current.value = '';
+    }
+  };
+
+  // Reopen sheet selection for the workbook already uploaded
+  const handleEditSheets = async () => {
+    try {
+      const sheets = await readWorkbookSheets(uploadState.file);
+      if (!sheets) return;
+      setPendingSheets({ file: uploadState.file, sheets, selection: uploadState.sheetSelection || null });
+    } catch (error) {
+      setError(`Sheet selection failed: ${error.message}`);
+    }
+  };
+
+  const handleConfirmProject = (project) => {
+    const { file } = pendingProjects;
+    setPendingProjects(null);
+    acceptFile(file, null, null, project);
+  };
+
+  const handleCancelProjects = () => {
+    setPendingProjects(null);
+    if (fileInputRef.current) {
+      fileInputRef.current.value = '';
+    }
+  };
+
+  // Reopen project selection for the XER export already uploaded
+  const handleEditProject = async () => {
+    try {
+      const projects = await readXERProjectList(uploadState.file);
+      if (!projects) return;
+      setPendingProjects({ file: uploadState.file, projects, selection: uploadState.xerProject || null });
+    } catch (error) {
+      setError(`Project selection failed: ${error.message}`);
+    }
+  };
+
+  const handleCancelMapping = () => {
+    setPendingMapping(null);
+    if (fileInputRef.current) {
+      fileInputRef.current.value = '';
+    }
+  };
+
+  // Reopen the mapping step for the file already uploaded
+  const handleEditMapping = async () => {
+    try {
+      await startColumnMapping(
+        uploadState.file,
+        uploadState.sheetSelection || null,
+        uploadState.columnMapping || {}
+      );
+    } catch (error) {
+      setError(`Column mapping failed: ${error.message}`);
+    }
+  };
+
   // Enhanced file validation for CSV and Excel files
   const validateFile = (file) => {
     const validation = {
@@ -366,6 +518,8 @@ const result = { file, status: 'success' };
                   </Typography>
                   <Typography variant="caption" sx={{ color: 'text.secondary' }}>
                     {(uploadState.file.size / 1024).toFixed(1)} KB • {getFileTypeDisplay(uploadState.file.name)}
+                    {uploadState.sheetSelection?.sheets?.length > 0 && ` • Sheets: ${uploadState.sheetSelection.sheets.join(', ')}`}
+                    {uploadState.xerProject && ` • Project: ${uploadState.xerProject.proj_short_name || uploadState.xerProject.proj_id}`}
                   </Typography>
                 </Box>
               </Box>
@@ -377,6 +531,27 @@ const result = { file, status: 'success' };
                   size="small"
                   icon={getStatusIcon()}
                 />
+                {mapColumns && WORKBOOK_EXTENSIONS.includes(fileHelpers.getFileExtension(uploadState.file.name).toLowerCase()) && (
+                  <Tooltip title="Select sheets">
+                    <IconButton size="small" onClick={handleEditSheets} disabled={disabled}>
+                      <Tab />
+                    </IconButton>
+                  </Tooltip>
+                )}
+                {uploadState.xerProject && (
+                  <Tooltip title="Select project">
+                    <IconButton size="small" onClick={handleEditProject} disabled={disabled}>
+                      <AccountTree />
+                    </IconButton>
+                  </Tooltip>
+                )}
+                {mapColumns && MAPPABLE_EXTENSIONS.includes(fileHelpers.getFileExtension(uploadState.file.name).toLowerCase()) && (
+                  <Tooltip title="Edit column mapping">
+                    <IconButton size="small" onClick={handleEditMapping} disabled={disabled}>
+                      <TableChart />
+                    </IconButton>
+                  </Tooltip>
+                )}
                 <Tooltip title="Remove file">
                   <IconButton size="small" onClick={handleClearFile}>
                     <Delete />
@@ -479,10 +654,38 @@ const result = { file, status: 'success' };
               <strong>Tips:</strong> Ensure your file has proper headers and equipment codes. 
               CSV and Excel files should contain columns like 'equipment_number', 'description', etc. 
               Excel files (.xlsx) are recommended for best compatibility.
+              {mapColumns && ' Files with other column names (e.g. "Tag No.") can be mapped after upload.'}
             </Typography>
           </Alert>
         </Box>
       )}
+
+      <SheetSelectionDialog
+        open={!!pendingSheets}
+        sheets={pendingSheets?.sheets}
+        selection={pendingSheets?.selection}
+        fileName={pendingSheets?.file?.name}
+        onCancel={handleCancelSheets}
+        onConfirm={handleConfirmSheets}
+      />
+
+      <ProjectSelectionDialog
+        open={!!pendingProjects}
+        projects={pendingProjects?.projects}
+        selection={pendingProjects?.selection}
+        fileName={pendingProjects?.file?.name}
+        onCancel={handleCancelProjects}
+        onConfirm={handleConfirmProject}
+      />
+
+      <ColumnMappingDialog
+        open={!!pendingMapping}
+        proposal={pendingMapping?.proposal}
+        sampleRows={pendingMapping?.sampleRows}
+        fileName={pendingMapping?.file?.name}
+        onCancel={handleCancelMapping}
+        onConfirm={handleConfirmMapping}
+      />
     </Box>
   );
 };
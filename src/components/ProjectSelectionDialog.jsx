@@ -0,0 +1,87 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Typography,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  Radio
+} from '@mui/material';
+import { BRAND_COLORS } from '../constants';
+
+// Pick which project of a multi-project XER export to load
+const ProjectSelectionDialog = ({ open, projects = [], fileName = '', selection = null, onCancel, onConfirm }) => {
+  const [selectedProjectId, setSelectedProjectId] = useState(null);
+
+  useEffect(() => {
+    if (open) {
+      setSelectedProjectId(selection?.proj_id || projects[0]?.proj_id || null);
+    }
+  }, [open, projects, selection]);
+
+  const handleConfirm = () => {
+    onConfirm(projects.find(project => project.proj_id === selectedProjectId));
+  };
+
+  return (
+    <Dialog open={open} onClose={onCancel} maxWidth="sm" fullWidth>
+      <DialogTitle sx={{ color: BRAND_COLORS.text, fontWeight: 600 }}>
+        Select Project{fileName ? ` - ${fileName}` : ''}
+      </DialogTitle>
+      <DialogContent>
+        <Typography variant="body2" sx={{ mb: 2, color: BRAND_COLORS.text, opacity: 0.8 }}>
+          This XER export contains {projects.length} projects. Only the WBS and activities of the selected project are loaded.
+        </Typography>
+
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell padding="checkbox" />
+              <TableCell>Project ID</TableCell>
+              <TableCell>Name</TableCell>
+              <TableCell align="right">WBS Nodes</TableCell>
+              <TableCell align="right">Activities</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {projects.map(project => (
+              <TableRow
+                key={project.proj_id}
+                hover
+                onClick={() => setSelectedProjectId(project.proj_id)}
+                sx={{ cursor: 'pointer' }}
+              >
+                <TableCell padding="checkbox">
+                  <Radio size="small" checked={selectedProjectId === project.proj_id} />
+                </TableCell>
+                <TableCell sx={{ fontWeight: 600 }}>{project.proj_short_name || project.proj_id}</TableCell>
+                <TableCell>{project.name || '-'}</TableCell>
+                <TableCell align="right">{project.wbs_count}</TableCell>
+                <TableCell align="right">{project.activity_count}</TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onCancel}>Cancel</Button>
+        <Button
+          variant="contained"
+          disabled={!selectedProjectId}
+          onClick={handleConfirm}
+          sx={{ backgroundColor: BRAND_COLORS.accent, '&:hover': { backgroundColor: BRAND_COLORS.level5 } }}
+        >
+          Load Project
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ProjectSelectionDialog;
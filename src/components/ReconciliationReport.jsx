@@ -0,0 +1,108 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Alert,
+  AlertTitle,
+  Button,
+  Collapse,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableContainer,
+  Chip
+} from '@mui/material';
+import { ExpandMore, ExpandLess } from '@mui/icons-material';
+import { describeReconciliation } from '../lib/wbsReconciliation';
+import { formatSourceLocation } from '../lib/fileParser';
+
+// Result of checking the generated WBS against the accepted equipment (Y + TBC)
+const ReconciliationReport = ({ reconciliation, sx = { mb: 3 } }) => {
+  const [expanded, setExpanded] = useState(false);
+
+  if (!reconciliation) return null;
+
+  if (reconciliation.isReconciled) {
+    return (
+      <Alert severity="success" sx={sx}>
+        {describeReconciliation(reconciliation)}
+      </Alert>
+    );
+  }
+
+  const rows = [
+    ...reconciliation.missing.map(item => ({
+      ...item,
+      problem: 'Missing',
+      detail: [
+        `${item.subsystem || 'No subsystem'} / ${item.category || '-'} (${item.commissioning_yn})`,
+        formatSourceLocation(item)
+      ].filter(Boolean).join(' - ')
+    })),
+    ...reconciliation.duplicated.map(item => ({
+      ...item,
+      problem: 'Duplicated',
+      detail: item.wbs_codes.join(', ')
+    })),
+    ...reconciliation.unexpected.map(item => ({
+      ...item,
+      expected: 0,
+      problem: 'Not in equipment list',
+      detail: item.wbs_codes.join(', ')
+    }))
+  ];
+
+  return (
+    <Alert
+      severity="error"
+      sx={sx}
+      action={
+        <Button
+          color="inherit"
+          size="small"
+          endIcon={expanded ? <ExpandLess /> : <ExpandMore />}
+          onClick={() => setExpanded(!expanded)}
+        >
+          {expanded ? 'Hide' : 'Show'} tags
+        </Button>
+      }
+    >
+      <AlertTitle>Equipment does not reconcile with the WBS</AlertTitle>
+      {describeReconciliation(reconciliation)} Export is blocked until this is resolved or overridden.
+
+      <Collapse in={expanded} unmountOnExit>
+        <Box sx={{ mt: 1 }}>
+          <TableContainer sx={{ maxHeight: 300 }}>
+            <Table size="small" stickyHeader>
+              <TableHead>
+                <TableRow>
+                  <TableCell>Equipment</TableCell>
+                  <TableCell>Problem</TableCell>
+                  <TableCell align="right">Expected</TableCell>
+                  <TableCell align="right">In WBS</TableCell>
+                  <TableCell>Details</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {rows.map(row => (
+                  <TableRow key={`${row.problem}-${row.equipment_number}`}>
+                    <TableCell sx={{ fontFamily: 'monospace', fontWeight: 600 }}>{row.equipment_number}</TableCell>
+                    <TableCell>
+                      <Chip size="small" label={row.problem} color={row.problem === 'Missing' ? 'error' : 'warning'} />
+                    </TableCell>
+                    <TableCell align="right">{row.expected}</TableCell>
+                    <TableCell align="right">{row.found}</TableCell>
+                    <TableCell>{row.detail}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </Box>
+      </Collapse>
+    </Alert>
+  );
+};
+
+export default ReconciliationReport;
@@ -0,0 +1,137 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Typography,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableContainer,
+  Chip,
+  Button,
+  Alert
+} from '@mui/material';
+import { LinkOff, FileDownload } from '@mui/icons-material';
+import { exportRelationshipReportToCSV } from '../lib/exporter';
+import { BRAND_COLORS, RELATIONSHIP_ISSUE_TYPES } from '../constants';
+
+const ISSUE_LABELS = {
+  [RELATIONSHIP_ISSUE_TYPES.ORPHANED]: 'Missing parent',
+  [RELATIONSHIP_ISSUE_TYPES.CROSS_SUBSYSTEM]: 'Different subsystem',
+  [RELATIONSHIP_ISSUE_TYPES.CROSS_CATEGORY]: 'Different category',
+  [RELATIONSHIP_ISSUE_TYPES.SELF_PARENT]: 'Own parent',
+  [RELATIONSHIP_ISSUE_TYPES.CIRCULAR]: 'Circular'
+};
+
+const ISSUE_COLORS = {
+  [RELATIONSHIP_ISSUE_TYPES.ORPHANED]: 'error',
+  [RELATIONSHIP_ISSUE_TYPES.CROSS_SUBSYSTEM]: 'warning',
+  [RELATIONSHIP_ISSUE_TYPES.CROSS_CATEGORY]: 'info',
+  [RELATIONSHIP_ISSUE_TYPES.SELF_PARENT]: 'warning',
+  [RELATIONSHIP_ISSUE_TYPES.CIRCULAR]: 'error'
+};
+
+// Parent/child problems found in the equipment list, with what was done and how to fix the source data
+const RelationshipIssuesReport = ({ issues = [], title = 'Parent/Child Relationship Issues' }) => {
+  const [exportError, setExportError] = useState(null);
+
+  if (!issues || issues.length === 0) {
+    return (
+      <Alert severity="success">
+        No relationship issues - every child sits under its parent.
+      </Alert>
+    );
+  }
+
+  const countsByType = issues.reduce((counts, issue) => {
+    counts[issue.type] = (counts[issue.type] || 0) + 1;
+    return counts;
+  }, {});
+
+  const handleExport = () => {
+    try {
+      setExportError(null);
+      exportRelationshipReportToCSV(issues);
+    } catch (error) {
+      setExportError(error.message);
+    }
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 1 }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <LinkOff sx={{ color: BRAND_COLORS.accent }} />
+          <Typography variant="subtitle1" sx={{ fontWeight: 600, color: BRAND_COLORS.text }}>
+            {title} ({issues.length})
+          </Typography>
+        </Box>
+        <Button size="small" startIcon={<FileDownload />} onClick={handleExport} sx={{ color: BRAND_COLORS.accent }}>
+          Export CSV
+        </Button>
+      </Box>
+      <Typography variant="body2" sx={{ mb: 1, color: BRAND_COLORS.text, opacity: 0.8 }}>
+        These items are still included in the WBS, but not under their parent. Fix the equipment list and re-import
+        to nest them.
+      </Typography>
+      <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', mb: 2 }}>
+        {Object.entries(countsByType).map(([type, count]) => (
+          <Chip key={type} size="small" color={ISSUE_COLORS[type] || 'default'} label={`${ISSUE_LABELS[type] || type}: ${count}`} />
+        ))}
+      </Box>
+
+      {exportError && (
+        <Alert severity="error" onClose={() => setExportError(null)} sx={{ mb: 2 }}>
+          {exportError}
+        </Alert>
+      )}
+
+      <TableContainer sx={{ maxHeight: 400 }}>
+        <Table size="small" stickyHeader>
+          <TableHead>
+            <TableRow>
+              <TableCell>Issue</TableCell>
+              <TableCell>Equipment</TableCell>
+              <TableCell>Subsystem</TableCell>
+              <TableCell>Parent</TableCell>
+              <TableCell>Problem / Action</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {issues.map((issue, index) => (
+              <TableRow key={`${issue.equipment_number}-${index}`}>
+                <TableCell>
+                  <Chip
+                    size="small"
+                    variant="outlined"
+                    color={ISSUE_COLORS[issue.type] || 'default'}
+                    label={ISSUE_LABELS[issue.type] || issue.type}
+                  />
+                </TableCell>
+                <TableCell sx={{ fontFamily: 'monospace', fontWeight: 600 }}>
+                  {issue.equipment_number}
+                  {issue.source_row !== null && issue.source_row !== undefined && (
+                    <Typography variant="caption" component="div" sx={{ fontFamily: 'inherit', fontWeight: 400, opacity: 0.7 }}>
+                      row {issue.source_row}
+                    </Typography>
+                  )}
+                </TableCell>
+                <TableCell>{issue.subsystem}</TableCell>
+                <TableCell sx={{ fontFamily: 'monospace' }}>{issue.parent_equipment_number || '-'}</TableCell>
+                <TableCell>
+                  <Typography variant="body2">{issue.message}</Typography>
+                  <Typography variant="caption" sx={{ color: BRAND_COLORS.text, opacity: 0.7 }}>
+                    {issue.action}
+                  </Typography>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    </Box>
+  );
+};
+
+export default RelationshipIssuesReport;
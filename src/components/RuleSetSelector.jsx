@@ -0,0 +1,76 @@
+import React from 'react';
+import {
+  Box,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Chip,
+  Button,
+  Tooltip
+} from '@mui/material';
+import { Rule, Edit } from '@mui/icons-material';
+import { useNavigate } from 'react-router-dom';
+import useProjectStore from '../store/projectStore';
+import { validateRuleSet } from '../lib/ruleSets';
+import { BRAND_COLORS } from '../constants';
+
+// Pick the classification rule set used when categorising this project's equipment
+const RuleSetSelector = ({ disabled = false, showManageButton = true }) => {
+  const navigate = useNavigate();
+
+  const {
+    project,
+    getRuleSets,
+    selectRuleSet
+  } = useProjectStore();
+
+  const availableRuleSets = getRuleSets();
+  const selectedRuleSet = availableRuleSets.find(ruleSet => ruleSet.id === project.rule_set_id) || availableRuleSets[0];
+  const validation = validateRuleSet(selectedRuleSet);
+
+  return (
+    <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, flexWrap: 'wrap', mb: 3 }}>
+      <FormControl size="small" sx={{ minWidth: 280 }} disabled={disabled}>
+        <InputLabel id="rule-set-select-label">Classification Rule Set</InputLabel>
+        <Select
+          labelId="rule-set-select-label"
+          label="Classification Rule Set"
+          value={selectedRuleSet.id}
+          onChange={(e) => selectRuleSet(e.target.value)}
+          startAdornment={<Rule sx={{ mr: 1, color: BRAND_COLORS.accent }} fontSize="small" />}
+        >
+          {availableRuleSets.map(ruleSet => (
+            <MenuItem key={ruleSet.id} value={ruleSet.id}>
+              {ruleSet.name} ({ruleSet.rules.length} rules)
+            </MenuItem>
+          ))}
+        </Select>
+      </FormControl>
+
+      {validation.errors.length > 0 && (
+        <Tooltip title={validation.errors.slice(0, 5).join('\n')}>
+          <Chip label={`${validation.errors.length} rule errors`} color="error" size="small" />
+        </Tooltip>
+      )}
+      {validation.errors.length === 0 && validation.warnings.length > 0 && (
+        <Tooltip title={validation.warnings.slice(0, 5).join('\n')}>
+          <Chip label={`${validation.warnings.length} rule warnings`} color="warning" size="small" />
+        </Tooltip>
+      )}
+
+      {showManageButton && (
+        <Button
+          size="small"
+          startIcon={<Edit />}
+          onClick={() => navigate('/rule-sets')}
+          sx={{ color: BRAND_COLORS.accent }}
+        >
+          Manage Rule Sets
+        </Button>
+      )}
+    </Box>
+  );
+};
+
+export default RuleSetSelector;
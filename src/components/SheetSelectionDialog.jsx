@@ -0,0 +1,140 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  FormControlLabel,
+  Checkbox,
+  Typography,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  Chip,
+  Box
+} from '@mui/material';
+import { BRAND_COLORS } from '../constants';
+
+// Sheets with a recognisable equipment number column, else the first sheet
+const getDefaultSheets = (sheets) => {
+  const equipmentSheets = sheets.filter(sheet => sheet.hasEquipmentColumn && sheet.rowCount > 0);
+  return equipmentSheets.length > 0
+    ? equipmentSheets.map(sheet => sheet.name)
+    : sheets.slice(0, 1).map(sheet => sheet.name);
+};
+
+// Pick which sheets of an Excel workbook make up the equipment list
+const SheetSelectionDialog = ({ open, sheets = [], fileName = '', selection = null, onCancel, onConfirm }) => {
+  const [selectedSheets, setSelectedSheets] = useState([]);
+  const [headerRow, setHeaderRow] = useState('');
+  const [sheetAsSubsystem, setSheetAsSubsystem] = useState(false);
+
+  useEffect(() => {
+    if (open) {
+      setSelectedSheets(selection?.sheets?.length ? selection.sheets : getDefaultSheets(sheets));
+      setHeaderRow(selection?.headerRow ? String(selection.headerRow) : '');
+      setSheetAsSubsystem(!!selection?.sheetAsSubsystem);
+    }
+  }, [open, sheets, selection]);
+
+  const toggleSheet = (name) => {
+    setSelectedSheets(prev => prev.includes(name)
+      ? prev.filter(sheet => sheet !== name)
+      : [...prev, name]);
+  };
+
+  const headerRowNumber = parseInt(headerRow, 10);
+  const isHeaderRowValid = headerRow === '' || (Number.isInteger(headerRowNumber) && headerRowNumber >= 1);
+  const selectedRowCount = sheets
+    .filter(sheet => selectedSheets.includes(sheet.name))
+    .reduce((total, sheet) => total + sheet.rowCount, 0);
+
+  const handleConfirm = () => {
+    onConfirm({
+      // Keep workbook order so merged rows follow the sheet tabs
+      sheets: sheets.map(sheet => sheet.name).filter(name => selectedSheets.includes(name)),
+      headerRow: headerRow === '' ? null : headerRowNumber,
+      sheetAsSubsystem
+    });
+  };
+
+  return (
+    <Dialog open={open} onClose={onCancel} maxWidth="sm" fullWidth>
+      <DialogTitle sx={{ color: BRAND_COLORS.text, fontWeight: 600 }}>
+        Select Sheets{fileName ? ` - ${fileName}` : ''}
+      </DialogTitle>
+      <DialogContent>
+        <Typography variant="body2" sx={{ mb: 2, color: BRAND_COLORS.text, opacity: 0.8 }}>
+          Selected sheets are merged into one equipment list. Each item keeps its sheet name as its source.
+        </Typography>
+
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell padding="checkbox" />
+              <TableCell>Sheet</TableCell>
+              <TableCell align="right">Rows</TableCell>
+              <TableCell align="right">Header Row</TableCell>
+              <TableCell />
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {sheets.map(sheet => (
+              <TableRow key={sheet.name} hover onClick={() => toggleSheet(sheet.name)} sx={{ cursor: 'pointer' }}>
+                <TableCell padding="checkbox">
+                  <Checkbox size="small" checked={selectedSheets.includes(sheet.name)} />
+                </TableCell>
+                <TableCell sx={{ fontWeight: 600 }}>{sheet.name}</TableCell>
+                <TableCell align="right">{sheet.rowCount}</TableCell>
+                <TableCell align="right">{sheet.headerRow || '-'}</TableCell>
+                <TableCell>
+                  {sheet.hasEquipmentColumn
+                    ? <Chip size="small" color="success" label="Equipment columns" />
+                    : <Chip size="small" label="No equipment column" />}
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mt: 2, flexWrap: 'wrap' }}>
+          <TextField
+            label="Header row"
+            size="small"
+            value={headerRow}
+            placeholder="Detect"
+            InputLabelProps={{ shrink: true }}
+            error={!isHeaderRowValid}
+            helperText={isHeaderRowValid ? 'Leave empty to detect per sheet' : 'Enter a row number from 1'}
+            onChange={(e) => setHeaderRow(e.target.value.trim())}
+            sx={{ width: 200 }}
+          />
+          <FormControlLabel
+            control={<Checkbox checked={sheetAsSubsystem} onChange={(e) => setSheetAsSubsystem(e.target.checked)} />}
+            label="Use sheet name as subsystem when blank"
+          />
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Typography variant="caption" sx={{ mr: 'auto', ml: 2, color: BRAND_COLORS.text, opacity: 0.7 }}>
+          {selectedSheets.length} sheet{selectedSheets.length === 1 ? '' : 's'} • {selectedRowCount} rows
+        </Typography>
+        <Button onClick={onCancel}>Cancel</Button>
+        <Button
+          variant="contained"
+          disabled={selectedSheets.length === 0 || !isHeaderRowValid}
+          onClick={handleConfirm}
+          sx={{ backgroundColor: BRAND_COLORS.accent, '&:hover': { backgroundColor: BRAND_COLORS.level5 } }}
+        >
+          Use Sheets
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default SheetSelectionDialog;
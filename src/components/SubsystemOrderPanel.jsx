@@ -0,0 +1,137 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Typography,
+  List,
+  ListItem,
+  ListItemIcon,
+  ListItemText,
+  Chip,
+  Button,
+  FormControlLabel,
+  Switch,
+  Tooltip
+} from '@mui/material';
+import { DragIndicator, Lock, RestartAlt } from '@mui/icons-material';
+import useProjectStore from '../store/projectStore';
+import { BRAND_COLORS } from '../constants';
+
+// Subsystem S-numbering: drag subsystems into order, or lock the S-numbers already issued to P6
+const SubsystemOrderPanel = ({ preview = [], onChange = null, disabled = false }) => {
+  const { getSubsystemOrdering, setSubsystemOrder, setSubsystemNumbersLocked } = useProjectStore();
+  const [draggedIdentity, setDraggedIdentity] = useState(null);
+  const [dropIdentity, setDropIdentity] = useState(null);
+
+  // One row per WBS subsystem (values merged into another by code are left out), in S-number order
+  const subsystems = (preview || [])
+    .filter(entry => entry.identity && !entry.merged_into)
+    .sort((a, b) => a.index - b.index);
+
+  if (subsystems.length === 0) return null;
+
+  const subsystemOrdering = getSubsystemOrdering();
+  const { locked } = subsystemOrdering;
+  const hasCustomOrder = subsystemOrdering.order.length > 0;
+
+  const applyChange = (change) => {
+    change();
+    if (onChange) onChange();
+  };
+
+  const handleDrop = (targetIdentity) => {
+    const identities = subsystems.map(subsystem => subsystem.identity);
+    const from = identities.indexOf(draggedIdentity);
+    const to = identities.indexOf(targetIdentity);
+    setDraggedIdentity(null);
+    setDropIdentity(null);
+    if (from === -1 || to === -1 || from === to) return;
+
+    identities.splice(to, 0, identities.splice(from, 1)[0]);
+    applyChange(() => setSubsystemOrder(identities));
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1, flexWrap: 'wrap' }}>
+        <Typography variant="subtitle1" sx={{ fontWeight: 600, color: BRAND_COLORS.text, flex: 1 }}>
+          Subsystem Order
+        </Typography>
+        <Button
+          size="small"
+          startIcon={<RestartAlt />}
+          disabled={disabled || !hasCustomOrder}
+          onClick={() => applyChange(() => setSubsystemOrder([]))}
+          sx={{ color: BRAND_COLORS.accent }}
+        >
+          Natural Order
+        </Button>
+        <FormControlLabel
+          control={
+            <Switch
+              checked={locked}
+              disabled={disabled}
+              onChange={(e) => applyChange(() => setSubsystemNumbersLocked(e.target.checked, subsystems))}
+            />
+          }
+          label="Lock issued S-numbers"
+        />
+      </Box>
+      <Typography variant="body2" sx={{ mb: 1, color: BRAND_COLORS.text, opacity: 0.8 }}>
+        {locked
+          ? 'S-numbers already issued to P6 never change. New subsystems are numbered after the highest one and can be dragged into order.'
+          : 'Drag subsystems to set their S-number. Subsystems not arranged here follow the code order (+Z2 before +Z10).'}
+      </Typography>
+
+      <List dense disablePadding sx={{ maxHeight: 300, overflow: 'auto' }}>
+        {subsystems.map(subsystem => {
+          const draggable = !disabled && !subsystem.is_locked;
+          return (
+            <ListItem
+              key={subsystem.identity}
+              draggable={draggable}
+              onDragStart={() => setDraggedIdentity(subsystem.identity)}
+              onDragOver={(e) => {
+                if (!draggedIdentity || subsystem.is_locked) return;
+                e.preventDefault();
+                setDropIdentity(subsystem.identity);
+              }}
+              onDragLeave={() => setDropIdentity(null)}
+              onDrop={() => handleDrop(subsystem.identity)}
+              onDragEnd={() => {
+                setDraggedIdentity(null);
+                setDropIdentity(null);
+              }}
+              sx={{
+                cursor: draggable ? 'grab' : 'default',
+                opacity: draggedIdentity === subsystem.identity ? 0.5 : 1,
+                borderTop: dropIdentity === subsystem.identity ? `2px solid ${BRAND_COLORS.accent}` : '2px solid transparent'
+              }}
+            >
+              <ListItemIcon sx={{ minWidth: 32 }}>
+                {subsystem.is_locked ? (
+                  <Tooltip title="Issued - S-number locked">
+                    <Lock fontSize="small" color="action" />
+                  </Tooltip>
+                ) : (
+                  <DragIndicator fontSize="small" color={draggable ? 'action' : 'disabled'} />
+                )}
+              </ListItemIcon>
+              <Chip
+                size="small"
+                label={`S${subsystem.index}`}
+                color={subsystem.is_locked ? 'default' : 'primary'}
+                sx={{ mr: 1, minWidth: 44 }}
+              />
+              <ListItemText
+                primary={[subsystem.code, subsystem.name].filter(Boolean).join(' | ')}
+                secondary={`${subsystem.count} rows`}
+              />
+            </ListItem>
+          );
+        })}
+      </List>
+    </Box>
+  );
+};
+
+export default SubsystemOrderPanel;
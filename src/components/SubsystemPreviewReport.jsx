@@ -0,0 +1,162 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Typography,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableContainer,
+  Chip,
+  Button,
+  TextField,
+  Tooltip
+} from '@mui/material';
+import { AccountTree, Add } from '@mui/icons-material';
+import useProjectStore from '../store/projectStore';
+import {
+  SUBSYSTEM_FORMATS,
+  getSubsystemFormatLabel,
+  validateSubsystemFormatPattern
+} from '../lib/subsystemParser';
+import { BRAND_COLORS } from '../constants';
+
+// How each distinct subsystem value was read, with the formats the parser tries
+const SubsystemPreviewReport = ({ preview = [], onFormatsChange = null, disabled = false }) => {
+  const {
+    subsystemFormats,
+    getSubsystemFormats,
+    setSubsystemFormatEnabled,
+    addCustomSubsystemFormat,
+    removeCustomSubsystemFormat
+  } = useProjectStore();
+  const [customPattern, setCustomPattern] = useState('');
+
+  if (!preview || preview.length === 0) return null;
+
+  const formats = getSubsystemFormats();
+  const patternError = customPattern ? validateSubsystemFormatPattern(customPattern) : null;
+  const unparsedCount = preview.filter(entry => !entry.format).length;
+
+  const changeFormats = (change) => {
+    change();
+    if (onFormatsChange) onFormatsChange();
+  };
+
+  const handleAddPattern = () => {
+    changeFormats(() => addCustomSubsystemFormat(customPattern));
+    setCustomPattern('');
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+        <AccountTree sx={{ color: BRAND_COLORS.accent }} />
+        <Typography variant="subtitle1" sx={{ fontWeight: 600, color: BRAND_COLORS.text }}>
+          Subsystems ({preview.length} values)
+        </Typography>
+        {unparsedCount > 0 && (
+          <Chip size="small" color="warning" label={`${unparsedCount} without a code`} />
+        )}
+      </Box>
+      <Typography variant="body2" sx={{ mb: 1, color: BRAND_COLORS.text, opacity: 0.8 }}>
+        How each value in the subsystem column was read. Formats are tried in order - click one to switch it off.
+      </Typography>
+
+      <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, mb: 2 }}>
+        {SUBSYSTEM_FORMATS.map(format => {
+          const enabled = !subsystemFormats.disabled.includes(format.id);
+          return (
+            <Tooltip key={format.id} title={format.example}>
+              <Chip
+                size="small"
+                label={format.label}
+                color={enabled ? 'primary' : 'default'}
+                variant={enabled ? 'filled' : 'outlined'}
+                disabled={disabled}
+                onClick={() => changeFormats(() => setSubsystemFormatEnabled(format.id, !enabled))}
+              />
+            </Tooltip>
+          );
+        })}
+        {subsystemFormats.custom.map(format => (
+          <Chip
+            key={format.id}
+            size="small"
+            label={format.label}
+            color="secondary"
+            disabled={disabled}
+            onDelete={() => changeFormats(() => removeCustomSubsystemFormat(format.id))}
+            sx={{ fontFamily: 'monospace' }}
+          />
+        ))}
+      </Box>
+
+      <Box sx={{ display: 'flex', alignItems: 'flex-start', gap: 1, mb: 2 }}>
+        <TextField
+          size="small"
+          label="Custom format (regex)"
+          placeholder="^(?<code>Z\d+)\s+(?<name>.+)$"
+          value={customPattern}
+          error={!!patternError}
+          helperText={patternError || 'Named groups: code, name, number (S-number)'}
+          onChange={(e) => setCustomPattern(e.target.value)}
+          disabled={disabled}
+          sx={{ flex: 1, maxWidth: 480 }}
+          InputProps={{ sx: { fontFamily: 'monospace' } }}
+        />
+        <Button
+          startIcon={<Add />}
+          disabled={disabled || !customPattern || !!patternError}
+          onClick={handleAddPattern}
+          sx={{ color: BRAND_COLORS.accent, mt: 0.5 }}
+        >
+          Add Format
+        </Button>
+      </Box>
+
+      <TableContainer sx={{ maxHeight: 300 }}>
+        <Table size="small" stickyHeader>
+          <TableHead>
+            <TableRow>
+              <TableCell>Value in File</TableCell>
+              <TableCell align="right">Rows</TableCell>
+              <TableCell>Read As</TableCell>
+              <TableCell>Code</TableCell>
+              <TableCell>Name</TableCell>
+              <TableCell>WBS Subsystem</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {preview.map(entry => (
+              <TableRow key={entry.value}>
+                <TableCell sx={{ fontFamily: 'monospace' }}>{entry.value}</TableCell>
+                <TableCell align="right">{entry.count}</TableCell>
+                <TableCell>
+                  <Chip
+                    size="small"
+                    label={getSubsystemFormatLabel(entry.format, formats)}
+                    color={entry.format ? 'success' : 'warning'}
+                  />
+                </TableCell>
+                <TableCell sx={{ fontFamily: 'monospace', fontWeight: 600 }}>{entry.code || '-'}</TableCell>
+                <TableCell>{entry.name}</TableCell>
+                <TableCell>
+                  {entry.full_name}
+                  {entry.merged_into && (
+                    <Typography variant="caption" component="div" sx={{ opacity: 0.7 }}>
+                      Same code as "{entry.merged_into}"
+                    </Typography>
+                  )}
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    </Box>
+  );
+};
+
+export default SubsystemPreviewReport;
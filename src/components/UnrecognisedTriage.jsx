@@ -0,0 +1,200 @@
+import React, { useState, useMemo } from 'react';
+import {
+  Box,
+  Typography,
+  Paper,
+  Select,
+  MenuItem,
+  FormControl,
+  FormControlLabel,
+  Checkbox,
+  Chip,
+  IconButton,
+  Collapse,
+  Table,
+  TableBody,
+  TableRow,
+  TableCell,
+  Button,
+  Alert,
+  Tooltip
+} from '@mui/material';
+import { ExpandMore, ExpandLess, Refresh, HelpOutline } from '@mui/icons-material';
+import { getEquipmentTagPrefix } from '../lib/equipmentProcessor';
+import { createPrefixRule } from '../lib/ruleSets';
+import { BRAND_COLORS, EQUIPMENT_CATEGORIES } from '../constants';
+
+// Categories the user can assign (99 is where the items already are)
+const ASSIGNABLE_CATEGORIES = Object.entries(EQUIPMENT_CATEGORIES).filter(([id]) => id !== '99');
+
+const CategorySelect = ({ value, onChange, placeholder, disabled }) => (
+  <FormControl size="small" sx={{ minWidth: 220 }} disabled={disabled}>
+    <Select
+      value={value || ''}
+      displayEmpty
+      onChange={(e) => onChange(e.target.value)}
+    >
+      <MenuItem value="">
+        <em>{placeholder}</em>
+      </MenuItem>
+      {ASSIGNABLE_CATEGORIES.map(([id, name]) => (
+        <MenuItem key={id} value={id}>{id} | {name}</MenuItem>
+      ))}
+    </Select>
+  </FormControl>
+);
+
+// Review step for category 99 items: assign categories per tag prefix or per item,
+// optionally saving prefix assignments as rules, then re-run categorisation
+const UnrecognisedTriage = ({ items = [], onApply, disabled = false }) => {
+  const [prefixCategories, setPrefixCategories] = useState({});
+  const [itemCategories, setItemCategories] = useState({});
+  const [saveAsRule, setSaveAsRule] = useState({});
+  const [expandedPrefixes, setExpandedPrefixes] = useState({});
+
+  // Group unrecognised items by tag prefix, biggest groups first
+  const groups = useMemo(() => {
+    const groupMap = new Map();
+    items.forEach(item => {
+      const prefix = getEquipmentTagPrefix(item.equipment_number);
+      if (!groupMap.has(prefix)) groupMap.set(prefix, []);
+      groupMap.get(prefix).push(item);
+    });
+    return [...groupMap.entries()]
+      .map(([prefix, groupItems]) => ({ prefix, items: groupItems }))
+      .sort((a, b) => b.items.length - a.items.length || a.prefix.localeCompare(b.prefix));
+  }, [items]);
+
+  if (items.length === 0) {
+    return (
+      <Alert severity="success">
+        No unrecognised equipment - every item was assigned a category.
+      </Alert>
+    );
+  }
+
+  const hasSelections = Object.values(prefixCategories).some(Boolean) || Object.values(itemCategories).some(Boolean);
+
+  const handleApply = () => {
+    const assignments = {};
+    const newRules = [];
+
+    groups.forEach(({ prefix, items: groupItems }) => {
+      const prefixCategory = prefixCategories[prefix];
+
+      groupItems.forEach(item => {
+        // An individual choice beats the prefix choice
+        const category = itemCategories[item.equipment_number] || prefixCategory;
+        if (category) {
+          assignments[item.equipment_number] = category;
+        }
+      });
+
+      if (prefixCategory && prefix && saveAsRule[prefix]) {
+        newRules.push(createPrefixRule(prefix, prefixCategory));
+      }
+    });
+
+    onApply(assignments, newRules);
+    setPrefixCategories({});
+    setItemCategories({});
+    setSaveAsRule({});
+  };
+
+  return (
+    <Box>
+      <Typography variant="subtitle1" sx={{ fontWeight: 600, color: BRAND_COLORS.text, mb: 1 }}>
+        Unrecognised Equipment ({items.length} items, {groups.length} prefixes)
+      </Typography>
+      <Typography variant="body2" sx={{ mb: 2, color: BRAND_COLORS.text, opacity: 0.8 }}>
+        These tags matched no classification rule and would be placed under "99 | Unrecognised Equipment".
+        Assign a category to a whole prefix or to individual items. Items left unassigned stay in 99.
+      </Typography>
+
+      {groups.map(({ prefix, items: groupItems }) => {
+        const isExpanded = !!expandedPrefixes[prefix];
+        const prefixCategory = prefixCategories[prefix] || '';
+
+        return (
+          <Paper key={prefix || '(none)'} variant="outlined" sx={{ mb: 1.5, p: 1.5 }}>
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, flexWrap: 'wrap' }}>
+              <IconButton
+                size="small"
+                onClick={() => setExpandedPrefixes(prev => ({ ...prev, [prefix]: !isExpanded }))}
+              >
+                {isExpanded ? <ExpandLess /> : <ExpandMore />}
+              </IconButton>
+
+              <Typography sx={{ fontFamily: 'monospace', fontWeight: 600, minWidth: 80 }}>
+                {prefix || '(no prefix)'}
+              </Typography>
+              <Chip size="small" label={`${groupItems.length} items`} />
+
+              <CategorySelect
+                value={prefixCategory}
+                placeholder="Assign all to..."
+                disabled={disabled}
+                onChange={(category) => setPrefixCategories(prev => ({ ...prev, [prefix]: category }))}
+              />
+
+              <FormControlLabel
+                control={
+                  <Checkbox
+                    size="small"
+                    checked={!!saveAsRule[prefix]}
+                    disabled={disabled || !prefix || !prefixCategory}
+                    onChange={(e) => setSaveAsRule(prev => ({ ...prev, [prefix]: e.target.checked }))}
+                  />
+                }
+                label={
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+                    <Typography variant="body2">Save as rule</Typography>
+                    <Tooltip title={prefix ? `Adds the pattern /^${prefix}/ to the project's rule set` : 'Tags without a prefix cannot become a rule'}>
+                      <HelpOutline fontSize="inherit" />
+                    </Tooltip>
+                  </Box>
+                }
+              />
+            </Box>
+
+            <Collapse in={isExpanded} unmountOnExit>
+              <Table size="small" sx={{ mt: 1 }}>
+                <TableBody>
+                  {groupItems.map(item => (
+                    <TableRow key={item.equipment_number}>
+                      <TableCell sx={{ fontFamily: 'monospace' }}>{item.equipment_number}</TableCell>
+                      <TableCell>{item.description}</TableCell>
+                      <TableCell>{item.subsystem}</TableCell>
+                      <TableCell align="right">
+                        <CategorySelect
+                          value={itemCategories[item.equipment_number]}
+                          placeholder={prefixCategory ? `Use prefix (${prefixCategory})` : 'Leave in 99'}
+                          disabled={disabled}
+                          onChange={(category) => setItemCategories(prev => ({ ...prev, [item.equipment_number]: category }))}
+                        />
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </Collapse>
+          </Paper>
+        );
+      })}
+
+      <Box sx={{ display: 'flex', justifyContent: 'flex-end', mt: 2 }}>
+        <Button
+          variant="outlined"
+          startIcon={<Refresh />}
+          onClick={handleApply}
+          disabled={disabled || !hasSelections}
+          sx={{ color: BRAND_COLORS.accent, borderColor: BRAND_COLORS.accent }}
+        >
+          Apply & Re-categorise
+        </Button>
+      </Box>
+    </Box>
+  );
+};
+
+export default UnrecognisedTriage;
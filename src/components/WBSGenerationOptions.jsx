@@ -0,0 +1,182 @@
+import React from 'react';
+import {
+  Box,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Chip,
+  OutlinedInput,
+  Typography,
+  Autocomplete,
+  TextField,
+  FormControlLabel,
+  Checkbox,
+  Grid
+} from '@mui/material';
+import useProjectStore from '../store/projectStore';
+import { EMPTY_CATEGORY_MODES } from '../lib/wbsTemplates';
+import { NUMBERING_SCHEMES, NUMBERING_SCHEME_LABELS } from '../lib/wbsNumbering';
+import { BRAND_COLORS, TBC_PLACEMENT_MODES } from '../constants';
+
+const EMPTY_CATEGORY_MODE_LABELS = {
+  [EMPTY_CATEGORY_MODES.TEMPLATE]: 'As defined by the WBS template',
+  [EMPTY_CATEGORY_MODES.KEEP_ALL]: 'Create every category',
+  [EMPTY_CATEGORY_MODES.OMIT]: 'Omit empty categories',
+  [EMPTY_CATEGORY_MODES.WHITELIST]: 'Omit empty categories, except...'
+};
+
+const TBC_PLACEMENT_LABELS = {
+  [TBC_PLACEMENT_MODES.SECTION]: 'TBC section (flat list)',
+  [TBC_PLACEMENT_MODES.INLINE]: 'In subsystem and category, marked [TBC]'
+};
+
+// Editable list of structural item names (free text, shown as chips)
+const StructuralItemsInput = ({ label, value, onChange, disabled }) => (
+  <Autocomplete
+    multiple
+    freeSolo
+    size="small"
+    options={[]}
+    value={value}
+    disabled={disabled}
+    onChange={(e, newValue) => onChange(newValue.map(name => name.trim()).filter(Boolean))}
+    renderTags={(tagValue, getTagProps) => tagValue.map((option, index) => (
+      <Chip {...getTagProps({ index })} key={option} label={option} size="small" />
+    ))}
+    renderInput={(params) => (
+      <TextField {...params} label={label} placeholder="Type a name and press Enter" />
+    )}
+  />
+);
+
+// Per-project options for WBS generation (empty categories, category numbering, structural items)
+const WBSGenerationOptions = ({ disabled = false }) => {
+  const { project, setWBSOptions, getActiveWBSTemplate } = useProjectStore();
+
+  const wbsOptions = project.wbs_options || {};
+  const template = getActiveWBSTemplate();
+  const emptyCategoryMode = wbsOptions.emptyCategoryMode || EMPTY_CATEGORY_MODES.TEMPLATE;
+
+  return (
+    <Box sx={{ mb: 3 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, flexWrap: 'wrap' }}>
+        <FormControl size="small" sx={{ minWidth: 280 }} disabled={disabled}>
+          <InputLabel id="numbering-scheme-label">Category Numbering</InputLabel>
+          <Select
+            labelId="numbering-scheme-label"
+            label="Category Numbering"
+            value={wbsOptions.numberingScheme || NUMBERING_SCHEMES.POSITIONAL}
+            onChange={(e) => setWBSOptions({ numberingScheme: e.target.value })}
+          >
+            {Object.entries(NUMBERING_SCHEME_LABELS).map(([scheme, label]) => (
+              <MenuItem key={scheme} value={scheme}>{label}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+
+        <FormControl size="small" sx={{ minWidth: 280 }} disabled={disabled}>
+          <InputLabel id="empty-category-mode-label">Empty Categories</InputLabel>
+          <Select
+            labelId="empty-category-mode-label"
+            label="Empty Categories"
+            value={emptyCategoryMode}
+            onChange={(e) => setWBSOptions({ emptyCategoryMode: e.target.value })}
+          >
+            {Object.entries(EMPTY_CATEGORY_MODE_LABELS).map(([mode, label]) => (
+              <MenuItem key={mode} value={mode}>{label}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+
+        <FormControl size="small" sx={{ minWidth: 280 }} disabled={disabled}>
+          <InputLabel id="tbc-placement-label">TBC Equipment</InputLabel>
+          <Select
+            labelId="tbc-placement-label"
+            label="TBC Equipment"
+            value={wbsOptions.tbcPlacement || TBC_PLACEMENT_MODES.SECTION}
+            onChange={(e) => setWBSOptions({ tbcPlacement: e.target.value })}
+          >
+            {Object.entries(TBC_PLACEMENT_LABELS).map(([mode, label]) => (
+              <MenuItem key={mode} value={mode}>{label}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+
+        {emptyCategoryMode === EMPTY_CATEGORY_MODES.WHITELIST && (
+          <FormControl size="small" sx={{ minWidth: 320 }} disabled={disabled}>
+            <InputLabel id="keep-empty-categories-label">Always Create</InputLabel>
+            <Select
+              labelId="keep-empty-categories-label"
+              multiple
+              value={wbsOptions.keepEmptyCategories || []}
+              onChange={(e) => setWBSOptions({ keepEmptyCategories: e.target.value })}
+              input={<OutlinedInput label="Always Create" />}
+              renderValue={(selected) => (
+                <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+                  {selected.map(categoryId => <Chip key={categoryId} label={categoryId} size="small" />)}
+                </Box>
+              )}
+            >
+              {template.categories.map(category => (
+                <MenuItem key={category.id} value={category.id}>
+                  {category.id} | {category.name}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        )}
+      </Box>
+
+      <Grid container spacing={2} sx={{ mt: 0.5 }}>
+        <Grid item xs={12} md={5}>
+          <StructuralItemsInput
+            label="01 | Preparation items"
+            value={wbsOptions.preparationItems || []}
+            disabled={disabled}
+            onChange={(preparationItems) => setWBSOptions({ preparationItems })}
+          />
+        </Grid>
+        <Grid item xs={12} md={4}>
+          <StructuralItemsInput
+            label="09 | Interface testing phases"
+            value={wbsOptions.interfaceTestingPhases || []}
+            disabled={disabled}
+            onChange={(interfaceTestingPhases) => setWBSOptions({ interfaceTestingPhases })}
+          />
+        </Grid>
+        <Grid item xs={12} md={3}>
+          <FormControlLabel
+            control={
+              <Checkbox
+                checked={wbsOptions.includeEnergisation !== false}
+                disabled={disabled}
+                onChange={(e) => setWBSOptions({ includeEnergisation: e.target.checked })}
+              />
+            }
+            label="Add E | Energisation"
+          />
+          <FormControlLabel
+            control={
+              <Checkbox
+                checked={wbsOptions.includeOutOfScope === true}
+                disabled={disabled}
+                onChange={(e) => setWBSOptions({ includeOutOfScope: e.target.checked })}
+              />
+            }
+            label="Add OOS | Out of Scope (N items)"
+          />
+        </Grid>
+      </Grid>
+
+      {emptyCategoryMode !== EMPTY_CATEGORY_MODES.KEEP_ALL && (
+        <Typography variant="caption" sx={{ display: 'block', mt: 1, color: BRAND_COLORS.text, opacity: 0.8 }}>
+          Categories keep their standard WBS number even when empty ones are omitted, so equipment added later
+          through Missing Equipment creates the category at the same code.
+        </Typography>
+      )}
+    </Box>
+  );
+};
+
+export default WBSGenerationOptions;
@@ -0,0 +1,139 @@
+import React, { useRef, useState } from 'react';
+import {
+  Box,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Button,
+  Typography,
+  Alert,
+  Tooltip,
+  IconButton
+} from '@mui/material';
+import { AccountTree, FileUpload as FileUploadIcon, FileDownload, Delete } from '@mui/icons-material';
+import useProjectStore from '../store/projectStore';
+import { parseWBSTemplateJSON, serializeWBSTemplate, describeWBSTemplate } from '../lib/wbsTemplates';
+import { BRAND_COLORS } from '../constants';
+
+// Pick the WBS template (skeleton layout) used when generating this project's WBS.
+// Custom templates are imported as JSON - export a built-in one to use as a starting point.
+const WBSTemplateSelector = ({ disabled = false }) => {
+  const fileInputRef = useRef(null);
+  const [message, setMessage] = useState(null);
+
+  const {
+    getWBSTemplates,
+    getActiveWBSTemplate,
+    selectWBSTemplate,
+    saveWBSTemplate,
+    deleteWBSTemplate
+  } = useProjectStore();
+
+  const availableTemplates = getWBSTemplates();
+  const selectedTemplate = getActiveWBSTemplate();
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    try {
+      const imported = parseWBSTemplateJSON(await file.text());
+      // Never overwrite an existing template silently
+      if (availableTemplates.some(template => template.id === imported.id)) {
+        imported.id = `${imported.id}-${Date.now().toString(36)}`;
+      }
+      saveWBSTemplate(imported);
+      selectWBSTemplate(imported.id);
+      setMessage({ severity: 'success', text: `Imported WBS template "${imported.name}".` });
+    } catch (error) {
+      setMessage({ severity: 'error', text: error.message });
+    } finally {
+      e.target.value = '';
+    }
+  };
+
+  const handleExport = () => {
+    const blob = new Blob([serializeWBSTemplate(selectedTemplate)], { type: 'application/json' });
+    const url = window.URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${selectedTemplate.name.replace(/[^a-z0-9]+/gi, '_')}.json`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    window.URL.revokeObjectURL(url);
+  };
+
+  const handleDelete = () => {
+    deleteWBSTemplate(selectedTemplate.id);
+    setMessage({ severity: 'info', text: `WBS template "${selectedTemplate.name}" deleted.` });
+  };
+
+  return (
+    <Box sx={{ mb: 3 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, flexWrap: 'wrap' }}>
+        <FormControl size="small" sx={{ minWidth: 280 }} disabled={disabled}>
+          <InputLabel id="wbs-template-select-label">WBS Template</InputLabel>
+          <Select
+            labelId="wbs-template-select-label"
+            label="WBS Template"
+            value={selectedTemplate.id}
+            onChange={(e) => selectWBSTemplate(e.target.value)}
+            startAdornment={<AccountTree sx={{ mr: 1, color: BRAND_COLORS.accent }} fontSize="small" />}
+          >
+            {availableTemplates.map(template => (
+              <MenuItem key={template.id} value={template.id}>
+                {template.name}{template.readOnly ? ' (built-in)' : ''}
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+
+        <Button
+          size="small"
+          startIcon={<FileUploadIcon />}
+          disabled={disabled}
+          onClick={() => fileInputRef.current?.click()}
+          sx={{ color: BRAND_COLORS.accent }}
+        >
+          Import Template
+        </Button>
+        <Button
+          size="small"
+          startIcon={<FileDownload />}
+          onClick={handleExport}
+          sx={{ color: BRAND_COLORS.accent }}
+        >
+          Export Template
+        </Button>
+        {!selectedTemplate.readOnly && (
+          <Tooltip title="Delete this template">
+            <IconButton size="small" disabled={disabled} onClick={handleDelete}>
+              <Delete fontSize="small" />
+            </IconButton>
+          </Tooltip>
+        )}
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".json,application/json"
+          onChange={handleImport}
+          style={{ display: 'none' }}
+        />
+      </Box>
+
+      <Typography variant="caption" sx={{ display: 'block', mt: 1, color: BRAND_COLORS.text, opacity: 0.8 }}>
+        {[selectedTemplate.description, describeWBSTemplate(selectedTemplate)].filter(Boolean).join(' - ')}
+      </Typography>
+
+      {message && (
+        <Alert severity={message.severity} onClose={() => setMessage(null)} sx={{ mt: 1 }}>
+          {message.text}
+        </Alert>
+      )}
+    </Box>
+  );
+};
+
+export default WBSTemplateSelector;
@@ -20,13 +20,21 @@ import {
   CheckCircle,
   Error as ErrorIcon,
   Info,
-  FiberNew
+  FiberNew,
+  Close,
+  EditNote,
+  TaskAlt,
+  EventNote
 } from '@mui/icons-material';
 import { styled } from '@mui/material/styles';
 import useProjectStore from '../store/projectStore';
 import LoadingSpinner from './LoadingSpinner';
+import ClassificationDetail from './ClassificationDetail';
+import EquipmentOverrideDialog from './EquipmentOverrideDialog';
 import { BRAND_COLORS, WBS_LEVEL_COLORS } from '../constants';
 import { wbsHelpers } from '../utils';
+import { formatSourceLocation } from '../lib/fileParser';
+import { isPromotableTBCNode } from '../lib/tbcPromotion';
 
 // Styled components
 const TreeContainer = styled(Box)(({ theme }) => ({
@@ -81,6 +89,7 @@ const WBSVisualization = ({
   expandAllByDefault = false,
   onNodeClick = null,
   onNodeSelect = null,
+  onOverridesChanged = null,   // ENHANCED: When provided, equipment nodes can be overridden
   maxHeight = '70vh'
 }) => {
   // Store hooks
@@ -88,13 +97,16 @@ const WBSVisualization = ({
     project, 
     ui, 
     toggleTreeExpansion,
-    comparison 
+    comparison,
+    promoteTBCItems,
+    setError
   } = useProjectStore();
 
   // Local state
   const [searchTerm, setSearchTerm] = useState('');
   const [selectedNodeId, setSelectedNodeId] = useState(null);
   const [expandedNodes, setExpandedNodes] = useState(new Set());
+  const [overrideDialogOpen, setOverrideDialogOpen] = useState(false);
 
   // FIXED: Use wbsData prop when provided, fall back to store data
   const wbsStructureData = wbsData || project.wbs_structure || [];
@@ -286,6 +298,33 @@ const WBSVisualization = ({
               )}
             </Box>
 
+            {/* Activities already scheduled under this node (XER imports) */}
+            {node.total_activity_count > 0 && (
+              <Tooltip title={`${node.activity_count || 0} directly under this node, ${node.total_activity_count} including sub-nodes`}>
+                <Chip
+                  icon={<EventNote />}
+                  label={`${node.total_activity_count} ${node.total_activity_count === 1 ? 'activity' : 'activities'}`}
+                  size="small"
+                  variant="outlined"
+                  sx={{ ml: 1, fontSize: '0.65rem', height: '20px', mr: node.isNew && showNewBadges && !node.is_overridden ? 7 : 0 }}
+                />
+              </Tooltip>
+            )}
+
+            {/* OVERRIDDEN badge */}
+            {node.is_overridden && (
+              <Tooltip title={`Overridden: ${(node.overridden_fields || []).join(', ')}`}>
+                <Chip
+                  icon={<EditNote />}
+                  label="OVERRIDDEN"
+                  size="small"
+                  variant="outlined"
+                  color="secondary"
+                  sx={{ ml: 1, fontSize: '0.65rem', height: '20px', mr: node.isNew && showNewBadges ? 7 : 0 }}
+                />
+              </Tooltip>
+            )}
+
             {/* NEW badge */}
             {node.isNew && showNewBadges && (
               <NewBadge
@@ -311,6 +350,98 @@ const WBSVisualization = ({
     );
   };
 
+  // ENHANCED: Confirm a TBC item as Y in place - the rest of the WBS keeps its codes
+  const handlePromoteTBC = (node) => {
+    const result = promoteTBCItems([node.equipment_number]);
+    if (result.promoted.length > 0) {
+      setSelectedNodeId(result.promoted[0].wbs_code);
+    } else if (result.unplaced.length > 0) {
+      setError(`Cannot promote ${node.equipment_number}: ${result.unplaced[0].reason}`);
+    }
+  };
+
+  // Render detail panel for the selected node - ENHANCED: shows why equipment is in its category
+  const renderNodeDetail = () => {
+    const selectedNode = wbsStructureData.find(item => item.wbs_code === selectedNodeId);
+    if (!selectedNode) return null;
+
+    return (
+      <Paper sx={{ mt: 2, p: 2, backgroundColor: BRAND_COLORS.surface, border: `1px solid ${BRAND_COLORS.level3}30` }}>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', mb: 1 }}>
+          <Box>
+            <Typography variant="subtitle1" sx={{ color: BRAND_COLORS.text, fontWeight: 600 }}>
+              {selectedNode.wbs_code} - {selectedNode.wbs_name}
+            </Typography>
+            {selectedNode.is_equipment && (
+              <Typography variant="caption" sx={{ color: BRAND_COLORS.text, opacity: 0.7 }}>
+                Category {selectedNode.category} | {selectedNode.category_name}
+                {selectedNode.subsystem ? ` - ${selectedNode.subsystem}` : ''}
+                {selectedNode.commissioning_yn ? ` - Commissioning: ${selectedNode.commissioning_yn}` : ''}
+              </Typography>
+            )}
+            {selectedNode.is_equipment && formatSourceLocation(selectedNode) && (
+              <Typography variant="caption" component="div" sx={{ color: BRAND_COLORS.text, opacity: 0.7 }}>
+                Source: {formatSourceLocation(selectedNode)}
+              </Typography>
+            )}
+          </Box>
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+            {!wbsData && onOverridesChanged && isPromotableTBCNode(selectedNode) && (
+              <Tooltip title="Confirm as Y without renumbering the WBS">
+                <Chip
+                  icon={<TaskAlt />}
+                  label="Promote to Y"
+                  size="small"
+                  color="success"
+                  onClick={() => handlePromoteTBC(selectedNode)}
+                  sx={{ cursor: 'pointer' }}
+                />
+              </Tooltip>
+            )}
+            {selectedNode.is_equipment && onOverridesChanged && (
+              <Chip
+                icon={<EditNote />}
+                label={selectedNode.is_overridden ? 'Edit Override' : 'Override'}
+                size="small"
+                onClick={() => setOverrideDialogOpen(true)}
+                sx={{ cursor: 'pointer' }}
+              />
+            )}
+            <IconButton size="small" onClick={() => setSelectedNodeId(null)}>
+              <Close fontSize="small" />
+            </IconButton>
+          </Box>
+        </Box>
+
+        {selectedNode.is_overridden && (
+          <Alert severity="info" icon={<EditNote />} sx={{ mb: 1.5 }}>
+            <Typography variant="body2" sx={{ fontWeight: 600 }}>Overridden by user</Typography>
+            {(selectedNode.overridden_fields || []).map(field => (
+              <Typography key={field} variant="body2">
+                {field}: {selectedNode.original_values?.[field] || '(empty)'} → {field === 'category' ? selectedNode.category : selectedNode[field]}
+              </Typography>
+            ))}
+          </Alert>
+        )}
+
+        {selectedNode.is_equipment ? (
+          <ClassificationDetail classification={selectedNode.classification} />
+        ) : (
+          <Typography variant="body2" sx={{ color: BRAND_COLORS.text, opacity: 0.7 }}>
+            Structural WBS element - not classified by equipment rules.
+          </Typography>
+        )}
+
+        <EquipmentOverrideDialog
+          open={overrideDialogOpen}
+          equipment={selectedNode}
+          onClose={() => setOverrideDialogOpen(false)}
+          onSaved={onOverridesChanged}
+        />
+      </Paper>
+    );
+  };
+
   // Render tree statistics
   const renderTreeStats = () => {
     if (treeStats.totalItems === 0) return null;
@@ -479,6 +610,9 @@ const WBSVisualization = ({
         ) : null}
       </TreeContainer>
 
+      {/* Selected node detail */}
+      {renderNodeDetail()}
+
       {/* Expansion controls */}
       <Box sx={{ mt: 2, display: 'flex', gap: 1, justifyContent: 'flex-end' }}>
         <Tooltip title="Expand All">
@@ -27,6 +27,7 @@ export const EQUIPMENT_CATEGORIES = {
 };
 
 // Equipment Pattern Matching (from your documentation) - UPDATED with missing patterns
+// Optional priority (default 100) decides overlaps; equal priorities fall back to pattern specificity
 export const EQUIPMENT_PATTERNS = {
   // Protection Panels (02)
   '02': [
@@ -74,7 +75,7 @@ export const EQUIPMENT_PATTERNS = {
   // Building Services (08) - UPDATED: Added security, fire, and beacon patterns
   '08': [
     { pattern: /^-?FM\d+/i, name: 'Fire Indication Panel' },
-    { pattern: /^-?A\d*/i, name: 'SDU Switchroom Security Panel' },
+    { pattern: /^-?A\d*/i, name: 'SDU Switchroom Security Panel', priority: 50 }, // Broad - only when nothing more specific matches
     { pattern: /^LT\d*/i, name: 'Lighting' },
     { pattern: /^HTP\d*/i, name: 'Heat Tracing Panel' },
     { pattern: /^DDC/i, name: 'Computer' },
@@ -90,7 +91,7 @@ export const EQUIPMENT_PATTERNS = {
   '10': [
     { pattern: /^PSU\d*/i, name: 'Power Supply Units' },
     { pattern: /^UPS\d*/i, name: 'Uninterruptible Power Supply' },
-    { pattern: /^BCR\d*/i, name: 'Battery Charger' },
+    { pattern: /^BCR\d*/i, name: 'Battery Charger', priority: 90 }, // Battery Systems (06) wins for BCR
     { pattern: /^-Y/i, name: 'Computer Network' },
     { pattern: /^KP-/i, name: 'Security Equipment' },
     { pattern: /^MPIR-/i, name: 'Security Equipment' },
@@ -117,6 +118,33 @@ export const COMMISSIONING_STATUS = {
   TBC: 'TBC'
 };
 
+// Where TBC equipment goes in the WBS (wbs_options.tbcPlacement)
+export const TBC_PLACEMENT_MODES = {
+  SECTION: 'section', // one flat "TBC - Equipment To Be Confirmed" section
+  INLINE: 'inline'    // classified like Y items, in their subsystem/category with a TBC marker
+};
+
+// How an equipment item's category was decided (item.classification.method)
+export const CLASSIFICATION_METHODS = {
+  RULE_MATCH: 'rule_match',
+  INHERITED: 'inherited',
+  ORPHANED: 'orphaned_child',
+  NO_MATCH: 'no_match',
+  TBC: 'tbc',
+  OUT_OF_SCOPE: 'out_of_scope',
+  MANUAL: 'manual',
+  OVERRIDE: 'override'
+};
+
+// Problems found in the parent/child data (processedData.relationshipIssues[].type)
+export const RELATIONSHIP_ISSUE_TYPES = {
+  ORPHANED: 'orphaned_child',
+  CROSS_SUBSYSTEM: 'cross_subsystem',
+  CROSS_CATEGORY: 'cross_category',
+  SELF_PARENT: 'self_parent',
+  CIRCULAR: 'circular_parent'
+};
+
 // WBS Level Colors (maps to your brand colors)
 export const WBS_LEVEL_COLORS = {
   1: BRAND_COLORS.level1, // Project/Milestones/Prerequisites/Subsystem
@@ -139,6 +167,13 @@ export const INTERFACE_TESTING_PHASES = [
   'Phase 2'
 ];
 
+// Structural (non-equipment) nodes the generator adds besides categories
+export const STRUCTURAL_ITEM_TYPES = {
+  PREPARATION: 'preparation',             // PREPARATION_ITEMS under 01
+  INTERFACE_TESTING: 'interface_testing', // INTERFACE_TESTING_PHASES under 09
+  ENERGISATION: 'energisation'            // E | Energisation under the project root
+};
+
 // Export format settings - CORRECTED to 3 columns only
 export const EXPORT_SETTINGS = {
   csv: {
@@ -153,6 +188,16 @@ export const EXPORT_SETTINGS = {
     prefix: 'WBS_Export_',
     dateFormat: 'YYYY-MM-DD',
     extension: '.csv'
+  },
+  // Minimal XER (ERMHDR, PROJECT, PROJWBS) - ids are placeholders, P6 assigns its own on import
+  xer: {
+    version: '19.12',
+    user: 'admin',
+    currency: 'USD',
+    projectId: '1',
+    firstWBSId: 1000,
+    statusCode: 'WS_Open',
+    extension: '.xer'
   }
 };
 
@@ -0,0 +1,203 @@
+/**
+ * Column Mapper
+ *
+ * Equipment registers rarely use our header names - "Tag No.", "Equip ID", "Parent Tag".
+ * Everything downstream of the file parser reads the canonical fields below
+ * (item.equipment_number, item.description, ...), so each file's headers are mapped
+ * onto them before processing.
+ *
+ *   proposeColumnMapping - best guess per field with a confidence score
+ *   applyColumnMapping   - copy the mapped columns onto the canonical field names
+ *
+ * A confirmed mapping is remembered per header signature (the sorted set of normalised
+ * headers), so the next file with the same layout maps itself.
+ */
+
+export const EQUIPMENT_FIELDS = [
+  {
+    key: 'equipment_number',
+    label: 'Equipment Number',
+    required: true,
+    aliases: ['equipment_no', 'equipment_code', 'equipment_id', 'equipment_tag', 'equip_id', 'equip_no', 'tag', 'tag_no', 'tag_number', 'tag_id', 'code', 'equipment', 'item_no', 'id']
+  },
+  {
+    key: 'description',
+    label: 'Description',
+    required: true,
+    aliases: ['equipment_description', 'equipment_name', 'item_description', 'desc', 'name', 'title']
+  },
+  {
+    key: 'parent_equipment_number',
+    label: 'Parent Equipment Number',
+    required: false,
+    aliases: ['parent', 'parent_equipment', 'parent_equipment_no', 'parent_equipment_code', 'parent_tag', 'parent_tag_no', 'parent_code', 'parent_id']
+  },
+  {
+    key: 'commissioning_yn',
+    label: 'Commissioning (Y/N)',
+    required: false,
+    aliases: ['commissioning', 'commissioning_status', 'commissioned', 'commission', 'comm_yn', 'to_be_commissioned']
+  },
+  {
+    key: 'subsystem',
+    label: 'Subsystem',
+    required: false,
+    aliases: ['sub_system', 'subsystem_name', 'system', 'area', 'zone']
+  },
+  {
+    key: 'plu_field',
+    label: 'PLU',
+    required: false,
+    aliases: ['plu', 'plu_code', 'plu_no']
+  }
+];
+
+// Confidence reasons shown next to each proposed mapping
+export const MAPPING_CONFIDENCE = {
+  EXACT: 'exact',     // header is the field name
+  ALIAS: 'alias',     // header is a known alternative name
+  PARTIAL: 'partial', // header contains a known name ("Equipment Tag Number")
+  SAVED: 'saved',     // remembered from an earlier file with the same headers
+  MANUAL: 'manual',   // picked by the user
+  NONE: 'none'
+};
+
+const SCORES = {
+  [MAPPING_CONFIDENCE.EXACT]: 1,
+  [MAPPING_CONFIDENCE.SAVED]: 1,
+  [MAPPING_CONFIDENCE.MANUAL]: 1,
+  [MAPPING_CONFIDENCE.ALIAS]: 0.9,
+  [MAPPING_CONFIDENCE.PARTIAL]: 0.6,
+  [MAPPING_CONFIDENCE.NONE]: 0
+};
+
+// Same normalisation for CSV and Excel headers: "Tag No." → "tag_no"
+export const normalizeHeader = (header) => String(header ?? '')
+  .trim()
+  .toLowerCase()
+  .replace(/\s+/g, '_')
+  .replace(/[^a-z0-9_]/g, '');
+
+export const getHeaderSignature = (headers = []) => [...new Set(headers.map(normalizeHeader).filter(Boolean))]
+  .sort()
+  .join('|');
+
+const getTokens = (value) => value.split('_').filter(Boolean);
+
+// How well one header matches one field
+const scoreHeader = (header, field) => {
+  if (header === field.key) return MAPPING_CONFIDENCE.EXACT;
+
+  const compactHeader = header.replace(/_/g, '');
+  const names = [field.key, ...field.aliases];
+  if (field.aliases.includes(header) || names.some(name => name.replace(/_/g, '') === compactHeader)) {
+    return MAPPING_CONFIDENCE.ALIAS;
+  }
+
+  // Every token of a known name appears in the header, e.g. "main_equipment_tag" ⊇ "equipment_tag"
+  const headerTokens = new Set(getTokens(header));
+  const containsName = names.some(name => {
+    const nameTokens = getTokens(name);
+    return nameTokens.join('').length >= 3 && nameTokens.every(token => headerTokens.has(token));
+  });
+  return containsName ? MAPPING_CONFIDENCE.PARTIAL : MAPPING_CONFIDENCE.NONE;
+};
+
+const emptyMapping = () => Object.fromEntries(EQUIPMENT_FIELDS.map(field => [field.key, null]));
+
+// Best guess per field. Highest-scoring pairs are taken first and each header is used once,
+// so "parent_equipment_number" goes to the parent field even though it contains "equipment_number".
+export const proposeColumnMapping = (headers = [], savedMappings = {}) => {
+  const normalizedHeaders = [...new Set(headers.map(normalizeHeader).filter(Boolean))];
+  const signature = getHeaderSignature(normalizedHeaders);
+
+  const saved = savedMappings[signature];
+  const savedIsUsable = saved?.mapping && Object.values(saved.mapping)
+    .every(header => !header || normalizedHeaders.includes(header));
+
+  if (savedIsUsable) {
+    const mapping = { ...emptyMapping(), ...saved.mapping };
+    return {
+      signature,
+      headers: normalizedHeaders,
+      mapping,
+      confidence: Object.fromEntries(EQUIPMENT_FIELDS.map(field => [
+        field.key,
+        mapping[field.key] ? MAPPING_CONFIDENCE.SAVED : MAPPING_CONFIDENCE.NONE
+      ])),
+      isSaved: true
+    };
+  }
+
+  const candidates = [];
+  EQUIPMENT_FIELDS.forEach((field, fieldIndex) => {
+    normalizedHeaders.forEach((header, headerIndex) => {
+      const reason = scoreHeader(header, field);
+      if (reason !== MAPPING_CONFIDENCE.NONE) {
+        candidates.push({ field: field.key, header, reason, score: SCORES[reason], fieldIndex, headerIndex });
+      }
+    });
+  });
+  candidates.sort((a, b) => b.score - a.score || a.fieldIndex - b.fieldIndex || a.headerIndex - b.headerIndex);
+
+  const mapping = emptyMapping();
+  const confidence = Object.fromEntries(EQUIPMENT_FIELDS.map(field => [field.key, MAPPING_CONFIDENCE.NONE]));
+  const usedHeaders = new Set();
+  candidates.forEach(candidate => {
+    if (mapping[candidate.field] || usedHeaders.has(candidate.header)) return;
+    mapping[candidate.field] = candidate.header;
+    confidence[candidate.field] = candidate.reason;
+    usedHeaders.add(candidate.header);
+  });
+
+  return { signature, headers: normalizedHeaders, mapping, confidence, isSaved: false };
+};
+
+export const getConfidenceScore = (reason) => SCORES[reason] ?? 0;
+
+// True when the mapping can be used without asking: every required field mapped and
+// nothing was guessed from a partial match
+export const isConfidentMapping = (proposal) => {
+  if (!proposal || !validateColumnMapping(proposal.mapping).isValid) return false;
+  return EQUIPMENT_FIELDS.every(field => {
+    const reason = proposal.confidence[field.key];
+    return reason === MAPPING_CONFIDENCE.NONE || getConfidenceScore(reason) >= 1;
+  });
+};
+
+export const validateColumnMapping = (mapping = {}) => {
+  const errors = [];
+
+  const missingRequired = EQUIPMENT_FIELDS.filter(field => field.required && !mapping[field.key]);
+  missingRequired.forEach(field => errors.push(`No column mapped to ${field.label}`));
+
+  const fieldsByHeader = {};
+  EQUIPMENT_FIELDS.forEach(field => {
+    const header = mapping[field.key];
+    if (!header) return;
+    fieldsByHeader[header] = [...(fieldsByHeader[header] || []), field.label];
+  });
+  const sharedHeaders = Object.entries(fieldsByHeader).filter(([, labels]) => labels.length > 1);
+  sharedHeaders.forEach(([header, labels]) => errors.push(`Column "${header}" is mapped to ${labels.join(' and ')}`));
+
+  return {
+    isValid: errors.length === 0,
+    missingRequired: missingRequired.map(field => field.key),
+    errors
+  };
+};
+
+// Copy mapped columns onto the canonical field names. Unmapped fields are removed so a
+// column the user chose to ignore is not picked up by name downstream.
+export const applyColumnMapping = (rows = [], mapping = {}) => rows.map(row => {
+  const mapped = { ...row };
+  EQUIPMENT_FIELDS.forEach(field => {
+    const header = mapping[field.key];
+    if (header) {
+      mapped[field.key] = row[header] ?? '';
+    } else {
+      delete mapped[field.key];
+    }
+  });
+  return mapped;
+});
@@ -0,0 +1,85 @@
+import {
+  MAPPING_CONFIDENCE,
+  normalizeHeader,
+  getHeaderSignature,
+  proposeColumnMapping,
+  isConfidentMapping,
+  validateColumnMapping,
+  applyColumnMapping
+} from './columnMapper';
+
+describe('proposeColumnMapping', () => {
+  test('register headers are matched by alias with their confidence', () => {
+    const proposal = proposeColumnMapping(['Tag No.', 'Equipment Description', 'Parent Tag', 'Commissioning', 'Area']);
+
+    expect(proposal.mapping).toEqual({
+      equipment_number: 'tag_no',
+      description: 'equipment_description',
+      parent_equipment_number: 'parent_tag',
+      commissioning_yn: 'commissioning',
+      subsystem: 'area',
+      plu_field: null
+    });
+    expect(proposal.confidence.equipment_number).toBe(MAPPING_CONFIDENCE.ALIAS);
+    expect(proposal.confidence.plu_field).toBe(MAPPING_CONFIDENCE.NONE);
+    expect(isConfidentMapping(proposal)).toBe(false);
+  });
+
+  test('exact names win and each header is used once', () => {
+    const proposal = proposeColumnMapping(['Equipment Number', 'Parent Equipment Number', 'Description']);
+
+    expect(proposal.mapping.equipment_number).toBe('equipment_number');
+    expect(proposal.mapping.parent_equipment_number).toBe('parent_equipment_number');
+    expect(isConfidentMapping(proposal)).toBe(true);
+  });
+
+  test('headers containing a known name are a partial match', () => {
+    const proposal = proposeColumnMapping(['Main Equipment Tag', 'Description']);
+
+    expect(proposal.mapping.equipment_number).toBe('main_equipment_tag');
+    expect(proposal.confidence.equipment_number).toBe(MAPPING_CONFIDENCE.PARTIAL);
+    expect(isConfidentMapping(proposal)).toBe(false);
+  });
+
+  test('a saved mapping is reused for the same header set in any order', () => {
+    const headers = ['Item', 'Text', 'Owner'];
+    const savedMappings = {
+      [getHeaderSignature(headers)]: { mapping: { equipment_number: 'item', description: 'text' } }
+    };
+
+    const proposal = proposeColumnMapping(['Owner', 'Text', 'Item'], savedMappings);
+
+    expect(proposal.isSaved).toBe(true);
+    expect(proposal.mapping).toMatchObject({ equipment_number: 'item', description: 'text', subsystem: null });
+    expect(proposal.confidence.equipment_number).toBe(MAPPING_CONFIDENCE.SAVED);
+  });
+});
+
+describe('validateColumnMapping', () => {
+  test('missing required fields and shared columns are errors', () => {
+    const validation = validateColumnMapping({ equipment_number: 'tag', subsystem: 'tag' });
+
+    expect(validation.isValid).toBe(false);
+    expect(validation.missingRequired).toEqual(['description']);
+    expect(validation.errors).toEqual([
+      'No column mapped to Description',
+      'Column "tag" is mapped to Equipment Number and Subsystem'
+    ]);
+  });
+});
+
+describe('applyColumnMapping', () => {
+  test('mapped columns are copied to the canonical fields and unmapped fields removed', () => {
+    const [mapped] = applyColumnMapping(
+      [{ tag_no: '+UH101', desc: 'Switchboard', subsystem: 'Ignored column' }],
+      { equipment_number: 'tag_no', description: 'desc' }
+    );
+
+    expect(mapped).toEqual({ tag_no: '+UH101', desc: 'Switchboard', equipment_number: '+UH101', description: 'Switchboard' });
+  });
+
+  test('headers are normalised the same way for CSV and Excel', () => {
+    expect(normalizeHeader('  Tag No. ')).toBe('tag_no');
+    expect(normalizeHeader('Commissioning (Y/N)')).toBe('commissioning_yn');
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Commissioning Status
+ *
+ * Registers write the commissioning column many ways - "Y", "Yes", "TRUE", "To be confirmed",
+ * "N/A". Raw values are normalised through a value map (raw value → Y / N / TBC) before the
+ * equipment processor splits the list:
+ *   Y   - placed in the WBS
+ *   TBC - placed in the TBC section
+ *   N   - excluded
+ * Values not in the map (and blank cells) are excluded as unrecognised, and every excluded
+ * row is listed with its reason rather than dropped silently.
+ *
+ * The map is the built-in DEFAULT_COMMISSIONING_VALUE_MAP plus the user's entries from the store.
+ */
+
+import { COMMISSIONING_STATUS } from '../constants';
+
+// Key used in the value map for empty cells
+export const BLANK_COMMISSIONING_VALUE = '(BLANK)';
+
+export const DEFAULT_COMMISSIONING_VALUE_MAP = {
+  'Y': COMMISSIONING_STATUS.YES,
+  'YES': COMMISSIONING_STATUS.YES,
+  'TRUE': COMMISSIONING_STATUS.YES,
+  '1': COMMISSIONING_STATUS.YES,
+  'N': COMMISSIONING_STATUS.NO,
+  'NO': COMMISSIONING_STATUS.NO,
+  'FALSE': COMMISSIONING_STATUS.NO,
+  '0': COMMISSIONING_STATUS.NO,
+  'N/A': COMMISSIONING_STATUS.NO,
+  'NA': COMMISSIONING_STATUS.NO,
+  'TBC': COMMISSIONING_STATUS.TBC,
+  'TBA': COMMISSIONING_STATUS.TBC,
+  'TBD': COMMISSIONING_STATUS.TBC,
+  'TO BE CONFIRMED': COMMISSIONING_STATUS.TBC
+};
+
+// Why a row is not in the WBS (excludedEquipment[].reason)
+export const EXCLUSION_REASONS = {
+  NOT_COMMISSIONED: 'not_commissioned',
+  UNRECOGNISED_STATUS: 'unrecognised_status',
+  BLANK_STATUS: 'blank_status',
+  INVALID_CODE: 'invalid_code'
+};
+
+export const EXCLUSION_REASON_LABELS = {
+  [EXCLUSION_REASONS.NOT_COMMISSIONED]: 'Not commissioned (N)',
+  [EXCLUSION_REASONS.UNRECOGNISED_STATUS]: 'Unrecognised status',
+  [EXCLUSION_REASONS.BLANK_STATUS]: 'Blank status',
+  [EXCLUSION_REASONS.INVALID_CODE]: 'Invalid equipment number'
+};
+
+// "  yes " → "YES", "" → "(BLANK)"
+export const normalizeCommissioningKey = (value) => {
+  const key = String(value ?? '').trim().replace(/\s+/g, ' ').toUpperCase();
+  return key === '' ? BLANK_COMMISSIONING_VALUE : key;
+};
+
+// { status: 'Y' | 'N' | 'TBC' | null, key } - null when the value is not in the map
+export const normalizeCommissioningStatus = (value, valueMap = DEFAULT_COMMISSIONING_VALUE_MAP) => {
+  const key = normalizeCommissioningKey(value);
+  const status = valueMap[key];
+  return {
+    key,
+    status: Object.values(COMMISSIONING_STATUS).includes(status) ? status : null
+  };
+};
+
+// Reason a status excludes the row, or null for Y/TBC
+export const getExclusionReason = ({ key, status }) => {
+  if (status === COMMISSIONING_STATUS.YES || status === COMMISSIONING_STATUS.TBC) return null;
+  if (status === COMMISSIONING_STATUS.NO) return EXCLUSION_REASONS.NOT_COMMISSIONED;
+  return key === BLANK_COMMISSIONING_VALUE ? EXCLUSION_REASONS.BLANK_STATUS : EXCLUSION_REASONS.UNRECOGNISED_STATUS;
+};
+
+// Count of rows per raw value, most common first: [{ key, value, count, status }]
+// `value` is the first spelling seen, for display
+export const summarizeCommissioningValues = (rows = [], getValue, valueMap = DEFAULT_COMMISSIONING_VALUE_MAP) => {
+  const summary = new Map();
+  rows.forEach(row => {
+    const rawValue = getValue(row);
+    const { key, status } = normalizeCommissioningStatus(rawValue, valueMap);
+    if (!summary.has(key)) {
+      summary.set(key, {
+        key,
+        value: key === BLANK_COMMISSIONING_VALUE ? '' : String(rawValue).trim(),
+        count: 0,
+        status
+      });
+    }
+    summary.get(key).count += 1;
+  });
+  return [...summary.values()].sort((a, b) => b.count - a.count || a.key.localeCompare(b.key));
+};
@@ -0,0 +1,51 @@
+import {
+  BLANK_COMMISSIONING_VALUE,
+  EXCLUSION_REASONS,
+  normalizeCommissioningKey,
+  normalizeCommissioningStatus,
+  getExclusionReason,
+  summarizeCommissioningValues
+} from './commissioningStatus';
+
+describe('normalizeCommissioningStatus', () => {
+  test('common spellings map to Y, N and TBC', () => {
+    expect(normalizeCommissioningStatus(' yes ').status).toBe('Y');
+    expect(normalizeCommissioningStatus(true).status).toBe('Y');
+    expect(normalizeCommissioningStatus(0).status).toBe('N');
+    expect(normalizeCommissioningStatus('n/a').status).toBe('N');
+    expect(normalizeCommissioningStatus('To  be confirmed').status).toBe('TBC');
+  });
+
+  test('blank and unknown values have no status', () => {
+    expect(normalizeCommissioningKey('   ')).toBe(BLANK_COMMISSIONING_VALUE);
+    expect(normalizeCommissioningStatus(null)).toEqual({ key: BLANK_COMMISSIONING_VALUE, status: null });
+    expect(normalizeCommissioningStatus('Maybe')).toEqual({ key: 'MAYBE', status: null });
+  });
+
+  test('a custom value map is used as given', () => {
+    expect(normalizeCommissioningStatus('Maybe', { MAYBE: 'TBC' }).status).toBe('TBC');
+    expect(normalizeCommissioningStatus('Y', { Y: 'Later' }).status).toBeNull();
+  });
+});
+
+describe('getExclusionReason', () => {
+  test('only Y and TBC are kept', () => {
+    expect(getExclusionReason({ key: 'Y', status: 'Y' })).toBeNull();
+    expect(getExclusionReason({ key: 'TBC', status: 'TBC' })).toBeNull();
+    expect(getExclusionReason({ key: 'N', status: 'N' })).toBe(EXCLUSION_REASONS.NOT_COMMISSIONED);
+    expect(getExclusionReason({ key: BLANK_COMMISSIONING_VALUE, status: null })).toBe(EXCLUSION_REASONS.BLANK_STATUS);
+    expect(getExclusionReason({ key: 'MAYBE', status: null })).toBe(EXCLUSION_REASONS.UNRECOGNISED_STATUS);
+  });
+});
+
+describe('summarizeCommissioningValues', () => {
+  test('rows are counted per normalised value, most common first', () => {
+    const rows = [{ c: 'Yes' }, { c: 'YES' }, { c: '' }, { c: 'Maybe' }, { c: 'yes' }];
+
+    expect(summarizeCommissioningValues(rows, row => row.c)).toEqual([
+      { key: 'YES', value: 'Yes', count: 3, status: 'Y' },
+      { key: BLANK_COMMISSIONING_VALUE, value: '', count: 1, status: null },
+      { key: 'MAYBE', value: 'Maybe', count: 1, status: null }
+    ]);
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * Duplicate Equipment
+ *
+ * Client registers often repeat a tag on several rows, sometimes with a different
+ * description or subsystem. Duplicates are detected when the file is parsed
+ * (findDuplicateEquipment) and resolved before categorisation using the project's policy:
+ *   keep_all   - keep every row, each getting its own WBS node as before duplicates were
+ *                detected; the rows are flagged with duplicate_source_rows (default)
+ *   keep_first - use the first row for the tag, drop the rest
+ *   keep_last  - use the last row for the tag, drop the rest
+ *   merge      - one item per tag; blank fields are filled from later rows,
+ *                conflicting values keep the first row's value
+ *   error      - stop processing and list the duplicates
+ *
+ * Rows carry `source_row` (spreadsheet row number) from the file parser so conflicts
+ * can be traced back to the register.
+ */
+
+export const DUPLICATE_POLICIES = {
+  KEEP_ALL: 'keep_all',
+  KEEP_FIRST: 'keep_first',
+  KEEP_LAST: 'keep_last',
+  MERGE: 'merge',
+  ERROR: 'error'
+};
+
+export const DEFAULT_DUPLICATE_POLICY = DUPLICATE_POLICIES.KEEP_ALL;
+
+export const DUPLICATE_POLICY_LABELS = {
+  [DUPLICATE_POLICIES.KEEP_ALL]: 'Keep all rows (flag duplicates)',
+  [DUPLICATE_POLICIES.KEEP_FIRST]: 'Keep first row',
+  [DUPLICATE_POLICIES.KEEP_LAST]: 'Keep last row',
+  [DUPLICATE_POLICIES.MERGE]: 'Merge rows (first value wins)',
+  [DUPLICATE_POLICIES.ERROR]: 'Treat as error'
+};
+
+// Fields compared between duplicate rows
+export const DUPLICATE_COMPARE_FIELDS = [
+  'description',
+  'subsystem',
+  'parent_equipment_number',
+  'commissioning_yn',
+  'plu_field'
+];
+
+// Same normalisation as the equipment processor, so "T 11" and "T  11" are one tag
+const getTag = (row) => String(row?.equipment_number ?? '').trim().replace(/\s+/g, ' ');
+const getFieldValue = (row, field) => String(row?.[field] ?? '').trim();
+
+// Spreadsheet row number for messages, falling back to the position in the list
+const getRowNumber = (row, index) => row.source_row ?? index + 1;
+
+// Group rows by tag and describe every tag that appears more than once
+export const findDuplicateEquipment = (rows = []) => {
+  const rowsByTag = new Map();
+
+  rows.forEach((row, index) => {
+    const tag = getTag(row);
+    if (!tag) return;
+    if (!rowsByTag.has(tag)) {
+      rowsByTag.set(tag, []);
+    }
+    rowsByTag.get(tag).push({ row, index });
+  });
+
+  const duplicates = [];
+  rowsByTag.forEach((entries, tag) => {
+    if (entries.length < 2) return;
+
+    const conflictingFields = DUPLICATE_COMPARE_FIELDS.filter(field => {
+      const values = new Set(entries.map(({ row }) => getFieldValue(row, field)).filter(Boolean));
+      return values.size > 1;
+    });
+
+    duplicates.push({
+      equipment_number: tag,
+      source_rows: entries.map(({ row, index }) => getRowNumber(row, index)),
+      rows: entries.map(({ row, index }) => ({
+        source_row: getRowNumber(row, index),
+        ...Object.fromEntries(DUPLICATE_COMPARE_FIELDS.map(field => [field, getFieldValue(row, field)]))
+      })),
+      conflicting_fields: conflictingFields,
+      is_identical: conflictingFields.length === 0
+    });
+  });
+
+  return duplicates;
+};
+
+// Merge duplicate rows into one: first non-blank value per field
+const mergeRows = (rows, sourceRows) => {
+  const merged = { ...rows[0] };
+  rows.slice(1).forEach(row => {
+    Object.entries(row).forEach(([field, value]) => {
+      const current = merged[field];
+      const isBlank = current === undefined || current === null || String(current).trim() === '';
+      if (isBlank && value !== undefined && value !== null && String(value).trim() !== '') {
+        merged[field] = value;
+      }
+    });
+  });
+  merged.merged_source_rows = sourceRows;
+  return merged;
+};
+
+// Resolve duplicates with the policy. Returns the de-duplicated rows (each tag stays at
+// the position of its first row) and the duplicate report with the resolution applied.
+export const applyDuplicatePolicy = (rows = [], policy = DEFAULT_DUPLICATE_POLICY) => {
+  const duplicates = findDuplicateEquipment(rows);
+
+  if (duplicates.length === 0) {
+    return { equipment: rows, duplicates: [], removedCount: 0, policy };
+  }
+
+  if (policy === DUPLICATE_POLICIES.ERROR) {
+    const summary = duplicates.slice(0, 10)
+      .map(duplicate => `${duplicate.equipment_number} (rows ${duplicate.source_rows.join(', ')})`)
+      .join('; ');
+    const more = duplicates.length > 10 ? ` and ${duplicates.length - 10} more` : '';
+    throw new Error(`${duplicates.length} duplicate equipment numbers: ${summary}${more}`);
+  }
+
+  const duplicatesByTag = new Map(duplicates.map(duplicate => [duplicate.equipment_number, duplicate]));
+  const duplicateTags = new Set(duplicatesByTag.keys());
+
+  if (policy === DUPLICATE_POLICIES.KEEP_ALL) {
+    return {
+      equipment: rows.map(row => {
+        const duplicate = duplicatesByTag.get(getTag(row));
+        return duplicate ? { ...row, duplicate_source_rows: duplicate.source_rows } : row;
+      }),
+      duplicates: duplicates.map(duplicate => ({ ...duplicate, resolution: policy, kept_row: null })),
+      removedCount: 0,
+      policy
+    };
+  }
+
+  const rowsByTag = new Map();
+  rows.forEach(row => {
+    const tag = getTag(row);
+    if (!duplicateTags.has(tag)) return;
+    if (!rowsByTag.has(tag)) rowsByTag.set(tag, []);
+    rowsByTag.get(tag).push(row);
+  });
+
+  const emitted = new Set();
+  const equipment = [];
+  rows.forEach(row => {
+    const tag = getTag(row);
+    if (!duplicateTags.has(tag)) {
+      equipment.push(row);
+      return;
+    }
+    if (emitted.has(tag)) return;
+    emitted.add(tag);
+
+    const tagRows = rowsByTag.get(tag);
+    if (policy === DUPLICATE_POLICIES.KEEP_LAST) {
+      equipment.push(tagRows[tagRows.length - 1]);
+    } else if (policy === DUPLICATE_POLICIES.MERGE) {
+      equipment.push(mergeRows(tagRows, duplicatesByTag.get(tag).source_rows));
+    } else {
+      equipment.push(tagRows[0]);
+    }
+  });
+
+  const keptRowFor = (duplicate) => {
+    if (policy === DUPLICATE_POLICIES.KEEP_LAST) return duplicate.source_rows[duplicate.source_rows.length - 1];
+    if (policy === DUPLICATE_POLICIES.MERGE) return null;
+    return duplicate.source_rows[0];
+  };
+
+  return {
+    equipment,
+    duplicates: duplicates.map(duplicate => ({
+      ...duplicate,
+      resolution: policy,
+      kept_row: keptRowFor(duplicate)
+    })),
+    removedCount: rows.length - equipment.length,
+    policy
+  };
+};
@@ -0,0 +1,69 @@
+import {
+  applyDuplicatePolicy,
+  findDuplicateEquipment,
+  DUPLICATE_POLICIES,
+  DEFAULT_DUPLICATE_POLICY
+} from './duplicateEquipment';
+import { categorizeEquipment } from './equipmentProcessor';
+
+const rows = [
+  { equipment_number: '+UH101', description: 'Protection relay', subsystem: 'Sub A - +Z01', commissioning_yn: 'Y', plu_field: '', source_row: 2 },
+  { equipment_number: '-F101', description: 'Pump', subsystem: 'Sub A - +Z01', commissioning_yn: 'Y', plu_field: '', source_row: 3 },
+  { equipment_number: '+UH101 ', description: '', subsystem: 'Sub B - +Z02', commissioning_yn: 'Y', plu_field: 'PLU1', source_row: 4 }
+];
+
+describe('findDuplicateEquipment', () => {
+  test('lists repeated tags with their source rows and conflicting fields', () => {
+    const [duplicate] = findDuplicateEquipment(rows);
+    expect(duplicate).toMatchObject({
+      equipment_number: '+UH101',
+      source_rows: [2, 4],
+      conflicting_fields: ['subsystem'],
+      is_identical: false
+    });
+  });
+});
+
+describe('applyDuplicatePolicy', () => {
+  test('keeps every row by default and flags the duplicates', () => {
+    expect(DEFAULT_DUPLICATE_POLICY).toBe(DUPLICATE_POLICIES.KEEP_ALL);
+
+    const result = applyDuplicatePolicy(rows);
+    expect(result.removedCount).toBe(0);
+    expect(result.equipment).toHaveLength(3);
+    expect(result.equipment[0].duplicate_source_rows).toEqual([2, 4]);
+    expect(result.equipment[1]).toBe(rows[1]);
+    expect(result.duplicates[0]).toMatchObject({ resolution: DUPLICATE_POLICIES.KEEP_ALL, kept_row: null });
+  });
+
+  test('keep first and keep last keep one row at the position of the first', () => {
+    const first = applyDuplicatePolicy(rows, DUPLICATE_POLICIES.KEEP_FIRST);
+    expect(first.equipment.map(row => row.source_row)).toEqual([2, 3]);
+    expect(first.duplicates[0].kept_row).toBe(2);
+
+    const last = applyDuplicatePolicy(rows, DUPLICATE_POLICIES.KEEP_LAST);
+    expect(last.equipment.map(row => row.source_row)).toEqual([4, 3]);
+    expect(last.duplicates[0].kept_row).toBe(4);
+  });
+
+  test('merge fills blank fields from later rows and keeps the first conflicting value', () => {
+    const { equipment, removedCount } = applyDuplicatePolicy(rows, DUPLICATE_POLICIES.MERGE);
+    expect(removedCount).toBe(1);
+    expect(equipment[0]).toMatchObject({
+      description: 'Protection relay',
+      subsystem: 'Sub A - +Z01',
+      plu_field: 'PLU1',
+      merged_source_rows: [2, 4]
+    });
+  });
+
+  test('error lists the duplicates', () => {
+    expect(() => applyDuplicatePolicy(rows, DUPLICATE_POLICIES.ERROR)).toThrow('+UH101 (rows 2, 4)');
+  });
+
+  test('the default keeps one WBS item per row, as without duplicate handling', async () => {
+    const result = await categorizeEquipment(rows, {});
+    expect(result.equipment.filter(item => item.equipment_number === '+UH101')).toHaveLength(2);
+    expect(result.duplicateEquipment).toHaveLength(1);
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Equipment Overrides
+ *
+ * User corrections keyed by equipment number that are applied to every import of
+ * the equipment list, so a wrong parent, subsystem or category in the client's
+ * spreadsheet doesn't have to be fixed at source:
+ *   { '+UH101': { category: '02', subsystem: '33kV Switchroom 1 - +Z01', updated_at } }
+ *
+ * Field overrides are applied to the raw rows before categorisation; category
+ * overrides are handed to the processor, which records them in item.classification.
+ */
+
+export const OVERRIDABLE_FIELDS = [
+  'category',
+  'parent_equipment_number',
+  'subsystem',
+  'commissioning_yn',
+  'description'
+];
+
+// Normalise an equipment number the same way the processor does
+export const normalizeOverrideKey = (equipmentNumber) => {
+  if (equipmentNumber === null || equipmentNumber === undefined) return '';
+  return String(equipmentNumber).trim().replace(/\s+/g, ' ');
+};
+
+// Keep only overridable, non-empty fields
+export const sanitizeOverride = (override = {}) => {
+  const sanitized = {};
+
+  OVERRIDABLE_FIELDS.forEach(field => {
+    const value = override[field];
+    if (value !== undefined && value !== null && String(value).trim() !== '') {
+      sanitized[field] = String(value).trim();
+    }
+  });
+
+  if (sanitized.commissioning_yn) {
+    sanitized.commissioning_yn = sanitized.commissioning_yn.toUpperCase();
+  }
+
+  return sanitized;
+};
+
+// Apply overrides to raw (parsed) equipment rows
+export const applyEquipmentOverrides = (rawEquipmentList, overrides = {}) => {
+  const overrideKeys = Object.keys(overrides || {});
+
+  if (overrideKeys.length === 0) {
+    return { equipment: rawEquipmentList, categoryOverrides: {}, appliedCount: 0, unmatchedOverrides: [] };
+  }
+
+  console.log(`APPLYING ${overrideKeys.length} EQUIPMENT OVERRIDES`);
+
+  const categoryOverrides = {};
+  const matchedKeys = new Set();
+
+  const equipment = rawEquipmentList.map(item => {
+    const key = normalizeOverrideKey(item.equipment_number);
+    const override = overrides[key];
+    if (!override) return item;
+
+    matchedKeys.add(key);
+    const overriddenItem = { ...item };
+    const originalValues = {};
+    const overriddenFields = [];
+
+    OVERRIDABLE_FIELDS.forEach(field => {
+      if (override[field] === undefined) return;
+
+      if (field === 'category') {
+        categoryOverrides[key] = override.category;
+      } else {
+        originalValues[field] = item[field] ?? '';
+        overriddenItem[field] = override[field];
+      }
+      overriddenFields.push(field);
+    });
+
+    console.log(`   ✏️ OVERRIDE: "${key}" → ${overriddenFields.join(', ')}`);
+
+    return {
+      ...overriddenItem,
+      overridden_fields: overriddenFields,
+      original_values: originalValues
+    };
+  });
+
+  const unmatchedOverrides = overrideKeys.filter(key => !matchedKeys.has(key));
+  if (unmatchedOverrides.length > 0) {
+    console.log(`   ${unmatchedOverrides.length} overrides did not match any equipment in this list`);
+  }
+
+  return {
+    equipment,
+    categoryOverrides,
+    appliedCount: matchedKeys.size,
+    unmatchedOverrides
+  };
+};
@@ -0,0 +1,38 @@
+import { normalizeOverrideKey, sanitizeOverride, applyEquipmentOverrides } from './equipmentOverrides';
+
+describe('sanitizeOverride', () => {
+  test('keeps only overridable, non-empty fields and upper-cases the commissioning status', () => {
+    expect(sanitizeOverride({ category: ' 02 ', subsystem: '', commissioning_yn: 'y', wbs_code: '1.2' }))
+      .toEqual({ category: '02', commissioning_yn: 'Y' });
+  });
+});
+
+describe('applyEquipmentOverrides', () => {
+  const rows = [
+    { equipment_number: '+UH101', subsystem: 'Sub A - +Z01', parent_equipment_number: '' },
+    { equipment_number: ' -F101 ', subsystem: 'Sub A - +Z01', parent_equipment_number: '+UH101' }
+  ];
+
+  test('overrides fields by normalised equipment number and records the originals', () => {
+    const overrides = {
+      [normalizeOverrideKey('-F101')]: { subsystem: 'Sub B - +Z02', category: '05' },
+      '+UH999': { category: '02' }
+    };
+
+    const result = applyEquipmentOverrides(rows, overrides);
+
+    expect(result.appliedCount).toBe(1);
+    expect(result.unmatchedOverrides).toEqual(['+UH999']);
+    expect(result.categoryOverrides).toEqual({ '-F101': '05' });
+    expect(result.equipment[0]).toBe(rows[0]);
+    expect(result.equipment[1]).toMatchObject({
+      subsystem: 'Sub B - +Z02',
+      overridden_fields: ['category', 'subsystem'],
+      original_values: { subsystem: 'Sub A - +Z01' }
+    });
+  });
+
+  test('returns the rows untouched without overrides', () => {
+    expect(applyEquipmentOverrides(rows, {}).equipment).toBe(rows);
+  });
+});
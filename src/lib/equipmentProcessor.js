@@ -1,5 +1,22 @@
-import { EQUIPMENT_PATTERNS, SUB_EQUIPMENT_PATTERNS, EQUIPMENT_CATEGORIES, COMMISSIONING_STATUS } from '../constants';
+import { SUB_EQUIPMENT_PATTERNS, EQUIPMENT_CATEGORIES, COMMISSIONING_STATUS, CLASSIFICATION_METHODS, RELATIONSHIP_ISSUE_TYPES, TBC_PLACEMENT_MODES } from '../constants';
 import { stringHelpers, patternHelpers, arrayHelpers } from '../utils';
+import { buildDefaultRuleSet, compileRuleSet } from './ruleSets';
+import { applyEquipmentOverrides } from './equipmentOverrides';
+import { applyDuplicatePolicy, DEFAULT_DUPLICATE_POLICY } from './duplicateEquipment';
+import {
+  DEFAULT_SUBSYSTEM_FORMATS,
+  parseSubsystemValue,
+  compareSubsystemCodes,
+  formatSubsystemFullName,
+  getSubsystemIdentity
+} from './subsystemParser';
+import {
+  DEFAULT_COMMISSIONING_VALUE_MAP,
+  EXCLUSION_REASONS,
+  normalizeCommissioningStatus,
+  getExclusionReason,
+  summarizeCommissioningValues
+} from './commissioningStatus';
 
 /**
  * Enhanced Equipment Processor - WITH DEBUG CODE ADDED
@@ -9,8 +26,27 @@ import { stringHelpers, patternHelpers, arrayHelpers } from '../utils';
  * FIXED: Proper handling of '-' symbol in parent_equipment_number
  * FIXED: Build errors and runtime errors
  * FIXED: Child equipment inherits parent's category instead of pattern matching
+ * ENHANCED: Categories come from the selected classification rule set (lib/ruleSets.js)
+ * ENHANCED: All rules are evaluated; overlaps are resolved by priority/specificity and reported
+ * ENHANCED: Every item carries a structured `classification` explaining its category
+ * ENHANCED: options.categoryAssignments applies manual (triage) categories before the rules
+ * ENHANCED: options.overrides (lib/equipmentOverrides.js) corrects rows before processing
+ * ENHANCED: Parent/child chains of any depth; orphans, cross-subsystem children, self-parenting
+ *           and circular parents are kept in the output and listed in `relationshipIssues`
+ * ENHANCED: options.duplicatePolicy (lib/duplicateEquipment.js) resolves repeated tags first
+ * ENHANCED: Items keep source_file / source_sheet / source_row from the file parser
+ * ENHANCED: options.commissioningValueMap (lib/commissioningStatus.js) normalises "Yes", "TRUE",
+ *           "To be confirmed"... - rows that end up out of the WBS are listed in `excludedEquipment`
+ * ENHANCED: N items are kept in `outOfScopeEquipment` for the optional Out of Scope WBS section
+ * ENHANCED: With options.tbcPlacement 'inline' TBC items are classified with the Y items (in list
+ *           order) and returned in `equipment` with commissioning_yn 'TBC' instead of `tbcEquipment`
+ * ENHANCED: Subsystem values are read by lib/subsystemParser.js (options.subsystemFormats) and
+ *           `subsystemPreview` shows how each distinct value was interpreted
  */
 
+// Built-in rules compiled once - used when no rule set is selected
+const DEFAULT_COMPILED_RULES = compileRuleSet(buildDefaultRuleSet());
+
 // Helper function for safe string conversion
 const safeToString = (value) => {
   if (value === null || value === undefined) return '';
@@ -93,35 +129,97 @@ const testPatternMatch = (equipmentNumber, pattern) => {
   return false;
 };
 
-// Determine equipment category for electrical equipment - WITH DEBUG CODE
-const determineEquipmentCategory = (equipmentNumber) => {
+// Classify an equipment number against ALL rules - ENHANCED: deterministic precedence
+// Rules are pre-sorted by priority -> specificity -> rule order (see compareRulePrecedence),
+// so the first matching rule wins. A tag is ambiguous when its matches span several categories.
+const classifyEquipmentNumber = (equipmentNumber, compiledRules = DEFAULT_COMPILED_RULES) => {
   const safeEquipmentNumber = safeToString(equipmentNumber);
   
   if (!safeEquipmentNumber || safeEquipmentNumber.trim() === '') {
-    return '99';
+    return { category: '99', rule: null, matchedText: '', candidates: [], isAmbiguous: false, resolvedBy: null };
   }
 
   const cleanedNumber = safeEquipmentNumber.toUpperCase().trim();
   
   // DEBUG CODE ADDED:
-  console.log(`📋 CATEGORIZING: "${cleanedNumber}"`);
+  console.log(`📋 CATEGORIZING: "${cleanedNumber}" against ${compiledRules.length} rules`);
   
-  // Test against electrical equipment patterns
-  for (const [categoryId, patterns] of Object.entries(EQUIPMENT_PATTERNS)) {
-    console.log(`  Testing category ${categoryId}:`, patterns.length, 'patterns');
-    for (const pattern of patterns) {
-      const patternString = pattern.pattern || pattern;
-      console.log(`    Pattern:`, patternString);
-      
-      if (testPatternMatch(cleanedNumber, patternString)) {
-        console.log(`✅ MATCH FOUND: "${cleanedNumber}" → Category ${categoryId}`);
-        return categoryId;
-      }
-    }
+  const matchingRules = compiledRules.filter(rule => testPatternMatch(cleanedNumber, rule.regex));
+
+  if (matchingRules.length === 0) {
+    console.log(`❌ NO MATCH: "${cleanedNumber}" → Category 99`);
+    return { category: '99', rule: null, matchedText: '', candidates: [], isAmbiguous: false, resolvedBy: null }; // Unrecognized electrical equipment
+  }
+
+  const winningRule = matchingRules[0];
+  const matchedText = cleanedNumber.match(winningRule.regex)?.[0] || '';
+  const runnerUp = matchingRules.find(rule => rule.category !== winningRule.category);
+  const isAmbiguous = !!runnerUp;
+
+  // Record what decided the outcome so ambiguous tags can be reviewed
+  let resolvedBy = null;
+  if (runnerUp) {
+    if (winningRule.priority !== runnerUp.priority) resolvedBy = 'priority';
+    else if (winningRule.specificity !== runnerUp.specificity) resolvedBy = 'specificity';
+    else resolvedBy = 'rule order';
   }
 
-  console.log(`❌ NO MATCH: "${cleanedNumber}" → Category 99`);
-  return '99'; // Unrecognized electrical equipment
+  console.log(`✅ MATCH FOUND: "${cleanedNumber}" → Category ${winningRule.category} (${winningRule.name})` +
+    (isAmbiguous ? ` - AMBIGUOUS, also matches category ${runnerUp.category}, resolved by ${resolvedBy}` : ''));
+
+  return {
+    category: winningRule.category,
+    rule: winningRule,
+    matchedText,
+    candidates: matchingRules.map(rule => ({
+      category: rule.category,
+      category_name: EQUIPMENT_CATEGORIES[rule.category] || 'Unrecognised Equipment',
+      rule_id: rule.id,
+      rule_name: rule.name,
+      pattern: rule.pattern,
+      priority: rule.priority,
+      specificity: rule.specificity
+    })),
+    isAmbiguous,
+    resolvedBy
+  };
+};
+
+// Where a row came from in the uploaded file (set by lib/fileParser.js)
+const getSourceFields = (item) => ({
+  source_file: item.source_file || null,
+  source_sheet: item.source_sheet || null,
+  source_row: item.source_row ?? null
+});
+
+// Tag prefix used to group similar equipment, e.g. "+ZX101" -> "+ZX", "ESS-04" -> "ESS-", "1234" -> ""
+export const getEquipmentTagPrefix = (equipmentNumber) => {
+  const cleaned = safeToString(equipmentNumber).toUpperCase().trim();
+  return cleaned.match(/^[^0-9]*/)[0];
+};
+
+// Build the structured "why is this tag in category X" explanation stored on each item
+const buildClassificationExplanation = (method, details = {}) => {
+  const { ruleSetName = null, classification = null, inheritedFrom = null, inheritanceChain = [], reason = '' } = details;
+  const rule = classification?.rule || null;
+
+  return {
+    method,
+    reason,
+    rule_set: ruleSetName,
+    rule_id: rule?.id || null,
+    rule_name: rule?.name || null,
+    pattern: rule ? `/${rule.pattern}/${rule.flags || ''}` : null,
+    matched_text: classification?.matchedText || null,
+    priority: rule?.priority ?? null,
+    specificity: rule?.specificity ?? null,
+    inherited_from: inheritedFrom,
+    inheritance_chain: inheritanceChain,
+    ambiguous: !!classification?.isAmbiguous,
+    other_categories: classification
+      ? [...new Set(classification.candidates.map(candidate => candidate.category))].filter(id => id !== classification.category)
+      : []
+  };
 };
 
 // FIXED: Enhanced parent-child relationship analysis for electrical equipment
@@ -131,6 +229,7 @@ const analyzeParentChildRelationships = (equipmentList) => {
   const relationships = [];
   const parentEquipment = new Set();
   const childEquipment = new Set();
+  const selfParents = new Set();
   
   // Create equipment lookup map
   const equipmentMap = new Map();
@@ -176,12 +275,47 @@ const analyzeParentChildRelationships = (equipmentList) => {
         const status = parentExists ? 'FOUND' : 'MISSING';
         console.log(`     [MATCH] Parent "${parentCode}" ${status} for child "${equipmentCode}"`);
       }
+    } else if (parentCode === equipmentCode) {
+      selfParents.add(equipmentCode);
+      console.log(`   [SELF-PARENT] "${equipmentCode}" lists itself as its parent - treated as top-level`);
     } else if (shouldLog) {
       console.log(`     [PARENT] "${equipmentCode}" is a top-level parent (no parent specified)`);
     }
   });
   
-  console.log(`[RESULTS] Found ${relationships.length} parent-child relationships`);
+  // ENHANCED: Break circular references (A → B → A) so every chain ends at a top-level item.
+  // The link is dropped at the first item of the loop reached in list order.
+  const parentMap = new Map(relationships.map(rel => [rel.child, rel.parent]));
+  const cycles = [];
+  const checkedCodes = new Set();
+
+  equipmentMap.forEach((item, startCode) => {
+    const path = [];
+    let code = startCode;
+    while (code && equipmentMap.has(code) && !checkedCodes.has(code) && !path.includes(code)) {
+      path.push(code);
+      code = parentMap.get(code);
+    }
+
+    if (code && path.includes(code)) {
+      const members = path.slice(path.indexOf(code));
+      const removedParent = parentMap.get(code);
+      parentMap.delete(code);
+      childEquipment.delete(code);
+      relationships.filter(rel => rel.child === code).forEach(rel => { rel.cycle = true; });
+      cycles.push({ members, broken_at: code, removed_parent: removedParent });
+      console.log(`🔁 CIRCULAR PARENTS: ${[...members, code].join(' → ')} - "${code}" treated as top-level`);
+    }
+
+    path.forEach(pathCode => checkedCodes.add(pathCode));
+  });
+
+  if (cycles.length > 0) {
+    parentEquipment.clear();
+    parentMap.forEach(parent => parentEquipment.add(parent));
+  }
+
+  console.log(`[RESULTS] Found ${relationships.length} parent-child relationships (${cycles.length} circular references broken)`);
   
   if (relationships.length > 0) {
     console.log('[SAMPLE] Sample relationships:');
@@ -215,35 +349,180 @@ const analyzeParentChildRelationships = (equipmentList) => {
     relationships,
     parentEquipment,
     childEquipment,
-    equipmentMap
+    equipmentMap,
+    parentMap,
+    cycles,
+    selfParents
   };
 };
 
+// ENHANCED: Actionable list of parent/child problems, one entry per affected item.
+// Every item stays in the WBS - these explain where it went and how to fix the source data.
+const buildRelationshipReport = (categorizedEquipment, relationshipAnalysis, equipmentRows, getCommissioningValue) => {
+  const itemsByCode = new Map();
+  categorizedEquipment.forEach(item => {
+    if (!itemsByCode.has(item.equipment_number)) {
+      itemsByCode.set(item.equipment_number, item);
+    }
+  });
+  const cycleBreaks = new Map(relationshipAnalysis.cycles.map(cycle => [cycle.broken_at, cycle]));
+
+  const issues = [];
+  const addIssue = (type, item, details) => {
+    issues.push({
+      type,
+      equipment_number: item.equipment_number,
+      description: item.description,
+      subsystem: item.subsystem,
+      category: item.category,
+      parent_equipment_number: details.parent || '',
+      parent_subsystem: details.parentItem?.subsystem || '',
+      parent_category: details.parentItem?.category || '',
+      message: details.message,
+      action: details.action,
+      source_row: item.source_row ?? null
+    });
+  };
+
+  categorizedEquipment.forEach(item => {
+    const code = item.equipment_number;
+
+    if (relationshipAnalysis.selfParents.has(code)) {
+      addIssue(RELATIONSHIP_ISSUE_TYPES.SELF_PARENT, item, {
+        parent: code,
+        message: `"${code}" lists itself as its parent`,
+        action: 'Clear the parent tag or set the correct parent. Placed as a top-level item.'
+      });
+      return;
+    }
+
+    if (cycleBreaks.has(code)) {
+      const cycle = cycleBreaks.get(code);
+      addIssue(RELATIONSHIP_ISSUE_TYPES.CIRCULAR, item, {
+        parent: cycle.removed_parent,
+        parentItem: itemsByCode.get(cycle.removed_parent),
+        message: `Circular parent chain: ${[...cycle.members, code].join(' → ')}`,
+        action: `Correct the parent tag of one item in the loop. "${code}" was placed as a top-level item.`
+      });
+      return;
+    }
+
+    const parentCode = item.parent_equipment_number;
+    if (!item.is_sub_equipment || !parentCode) return;
+
+    const parentItem = itemsByCode.get(parentCode);
+    if (!parentItem) {
+      const parentRow = equipmentRows.find(row => cleanEquipmentCode(row.equipment_number) === parentCode);
+      addIssue(RELATIONSHIP_ISSUE_TYPES.ORPHANED, item, {
+        parent: parentCode,
+        message: parentRow
+          ? `Parent "${parentCode}" has commissioning status "${getCommissioningValue(parentRow) || 'blank'}", so it is not in the WBS`
+          : `Parent "${parentCode}" is not in the equipment list`,
+        action: 'Add the parent (commissioning Y) or correct the parent tag. Placed as a top-level item in its category.'
+      });
+    } else if (parentItem.subsystem !== item.subsystem) {
+      addIssue(RELATIONSHIP_ISSUE_TYPES.CROSS_SUBSYSTEM, item, {
+        parent: parentCode,
+        parentItem,
+        message: `Parent "${parentCode}" is in subsystem "${parentItem.subsystem}"`,
+        action: 'Move the item to its parent\'s subsystem to nest it. Placed as a top-level item in its own subsystem.'
+      });
+    } else if (parentItem.category !== item.category) {
+      addIssue(RELATIONSHIP_ISSUE_TYPES.CROSS_CATEGORY, item, {
+        parent: parentCode,
+        parentItem,
+        message: `Parent "${parentCode}" is in category ${parentItem.category}, this item is in ${item.category}`,
+        action: 'Remove the category assignment/override to nest it under the parent. Placed as a top-level item in its own category.'
+      });
+    }
+  });
+
+  return issues;
+};
+
 // Main equipment processing with CORRECTED validation strategy
-const processEquipmentList = (rawEquipmentList) => {
+const processEquipmentList = (rawEquipmentList, options = {}) => {
   console.log('CORRECTED Y-STATUS EQUIPMENT PROCESSING - ACCEPT ALL Y, LENIENT TBC');
   console.log(`Input: ${rawEquipmentList.length} raw equipment items`);
 
-  // Step 1: Separate by commissioning status - FIXED: Use commissioning_yn consistently
-  const getCommissioningStatus = (item) => {
-    const statusValue = item.commissioning_yn ||       // FIXED: Primary field name
-                       item['commissioning_yn'] ||    // FIXED: Bracket notation
-                       item['Commissioning (Y/N)'] || // FIXED: Original column name fallback
-                       '';
-    return safeToString(statusValue).toUpperCase().trim();
+  // Compile the selected classification rule set (built-in rules by default)
+  const ruleSet = options.ruleSet || buildDefaultRuleSet();
+  const compiledRules = compileRuleSet(ruleSet);
+  console.log(`Using rule set "${ruleSet.name}" (${compiledRules.length} active rules)`);
+
+  // ENHANCED: Repeated tags are resolved first (keep first/last, merge, or error)
+  const duplicatePolicy = options.duplicatePolicy || DEFAULT_DUPLICATE_POLICY;
+  const duplicateResult = applyDuplicatePolicy(rawEquipmentList, duplicatePolicy);
+  if (duplicateResult.duplicates.length > 0) {
+    console.log(`⚠️ DUPLICATES: ${duplicateResult.duplicates.length} repeated tags resolved with "${duplicatePolicy}" (${duplicateResult.removedCount} rows dropped)`);
+  }
+
+  // ENHANCED: User overrides are applied to the rows before anything else
+  const overrideResult = applyEquipmentOverrides(duplicateResult.equipment, options.overrides);
+  const equipmentRows = overrideResult.equipment;
+  const categoryOverrides = overrideResult.categoryOverrides;
+
+  // ENHANCED: Manual category assignments from triage - { [equipment_number]: categoryId }
+  // Category overrides win over triage assignments
+  const categoryAssignments = { ...(options.categoryAssignments || {}), ...categoryOverrides };
+  const getAssignedCategory = (equipmentCode) => {
+    const assignedCategory = categoryAssignments[equipmentCode];
+    return assignedCategory && EQUIPMENT_CATEGORIES[assignedCategory] ? assignedCategory : null;
   };
+  if (Object.keys(categoryAssignments).length > 0) {
+    console.log(`Applying ${Object.keys(categoryAssignments).length} manual category assignments`);
+  }
 
-  const yStatusItems = rawEquipmentList.filter(item => {
-    const status = getCommissioningStatus(item);
-    return status === 'Y';
-  });
+  // Step 1: Separate by commissioning status - FIXED: Use commissioning_yn consistently
+  // ENHANCED: Raw values are normalised through the commissioning value map
+  const commissioningValueMap = options.commissioningValueMap || DEFAULT_COMMISSIONING_VALUE_MAP;
+  const getRawCommissioningValue = (item) => safeToString(
+    item.commissioning_yn ||       // FIXED: Primary field name
+    item['commissioning_yn'] ||    // FIXED: Bracket notation
+    item['Commissioning (Y/N)'] || // FIXED: Original column name fallback
+    ''
+  ).trim();
+  const getCommissioningNormalisation = (item) => normalizeCommissioningStatus(getRawCommissioningValue(item), commissioningValueMap);
+  const getCommissioningStatus = (item) => getCommissioningNormalisation(item).status || '';
+
+  const commissioningSummary = summarizeCommissioningValues(equipmentRows, getRawCommissioningValue, commissioningValueMap);
+
+  // ENHANCED: Rows that do not reach the WBS, with the reason
+  const excludedEquipment = [];
+  const excludeItem = (item, reason, message) => {
+    excludedEquipment.push({
+      equipment_number: cleanEquipmentCode(item.equipment_number) || safeToString(item.equipment_number).trim(),
+      description: safeToString(item.description || '').trim(),
+      subsystem: safeToString(item.subsystem || '').trim(),
+      raw_commissioning_value: getRawCommissioningValue(item),
+      commissioning_yn: getCommissioningStatus(item),
+      reason,
+      message,
+      ...getSourceFields(item)
+    });
+  };
 
-  const tbcStatusItems = rawEquipmentList.filter(item => {
-    const status = getCommissioningStatus(item);
-    return status === 'TBC';
+  const yStatusItems = [];
+  const tbcStatusItems = [];
+  const nStatusItems = [];
+  equipmentRows.forEach(item => {
+    const normalisation = getCommissioningNormalisation(item);
+    const exclusionReason = getExclusionReason(normalisation);
+    if (normalisation.status === COMMISSIONING_STATUS.YES) {
+      yStatusItems.push(item);
+    } else if (normalisation.status === COMMISSIONING_STATUS.TBC) {
+      tbcStatusItems.push(item);
+    } else if (exclusionReason === EXCLUSION_REASONS.NOT_COMMISSIONED) {
+      nStatusItems.push(item);
+      excludeItem(item, exclusionReason, `Commissioning "${getRawCommissioningValue(item)}" means not commissioned`);
+    } else if (exclusionReason === EXCLUSION_REASONS.BLANK_STATUS) {
+      excludeItem(item, exclusionReason, 'Commissioning status is blank');
+    } else {
+      excludeItem(item, exclusionReason, `Commissioning "${getRawCommissioningValue(item)}" is not in the value map`);
+    }
   });
 
-  console.log(`Status separation: ${yStatusItems.length} Y-status, ${tbcStatusItems.length} TBC-status`);
+  console.log(`Status separation: ${yStatusItems.length} Y-status, ${tbcStatusItems.length} TBC-status, ${excludedEquipment.length} excluded`);
 
   // Step 2: ACCEPT ALL valid Y-status equipment (fixed approach)
   const allValidYEquipment = yStatusItems.filter(item => {
@@ -253,6 +532,7 @@ const processEquipmentList = (rawEquipmentList) => {
     if (!isValid) {
       const originalCode = safeToString(item.equipment_number);
       console.log(`❌ REJECTED: "${equipmentCode}" (original: "${originalCode}")`);
+      excludeItem(item, EXCLUSION_REASONS.INVALID_CODE, `"${originalCode}" is not a valid equipment number`);
     }
     
     return isValid;
@@ -260,38 +540,171 @@ const processEquipmentList = (rawEquipmentList) => {
 
   console.log(`Equipment validation: ${allValidYEquipment.length}/${yStatusItems.length} Y-status accepted, ${tbcStatusItems.length}/${tbcStatusItems.length} TBC accepted`);
 
+  // Step 2b: TBC equipment - LENIENT acceptance
+  const validTBCItems = tbcStatusItems.filter(item => {
+    const isValid = isValidTBCItem(cleanEquipmentCode(item.equipment_number));
+    if (!isValid) {
+      excludeItem(item, EXCLUSION_REASONS.INVALID_CODE, `"${safeToString(item.equipment_number)}" is not a valid equipment number`);
+    }
+    return isValid;
+  });
+
+  // ENHANCED: Inline TBC placement - TBC items are classified alongside the Y items in list order,
+  // so confirming one as Y later does not move it or renumber its neighbours
+  const isInlineTBC = options.tbcPlacement === TBC_PLACEMENT_MODES.INLINE;
+  const inlineRows = new Set([...allValidYEquipment, ...validTBCItems]);
+  const classifiedRows = isInlineTBC
+    ? equipmentRows.filter(item => inlineRows.has(item))
+    : allValidYEquipment;
+  if (isInlineTBC) {
+    console.log(`Inline TBC placement: ${validTBCItems.length} TBC items classified with the Y equipment`);
+  }
+
   // Step 3: Enhanced parent-child relationship analysis
-  const relationshipAnalysis = analyzeParentChildRelationships(allValidYEquipment);
+  const relationshipAnalysis = analyzeParentChildRelationships(classifiedRows);
+
+  // ENHANCED: Walk up the parent chain to the ancestor the whole chain takes its category from -
+  // the first ancestor with a manual/override category, otherwise the top-level ancestor.
+  // Stops at a parent that is not in the accepted list (the chain is orphaned).
+  const findCategorySource = (parentCode) => {
+    const chain = [];
+    let code = parentCode;
+    while (code && !chain.includes(code)) {
+      chain.push(code);
+      if (!relationshipAnalysis.equipmentMap.has(code)) {
+        return { sourceCode: code, chain, isMissing: true };
+      }
+      if (getAssignedCategory(code)) {
+        return { sourceCode: code, chain, isAssigned: true };
+      }
+      if (!relationshipAnalysis.parentMap.has(code)) break;
+      code = relationshipAnalysis.parentMap.get(code);
+    }
+    return { sourceCode: chain[chain.length - 1], chain };
+  };
+
+  const describeChain = (chain) => (chain.length > 1 ? ` via ${chain.slice(0, -1).map(code => `"${code}"`).join(' → ')}` : '');
 
   // Step 4: Categorize Y-status equipment - FIXED: Child equipment inherits parent's category
-  const categorizedEquipment = allValidYEquipment.map(item => {
+  // ENHANCED: Tags matching rules in more than one category are collected for review
+  const ambiguousMatches = [];
+  const cycleBreaks = new Map(relationshipAnalysis.cycles.map(cycle => [cycle.broken_at, cycle]));
+
+  const categorizedEquipment = classifiedRows.map(item => {
     const equipmentCode = cleanEquipmentCode(item.equipment_number);
     const parentCode = cleanParentEquipmentCode(item.parent_equipment_number);
     const isSubEquipment = relationshipAnalysis.childEquipment.has(equipmentCode);
     const isParentEquipment = relationshipAnalysis.parentEquipment.has(equipmentCode);
 
     // FIXED: Child equipment inherits parent's category instead of pattern matching
-    let category, categoryName;
+    let category, categoryName, explanation;
+    const originalValues = { ...(item.original_values || {}) };
+    const assignedCategory = getAssignedCategory(equipmentCode);
     
-    if (isSubEquipment && parentCode) {
-      // CHILD EQUIPMENT: Find parent and inherit its category
-      const parentItem = allValidYEquipment.find(p => 
-        cleanEquipmentCode(p.equipment_number) === parentCode
-      );
-      if (parentItem) {
-        category = determineEquipmentCategory(parentItem.equipment_number); // Use parent's pattern
+    if (assignedCategory && categoryOverrides[equipmentCode]) {
+      // USER OVERRIDE: Persisted correction for this tag - wins over everything
+      const ruleClassification = classifyEquipmentNumber(equipmentCode, compiledRules);
+      category = assignedCategory;
+      categoryName = EQUIPMENT_CATEGORIES[category];
+      originalValues.category = ruleClassification.category;
+      explanation = buildClassificationExplanation(CLASSIFICATION_METHODS.OVERRIDE, {
+        ruleSetName: ruleSet.name,
+        reason: `Category overridden to ${category} (rules gave ${ruleClassification.category})`
+      });
+    } else if (assignedCategory) {
+      // MANUAL ASSIGNMENT: Chosen by the user during triage - wins over rules and inheritance
+      category = assignedCategory;
+      categoryName = EQUIPMENT_CATEGORIES[category];
+      explanation = buildClassificationExplanation(CLASSIFICATION_METHODS.MANUAL, {
+        ruleSetName: ruleSet.name,
+        reason: `Manually assigned to category ${category} during triage`
+      });
+    } else if (isSubEquipment && parentCode) {
+      // CHILD EQUIPMENT: Inherit the category of the chain's source ancestor (any depth)
+      const { sourceCode, chain, isMissing, isAssigned } = findCategorySource(parentCode);
+      const via = describeChain(chain);
+
+      if (isAssigned) {
+        category = getAssignedCategory(sourceCode);
+        categoryName = EQUIPMENT_CATEGORIES[category];
+        explanation = buildClassificationExplanation(CLASSIFICATION_METHODS.INHERITED, {
+          ruleSetName: ruleSet.name,
+          inheritedFrom: sourceCode,
+          inheritanceChain: chain,
+          reason: `Inherited category ${category} from "${sourceCode}"${via} (category set manually)`
+        });
+      } else if (!isMissing) {
+        const sourceItem = relationshipAnalysis.equipmentMap.get(sourceCode);
+        const parentClassification = classifyEquipmentNumber(sourceItem.equipment_number, compiledRules); // Use top-level ancestor's pattern
+        category = parentClassification.category;
         categoryName = EQUIPMENT_CATEGORIES[category] || 'Unrecognised Equipment';
-        console.log(`👶 CHILD INHERITS: "${equipmentCode}" inherits category ${category} from parent "${parentCode}"`);
+        explanation = buildClassificationExplanation(CLASSIFICATION_METHODS.INHERITED, {
+          ruleSetName: ruleSet.name,
+          classification: parentClassification,
+          inheritedFrom: sourceCode,
+          inheritanceChain: chain,
+          reason: parentClassification.rule
+            ? `Inherited category ${category} from "${sourceCode}"${via} (matched rule "${parentClassification.rule.name || parentClassification.rule.id}")`
+            : `Inherited category ${category} from "${sourceCode}"${via} (matched no rule)`
+        });
+        console.log(`👶 CHILD INHERITS: "${equipmentCode}" inherits category ${category} from "${sourceCode}"${via}`);
       } else {
-        // Orphaned child - parent not found
+        // Orphaned chain - the parent (or an ancestor) is not found
         category = '99';
         categoryName = 'Unrecognised Equipment';
-        console.log(`🚨 ORPHANED CHILD: "${equipmentCode}" parent "${parentCode}" not found → Category 99`);
+        explanation = buildClassificationExplanation(CLASSIFICATION_METHODS.ORPHANED, {
+          ruleSetName: ruleSet.name,
+          inheritedFrom: sourceCode,
+          inheritanceChain: chain,
+          reason: chain.length > 1
+            ? `Ancestor "${sourceCode}"${via} is not in the accepted equipment list, so there is no category to inherit`
+            : `Parent "${parentCode}" is not in the accepted equipment list, so there is no category to inherit`
+        });
+        console.log(`🚨 ORPHANED CHILD: "${equipmentCode}" ancestor "${sourceCode}" not found → Category 99`);
       }
     } else {
       // PARENT EQUIPMENT: Normal pattern matching
-      category = determineEquipmentCategory(item.equipment_number);
+      const classification = classifyEquipmentNumber(item.equipment_number, compiledRules);
+      category = classification.category;
       categoryName = EQUIPMENT_CATEGORIES[category] || 'Unrecognised Equipment';
+      explanation = classification.rule
+        ? buildClassificationExplanation(CLASSIFICATION_METHODS.RULE_MATCH, {
+            ruleSetName: ruleSet.name,
+            classification,
+            reason: `"${classification.matchedText}" matched rule "${classification.rule.name || classification.rule.id}" /${classification.rule.pattern}/`
+          })
+        : buildClassificationExplanation(CLASSIFICATION_METHODS.NO_MATCH, {
+            ruleSetName: ruleSet.name,
+            reason: `No rule in "${ruleSet.name}" matched "${equipmentCode}"`
+          });
+
+      if (explanation.ambiguous) {
+        explanation.reason += ` (also matched categories ${explanation.other_categories.join(', ')}; won by ${classification.resolvedBy})`;
+      }
+
+      if (cycleBreaks.has(equipmentCode)) {
+        explanation.reason += ` - parent "${cycleBreaks.get(equipmentCode).removed_parent}" ignored (circular parent/child reference)`;
+      }
+
+      if (classification.isAmbiguous) {
+        ambiguousMatches.push({
+          equipment_number: equipmentCode,
+          description: safeToString(item.description || '').trim(),
+          subsystem: safeToString(item.subsystem || '').trim(),
+          winning_category: category,
+          winning_category_name: categoryName,
+          winning_rule: {
+            id: classification.rule.id,
+            name: classification.rule.name,
+            pattern: classification.rule.pattern,
+            priority: classification.rule.priority,
+            specificity: classification.rule.specificity
+          },
+          candidate_categories: [...new Set(classification.candidates.map(candidate => candidate.category))],
+          candidates: classification.candidates,
+          resolved_by: classification.resolvedBy
+        });
+      }
     }
 
     return {
@@ -302,20 +715,32 @@ const processEquipmentList = (rawEquipmentList) => {
       commissioning_yn: getCommissioningStatus(item), // FIXED: Use consistent field name
       is_sub_equipment: isSubEquipment,
       is_parent_equipment: isParentEquipment,
-      parent_equipment_number: parentCode, // FIXED: Use consistent field name
-      subsystem: safeToString(item.subsystem || '').trim()
+      parent_equipment_number: cycleBreaks.has(equipmentCode) || relationshipAnalysis.selfParents.has(equipmentCode) ? null : parentCode, // FIXED: Use consistent field name
+      subsystem: safeToString(item.subsystem || '').trim(),
+      classification: explanation,
+      is_overridden: !!item.overridden_fields?.length,
+      overridden_fields: item.overridden_fields || [],
+      original_values: originalValues,
+      ...getSourceFields(item)
     };
   });
 
-  // Step 5: Process TBC equipment separately - LENIENT acceptance for TBC
-  const processedTBCEquipment = tbcStatusItems
-    .filter(item => {
-      const equipmentCode = cleanEquipmentCode(item.equipment_number);
-      return isValidTBCItem(equipmentCode);
-    })
+  // Step 4b: Report parent/child problems (every item is still kept)
+  const relationshipIssues = buildRelationshipReport(categorizedEquipment, relationshipAnalysis, equipmentRows, getRawCommissioningValue);
+  if (relationshipIssues.length > 0) {
+    console.log(`⚠️ RELATIONSHIP ISSUES: ${relationshipIssues.length} items with parent/child problems`);
+  }
+
+  // Step 5: Process TBC equipment separately (TBC section placement)
+  // The proposed category (the Y parent's, else the rules') is where the item goes if it is
+  // promoted to Y (lib/tbcPromotion.js)
+  const processedTBCEquipment = (isInlineTBC ? [] : validTBCItems)
     .map((item, index) => {
       const equipmentCode = cleanEquipmentCode(item.equipment_number);
       const tbcSequence = String(index + 1).padStart(3, '0');
+      const parentCode = cleanParentEquipmentCode(item.parent_equipment_number);
+      const parentItem = parentCode ? categorizedEquipment.find(candidate => candidate.equipment_number === parentCode) : null;
+      const proposedCategory = getAssignedCategory(equipmentCode) || parentItem?.category || classifyEquipmentNumber(equipmentCode, compiledRules).category;
       
       return {
         equipment_number: equipmentCode,
@@ -327,55 +752,144 @@ const processEquipmentList = (rawEquipmentList) => {
         is_sub_equipment: false,
         is_parent_equipment: false,
         parent_equipment_number: null,
-        subsystem: safeToString(item.subsystem || '').trim()
+        proposed_category: proposedCategory,
+        proposed_category_name: EQUIPMENT_CATEGORIES[proposedCategory] || 'Unrecognised Equipment',
+        subsystem: safeToString(item.subsystem || '').trim(),
+        classification: buildClassificationExplanation(CLASSIFICATION_METHODS.TBC, {
+          ruleSetName: ruleSet.name,
+          reason: 'Commissioning status is TBC - not classified until confirmed'
+        }),
+        is_overridden: !!item.overridden_fields?.length,
+        overridden_fields: item.overridden_fields || [],
+        original_values: item.original_values || {},
+        ...getSourceFields(item)
       };
     });
 
   console.log(`TBC equipment processed: ${processedTBCEquipment.length} items`);
 
+  // Step 5b: N equipment for the optional Out of Scope section - same lenient code check as TBC
+  const outOfScopeEquipment = nStatusItems
+    .filter(item => isValidTBCItem(cleanEquipmentCode(item.equipment_number)))
+    .map(item => ({
+      equipment_number: cleanEquipmentCode(item.equipment_number),
+      description: safeToString(item.description || '').trim(),
+      category: 'OOS',
+      category_name: 'Out of Scope',
+      commissioning_yn: COMMISSIONING_STATUS.NO,
+      is_sub_equipment: false,
+      is_parent_equipment: false,
+      parent_equipment_number: null,
+      subsystem: safeToString(item.subsystem || '').trim(),
+      classification: buildClassificationExplanation(CLASSIFICATION_METHODS.OUT_OF_SCOPE, {
+        ruleSetName: ruleSet.name,
+        reason: `Commissioning status "${getRawCommissioningValue(item)}" - not in commissioning scope`
+      }),
+      is_overridden: !!item.overridden_fields?.length,
+      overridden_fields: item.overridden_fields || [],
+      original_values: item.original_values || {},
+      ...getSourceFields(item)
+    }));
+
   // Step 6: Extract dynamic subsystem mapping from equipment with proper parsing and sorting
+  // ENHANCED: Values are read by the shared subsystem parser (lib/subsystemParser.js); spellings
+  // of the same code ("Sub A - +Z01", "+Z1 - Sub A") become one subsystem
+  const subsystemFormats = options.subsystemFormats || DEFAULT_SUBSYSTEM_FORMATS;
   const subsystemMapping = {};
-  const uniqueSubsystems = [...new Set(allValidYEquipment.map(item => 
-    safeToString(item.subsystem || '').trim()
-  ).filter(subsystem => subsystem && subsystem !== ''))];
-
-  // Parse and sort subsystems by their code (+Z01, +Z02, +Z03...)
-  const parsedSubsystems = uniqueSubsystems.map(subsystem => {
-    const subsystemParts = subsystem.split(' - ');
-    let subsystemCode, subsystemName;
-    
-    if (subsystemParts.length === 2) {
-      // Format: "33kV Switchroom 1 - +Z01"
-      subsystemName = subsystemParts[0].trim(); // "33kV Switchroom 1"
-      subsystemCode = subsystemParts[1].trim(); // "+Z01"
-    } else {
-      // Fallback for non-standard format
-      subsystemName = subsystem;
-      subsystemCode = `Z${String(uniqueSubsystems.indexOf(subsystem) + 1).padStart(2, '0')}`;
-    }
-    
-    return {
-      originalKey: subsystem,
-      code: subsystemCode,
-      name: subsystemName,
-      sortOrder: subsystemCode // Use code for sorting (+Z01, +Z02, etc.)
-    };
+  const subsystemCounts = new Map();
+  classifiedRows.forEach(item => {
+    const subsystem = safeToString(item.subsystem || '').trim();
+    if (subsystem) subsystemCounts.set(subsystem, (subsystemCounts.get(subsystem) || 0) + 1);
+  });
+  const uniqueSubsystems = [...subsystemCounts.keys()];
+
+  const parsedSubsystems = uniqueSubsystems.map((subsystem, firstSeen) => {
+    const parsed = parseSubsystemValue(subsystem, subsystemFormats);
+    return { originalKey: subsystem, firstSeen, identity: getSubsystemIdentity(parsed), ...parsed };
+  });
+
+  // ENHANCED: User-defined order first, then coded subsystems by natural code order
+  // (+Z2 before +Z10), then the rest in list order
+  const subsystemOrder = options.subsystemOrder || [];
+  const getOrderPosition = (subsystem) => {
+    const position = subsystemOrder.indexOf(subsystem.identity);
+    return position === -1 ? Infinity : position;
+  };
+  parsedSubsystems.sort((a, b) => {
+    const positionA = getOrderPosition(a);
+    const positionB = getOrderPosition(b);
+    if (positionA !== positionB) return positionA < positionB ? -1 : 1;
+    if (a.code && b.code) return compareSubsystemCodes(a.code, b.code) || a.firstSeen - b.firstSeen;
+    if (a.code || b.code) return a.code ? -1 : 1;
+    return a.firstSeen - b.firstSeen;
   });
 
-  // Sort by subsystem code (+Z01 first, then +Z02, etc.)
-  parsedSubsystems.sort((a, b) => a.sortOrder.localeCompare(b.sortOrder));
+  // ENHANCED: Locked mode - S-numbers already issued (identity → number) never change and
+  // new subsystems continue after the highest issued number
+  const issuedNumbers = options.issuedSubsystemNumbers || null;
+  const usedNumbers = new Set();
+  let nextSubsystemNumber = issuedNumbers ? Math.max(0, ...Object.values(issuedNumbers)) + 1 : 1;
+  const takeSubsystemNumber = (identity) => {
+    const issued = issuedNumbers?.[identity];
+    if (issued && !usedNumbers.has(issued)) {
+      usedNumbers.add(issued);
+      return issued;
+    }
+    while (usedNumbers.has(nextSubsystemNumber)) nextSubsystemNumber++;
+    usedNumbers.add(nextSubsystemNumber);
+    return nextSubsystemNumber++;
+  };
 
   // Create mapping with correct S1, S2, S3... order
-  parsedSubsystems.forEach((subsystem, index) => {
-    const subsystemIndex = index + 1;
+  const canonicalSubsystems = {}; // raw value → raw value of the first subsystem with the same code
+  const subsystemByIdentity = {};
+  parsedSubsystems.forEach(subsystem => {
+    const existing = subsystem.code ? subsystemByIdentity[subsystem.identity] : null;
+    if (existing) {
+      canonicalSubsystems[subsystem.originalKey] = existing.originalKey;
+      return;
+    }
+
+    const subsystemIndex = takeSubsystemNumber(subsystem.identity);
     subsystemMapping[subsystem.originalKey] = {
       code: subsystem.code,
-      name: subsystem.name,
-      full_name: `S${subsystemIndex} | ${subsystem.code} | ${subsystem.name}`,
-      index: subsystemIndex
+      name: subsystem.name || subsystem.code,
+      full_name: formatSubsystemFullName(subsystemIndex, subsystem.code, subsystem.name || subsystem.code),
+      index: subsystemIndex,
+      identity: subsystem.identity,
+      is_locked: !!issuedNumbers?.[subsystem.identity],
+      format: subsystem.format
     };
+    subsystemByIdentity[subsystem.identity] = subsystem;
   });
 
+  // Equipment in a merged spelling moves to the subsystem it was merged into
+  [...categorizedEquipment, ...processedTBCEquipment, ...outOfScopeEquipment].forEach(item => {
+    if (canonicalSubsystems[item.subsystem]) {
+      item.subsystem = canonicalSubsystems[item.subsystem];
+    }
+  });
+
+  // How each distinct subsystem value was read, for review
+  const subsystemPreview = parsedSubsystems
+    .sort((a, b) => a.firstSeen - b.firstSeen)
+    .map(subsystem => {
+      const mappedKey = canonicalSubsystems[subsystem.originalKey] || subsystem.originalKey;
+      const mapped = subsystemMapping[mappedKey];
+      return {
+        value: subsystem.originalKey,
+        count: subsystemCounts.get(subsystem.originalKey),
+        format: subsystem.format,
+        code: subsystem.code,
+        name: subsystem.name,
+        full_name: mapped.full_name,
+        index: mapped.index,
+        identity: mapped.identity,
+        is_locked: mapped.is_locked,
+        merged_into: canonicalSubsystems[subsystem.originalKey] || null
+      };
+    });
+
   console.log('Dynamic subsystem mapping created (sorted by code):', subsystemMapping);
 
   // Step 7: Generate comprehensive category statistics - FIXED: Include equipment array
@@ -420,6 +934,10 @@ const processEquipmentList = (rawEquipmentList) => {
   const parentItems = categorizedEquipment.filter(item => !item.is_sub_equipment).length;
   const childItems = categorizedEquipment.filter(item => item.is_sub_equipment).length;
 
+  if (ambiguousMatches.length > 0) {
+    console.log(`⚠️ AMBIGUOUS MATCHES: ${ambiguousMatches.length} tags matched rules in more than one category`);
+  }
+
   console.log(`FINAL ACCEPT ALL COUNTS: ${parentItems} parents, ${childItems} children, ${processedTBCEquipment.length} TBC items`);
   console.log(`TOTAL EQUIPMENT FOR EXPORT: ${categorizedEquipment.length} Y-status + ${processedTBCEquipment.length} TBC = ${categorizedEquipment.length + processedTBCEquipment.length} items`);
 
@@ -427,6 +945,7 @@ const processEquipmentList = (rawEquipmentList) => {
     equipment: categorizedEquipment,
     tbcEquipment: processedTBCEquipment,
     subsystemMapping: subsystemMapping,
+    subsystemPreview: subsystemPreview,
     original: rawEquipmentList.length,
     yStatusOriginal: yStatusItems.length,
     tbcStatusOriginal: tbcStatusItems.length,
@@ -437,13 +956,24 @@ const processEquipmentList = (rawEquipmentList) => {
     childItems: childItems,
     categoryStats: categoryStats,
     parentChildRelationships: relationshipAnalysis.relationships,
+    parentCycles: relationshipAnalysis.cycles,
+    relationshipIssues: relationshipIssues,
+    duplicateEquipment: duplicateResult.duplicates,
+    duplicatePolicy: duplicatePolicy,
+    commissioningSummary: commissioningSummary,
+    excludedEquipment: excludedEquipment,
+    outOfScopeEquipment: outOfScopeEquipment,
     relationshipAnalysis: relationshipAnalysis,
-    filteredOutCount: yStatusItems.length - allValidYEquipment.length
+    filteredOutCount: yStatusItems.length - allValidYEquipment.length,
+    ambiguousMatches: ambiguousMatches,
+    overridesApplied: overrideResult.appliedCount,
+    unmatchedOverrides: overrideResult.unmatchedOverrides,
+    ruleSet: { id: ruleSet.id, name: ruleSet.name }
   };
 };
 
 // Main equipment categorization function - ENHANCED WITH FIXED COMMISSIONING FILTERING
-export const categorizeEquipment = (equipmentList) => {
+export const categorizeEquipment = (equipmentList, options = {}) => {
   try {
     console.log('STARTING CORRECTED EQUIPMENT CATEGORIZATION - ACCEPT ALL Y, LENIENT TBC');
     console.log(`Input: ${equipmentList?.length || 0} raw equipment items`);
@@ -452,7 +982,7 @@ export const categorizeEquipment = (equipmentList) => {
       throw new Error('Invalid equipment list provided');
     }
 
-    const processedData = processEquipmentList(equipmentList);
+    const processedData = processEquipmentList(equipmentList, options);
     
     console.log('CORRECTED equipment categorization completed:', {
       originalItems: processedData.original,
@@ -472,6 +1002,7 @@ export const categorizeEquipment = (equipmentList) => {
       equipment: processedData.equipment, // Alias for compatibility
       tbcEquipment: processedData.tbcEquipment,
       subsystemMapping: processedData.subsystemMapping,
+      subsystemPreview: processedData.subsystemPreview,
       
       // Statistics and metadata
       totalProcessed: processedData.final,
@@ -486,7 +1017,18 @@ export const categorizeEquipment = (equipmentList) => {
       filteredOutCount: processedData.filteredOutCount,
       categoryStats: processedData.categoryStats,
       parentChildRelationships: processedData.parentChildRelationships,
+      parentCycles: processedData.parentCycles,
+      relationshipIssues: processedData.relationshipIssues,
+      duplicateEquipment: processedData.duplicateEquipment,
+      duplicatePolicy: processedData.duplicatePolicy,
+      commissioningSummary: processedData.commissioningSummary,
+      excludedEquipment: processedData.excludedEquipment,
+      outOfScopeEquipment: processedData.outOfScopeEquipment,
       relationshipAnalysis: processedData.relationshipAnalysis,
+      ambiguousMatches: processedData.ambiguousMatches,
+      overridesApplied: processedData.overridesApplied,
+      unmatchedOverrides: processedData.unmatchedOverrides,
+      ruleSet: processedData.ruleSet,
       
       // Project information
       projectName: '5737 Summerfield Project',
@@ -499,7 +1041,14 @@ export const categorizeEquipment = (equipmentList) => {
         total_processed: processedData.final,
         categories_created: Object.keys(processedData.categoryStats).filter(id => processedData.categoryStats[id].count > 0).length,
         tbc_count: processedData.tbcCount,
-        unrecognized_count: processedData.categoryStats?.['99']?.count || 0
+        unrecognized_count: processedData.categoryStats?.['99']?.count || 0,
+        ambiguous_count: processedData.ambiguousMatches.length,
+        overrides_applied: processedData.overridesApplied,
+        circular_parent_count: processedData.parentCycles.length,
+        relationship_issue_count: processedData.relationshipIssues.length,
+        duplicate_count: processedData.duplicateEquipment.length,
+        excluded_count: processedData.excludedEquipment.length,
+        out_of_scope_count: processedData.outOfScopeEquipment.length
       }
     };
 
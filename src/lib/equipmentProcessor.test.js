@@ -0,0 +1,151 @@
+import { categorizeEquipment, getEquipmentTagPrefix } from './equipmentProcessor';
+import { RELATIONSHIP_ISSUE_TYPES } from '../constants';
+import { EXCLUSION_REASONS } from './commissioningStatus';
+
+const rule = (id, pattern, category, extra = {}) => ({
+  id, pattern, flags: 'i', category, name: id, priority: 100, enabled: true, ...extra
+});
+
+const row = (equipmentNumber, extra = {}) => ({
+  equipment_number: equipmentNumber,
+  description: 'Test item',
+  commissioning_yn: 'Y',
+  subsystem: 'Sub A - +Z01',
+  plu_field: '',
+  ...extra
+});
+
+describe('ambiguous classification', () => {
+  const ruleSet = {
+    id: 'test',
+    name: 'Test',
+    rules: [rule('any-e', '^E', '02'), rule('eb', '^EB', '03'), rule('ec', '^EC', '04', { priority: 50 })]
+  };
+
+  test('tags matching rules in several categories are reported with what resolved them', async () => {
+    const result = await categorizeEquipment([row('EB101'), row('EC101'), row('EX101')], { ruleSet });
+    const byTag = Object.fromEntries(result.ambiguousMatches.map(match => [match.equipment_number, match]));
+
+    expect(byTag.EB101).toMatchObject({ winning_category: '03', resolved_by: 'specificity', candidate_categories: ['03', '02'] });
+    expect(byTag.EC101).toMatchObject({ winning_category: '02', resolved_by: 'priority' });
+    expect(byTag.EX101).toBeUndefined();
+  });
+});
+
+describe('classification explanation', () => {
+  test('every item records how its category was decided', async () => {
+    const result = await categorizeEquipment([
+      row('+UH101'),
+      row('-F101', { parent_equipment_number: '+UH101' }),
+      row('QQQ1')
+    ]);
+    const byTag = Object.fromEntries(result.equipment.map(item => [item.equipment_number, item.classification]));
+
+    expect(byTag['+UH101']).toMatchObject({
+      method: 'rule_match',
+      rule_set: 'Built-in Rules',
+      rule_name: 'Protection Panels',
+      pattern: '/^\\+?UH\\d+/i',
+      matched_text: '+UH101'
+    });
+    expect(byTag['-F101']).toMatchObject({ method: 'inherited', inherited_from: '+UH101', inheritance_chain: ['+UH101'] });
+    expect(byTag.QQQ1).toMatchObject({ method: 'no_match', rule_id: null });
+    expect(byTag.QQQ1.reason).toContain('No rule in "Built-in Rules" matched "QQQ1"');
+  });
+});
+
+describe('triage assignments', () => {
+  test('manual categories win over the rules and are inherited by sub-equipment', async () => {
+    const result = await categorizeEquipment(
+      [row('XYZ9'), row('-F9', { parent_equipment_number: 'XYZ9' }), row('+UH101')],
+      { categoryAssignments: { XYZ9: '06', '+UH101': '05' } }
+    );
+    const byTag = Object.fromEntries(result.equipment.map(item => [item.equipment_number, item]));
+
+    expect(byTag.XYZ9).toMatchObject({ category: '06', classification: { method: 'manual' } });
+    expect(byTag['-F9']).toMatchObject({ category: '06', classification: { method: 'inherited', inherited_from: 'XYZ9' } });
+    expect(byTag['+UH101'].category).toBe('05');
+  });
+
+  test('tag prefixes group similar unrecognised equipment', () => {
+    expect(getEquipmentTagPrefix('+ZX101')).toBe('+ZX');
+    expect(getEquipmentTagPrefix('ess-04')).toBe('ESS-');
+    expect(getEquipmentTagPrefix('1234')).toBe('');
+  });
+});
+
+describe('parent/child trees', () => {
+  test('grandchildren inherit the top-level ancestor category through the whole chain', async () => {
+    const result = await categorizeEquipment([
+      row('+UH101'),
+      row('-F101', { parent_equipment_number: '+UH101' }),
+      row('-K101', { parent_equipment_number: '-F101' })
+    ]);
+    const byTag = Object.fromEntries(result.equipment.map(item => [item.equipment_number, item]));
+
+    expect(byTag['-K101'].category).toBe(byTag['+UH101'].category);
+    expect(byTag['-K101'].classification).toMatchObject({ inherited_from: '+UH101', inheritance_chain: ['-F101', '+UH101'] });
+  });
+
+  test('circular parents are broken so every item still gets a category', async () => {
+    const result = await categorizeEquipment([
+      row('+UH101', { parent_equipment_number: '+UH102' }),
+      row('+UH102', { parent_equipment_number: '+UH101' })
+    ]);
+
+    expect(result.parentCycles).toHaveLength(1);
+    expect(result.parentCycles[0]).toMatchObject({ broken_at: '+UH101', removed_parent: '+UH102' });
+    expect(result.equipment).toHaveLength(2);
+    result.equipment.forEach(item => expect(item.category).not.toBe('99'));
+  });
+});
+
+describe('relationship issues', () => {
+  test('each broken parent link is reported with its type and kept in the output', async () => {
+    const result = await categorizeEquipment([
+      row('+UH101'),
+      row('-F101', { parent_equipment_number: '+UH999' }),
+      row('-F102', { parent_equipment_number: '+UH101', subsystem: 'Sub B - +Z02' }),
+      row('-F103', { parent_equipment_number: '-F103' }),
+      row('+UH201', { parent_equipment_number: '+UH202' }),
+      row('+UH202', { parent_equipment_number: '+UH201' })
+    ]);
+    const typeByTag = Object.fromEntries(result.relationshipIssues.map(issue => [issue.equipment_number, issue.type]));
+
+    expect(typeByTag).toEqual({
+      '-F101': RELATIONSHIP_ISSUE_TYPES.ORPHANED,
+      '-F102': RELATIONSHIP_ISSUE_TYPES.CROSS_SUBSYSTEM,
+      '-F103': RELATIONSHIP_ISSUE_TYPES.SELF_PARENT,
+      '+UH201': RELATIONSHIP_ISSUE_TYPES.CIRCULAR
+    });
+    expect(result.equipment).toHaveLength(6);
+    expect(result.summary.relationship_issue_count).toBe(4);
+  });
+});
+
+describe('source traceability', () => {
+  test('categorised items keep the file, sheet and row they came from', async () => {
+    const result = await categorizeEquipment([row('+UH101', { source_file: 'Register.xlsx', source_sheet: 'Equipment', source_row: 7 })]);
+
+    expect(result.equipment[0]).toMatchObject({ source_file: 'Register.xlsx', source_sheet: 'Equipment', source_row: 7 });
+  });
+});
+
+describe('commissioning status', () => {
+  test('rows that are not Y or TBC are listed with the reason they were excluded', async () => {
+    const result = await categorizeEquipment([
+      row('+UH101', { commissioning_yn: 'Yes' }),
+      row('+UH102', { commissioning_yn: 'No' }),
+      row('+UH103', { commissioning_yn: '' }),
+      row('+UH104', { commissioning_yn: 'Maybe' })
+    ], { commissioningValueMap: { YES: 'Y', NO: 'N' } });
+    const reasonByTag = Object.fromEntries(result.excludedEquipment.map(item => [item.equipment_number, item.reason]));
+
+    expect(result.equipment.map(item => item.equipment_number)).toEqual(['+UH101']);
+    expect(reasonByTag).toEqual({
+      '+UH102': EXCLUSION_REASONS.NOT_COMMISSIONED,
+      '+UH103': EXCLUSION_REASONS.BLANK_STATUS,
+      '+UH104': EXCLUSION_REASONS.UNRECOGNISED_STATUS
+    });
+  });
+});
@@ -1,4 +1,4 @@
-import { EXPORT_SETTINGS } from '../constants';
+import { EXPORT_SETTINGS, STRUCTURAL_ITEM_TYPES } from '../constants';
 import { dateHelpers, arrayHelpers, stringHelpers } from '../utils';
 
 /**
@@ -181,6 +181,9 @@ const formatDataForP6 = (wbsData) => {
     tbc_items: sortedData.filter(item => item.is_equipment && item.commissioning_status === 'TBC').length,
     structural_items: sortedData.filter(item => !item.is_equipment).length,
     unrecognized_items: sortedData.filter(item => item.is_equipment && item.category === '99').length,
+    preparation_items: sortedData.filter(item => item.structural_type === STRUCTURAL_ITEM_TYPES.PREPARATION).length,
+    interface_testing_items: sortedData.filter(item => item.structural_type === STRUCTURAL_ITEM_TYPES.INTERFACE_TESTING).length,
+    energisation_sections: sortedData.filter(item => item.structural_type === STRUCTURAL_ITEM_TYPES.ENERGISATION).length,
     duplicates_removed: duplicatesRemoved,
     validation: validation
   };
@@ -419,12 +422,17 @@ const generateFilename = (customFilename, includeNewOnly) => {
 
 // NATIVE BROWSER FILE DOWNLOAD - No external dependencies
 const downloadCSVFile = (csvContent, filename) => {
+  // Byte order mark so Excel reads the CSV as UTF-8
+  downloadFile('\uFEFF' + csvContent, filename, 'text/csv;charset=utf-8;');
+};
+
+const downloadFile = (content, filename, mimeType) => {
   try {
-    console.log(`Downloading file: ${filename} (${csvContent.length} characters)`);
+    console.log(`Downloading file: ${filename} (${content.length} characters)`);
     
     // Create blob with proper encoding
-    const blob = new Blob(['\uFEFF' + csvContent], { 
-      type: 'text/csv;charset=utf-8;' 
+    const blob = new Blob([content], { 
+      type: mimeType 
     });
     
     // Use native browser download
@@ -461,7 +469,21 @@ export const exportEquipmentListToCSV = (equipmentList, options = {}) => {
       'category_name',
       'commissioning_status',
       'subsystem',
-      'is_sub_equipment'
+      'is_sub_equipment',
+      // ENHANCED: Classification audit trail (see equipmentProcessor classification)
+      'classification_method',
+      'classification_rule',
+      'matched_pattern',
+      'matched_text',
+      'inherited_from',
+      'classification_reason',
+      // ENHANCED: User overrides (see lib/equipmentOverrides.js)
+      'overridden',
+      'overridden_fields',
+      // ENHANCED: Where the item came from in the uploaded equipment list
+      'source_file',
+      'source_sheet',
+      'source_row'
     ];
     
     const formattedData = equipmentList.map(item => ({
@@ -469,9 +491,20 @@ export const exportEquipmentListToCSV = (equipmentList, options = {}) => {
       description: item.description || '',
       category: item.category || '',
       category_name: item.category_name || '',
-      commissioning_status: item.commissioning_status || '',
+      commissioning_status: item.commissioning_status || item.commissioning_yn || '',
       subsystem: item.subsystem || '',
-      is_sub_equipment: item.is_sub_equipment ? 'Y' : 'N'
+      is_sub_equipment: item.is_sub_equipment ? 'Y' : 'N',
+      classification_method: item.classification?.method || '',
+      classification_rule: item.classification?.rule_name || item.classification?.rule_id || '',
+      matched_pattern: item.classification?.pattern || '',
+      matched_text: item.classification?.matched_text || '',
+      inherited_from: item.classification?.inherited_from || '',
+      classification_reason: item.classification?.reason || '',
+      overridden: item.is_overridden ? 'Y' : 'N',
+      overridden_fields: (item.overridden_fields || []).join('; '),
+      source_file: item.source_file || '',
+      source_sheet: item.source_sheet || '',
+      source_row: item.source_row ?? ''
     }));
     
     let csvContent = headers.join(',') + '\n';
@@ -496,6 +529,65 @@ export const exportEquipmentListToCSV = (equipmentList, options = {}) => {
   }
 };
 
+// ENHANCED: Parent/child relationship report (processedData.relationshipIssues)
+export const exportRelationshipReportToCSV = (relationshipIssues, options = {}) => {
+  try {
+    console.log('EXPORTING RELATIONSHIP REPORT');
+
+    if (!Array.isArray(relationshipIssues) || relationshipIssues.length === 0) {
+      throw new Error('No relationship issues to export');
+    }
+
+    const headers = [
+      'issue_type',
+      'equipment_number',
+      'source_row',
+      'description',
+      'subsystem',
+      'category',
+      'parent_equipment_number',
+      'parent_subsystem',
+      'parent_category',
+      'problem',
+      'action'
+    ];
+
+    const formattedData = relationshipIssues.map(issue => ({
+      issue_type: issue.type,
+      equipment_number: issue.equipment_number || '',
+      source_row: issue.source_row ?? '',
+      description: issue.description || '',
+      subsystem: issue.subsystem || '',
+      category: issue.category || '',
+      parent_equipment_number: issue.parent_equipment_number || '',
+      parent_subsystem: issue.parent_subsystem || '',
+      parent_category: issue.parent_category || '',
+      problem: issue.message || '',
+      action: issue.action || ''
+    }));
+
+    let csvContent = headers.join(',') + '\n';
+
+    formattedData.forEach(item => {
+      const row = headers.map(header => formatCSVValue(item[header], ','));
+      csvContent += row.join(',') + '\n';
+    });
+
+    const filename = options.filename || `Relationship_Report_${dateHelpers?.getDateStamp?.() || 'export'}.csv`;
+    downloadCSVFile(csvContent, filename);
+
+    return {
+      success: true,
+      filename: filename,
+      recordCount: formattedData.length
+    };
+
+  } catch (error) {
+    console.error('Relationship report export failed:', error);
+    throw new Error(`Relationship report export failed: ${error.message}`);
+  }
+};
+
 // 🆕 MISSING EQUIPMENT COMPARISON EXPORT - Now implemented!
 export const exportComparisonToCSV = (comparisonResult, options = {}) => {
   try {
@@ -610,6 +702,9 @@ export const getExportStatistics = (data, options = {}) => {
       tbc_items: data.filter(item => item.is_equipment && item.commissioning_yn === 'TBC').length,
       structural_items: data.filter(item => !item.is_equipment).length,
       unrecognized_items: data.filter(item => item.is_equipment && item.category === '99').length,
+      preparation_items: data.filter(item => item.structural_type === STRUCTURAL_ITEM_TYPES.PREPARATION).length,
+      interface_testing_items: data.filter(item => item.structural_type === STRUCTURAL_ITEM_TYPES.INTERFACE_TESTING).length,
+      energisation_sections: data.filter(item => item.structural_type === STRUCTURAL_ITEM_TYPES.ENERGISATION).length,
       max_level: Math.max(...data.map(item => item.level || 0)),
       levels: {
         level1: data.filter(item => item.level === 1).length,
@@ -695,5 +790,253 @@ export const getExportStatistics = (data, options = {}) => {
   }
 };
 
+// ENHANCED: XER export - a minimal importable XER (ERMHDR, PROJECT, PROJWBS). P6 shows a WBS
+// code as the chain of short names, so each node's wbs_short_name is the last segment of its
+// code and the project node (proj_node_flag Y) carries the project short name
+const XER_PROJECT_FIELDS = ['proj_id', 'proj_short_name', 'plan_start_date'];
+const XER_PROJWBS_FIELDS = ['wbs_id', 'proj_id', 'seq_num', 'proj_node_flag', 'status_code', 'wbs_short_name', 'wbs_name', 'parent_wbs_id'];
+
+// "2024-01-15 08:00"
+const formatXERDate = (date) => {
+  const value = date instanceof Date && !Number.isNaN(date.getTime()) ? date : new Date();
+  const pad = (number) => String(number).padStart(2, '0');
+  return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())} ${pad(value.getHours())}:${pad(value.getMinutes())}`;
+};
+
+// Tabs and line breaks would break the record
+const formatXERValue = (value) => (
+  value === null || value === undefined ? '' : String(value).replace(/[\t\r\n]+/g, ' ')
+);
+
+const generateXERContent = (tables) => {
+  const settings = EXPORT_SETTINGS.xer;
+  const lines = [[
+    'ERMHDR', settings.version, dateHelpers.getDateStamp(), 'Project', settings.user, settings.user,
+    'dbxDatabaseNoName', 'Project Management', settings.currency
+  ].join('\t')];
+
+  tables.forEach(({ name, fields, records }) => {
+    lines.push(`%T\t${name}`);
+    lines.push(['%F', ...fields].join('\t'));
+    records.forEach(record => {
+      lines.push(['%R', ...fields.map(field => formatXERValue(record[field]))].join('\t'));
+    });
+  });
+  lines.push('%E');
+
+  return lines.join('\r\n') + '\r\n';
+};
+
+// XER WBS codes keep P6's project short name as the first segment ("P5737.3.10"), so items are
+// not run through the numeric-only CSV checks: segments compare naturally (3.9 before 3.10)
+const compareXERCodes = (a, b) => {
+  const segmentsA = a.split('.');
+  const segmentsB = b.split('.');
+  for (let i = 0; i < Math.min(segmentsA.length, segmentsB.length); i++) {
+    const diff = segmentsA[i].localeCompare(segmentsB[i], undefined, { numeric: true });
+    if (diff !== 0) return diff;
+  }
+  return segmentsA.length - segmentsB.length;
+};
+
+// WBS items ready for PROJWBS: cleaned, deduplicated by code and ordered parents first. A parent
+// is an existing node (existingIds by wbs_id, wbsIdByCode by code) or an item placed before it;
+// items whose parent never resolves are kept last so buildPROJWBSRecords reports them
+const prepareXERItems = (items, wbsIdByCode = new Map()) => {
+  const codeById = new Map([...wbsIdByCode].map(([code, id]) => [id, code]));
+  const byCode = new Map();
+  items.forEach(item => {
+    const wbsCode = cleanWBSCode(item.wbs_code);
+    const wbsName = cleanWBSName(item.wbs_name);
+    if (!wbsCode || !wbsName || byCode.has(wbsCode)) return;
+    const parentId = codeById.has(String(item.parent_wbs_id)) ? String(item.parent_wbs_id) : '';
+    byCode.set(wbsCode, {
+      wbs_code: wbsCode,
+      parent_wbs_code: parentId ? codeById.get(parentId) : cleanWBSCode(item.parent_wbs_code),
+      parent_wbs_id: parentId,
+      wbs_name: wbsName
+    });
+  });
+
+  let pending = [...byCode.values()].sort((a, b) => compareXERCodes(a.wbs_code, b.wbs_code));
+  const placedCodes = new Set();
+  const ordered = [];
+  let placedInPass = true;
+
+  while (pending.length > 0 && placedInPass) {
+    const waiting = [];
+    pending.forEach(item => {
+      const parentCode = item.parent_wbs_code;
+      if (!parentCode || item.parent_wbs_id || wbsIdByCode.has(parentCode) || placedCodes.has(parentCode)) {
+        ordered.push(item);
+        placedCodes.add(item.wbs_code);
+      } else {
+        waiting.push(item);
+      }
+    });
+    placedInPass = waiting.length < pending.length;
+    pending = waiting;
+  }
+
+  return [...ordered, ...pending];
+};
+
+// PROJWBS records for WBS items ordered parents first (prepareXERItems). Parents are looked up
+// by wbs_id, then in wbsIdByCode (existing nodes), then among the items; seq_num continues
+// after existing siblings
+const buildPROJWBSRecords = (items, projectId, nextWBSId, wbsIdByCode = new Map(), siblingCounts = {}) => {
+  const newIdByCode = new Map();
+  const unresolved = [];
+
+  const records = items.map(item => {
+    const wbsId = String(nextWBSId++);
+    newIdByCode.set(item.wbs_code, wbsId);
+
+    const parentCode = item.parent_wbs_code || '';
+    const parentId = item.parent_wbs_id ||
+      (parentCode ? (wbsIdByCode.get(parentCode) || newIdByCode.get(parentCode)) : '');
+    if (parentCode && !parentId) unresolved.push(item.wbs_code);
+    siblingCounts[parentCode] = (siblingCounts[parentCode] || 0) + 1;
+
+    return {
+      wbs_id: wbsId,
+      proj_id: projectId,
+      seq_num: siblingCounts[parentCode],
+      proj_node_flag: 'N',
+      status_code: EXPORT_SETTINGS.xer.statusCode,
+      wbs_short_name: item.wbs_code.split('.').pop(),
+      wbs_name: item.wbs_name,
+      parent_wbs_id: parentId
+    };
+  });
+
+  if (unresolved.length > 0) {
+    throw new Error(`${unresolved.length} WBS items have a parent that is not in the WBS: ${unresolved.slice(0, 5).join(', ')}`);
+  }
+  return records;
+};
+
+// XER for a new project from a generated WBS (single root = the project node)
+export const buildProjectXER = (wbsData, options = {}) => {
+  const wbsItems = filterDataForExport(wbsData, { includeNewOnly: false });
+  const data = prepareXERItems(wbsItems);
+  if (data.length === 0) {
+    throw new Error(`No PROJWBS records written - none of the ${wbsItems.length} WBS items has a code and a name`);
+  }
+  const roots = data.filter(item => !item.parent_wbs_code);
+  if (roots.length !== 1) {
+    throw new Error(`XER export needs exactly one project root node, found ${roots.length}`);
+  }
+
+  const projectId = String(options.projectId || EXPORT_SETTINGS.xer.projectId);
+  const projectShortName = options.projectShortName || roots[0].wbs_name;
+  const records = buildPROJWBSRecords(data, projectId, EXPORT_SETTINGS.xer.firstWBSId);
+
+  // The root is the project node
+  const rootRecord = records[data.indexOf(roots[0])];
+  rootRecord.proj_node_flag = 'Y';
+  rootRecord.wbs_short_name = projectShortName;
+
+  return {
+    content: generateXERContent([
+      { name: 'PROJECT', fields: XER_PROJECT_FIELDS, records: [{ proj_id: projectId, proj_short_name: projectShortName, plan_start_date: formatXERDate(options.planStartDate) }] },
+      { name: 'PROJWBS', fields: XER_PROJWBS_FIELDS, records }
+    ]),
+    recordCount: records.length
+  };
+};
+
+// Delta XER with the new WBS items of a comparison. Parents that already exist are referenced by
+// the wbs_id read from the source XER, so the existing project must have been loaded from an XER
+export const buildDeltaXER = (comparisonResult, options = {}) => {
+  const existingProject = comparisonResult?.existingProject || {};
+  const existingWBS = existingProject.wbsStructure || [];
+  const wbsIdByCode = new Map(existingWBS.filter(item => item.wbs_id).map(item => [item.wbs_code, item.wbs_id]));
+  const projectInfo = existingProject.projectInfo || {};
+
+  if (wbsIdByCode.size === 0 || !projectInfo.projectId) {
+    throw new Error('A delta XER needs the WBS ids of the existing project - load it from an XER export');
+  }
+
+  const newItems = comparisonResult.export_ready || [];
+  if (newItems.length === 0) {
+    throw new Error('No new WBS items to export');
+  }
+  const data = prepareXERItems(newItems, wbsIdByCode);
+  if (data.length === 0) {
+    throw new Error(`No PROJWBS records written - none of the ${newItems.length} new WBS items has a code and a name`);
+  }
+
+  // New ids after the highest existing one; seq_num after the existing siblings
+  const highestId = Math.max(0, ...[...wbsIdByCode.values()].map(id => parseInt(id, 10) || 0));
+  const siblingCounts = {};
+  existingWBS.forEach(item => {
+    const parentCode = item.parent_wbs_code || '';
+    siblingCounts[parentCode] = (siblingCounts[parentCode] || 0) + 1;
+  });
+
+  const records = buildPROJWBSRecords(data, projectInfo.projectId, highestId + 1, wbsIdByCode, siblingCounts);
+
+  return {
+    content: generateXERContent([
+      {
+        name: 'PROJECT',
+        fields: XER_PROJECT_FIELDS,
+        records: [{
+          proj_id: projectInfo.projectId,
+          proj_short_name: options.projectShortName || projectInfo.projectName,
+          plan_start_date: formatXERDate(projectInfo.planStartDate)
+        }]
+      },
+      { name: 'PROJWBS', fields: XER_PROJWBS_FIELDS, records }
+    ]),
+    recordCount: records.length
+  };
+};
+
+const getXERFilename = (filename) => {
+  const extension = EXPORT_SETTINGS.xer.extension;
+  const name = filename || `${EXPORT_SETTINGS.filename.prefix}${dateHelpers.getDateStamp()}`;
+  return name.endsWith(extension) ? name : `${name}${extension}`;
+};
+
+export const exportWBSToXER = (wbsData, options = {}) => {
+  try {
+    console.log('EXPORTING WBS AS XER');
+    const { content, recordCount } = buildProjectXER(wbsData, options);
+    const filename = getXERFilename(options.filename);
+    downloadFile(content, filename, 'text/plain;charset=utf-8;');
+    console.log(`XER export completed: ${filename} (${recordCount} WBS records)`);
+
+    return { success: true, filename, recordCount };
+
+  } catch (error) {
+    console.error('XER export failed:', error);
+    throw new Error(`XER export failed: ${error.message}`);
+  }
+};
+
+export const exportComparisonToXER = (comparisonResult, options = {}) => {
+  try {
+    console.log('EXPORTING NEW WBS ITEMS AS DELTA XER');
+    const { content, recordCount } = buildDeltaXER(comparisonResult, options);
+    const filename = getXERFilename(options.filename);
+    downloadFile(content, filename, 'text/plain;charset=utf-8;');
+    console.log(`Delta XER export completed: ${filename} (${recordCount} new WBS records)`);
+
+    return { success: true, filename, recordCount };
+
+  } catch (error) {
+    console.error('Delta XER export failed:', error);
+    throw new Error(`Delta XER export failed: ${error.message}`);
+  }
+};
+
+// Whether a comparison can be exported as a delta XER (existing WBS read from an XER)
+export const canExportDeltaXER = (comparisonResult) => (
+  !!comparisonResult?.existingProject?.projectInfo?.projectId &&
+  (comparisonResult.existingProject.wbsStructure || []).some(item => item.wbs_id)
+);
+
 // Export validation utilities
 export { formatDataForP6, validateExportRequest };
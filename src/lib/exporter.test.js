@@ -0,0 +1,121 @@
+import { categorizeEquipment } from './equipmentProcessor';
+import { generateWBSStructure, continueWBSStructure } from './wbsGenerator';
+import { parseXERFile } from './xerParser';
+import { buildProjectXER, buildDeltaXER, canExportDeltaXER } from './exporter';
+
+const row = (equipmentNumber, subsystem, description = 'Protection relay') => ({
+  equipment_number: equipmentNumber,
+  description,
+  commissioning_yn: 'Y',
+  subsystem,
+  plu_field: ''
+});
+
+const baselineRows = [
+  row('+UH101', 'Sub A - +Z01'),
+  row('-F101', 'Sub A - +Z01', 'Pump'),
+  row('+UH102', 'Sub B - +Z02')
+];
+
+const readTable = (content, tableName) => {
+  const lines = content.split('\r\n');
+  const start = lines.indexOf(`%T\t${tableName}`);
+  const fields = lines[start + 1].split('\t').slice(1);
+  const records = [];
+  for (let i = start + 2; i < lines.length && lines[i].startsWith('%R'); i++) {
+    const values = lines[i].split('\t').slice(1);
+    records.push(Object.fromEntries(fields.map((field, index) => [field, values[index]])));
+  }
+  return records;
+};
+
+const generateProjectXER = async () => {
+  const processed = await categorizeEquipment(baselineRows, {});
+  const generated = await generateWBSStructure(
+    { ...processed, equipment: processed.categorizedEquipment },
+    '5737 Summerfield Project',
+    {}
+  );
+  return buildProjectXER(generated.wbsStructure);
+};
+
+describe('buildProjectXER', () => {
+  test('writes one PROJWBS record per WBS node under a single project node', async () => {
+    const { content, recordCount } = await generateProjectXER();
+    const records = readTable(content, 'PROJWBS');
+
+    expect(recordCount).toBe(records.length);
+    expect(records.filter(record => record.proj_node_flag === 'Y')).toHaveLength(1);
+    expect(records[0]).toMatchObject({ proj_node_flag: 'Y', parent_wbs_id: '', wbs_short_name: '5737 Summerfield Project' });
+
+    const ids = new Set(records.map(record => record.wbs_id));
+    records.slice(1).forEach(record => expect(ids.has(record.parent_wbs_id)).toBe(true));
+  });
+
+  test('throws when no item has a code and a name', () => {
+    expect(() => buildProjectXER([{ wbs_code: '1', wbs_name: '•' }])).toThrow('No PROJWBS records written');
+  });
+});
+
+describe('buildDeltaXER', () => {
+  test('round trip: new items of an XER-loaded project reference the existing wbs_ids', async () => {
+    const { content } = await generateProjectXER();
+    const existing = await parseXERFile(content);
+    expect(existing.data[1].wbs_code).toBe('5737 Summerfield Project.1');
+
+    const updatedRows = [...baselineRows, row('+UH103', 'Sub A - +Z01'), row('+UH201', 'Sub C - +Z03')];
+    const comparison = await continueWBSStructure(existing.data, updatedRows, existing.projectInfo, {});
+    expect(canExportDeltaXER(comparison)).toBe(true);
+
+    const delta = buildDeltaXER(comparison);
+    const records = readTable(delta.content, 'PROJWBS');
+    expect(delta.recordCount).toBe(comparison.export_ready.length);
+    expect(records).toHaveLength(comparison.export_ready.length);
+
+    const existingIds = new Set(existing.data.map(item => item.wbs_id));
+    const highestExistingId = Math.max(...[...existingIds].map(Number));
+    const writtenIds = new Set();
+    records.forEach(record => {
+      expect(Number(record.wbs_id)).toBeGreaterThan(highestExistingId);
+      // Parents come before their children
+      expect(existingIds.has(record.parent_wbs_id) || writtenIds.has(record.parent_wbs_id)).toBe(true);
+      writtenIds.add(record.wbs_id);
+    });
+  });
+
+  test('orders parents first and resolves them by wbs_id or code', () => {
+    const comparison = {
+      existingProject: {
+        projectInfo: { projectId: '7', projectName: 'P5737' },
+        wbsStructure: [
+          { wbs_id: '100', wbs_code: 'P5737', parent_wbs_code: '', wbs_name: 'Project' },
+          { wbs_id: '101', wbs_code: 'P5737.3', parent_wbs_code: 'P5737', wbs_name: 'S1' }
+        ]
+      },
+      export_ready: [
+        { wbs_code: 'P5737.3.10.1', parent_wbs_code: 'P5737.3.10', wbs_name: 'Child' },
+        { wbs_code: 'P5737.3.10', parent_wbs_code: 'P5737.3', wbs_name: 'Ten' },
+        { wbs_code: 'P5737.3.9', parent_wbs_id: '101', wbs_name: 'Nine' }
+      ]
+    };
+
+    const records = readTable(buildDeltaXER(comparison).content, 'PROJWBS');
+
+    expect(records.map(record => record.wbs_short_name)).toEqual(['9', '10', '1']);
+    expect(records[0]).toMatchObject({ wbs_id: '102', parent_wbs_id: '101', seq_num: '1' });
+    expect(records[1]).toMatchObject({ wbs_id: '103', parent_wbs_id: '101', seq_num: '2' });
+    expect(records[2]).toMatchObject({ wbs_id: '104', parent_wbs_id: '103' });
+  });
+
+  test('throws when a parent cannot be resolved', () => {
+    const comparison = {
+      existingProject: {
+        projectInfo: { projectId: '7' },
+        wbsStructure: [{ wbs_id: '100', wbs_code: 'P5737', parent_wbs_code: '', wbs_name: 'Project' }]
+      },
+      export_ready: [{ wbs_code: 'P5737.4.1', parent_wbs_code: 'P5737.4', wbs_name: 'Orphan' }]
+    };
+
+    expect(() => buildDeltaXER(comparison)).toThrow('parent that is not in the WBS');
+  });
+});
@@ -1,6 +1,15 @@
 import Papa from 'papaparse';
 import * as XLSX from 'xlsx';
-import { parseXERFile } from './xerParser.js';
+import { parseXERFile, readXERProjects } from './xerParser.js';
+import { findDuplicateEquipment } from './duplicateEquipment';
+import {
+  normalizeHeader,
+  proposeColumnMapping,
+  MAPPING_CONFIDENCE,
+  validateColumnMapping,
+  applyColumnMapping,
+  EQUIPMENT_FIELDS
+} from './columnMapper';
 
 /**
  * Enhanced File Parser with Better XER Detection
@@ -8,8 +17,31 @@ import { parseXERFile } from './xerParser.js';
  * ENHANCED: Better detection of XER files regardless of extension
  * ENHANCED: Comprehensive logging for debugging
  * ENHANCED: Support for both .xer and .txt extensions for XER files
+ * ENHANCED: Equipment rows carry where they came from - `source_file`, `source_sheet`
+ *           (Excel only) and `source_row` (spreadsheet row number, header = row 1) -
+ *           and repeated tags are reported as `duplicates`
  */
 
+const SOURCE_FIELDS = ['source_file', 'source_sheet', 'source_row'];
+
+// Whether a parsed row has any content (ignores the source fields added by the parser)
+const hasRowContent = (item) => Object.entries(item).some(([key, value]) =>
+  !SOURCE_FIELDS.includes(key) && value && value.toString().trim() !== ''
+);
+
+// Human-readable source of an equipment record or WBS node, e.g. "Register.xlsx › Equipment › row 12"
+export const formatSourceLocation = (item) => {
+  const hasRow = item?.source_row !== undefined && item?.source_row !== null;
+  if (!item || (!hasRow && !item.source_file)) {
+    return '';
+  }
+  return [
+    item.source_file,
+    item.source_sheet,
+    hasRow ? `row ${item.source_row}` : null
+  ].filter(Boolean).join(' › ');
+};
+
 // Enhanced file type detection with XER content analysis
 const detectFileType = (filename, content = '', fileBuffer = null) => {
   console.log('=== DETECTING FILE TYPE ===');
@@ -61,6 +93,10 @@ const detectFileType = (filename, content = '', fileBuffer = null) => {
     } else if (headers.includes('equipment') || headers.includes('description')) {
       console.log('✅ Detected as equipment list CSV');
       return 'equipment_list';
+    } else if (lines[0].trim() !== '') {
+      // ENHANCED: Non-standard headers ("Tag No.", "Equip ID") are resolved by the column mapping
+      console.log('✅ Treating as equipment list CSV with non-standard headers');
+      return 'equipment_list';
     }
   }
   
@@ -106,7 +142,11 @@ const isXERContent = (content) => {
 };
 
 // Main parser dispatcher with enhanced logging
-export const parseFile = async (file) => {
+// ENHANCED: options.columnMapping (confirmed mapping for this file) and options.columnMappings
+// (saved mappings by header signature) map non-standard headers - see lib/columnMapper.js.
+// options.sheetSelection { sheets, headerRow, sheetAsSubsystem } picks and merges Excel sheets.
+// options.xerProjectId picks the project of a multi-project XER export
+export const parseFile = async (file, options = {}) => {
   try {
     console.log('=== STARTING FILE PARSING ===');
     console.log('File details:', {
@@ -132,7 +172,7 @@ export const parseFile = async (file) => {
       console.log('Processing as Excel file...');
       return {
         type: 'equipment_list',
-        ...(await parseExcelFile(fileBuffer, file.name))
+        ...(await parseExcelFile(fileBuffer, file.name, options))
       };
     }
 
@@ -157,12 +197,12 @@ export const parseFile = async (file) => {
         console.log('Processing as equipment list CSV...');
         return {
           type: 'equipment_list',
-          ...(await parseCSVEquipmentList(content))
+          ...(await parseCSVEquipmentList(content, file.name, options))
         };
         
       case 'xer':
         console.log('Processing as XER file...');
-        return await parseXERFile(content);
+        return await parseXERFile(content, { projectId: options.xerProjectId || null });
         
       case 'existing_project':
         console.log('Processing as existing project CSV...');
@@ -186,75 +226,231 @@ export const parseFile = async (file) => {
   }
 };
 
+// ENHANCED: Headers and a few sample rows of an equipment list for the column mapping step.
+// Returns null for files that are not equipment lists (XER etc.)
+export const readEquipmentListHeaders = async (file, sampleSize = 3, options = {}) => {
+  try {
+    const fileBuffer = await new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = (e) => resolve(e.target.result);
+      reader.onerror = (e) => reject(e);
+      reader.readAsArrayBuffer(file);
+    });
+
+    if (detectFileType(file.name, '', fileBuffer) === 'excel_equipment_list') {
+      const workbook = readWorkbook(fileBuffer);
+      const headers = [];
+      let sampleRows = [];
+      getSelectedSheets(workbook, options.sheetSelection).forEach(sheetName => {
+        const sheet = readSheetRows(workbook, sheetName, file.name, options.sheetSelection?.headerRow);
+        sheet.headers.forEach(header => {
+          if (!headers.includes(header)) headers.push(header);
+        });
+        sampleRows = sampleRows.concat(sheet.equipment.slice(0, sampleSize));
+      });
+      return { headers, sampleRows: sampleRows.slice(0, sampleSize) };
+    }
+
+    const content = await new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = (e) => resolve(e.target.result);
+      reader.onerror = (e) => reject(e);
+      reader.readAsText(file);
+    });
+    if (detectFileType(file.name, content) !== 'equipment_list') {
+      return null;
+    }
+
+    const results = Papa.parse(content, {
+      header: true,
+      preview: sampleSize,
+      skipEmptyLines: true,
+      delimitersToGuess: [',', '\t', '|', ';'],
+      transformHeader: (header) => normalizeHeader(header)
+    });
+    return { headers: (results.meta.fields || []).filter(Boolean), sampleRows: results.data };
+
+  } catch (error) {
+    console.error('Reading equipment list headers failed:', error);
+    throw new Error(`Could not read column headers: ${error.message}`);
+  }
+};
+
+const readWorkbook = (fileBuffer) => XLSX.read(fileBuffer, {
+  type: 'buffer',
+  cellDates: true,
+  cellNF: false,
+  cellText: false
+});
+
+// Sheets named in the selection that exist in the workbook. Without a selection, the first
+// sheet with an equipment number column (skips cover sheets), else the first sheet
+const getSelectedSheets = (workbook, sheetSelection) => {
+  const selected = (sheetSelection?.sheets || []).filter(name => workbook.SheetNames.includes(name));
+  if (selected.length > 0) return selected;
+
+  const equipmentSheet = workbook.SheetNames.find(name =>
+    readSheetRows(workbook, name, null, sheetSelection?.headerRow).hasEquipmentColumn
+  );
+  return [equipmentSheet || workbook.SheetNames[0]];
+};
+
+// Header row = first of the top rows with a column that is clearly the equipment number
+// (exact or known alias), so cover rows like "Equipment Register" above the table are skipped
+const detectHeaderRowIndex = (rows, maxRows = 10) => {
+  const index = rows.slice(0, maxRows).findIndex(row => {
+    const proposal = proposeColumnMapping(Array.from(row || [], cell => normalizeHeader(cell)));
+    const reason = proposal.confidence.equipment_number;
+    return reason === MAPPING_CONFIDENCE.EXACT || reason === MAPPING_CONFIDENCE.ALIAS;
+  });
+  return index === -1 ? 0 : index;
+};
+
+// ENHANCED: Headers and equipment rows of one sheet. headerRow is the 1-based row number in
+// the sheet; without it the header row is detected
+const readSheetRows = (workbook, sheetName, filename, headerRow = null) => {
+  const worksheet = workbook.Sheets[sheetName];
+  if (!worksheet || !worksheet['!ref']) {
+    return { headers: [], equipment: [], headerRow: null, hasEquipmentColumn: false };
+  }
+
+  // sheet_to_json starts at the first used row, which is not always row 1
+  const firstRow = XLSX.utils.decode_range(worksheet['!ref']).s.r;
+  const jsonData = XLSX.utils.sheet_to_json(worksheet, {
+    header: 1,
+    raw: false,
+    dateNF: 'yyyy-mm-dd',
+    blankrows: true
+  });
+
+  const headerIndex = headerRow
+    ? Math.max(headerRow - 1 - firstRow, 0)
+    : detectHeaderRowIndex(jsonData);
+  const headers = Array.from(jsonData[headerIndex] || [], header => normalizeHeader(header));
+
+  const equipment = jsonData.slice(headerIndex + 1)
+    .map((row, index) => {
+      const item = {};
+      headers.forEach((header, colIndex) => {
+        if (header) {
+          item[header] = row?.[colIndex] || '';
+        }
+      });
+      item.source_file = filename;
+      item.source_sheet = sheetName;
+      item.source_row = firstRow + headerIndex + index + 2; // 1-based, first row after the header
+      return item;
+    })
+    .filter(hasRowContent);
+
+  const reason = proposeColumnMapping(headers).confidence.equipment_number;
+
+  return {
+    headers: headers.filter(Boolean),
+    equipment,
+    headerRow: firstRow + headerIndex + 1,
+    hasEquipmentColumn: reason === MAPPING_CONFIDENCE.EXACT || reason === MAPPING_CONFIDENCE.ALIAS
+  };
+};
+
+// ENHANCED: Projects of an XER export, for project selection. Returns null for files that are not XER
+export const readXERProjectList = async (file) => {
+  try {
+    const content = await new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = (e) => resolve(e.target.result);
+      reader.onerror = (e) => reject(e);
+      reader.readAsText(file);
+    });
+
+    if (detectFileType(file.name, content) !== 'xer') {
+      return null;
+    }
+
+    return readXERProjects(content);
+
+  } catch (error) {
+    console.error('Reading XER projects failed:', error);
+    throw new Error(`Could not read XER projects: ${error.message}`);
+  }
+};
+
+// ENHANCED: Every sheet of an Excel workbook with its equipment row count, for sheet selection.
+// Returns null for files that are not Excel workbooks
+export const readWorkbookSheets = async (file) => {
+  try {
+    const fileBuffer = await new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = (e) => resolve(e.target.result);
+      reader.onerror = (e) => reject(e);
+      reader.readAsArrayBuffer(file);
+    });
+
+    if (detectFileType(file.name, '', fileBuffer) !== 'excel_equipment_list') {
+      return null;
+    }
+
+    const workbook = readWorkbook(fileBuffer);
+    return workbook.SheetNames.map(name => {
+      const sheet = readSheetRows(workbook, name, file.name);
+      return {
+        name,
+        rowCount: sheet.equipment.length,
+        headerRow: sheet.headerRow,
+        hasEquipmentColumn: sheet.hasEquipmentColumn
+      };
+    });
+
+  } catch (error) {
+    console.error('Reading workbook sheets failed:', error);
+    throw new Error(`Could not read workbook sheets: ${error.message}`);
+  }
+};
+
 // Excel file parser with enhanced logging
-const parseExcelFile = (fileBuffer, filename) => {
+const parseExcelFile = (fileBuffer, filename, options = {}) => {
   return new Promise((resolve, reject) => {
     try {
       console.log('=== PARSING EXCEL FILE ===');
       console.log('File:', filename);
       
-      const workbook = XLSX.read(fileBuffer, { 
-        type: 'buffer',
-        cellDates: true,
-        cellNF: false,
-        cellText: false
-      });
+      const workbook = readWorkbook(fileBuffer);
       
       console.log('Workbook loaded, sheets:', workbook.SheetNames);
       
-      const sheetName = workbook.SheetNames[0];
-      const worksheet = workbook.Sheets[sheetName];
-      
-      console.log('Processing sheet:', sheetName);
-      
-      const jsonData = XLSX.utils.sheet_to_json(worksheet, { 
-        header: 1,
-        raw: false,
-        dateNF: 'yyyy-mm-dd'
-      });
-      
-      console.log('Raw data rows:', jsonData.length);
-      
-      if (jsonData.length < 2) {
-        throw new Error('Excel file must have at least a header row and one data row');
-      }
-      
-      const headers = jsonData[0].map(header => 
-        header ? header.toString().toLowerCase().replace(/\s+/g, '_') : ''
-      );
-      
-      console.log('Headers:', headers);
-      
-      const equipment = jsonData.slice(1)
-        .map((row, index) => {
-          const item = {};
-          headers.forEach((header, colIndex) => {
-            if (header) {
-              item[header] = row[colIndex] || '';
-            }
-          });
-          return item;
-        })
-        .filter(item => {
-          return Object.values(item).some(value => 
-            value && value.toString().trim() !== ''
-          );
+      // ENHANCED: One or more sheets merged into one list - see options.sheetSelection
+      const selectedSheets = getSelectedSheets(workbook, options.sheetSelection);
+      const headers = [];
+      let equipment = [];
+
+      selectedSheets.forEach(sheetName => {
+        const sheet = readSheetRows(workbook, sheetName, filename, options.sheetSelection?.headerRow);
+        console.log(`Processing sheet "${sheetName}": header row ${sheet.headerRow}, ${sheet.equipment.length} rows`);
+        console.log('Headers:', sheet.headers);
+
+        sheet.headers.forEach(header => {
+          if (!headers.includes(header)) headers.push(header);
         });
+        equipment = equipment.concat(sheet.equipment);
+      });
 
       console.log('Processed equipment count:', equipment.length);
       
       if (equipment.length === 0) {
-        throw new Error('No valid equipment data found in Excel file');
+        throw new Error(`No valid equipment data found in Excel file (sheets: ${selectedSheets.join(', ')})`);
       }
       
          // Process the equipment data
-    processEquipmentData(equipment, headers)
+    processEquipmentData(equipment, headers, options)
       .then(result => {
         resolve({
           hasData: result.hasData,
           data: result.data,
           dataLength: result.dataLength,
           originalHeaders: result.originalHeaders,
+          duplicates: result.duplicates,
+          columnMapping: result.columnMapping,
+          sheets: selectedSheets,
           type: 'equipment_list'
         });
       })
@@ -268,7 +464,7 @@ const parseExcelFile = (fileBuffer, filename) => {
 };
 
 // CSV Equipment List Parser with enhanced logging
-export const parseCSVEquipmentList = (csvContent) => {
+export const parseCSVEquipmentList = (csvContent, filename = null, options = {}) => {
   return new Promise((resolve, reject) => {
     try {
       console.log('=== PARSING CSV EQUIPMENT LIST ===');
@@ -277,13 +473,9 @@ export const parseCSVEquipmentList = (csvContent) => {
       Papa.parse(csvContent, {
         header: true,
         dynamicTyping: true,
-        skipEmptyLines: true,
+        skipEmptyLines: false, // Keep blank lines so source_row matches the file; they are filtered below
         delimitersToGuess: [',', '\t', '|', ';'],
-        transformHeader: (header) => {
-          return header.trim().toLowerCase()
-            .replace(/\s+/g, '_')
-            .replace(/[^a-z0-9_]/g, '');
-        },
+        transformHeader: (header) => normalizeHeader(header),
         transform: (value, header) => {
           if (typeof value === 'string') {
             return value.trim();
@@ -298,14 +490,15 @@ export const parseCSVEquipmentList = (csvContent) => {
               console.warn('CSV parsing warnings:', results.errors);
             }
 
-            let equipment = results.data;
+            let equipment = results.data.map((item, index) => ({
+              ...item,
+              source_file: filename,
+              source_sheet: null,
+              source_row: index + 2 // Row 1 is the header
+            }));
             console.log('Raw parsed data:', equipment.length, 'rows');
             
-            equipment = equipment.filter(item => {
-              return Object.values(item).some(value => 
-                value && value.toString().trim() !== ''
-              );
-            });
+            equipment = equipment.filter(hasRowContent);
 
             console.log('Filtered equipment:', equipment.length, 'rows');
 
@@ -313,7 +506,7 @@ export const parseCSVEquipmentList = (csvContent) => {
               throw new Error('No valid equipment data found in CSV file');
             }
 
-            processEquipmentData(equipment, results.meta.fields || [])
+            processEquipmentData(equipment, results.meta.fields || [], options)
               .then(result => {
                 console.log('CSV processing complete:', result);
                 resolve({
@@ -321,6 +514,8 @@ export const parseCSVEquipmentList = (csvContent) => {
                   data: result.data,
                   dataLength: result.dataLength,
                   originalHeaders: result.originalHeaders,
+                  duplicates: result.duplicates,
+                  columnMapping: result.columnMapping,
                   type: 'equipment_list'
                 });
               })
@@ -345,20 +540,43 @@ export const parseCSVEquipmentList = (csvContent) => {
 };
 
 // Shared data processing function with enhanced logging
-const processEquipmentData = (equipment, originalHeaders) => {
+const processEquipmentData = (equipment, originalHeaders, options = {}) => {
   return new Promise((resolve, reject) => {
     try {
       console.log('=== PROCESSING EQUIPMENT DATA ===');
       console.log('Input:', equipment.length, 'items');
       console.log('Original headers:', originalHeaders);
-      
+
+      // ENHANCED: Map the file's headers onto the canonical equipment fields
+      const proposal = proposeColumnMapping(originalHeaders, options.columnMappings || {});
+      const columnMapping = options.columnMapping
+        ? { ...proposal, mapping: { ...proposal.mapping, ...options.columnMapping }, isConfirmed: true }
+        : proposal;
+      console.log('Column mapping:', columnMapping.mapping);
+
+      // Only the equipment number is essential here - other gaps are reported as warnings
+      if (!columnMapping.mapping.equipment_number) {
+        throw new Error(`No column mapped to Equipment Number. Detected columns: ${originalHeaders.join(', ')}`);
+      }
+      const mappingValidation = validateColumnMapping(columnMapping.mapping);
+      if (!mappingValidation.isValid) {
+        console.warn('Column mapping problems:', mappingValidation.errors);
+      }
+
+      // ENHANCED: Optionally use the sheet name as the subsystem where the row has none
+      const useSheetAsSubsystem = !!options.sheetSelection?.sheetAsSubsystem;
+      const mappedEquipment = applyColumnMapping(equipment, columnMapping.mapping).map(item =>
+        useSheetAsSubsystem && item.source_sheet && String(item.subsystem ?? '').trim() === ''
+          ? { ...item, subsystem: item.source_sheet }
+          : item
+      );
+
       // Filter valid equipment
-      const validEquipment = equipment.filter(item => {
-        const possibleIds = ['equipment_number', 'equipment_no', 'equipment_code', 'code', 'equipment', 'tag', 'id'];
-        return possibleIds.some(field => 
-          item[field] && item[field].toString().trim() !== ''
-        );
-      });
+      const validEquipment = mappedEquipment.filter(item =>
+        item.equipment_number !== undefined &&
+        item.equipment_number !== null &&
+        item.equipment_number.toString().trim() !== ''
+      );
 
       console.log('Valid equipment after filtering:', validEquipment.length);
 
@@ -380,12 +598,20 @@ const processEquipmentData = (equipment, originalHeaders) => {
         console.warn('Missing required fields:', validation.missingFields);
       }
 
+      // ENHANCED: Report repeated tags now - the project's duplicate policy resolves them in categorisation
+      const duplicates = findDuplicateEquipment(validEquipment);
+      if (duplicates.length > 0) {
+        console.warn(`${duplicates.length} equipment numbers appear on more than one row`);
+      }
+
       resolve({
         hasData: validEquipment.length > 0,
         data: validEquipment,
         dataLength: validEquipment.length,
         originalHeaders: originalHeaders,
         validation: validation,
+        duplicates: duplicates,
+        columnMapping: columnMapping,
         totalItems: validEquipment.length
       });
 
@@ -400,8 +626,8 @@ const processEquipmentData = (equipment, originalHeaders) => {
 const validateHeaders = (headers) => {
   console.log('Validating headers:', headers);
   
-  const required = ['equipment_number', 'description'];
-  const optional = ['parent_equipment_number', 'commissioning_yn', 'subsystem', 'plu_field'];
+  const required = EQUIPMENT_FIELDS.filter(field => field.required).map(field => field.key);
+  const optional = EQUIPMENT_FIELDS.filter(field => !field.required).map(field => field.key);
   
   const missingRequired = required.filter(field => !headers.includes(field));
   const missingOptional = optional.filter(field => !headers.includes(field));
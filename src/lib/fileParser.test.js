@@ -0,0 +1,73 @@
+import * as XLSX from 'xlsx';
+import { parseFile, parseCSVEquipmentList, formatSourceLocation, readWorkbookSheets } from './fileParser';
+
+// Workbook File with one array-of-rows per sheet
+const workbookFile = (sheets, name = 'Register.xlsx') => {
+  const workbook = XLSX.utils.book_new();
+  Object.entries(sheets).forEach(([sheetName, rows]) => {
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), sheetName);
+  });
+  return new File([XLSX.write(workbook, { type: 'array', bookType: 'xlsx' })], name);
+};
+
+describe('source row traceability', () => {
+  test('CSV rows keep the file name and spreadsheet row number, blank lines included', async () => {
+    const csv = [
+      'Equipment Number,Description,Commissioning (Y/N),Subsystem',
+      '+UH101,Switchboard,Y,Sub A - +Z01',
+      '',
+      '+UH102,Switchboard,Y,Sub A - +Z01'
+    ].join('\n');
+
+    const result = await parseCSVEquipmentList(csv, 'Register.csv');
+
+    expect(result.data.map(item => [item.equipment_number, item.source_file, item.source_sheet, item.source_row])).toEqual([
+      ['+UH101', 'Register.csv', null, 2],
+      ['+UH102', 'Register.csv', null, 4]
+    ]);
+  });
+
+  test('formatSourceLocation joins the parts that are known', () => {
+    expect(formatSourceLocation({ source_file: 'Register.xlsx', source_sheet: 'Equipment', source_row: 12 }))
+      .toBe('Register.xlsx › Equipment › row 12');
+    expect(formatSourceLocation({ source_file: 'Register.csv', source_sheet: null, source_row: 0 })).toBe('Register.csv › row 0');
+    expect(formatSourceLocation({ equipment_number: '+UH101' })).toBe('');
+    expect(formatSourceLocation(null)).toBe('');
+  });
+});
+
+describe('sheet selection', () => {
+  const register = () => workbookFile({
+    Cover: [['Equipment Register'], ['Revision', 'C']],
+    'Area 1': [['Area 1 Equipment'], [], ['Tag No.', 'Description', 'Commissioning', 'Subsystem'], ['+UH101', 'Switchboard', 'Y', 'Sub A - +Z01']],
+    'Area 2': [['Tag No.', 'Description', 'Commissioning', 'Subsystem'], ['+UH201', 'Switchboard', 'Y', ''], ['+UH202', 'Switchboard', 'Y', '']]
+  });
+
+  test('every sheet is listed with its detected header row and row count', async () => {
+    const sheets = await readWorkbookSheets(register());
+
+    expect(sheets).toEqual([
+      { name: 'Cover', rowCount: 1, headerRow: 1, hasEquipmentColumn: false },
+      { name: 'Area 1', rowCount: 1, headerRow: 3, hasEquipmentColumn: true },
+      { name: 'Area 2', rowCount: 2, headerRow: 1, hasEquipmentColumn: true }
+    ]);
+  });
+
+  test('without a selection the first sheet with an equipment column is read', async () => {
+    const result = await parseFile(register());
+
+    expect(result.sheets).toEqual(['Area 1']);
+    expect(result.data.map(item => [item.equipment_number, item.source_sheet, item.source_row])).toEqual([['+UH101', 'Area 1', 4]]);
+  });
+
+  test('selected sheets are merged and can supply the missing subsystem', async () => {
+    const result = await parseFile(register(), { sheetSelection: { sheets: ['Area 1', 'Area 2'], sheetAsSubsystem: true } });
+
+    expect(result.sheets).toEqual(['Area 1', 'Area 2']);
+    expect(result.data.map(item => [item.equipment_number, item.subsystem, item.source_row])).toEqual([
+      ['+UH101', 'Sub A - +Z01', 4],
+      ['+UH201', 'Area 2', 2],
+      ['+UH202', 'Area 2', 3]
+    ]);
+  });
+});
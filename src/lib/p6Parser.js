@@ -3,10 +3,13 @@
  * 
  * Based on existing file structure - maintains all existing variable names and patterns
  * ONLY FIXED: Subsystem extraction regex to properly detect +Z01 subsystem
+ * ENHANCED: Subsystem names are read by the shared subsystem parser (lib/subsystemParser.js)
  */
 
+import { DEFAULT_SUBSYSTEM_FORMATS, parseSubsystemWBSName } from './subsystemParser';
+
 // Main P6 paste parsing function - FIXED: Enhanced subsystem detection
-export const parseP6PasteData = (pasteContent) => {
+export const parseP6PasteData = (pasteContent, options = {}) => {
   return new Promise((resolve, reject) => {
     try {
       console.log('=== STARTING P6 PASTE PARSING ===');
@@ -35,12 +38,12 @@ export const parseP6PasteData = (pasteContent) => {
 
       // Step 5: Extract project info
       console.log('\n=== STEP 5: EXTRACTING PROJECT INFO ===');
-      const projectInfo = extractProjectInfo(pasteContent);
+      const projectInfo = extractProjectInfo(pasteContent, finalStructure);
       console.log(`✅ Project info:`, projectInfo);
 
       // Step 6: FIXED - Extract equipment & subsystem data
       console.log('\n=== STEP 6: EXTRACTING EQUIPMENT & SUBSYSTEM DATA ===');
-      const enhancedData = extractEquipmentAndSubsystemData(finalStructure);
+      const enhancedData = extractEquipmentAndSubsystemData(finalStructure, options.subsystemFormats);
       console.log('✅ Equipment and subsystem extraction completed');
 
       // Step 7: Build final result
@@ -241,7 +244,9 @@ const validateAndSortWBS = (wbsStructure) => {
 };
 
 // Extract project info from P6 paste data
-const extractProjectInfo = (content) => {
+// ENHANCED: projectCode is the root WBS code - P6 shows the project short name there, so it
+// matches the projectCode of an XER export of the same project
+const extractProjectInfo = (content, wbsStructure = []) => {
   console.log('Extracting project info from P6 data...');
   
   const lines = content.split('\n');
@@ -265,8 +270,11 @@ const extractProjectInfo = (content) => {
     }
   }
 
+  const projectCode = wbsStructure[0]?.wbs_code.split('.')[0] || null;
+
   return {
     projectName: projectName,
+    projectCode: projectCode,
     extractedAt: new Date().toISOString(),
     source: 'p6_paste',
     stats: {
@@ -277,8 +285,8 @@ const extractProjectInfo = (content) => {
 };
 
 // FIXED: Extract equipment codes AND subsystems from P6 WBS structure
-// This is the KEY FIX - updated regex to match your P6 format
-const extractEquipmentAndSubsystemData = (wbsStructure) => {
+// ENHANCED: Subsystem names go through lib/subsystemParser.js (same formats as the equipment list)
+const extractEquipmentAndSubsystemData = (wbsStructure, subsystemFormats = DEFAULT_SUBSYSTEM_FORMATS) => {
   console.log('ENHANCED: Extracting equipment codes and subsystems from P6 WBS structure...');
   
   const equipmentCodes = [];
@@ -296,15 +304,17 @@ const extractEquipmentAndSubsystemData = (wbsStructure) => {
         const equipmentCode = parts[0].trim();
         const description = parts.slice(1).join('|').trim();
         
-        // Skip structural items (M |, P |, S1 |, etc.) but keep equipment codes
-        if (equipmentCode && !equipmentCode.match(/^(M|P|S\d+|\d+)\s*$/)) {
+        // Skip structural items (M |, P |, E |, S1 |, etc.) but keep equipment codes
+        if (equipmentCode && !equipmentCode.match(/^(M|P|E|S\d+|\d+)\s*$/)) {
           equipmentCodes.push(equipmentCode);
           equipmentMapping[equipmentCode] = {
             wbs_code: wbsCode,
             wbs_name: wbsName,
             parent_wbs_code: item.parent_wbs_code || '',
             description: description,
-            level: item.level || wbsCode.split('.').length
+            level: item.level || wbsCode.split('.').length,
+            // ENHANCED: Activities under the equipment node (XER imports only)
+            activity_count: item.total_activity_count || 0
           };
           
           console.log(`Equipment found: ${equipmentCode} at WBS ${wbsCode}`);
@@ -312,27 +322,25 @@ const extractEquipmentAndSubsystemData = (wbsStructure) => {
       }
     }
     
-    // FIXED: Extract subsystems - Updated regex for your exact P6 format
-    // Your format: "S1 | +Z01 - 33kV Switchroom 1" 
-    if (wbsName.match(/^S\d+\s*\|\s*\+Z\d+\s*-/)) {
-      const subsystemMatch = wbsName.match(/^(S\d+)\s*\|\s*(\+Z\d+)\s*-\s*(.*)/);
-      if (subsystemMatch) {
-        const subsystemNumber = subsystemMatch[1]; // S1, S2, etc.
-        const subsystemCode = subsystemMatch[2];   // +Z01, +Z02, etc.  
-        const subsystemName = subsystemMatch[3].trim(); // 33kV Switchroom 1
-        
-        existingSubsystems[subsystemCode] = {
-          number: subsystemNumber,
-          code: subsystemCode,
-          name: subsystemName,
-          full_name: wbsName,
-          wbs_code: wbsCode,
-          parent_wbs_code: item.parent_wbs_code || '',
-          level: item.level || wbsCode.split('.').length
-        };
-        
-        console.log(`SUBSYSTEM FOUND: ${subsystemCode} (${subsystemNumber}) - ${subsystemName} at WBS ${wbsCode}`);
-      }
+    // ENHANCED: Subsystems are read by the shared subsystem parser - "S1 | +Z01 - Name" (P6)
+    // and "S1 | +Z01 | Name" (generated); codes are normalised so "Z1" matches "+Z01"
+    const subsystem = parseSubsystemWBSName(wbsName, subsystemFormats);
+    if (subsystem) {
+      const subsystemNumber = `S${subsystem.number}`; // S1, S2, etc.
+      const subsystemCode = subsystem.code;           // +Z01, +Z02, etc.
+      const subsystemName = subsystem.name;           // 33kV Switchroom 1
+      
+      existingSubsystems[subsystemCode] = {
+        number: subsystemNumber,
+        code: subsystemCode,
+        name: subsystemName,
+        full_name: wbsName,
+        wbs_code: wbsCode,
+        parent_wbs_code: item.parent_wbs_code || '',
+        level: item.level || wbsCode.split('.').length
+      };
+      
+      console.log(`SUBSYSTEM FOUND: ${subsystemCode} (${subsystemNumber}) - ${subsystemName} at WBS ${wbsCode}`);
     }
   });
   
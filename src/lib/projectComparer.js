@@ -1,6 +1,10 @@
 import { arrayHelpers, stringHelpers, wbsHelpers } from '../utils';
 import { categorizeEquipment } from './equipmentProcessor';
 import { EQUIPMENT_CATEGORIES, WBS_LEVEL_COLORS, BRAND_COLORS } from '../constants';
+import { getCategorySegment, detectNumberingScheme, getCategoryIdFromName, getStandardCategoryIds, DEFAULT_NUMBERING_SCHEME } from './wbsNumbering';
+import { isOutOfScopeSectionName } from './wbsTemplates';
+import { parseSubsystemValue, formatSubsystemFullName } from './subsystemParser';
+import { getCategoryStructuralItems } from './wbsGenerator';
 let createdSubsystems = new Map();
 
 /**
@@ -15,36 +19,16 @@ let createdSubsystems = new Map();
 
 // HELPER FUNCTIONS - Defined first to avoid "not defined" errors
 
-// FIXED: Parse subsystem code from column data
-function parseSubsystemCode(subsystemColumn) {
-  if (!subsystemColumn) return '';
-  
-  // FIXED: Parse format: "33kV Switchroom 1 - +Z01" → "+Z01"
-  const parts = subsystemColumn.split(' - ');
-  if (parts.length >= 2) {
-    const code = parts[parts.length - 1].trim();
-    // Validate subsystem code format (+Z01, +Z02, etc.)
-    if (/^\+Z\d+$/.test(code)) {
-      return code;
-    }
-  }
-  
-  return '';
-}
-
-// Parse subsystem name and code from column data  
-function parseSubsystemFromColumn(subsystemColumn) {
+// ENHANCED: Parse subsystem name and code from column data with the shared subsystem parser
+// The processed equipment's subsystem mapping (configured formats) wins over the default formats
+function parseSubsystemFromColumn(subsystemColumn, subsystemMapping = {}) {
   if (!subsystemColumn) return { name: '', code: '' };
-  
-  // Parse format: "33kV Switchroom 1 - +Z01"
-  const parts = subsystemColumn.split(' - ');
-  if (parts.length >= 2) {
-    const name = parts.slice(0, -1).join(' - ').trim();
-    const code = parts[parts.length - 1].trim();
-    return { name, code };
-  }
-  
-  return { name: subsystemColumn, code: '' };
+
+  const mapped = subsystemMapping[subsystemColumn];
+  if (mapped) return { name: mapped.name, code: mapped.code };
+
+  const { name, code } = parseSubsystemValue(subsystemColumn);
+  return { name, code };
 }
 
 // Get next available subsystem number
@@ -108,12 +92,17 @@ function createFallbackWBSItem(equipment) {
     equipment_number: equipment.equipment_number,
     description: equipment.description,
     commissioning_yn: equipment.commissioning_yn,
+    newly_in_scope: !!equipment.newly_in_scope,
     category: equipment.category || '99',
     category_name: equipment.category_name || 'Unrecognised Equipment',
     level: 2,
     is_equipment: true,
     is_structural: false,
     subsystem: equipment.subsystem,
+    classification: equipment.classification,
+    is_overridden: !!equipment.is_overridden,
+    overridden_fields: equipment.overridden_fields || [],
+    original_values: equipment.original_values || {},
     isNew: true
   };
 }
@@ -195,18 +184,63 @@ function extractEquipmentCodesFromP6(existingProject) {
   return extractedCodes;
 }
 
+// ENHANCED: Equipment codes under an "OOS | Out of Scope" section of the existing WBS
+function extractOutOfScopeCodesFromP6(existingProject) {
+  const wbsStructure = existingProject.wbsStructure || [];
+  const sectionCodes = wbsStructure
+    .filter(item => !item.equipment_number && isOutOfScopeSectionName(item.wbs_name))
+    .map(item => item.wbs_code);
+
+  if (sectionCodes.length === 0) return new Set();
+
+  const isUnderSection = (wbsCode) => sectionCodes.some(sectionCode => String(wbsCode || '').startsWith(`${sectionCode}.`));
+  const outOfScopeCodes = new Set();
+
+  Object.entries(existingProject.equipmentMapping || {}).forEach(([code, info]) => {
+    if (isUnderSection(info.wbs_code)) outOfScopeCodes.add(code);
+  });
+
+  // Fallback: equipment names in the section ("TAG | Description")
+  wbsStructure
+    .filter(item => isUnderSection(item.wbs_code) && item.wbs_name && item.wbs_name.includes('|'))
+    .forEach(item => {
+      const code = item.equipment_number || item.wbs_name.split('|')[0].trim();
+      if (code) outOfScopeCodes.add(code);
+    });
+
+  console.log(`Found ${outOfScopeCodes.size} out of scope equipment codes in ${sectionCodes.length} Out of Scope section(s)`);
+  return outOfScopeCodes;
+}
+
+// ENHANCED: Equipment code → number of activities already scheduled under its WBS node
+// (only XER imports carry activities)
+function extractScheduledEquipmentFromP6(existingProject) {
+  const scheduledEquipment = {};
+  Object.entries(existingProject.equipmentMapping || {}).forEach(([code, info]) => {
+    if (info.activity_count > 0) scheduledEquipment[code] = info.activity_count;
+  });
+  return scheduledEquipment;
+}
+
 // Compare equipment codes to identify new vs existing
-function compareEquipmentCodes(existingCodes, newEquipmentList) {
+// ENHANCED: Items that were out of scope (N) and are now in the list count as new, flagged
+//           newly_in_scope; items still N are not reported as removed
+function compareEquipmentCodes(existingCodes, newEquipmentList, outOfScopeCodes = new Set(), stillOutOfScopeCodes = new Set()) {
   console.log('Comparing equipment codes...');
   
   const newEquipment = [];
   const existingEquipment = [];
   const removedEquipment = []; // Equipment in P6 but not in new list
+  const newlyInScope = [];
   
   // Find new and existing equipment
   newEquipmentList.forEach(item => {
     const equipmentCode = item.equipment_number;
-    if (existingCodes.includes(equipmentCode)) {
+    if (outOfScopeCodes.has(equipmentCode)) {
+      const newlyInScopeItem = { ...item, newly_in_scope: true };
+      newEquipment.push(newlyInScopeItem);
+      newlyInScope.push(newlyInScopeItem);
+    } else if (existingCodes.includes(equipmentCode)) {
       existingEquipment.push(item);
     } else {
       newEquipment.push(item);
@@ -216,17 +250,18 @@ function compareEquipmentCodes(existingCodes, newEquipmentList) {
   // Find removed equipment (in P6 but not in new list)
   const newEquipmentCodes = new Set(newEquipmentList.map(item => item.equipment_number));
   existingCodes.forEach(code => {
-    if (!newEquipmentCodes.has(code)) {
+    if (!newEquipmentCodes.has(code) && !(outOfScopeCodes.has(code) && stillOutOfScopeCodes.has(code))) {
       removedEquipment.push(code);
     }
   });
   
-  console.log(`Comparison results: ${newEquipment.length} new, ${existingEquipment.length} existing, ${removedEquipment.length} removed`);
+  console.log(`Comparison results: ${newEquipment.length} new (${newlyInScope.length} newly in scope), ${existingEquipment.length} existing, ${removedEquipment.length} removed`);
   
   return {
     newEquipment,
     existingEquipment, 
-    removedEquipment
+    removedEquipment,
+    newlyInScope
   };
 }
 
@@ -289,23 +324,60 @@ async function assignToExistingParent(equipment, existingProject) {
     equipment_number: equipment.equipment_number,
     description: equipment.description,
     commissioning_yn: equipment.commissioning_yn,
+    newly_in_scope: !!equipment.newly_in_scope,
     category: equipment.category,
     category_name: equipment.category_name,
     level: (parentInfo.level || 4) + 1,
     is_equipment: true,
     is_structural: false,
     subsystem: equipment.subsystem,
+    classification: equipment.classification,
+    is_overridden: !!equipment.is_overridden,
+    overridden_fields: equipment.overridden_fields || [],
+    original_values: equipment.original_values || {},
     isNew: true
   };
 }
 
+// ENHANCED: WBS segment for a category that was omitted (empty) when the project was generated.
+// The numbering scheme and the template's category order give the code it would have had
+// (see lib/wbsNumbering.js).
+function getMissingCategorySegment(categoryId, siblingItems, numberingScheme, templateCategoryOrder) {
+  const preferredSegment = getCategorySegment(categoryId, numberingScheme, templateCategoryOrder);
+
+  const takenSegments = new Set(siblingItems.map(item => item.wbs_code.split('.').pop()));
+  if (!takenSegments.has(preferredSegment)) {
+    return preferredSegment;
+  }
+
+  // Position already used by something else - append after the last sibling
+  const siblingNumbers = [...takenSegments].map(segment => parseInt(segment) || 0);
+  return String(Math.max(...siblingNumbers) + 1);
+}
+
+// ENHANCED: Next free child number under a WBS node, including items assigned earlier in this run
+function reserveNextChildNumber(parentWBSCode, wbsStructure) {
+  const counterKey = `${parentWBSCode}_next_child`;
+  let nextNumber = createdSubsystems.get(counterKey);
+
+  if (nextNumber === undefined) {
+    const childNumbers = wbsStructure
+      .filter(item => item.parent_wbs_code === parentWBSCode)
+      .map(item => parseInt(item.wbs_code.split('.').pop()) || 0);
+    nextNumber = childNumbers.length > 0 ? Math.max(...childNumbers) + 1 : 1;
+  }
+
+  createdSubsystems.set(counterKey, nextNumber + 1);
+  return nextNumber;
+}
+
 // FIXED: PRIORITY 2 - Assign equipment to existing subsystem
-async function assignToExistingSubsystem(equipment, existingProject, processedEquipmentData) {
+async function assignToExistingSubsystem(equipment, existingProject, processedEquipmentData, numberingScheme, templateCategoryOrder) {
   console.log(`    🔍 Priority 2: Checking existing subsystem`);
   console.log(`🔍 Priority 2: Checking equipment "${equipment.equipment_number}" in subsystem "${equipment.subsystem}"`);
   
-  // FIXED: Parse subsystem from CSV column (e.g., "33kV Switchroom 1 - +Z01")
-  const subsystemCode = parseSubsystemCode(equipment.subsystem);
+  // ENHANCED: Parse subsystem from CSV column (e.g., "33kV Switchroom 1 - +Z01", "Z1 - Name")
+  const subsystemCode = parseSubsystemFromColumn(equipment.subsystem, processedEquipmentData?.subsystemMapping).code;
   console.log(`    Parsed subsystem code: "${subsystemCode}" from "${equipment.subsystem}"`);
   
   if (!subsystemCode) {
@@ -330,63 +402,74 @@ async function assignToExistingSubsystem(equipment, existingProject, processedEq
   const wbsStructure = existingProject.wbsStructure || [];
   
   // Look for category under the subsystem (e.g., "08 | Building Services")
-  const categoryItem = wbsStructure.find(item => {
-    // Must be child of subsystem and match category pattern
-    const isChildOfSubsystem = item.parent_wbs_code === subsystemInfo.wbs_code;
-    const matchesCategory = item.wbs_name && item.wbs_name.includes(`${equipmentCategory} |`);
-    return isChildOfSubsystem && matchesCategory;
-  });
-  
-  if (!categoryItem) {
-    console.log(`    ❌ Priority 2 FAILED: Category "${equipmentCategory}" not found under subsystem "${subsystemCode}"`);
-    // List available categories for debugging
-    const availableCategories = wbsStructure
-      .filter(item => item.parent_wbs_code === subsystemInfo.wbs_code)
-      .map(item => item.wbs_name)
-      .slice(0, 5);
-    console.log(`    Available categories: [${availableCategories.join(', ')}]`);
-    return null;
+  const subsystemChildren = wbsStructure.filter(item => item.parent_wbs_code === subsystemInfo.wbs_code);
+  let categoryItem = subsystemChildren.find(item => getCategoryIdFromName(item.wbs_name) === equipmentCategory);
+  const wbsItems = [];
+
+  // ENHANCED: Category omitted at generation (empty) - create it once per run under the existing subsystem
+  const createdCategoryKey = `${subsystemInfo.wbs_code}_cat_${equipmentCategory}`;
+  if (!categoryItem && createdSubsystems.has(createdCategoryKey)) {
+    categoryItem = createdSubsystems.get(createdCategoryKey);
+  } else if (!categoryItem) {
+    const categoryWBSCode = `${subsystemInfo.wbs_code}.${getMissingCategorySegment(equipmentCategory, subsystemChildren, numberingScheme, templateCategoryOrder)}`;
+    const categoryName = EQUIPMENT_CATEGORIES[equipmentCategory] || 'Unrecognised Equipment';
+
+    categoryItem = {
+      wbs_code: categoryWBSCode,
+      parent_wbs_code: subsystemInfo.wbs_code,
+      wbs_name: `${equipmentCategory} | ${categoryName}`,
+      description: categoryName,
+      category: equipmentCategory,
+      category_name: categoryName,
+      level: (subsystemInfo.level || 2) + 1,
+      is_equipment: false,
+      is_structural: true,
+      subsystem: equipment.subsystem,
+      isNew: true
+    };
+
+    createdSubsystems.set(createdCategoryKey, categoryItem);
+    wbsItems.push(categoryItem);
+    console.log(`    ➕ Category "${equipmentCategory}" was not in the existing WBS - creating ${categoryWBSCode}`);
+  } else {
+    console.log(`    ✅ Found category: "${categoryItem.wbs_name}" at WBS: ${categoryItem.wbs_code}`);
   }
   
-  console.log(`    ✅ Found category: "${categoryItem.wbs_name}" at WBS: ${categoryItem.wbs_code}`);
-  
-  // Find existing equipment in this category to determine next sequence
-  const existingEquipmentInCategory = wbsStructure.filter(item => 
-    item.parent_wbs_code === categoryItem.wbs_code
-  );
-  
-  const equipmentNumbers = existingEquipmentInCategory.map(item => {
-    const parts = item.wbs_code.split('.');
-    return parseInt(parts[parts.length - 1]) || 0;
-  });
-  
-  const nextEquipmentNumber = equipmentNumbers.length > 0 ? Math.max(...equipmentNumbers) + 1 : 1;
+  // Next sequence in this category (existing equipment + items assigned earlier in this run)
+  const nextEquipmentNumber = reserveNextChildNumber(categoryItem.wbs_code, wbsStructure);
   const newEquipmentWBSCode = `${categoryItem.wbs_code}.${nextEquipmentNumber}`;
   
   console.log(`    ✅ Priority 2 SUCCESS: Assigning equipment WBS code: ${newEquipmentWBSCode}`);
   
-  return {
+  wbsItems.push({
     wbs_code: newEquipmentWBSCode,
     parent_wbs_code: categoryItem.wbs_code,
     wbs_name: `${equipment.equipment_number} | ${equipment.description}`,
     equipment_number: equipment.equipment_number,
     description: equipment.description,
     commissioning_yn: equipment.commissioning_yn,
+    newly_in_scope: !!equipment.newly_in_scope,
     category: equipment.category,
     category_name: equipment.category_name,
     level: (categoryItem.level || 3) + 1,
     is_equipment: true,
     is_structural: false,
     subsystem: equipment.subsystem,
+    classification: equipment.classification,
+    is_overridden: !!equipment.is_overridden,
+    overridden_fields: equipment.overridden_fields || [],
+    original_values: equipment.original_values || {},
     isNew: true
-  };
+  });
+
+  return wbsItems.length === 1 ? wbsItems[0] : wbsItems;
 }
 
-async function assignToNewSubsystem(equipment, existingProject, processedEquipmentData) {
+async function assignToNewSubsystem(equipment, existingProject, processedEquipmentData, numberingScheme, templateCategoryOrder, structuralOptions) {
  console.log(`    🔍 Priority 3: Creating new subsystem`);
  console.log(`🔍 Priority 3: Creating new subsystem for equipment "${equipment.equipment_number}"`);
  
- const subsystemInfo = parseSubsystemFromColumn(equipment.subsystem);
+ const subsystemInfo = parseSubsystemFromColumn(equipment.subsystem, processedEquipmentData?.subsystemMapping);
  console.log(`    New subsystem: "${subsystemInfo.name}" with code "${subsystemInfo.code}"`);
  
  const projectRoot = getProjectRootWBSCode(existingProject);
@@ -397,15 +480,21 @@ async function assignToNewSubsystem(equipment, existingProject, processedEquipme
  if (!subsystemStructure) {
    console.log(`    📦 Creating new subsystem structure for "${subsystemKey}"`);
    
-   const nextSubsystemNumber = getNextSubsystemNumber(existingProject);
-   const newSubsystemWBSCode = `${projectRoot}.${nextSubsystemNumber}`;
+   // FIXED: Offset by subsystems already created in this run, and take the WBS code
+   // from the next free slot under the project root (not the S-number)
+   const createdCount = Array.from(createdSubsystems.values()).filter(value => value && value.wbsCode).length;
+   const nextSubsystemNumber = getNextSubsystemNumber(existingProject) + createdCount;
+   const nextWBSCodeParts = getNextSubsystemWBSCode(existingProject, nextSubsystemNumber).split('.');
+   nextWBSCodeParts[nextWBSCodeParts.length - 1] = String(parseInt(nextWBSCodeParts[nextWBSCodeParts.length - 1]) + createdCount);
+   const newSubsystemWBSCode = nextWBSCodeParts.join('.');
    
    console.log(`    Creating subsystem at WBS: ${newSubsystemWBSCode}`);
    
+   // Same category segments as a freshly generated subsystem (see lib/wbsNumbering.js)
    const categories = {};
    for (let i = 1; i <= 99; i++) {
      const categoryCode = String(i).padStart(2, '0');
-     categories[categoryCode] = `${newSubsystemWBSCode}.${categoryCode}`;
+     categories[categoryCode] = `${newSubsystemWBSCode}.${getCategorySegment(categoryCode, numberingScheme, templateCategoryOrder)}`;
    }
    
    subsystemStructure = {
@@ -426,48 +515,77 @@ async function assignToNewSubsystem(equipment, existingProject, processedEquipme
  const equipmentCategory = String(equipment.category || 99).padStart(2, '0');
  const categoryWBSCode = subsystemStructure.categories[equipmentCategory];
  
- const existingEquipmentInCategory = createdSubsystems.get(subsystemKey + '_' + equipmentCategory + '_count') || 0;
- const nextEquipmentNumber = existingEquipmentInCategory + 1;
- 
- createdSubsystems.set(subsystemKey + '_' + equipmentCategory + '_count', nextEquipmentNumber);
- 
- const equipmentWBSCode = `${categoryWBSCode}.${nextEquipmentNumber}`;
- 
- console.log(`    ✅ Priority 3 SUCCESS: Assigning equipment to: ${equipmentWBSCode}`);
- 
  const wbsItems = [];
  
- const categoryKey = subsystemKey + '_cat_' + equipmentCategory;
- if (!createdSubsystems.has(categoryKey)) {
-   const subsystemKey_created = subsystemKey + '_subsystem_created';
-   if (!createdSubsystems.has(subsystemKey_created)) {
-     wbsItems.push({
-       wbs_code: subsystemStructure.wbsCode,
-       parent_wbs_code: projectRoot,
-       wbs_name: `S${subsystemStructure.subsystemNumber} | ${subsystemStructure.code} | ${subsystemStructure.name}`,
-       level: 2,
-       is_equipment: false,
-       is_structural: true,
-       subsystem: equipment.subsystem,
-       isNew: true
-     });
-     createdSubsystems.set(subsystemKey_created, true);
-   }
-   
-   const categoryName = EQUIPMENT_CATEGORIES[equipmentCategory] || 'Unrecognised Equipment';
+ const pushCategoryNode = (categoryId) => {
+   const categoryName = EQUIPMENT_CATEGORIES[categoryId] || 'Unrecognised Equipment';
    wbsItems.push({
-     wbs_code: categoryWBSCode,
+     wbs_code: subsystemStructure.categories[categoryId],
      parent_wbs_code: subsystemStructure.wbsCode,
-     wbs_name: `${equipmentCategory} | ${categoryName}`,
+     wbs_name: `${categoryId} | ${categoryName}`,
      level: 3,
      is_equipment: false,
      is_structural: true,
      subsystem: equipment.subsystem,
      isNew: true
    });
-   createdSubsystems.set(categoryKey, true);
+   createdSubsystems.set(subsystemKey + '_cat_' + categoryId, true);
+ };
+ 
+ const subsystemKey_created = subsystemKey + '_subsystem_created';
+ if (!createdSubsystems.has(subsystemKey_created)) {
+   wbsItems.push({
+     wbs_code: subsystemStructure.wbsCode,
+     parent_wbs_code: projectRoot,
+     wbs_name: formatSubsystemFullName(subsystemStructure.subsystemNumber, subsystemStructure.code, subsystemStructure.name),
+     level: 2,
+     is_equipment: false,
+     is_structural: true,
+     subsystem: equipment.subsystem,
+     isNew: true
+   });
+   createdSubsystems.set(subsystemKey_created, true);
+   
+   // ENHANCED: Same structural items as a freshly generated subsystem (01 preparation items,
+   // 09 interface testing phases) - equipment in those categories is numbered after them
+   templateCategoryOrder.forEach(categoryId => {
+     const structuralItems = getCategoryStructuralItems(categoryId, structuralOptions);
+     if (structuralItems.length === 0) return;
+     
+     pushCategoryNode(categoryId);
+     structuralItems.forEach((structuralItem, index) => {
+       wbsItems.push({
+         wbs_code: `${subsystemStructure.categories[categoryId]}.${index + 1}`,
+         parent_wbs_code: subsystemStructure.categories[categoryId],
+         wbs_name: structuralItem.name,
+         description: structuralItem.name,
+         structural_type: structuralItem.type,
+         category: categoryId,
+         category_name: EQUIPMENT_CATEGORIES[categoryId],
+         level: 4,
+         is_equipment: false,
+         is_structural: true,
+         subsystem: equipment.subsystem,
+         isNew: true
+       });
+     });
+     createdSubsystems.set(subsystemKey + '_' + categoryId + '_count', structuralItems.length);
+   });
  }
  
+ if (!createdSubsystems.has(subsystemKey + '_cat_' + equipmentCategory)) {
+   pushCategoryNode(equipmentCategory);
+ }
+ 
+ const existingEquipmentInCategory = createdSubsystems.get(subsystemKey + '_' + equipmentCategory + '_count') || 0;
+ const nextEquipmentNumber = existingEquipmentInCategory + 1;
+ 
+ createdSubsystems.set(subsystemKey + '_' + equipmentCategory + '_count', nextEquipmentNumber);
+ 
+ const equipmentWBSCode = `${categoryWBSCode}.${nextEquipmentNumber}`;
+ 
+ console.log(`    ✅ Priority 3 SUCCESS: Assigning equipment to: ${equipmentWBSCode}`);
+ 
  wbsItems.push({
    wbs_code: equipmentWBSCode,
    parent_wbs_code: categoryWBSCode,
@@ -475,20 +593,26 @@ async function assignToNewSubsystem(equipment, existingProject, processedEquipme
    equipment_number: equipment.equipment_number,
    description: equipment.description,
    commissioning_yn: equipment.commissioning_yn,
+   newly_in_scope: !!equipment.newly_in_scope,
    category: equipment.category,
    category_name: equipment.category_name,
    level: 4,
    is_equipment: true,
    is_structural: false,
    subsystem: equipment.subsystem,
+   classification: equipment.classification,
+   is_overridden: !!equipment.is_overridden,
+   overridden_fields: equipment.overridden_fields || [],
+   original_values: equipment.original_values || {},
    isNew: true
  });
  
  return wbsItems;
 }
 // FIXED: MAIN 3-TIER PRIORITY LOGIC - Core function for WBS assignment
-async function assign3TierPriorityWBSCodes(newEquipment, existingProject, processedEquipmentData) {
+async function assign3TierPriorityWBSCodes(newEquipment, existingProject, processedEquipmentData, numberingScheme = DEFAULT_NUMBERING_SCHEME, templateCategoryOrder = getStandardCategoryIds(), structuralOptions = {}) {
   console.log('=== STARTING 3-TIER PRIORITY WBS ASSIGNMENT ===');
+  console.log(`Category numbering scheme: ${numberingScheme}`);
   console.log(`Processing ${newEquipment.length} new equipment items`);
   
   // ADDED: Debug existing project structure
@@ -528,16 +652,20 @@ async function assign3TierPriorityWBSCodes(newEquipment, existingProject, proces
     }
     
     // PRIORITY 2: Check existing subsystem (MEDIUM PRIORITY)
-    assignedWBS = await assignToExistingSubsystem(equipment, existingProject, processedEquipmentData);
+    assignedWBS = await assignToExistingSubsystem(equipment, existingProject, processedEquipmentData, numberingScheme, templateCategoryOrder);
     
     if (assignedWBS) {
       priority2Success++;
-      assignedWBSItems.push(assignedWBS);
+      if (Array.isArray(assignedWBS)) {
+        assignedWBSItems.push(...assignedWBS);
+      } else {
+        assignedWBSItems.push(assignedWBS);
+      }
       continue;
     }
     
     // PRIORITY 3: Create new subsystem (LOWEST PRIORITY)
-    assignedWBS = await assignToNewSubsystem(equipment, existingProject, processedEquipmentData);
+    assignedWBS = await assignToNewSubsystem(equipment, existingProject, processedEquipmentData, numberingScheme, templateCategoryOrder, structuralOptions);
     
     if (assignedWBS) {
       priority3Success++;
@@ -564,7 +692,7 @@ async function assign3TierPriorityWBSCodes(newEquipment, existingProject, proces
 }
 
 // MAIN COMPARISON FUNCTION - Entry point for Missing Equipment
-export const compareEquipmentLists = async (existingProject, updatedEquipmentList) => {
+export const compareEquipmentLists = async (existingProject, updatedEquipmentList, options = {}) => {
   try {
     console.log('=== STARTING 3-TIER PRIORITY EQUIPMENT COMPARISON ===');
     
@@ -574,9 +702,12 @@ export const compareEquipmentLists = async (existingProject, updatedEquipmentLis
 
     console.log(`Input validation: ${existingProject.wbsStructure?.length || 0} existing WBS items, ${updatedEquipmentList.length} new equipment items`);
 
+    // FIXED: Subsystems created by a previous run must not leak into this one
+    createdSubsystems = new Map();
+
     // Step 1: Process new equipment through categorization
     console.log('Step 1: Processing new equipment through categorization...');
-    const processedNewEquipment = await categorizeEquipment(updatedEquipmentList);
+    const processedNewEquipment = await categorizeEquipment(updatedEquipmentList, options);
     
     // Step 2: Extract equipment codes from existing P6 data
     console.log('Step 2: Extracting existing equipment codes from P6...');
@@ -584,14 +715,28 @@ export const compareEquipmentLists = async (existingProject, updatedEquipmentLis
     
     // Step 3: Compare equipment lists to find new vs existing
     console.log('Step 3: Comparing equipment lists...');
-    const comparison = compareEquipmentCodes(existingEquipmentCodes, processedNewEquipment.equipment);
+    const outOfScopeCodes = extractOutOfScopeCodesFromP6(existingProject);
+    const stillOutOfScopeCodes = new Set((processedNewEquipment.outOfScopeEquipment || []).map(item => item.equipment_number));
+    const comparison = compareEquipmentCodes(existingEquipmentCodes, processedNewEquipment.equipment, outOfScopeCodes, stillOutOfScopeCodes);
+    const scheduledEquipment = extractScheduledEquipmentFromP6(existingProject);
+    const existingWithActivities = comparison.existingEquipment
+      .filter(item => scheduledEquipment[item.equipment_number])
+      .map(item => item.equipment_number);
+    const removedWithActivities = comparison.removedEquipment.filter(code => scheduledEquipment[code]);
     
     // Step 4: Apply 3-tier priority logic for WBS code assignment
+    // ENHANCED: New category codes follow the numbering the existing WBS already uses, positioned
+    // by the category order of the project's template like wbsGenerator
     console.log('Step 4: Applying 3-tier priority logic for WBS assignment...');
+    const templateCategoryOrder = options.templateCategoryOrder || getStandardCategoryIds();
+    const numberingScheme = detectNumberingScheme(existingProject.wbsStructure || [], options.numberingScheme, templateCategoryOrder);
     const newWBSItems = await assign3TierPriorityWBSCodes(
       comparison.newEquipment, 
       existingProject, 
-      processedNewEquipment
+      processedNewEquipment,
+      numberingScheme,
+      templateCategoryOrder,
+      { preparationItems: options.preparationItems, interfaceTestingPhases: options.interfaceTestingPhases }
     );
     
     // Step 5: Build integrated structure and export data
@@ -611,18 +756,38 @@ export const compareEquipmentLists = async (existingProject, updatedEquipmentLis
     return {
       comparison: {
         added: comparison.newEquipment,
-        existing: comparison.existingEquipment,
+        existing: comparison.existingEquipment.map(item => ({
+          ...item,
+          activity_count: scheduledEquipment[item.equipment_number] || 0
+        })),
         removed: comparison.removedEquipment,
         modified: []
       },
+      scheduled_equipment: scheduledEquipment,
+      removed_with_activities: removedWithActivities,
       wbs_assignment: {
         new_wbs_items: newWBSItems
       },
       integrated_structure: integratedStructure,
+      ambiguous_matches: processedNewEquipment.ambiguousMatches || [],
+      relationship_issues: processedNewEquipment.relationshipIssues || [],
+      duplicate_equipment: processedNewEquipment.duplicateEquipment || [],
+      commissioning_summary: processedNewEquipment.commissioningSummary || [],
+      excluded_equipment: processedNewEquipment.excludedEquipment || [],
+      newly_in_scope: comparison.newlyInScope,
+      subsystem_preview: processedNewEquipment.subsystemPreview || [],
       summary: {
         total_new_equipment: comparison.newEquipment.length,
         total_existing_equipment: comparison.existingEquipment.length,
-        new_wbs_items: newWBSItems.length
+        new_wbs_items: newWBSItems.length,
+        ambiguous_matches: processedNewEquipment.ambiguousMatches?.length || 0,
+        relationship_issues: processedNewEquipment.relationshipIssues?.length || 0,
+        duplicate_equipment: processedNewEquipment.duplicateEquipment?.length || 0,
+        excluded_equipment: processedNewEquipment.excludedEquipment?.length || 0,
+        newly_in_scope: comparison.newlyInScope.length,
+        existing_with_activities: existingWithActivities.length,
+        removed_with_activities: removedWithActivities.length,
+        numbering_scheme: numberingScheme
       },
       export_ready: exportData
     };
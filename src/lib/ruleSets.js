@@ -0,0 +1,361 @@
+import { EQUIPMENT_PATTERNS, EQUIPMENT_CATEGORIES } from '../constants';
+import { patternHelpers } from '../utils';
+
+/**
+ * Equipment Classification Rule Sets
+ *
+ * A rule set is a list of rules { id, pattern, flags, category, name, priority, enabled }
+ * that decides which category an equipment number belongs to. The built-in
+ * EQUIPMENT_PATTERNS become the read-only default rule set; users can create,
+ * import (JSON) and edit their own rule sets and select one per project.
+ *
+ * Precedence is deterministic: highest priority first, then the most specific
+ * pattern (most required literal characters), then rule order.
+ */
+
+export const DEFAULT_RULE_SET_ID = 'default';
+export const DEFAULT_RULE_PRIORITY = 100;
+
+// Build the default rule set from the built-in EQUIPMENT_PATTERNS
+export const buildDefaultRuleSet = () => {
+  const rules = [];
+
+  Object.entries(EQUIPMENT_PATTERNS).forEach(([categoryId, patterns]) => {
+    patterns.forEach((patternEntry, index) => {
+      rules.push({
+        id: `default-${categoryId}-${index + 1}`,
+        pattern: patternEntry.pattern.source,
+        flags: patternEntry.pattern.flags,
+        category: categoryId,
+        name: patternEntry.name,
+        priority: patternEntry.priority ?? DEFAULT_RULE_PRIORITY,
+        enabled: true
+      });
+    });
+  });
+
+  return {
+    id: DEFAULT_RULE_SET_ID,
+    name: 'Built-in Rules',
+    description: 'Standard equipment patterns shipped with the WBS Generator',
+    readOnly: true,
+    rules
+  };
+};
+
+// Create a unique rule id
+export const createRuleId = () => `rule-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+
+// Create a rule matching every tag that starts with the given prefix (used by triage)
+export const createPrefixRule = (prefix, category) => ({
+  id: createRuleId(),
+  pattern: `^${patternHelpers.escapeRegExp(prefix)}`,
+  flags: 'i',
+  category,
+  name: `${prefix} equipment`,
+  priority: DEFAULT_RULE_PRIORITY,
+  enabled: true
+});
+
+// Regex flags a rule may use - 'g' and 'y' would make regex.test() stateful between tags
+export const ALLOWED_RULE_FLAGS = ['i', 'm', 's', 'u'];
+
+const getUnsupportedRuleFlags = (flags) => [...new Set(String(flags || ''))].filter(flag => !ALLOWED_RULE_FLAGS.includes(flag));
+
+// Allowed flags only, each once
+const sanitizeRuleFlags = (flags) => [...new Set(String(flags || ''))].filter(flag => ALLOWED_RULE_FLAGS.includes(flag)).join('');
+
+// Normalise a single rule from user input or JSON
+const normalizeRule = (rule, index) => {
+  const pattern = rule.pattern instanceof RegExp ? rule.pattern.source : String(rule.pattern ?? '').trim();
+  const flags = sanitizeRuleFlags(rule.pattern instanceof RegExp ? rule.pattern.flags : String(rule.flags ?? 'i'));
+  const priority = rule.priority === undefined || rule.priority === '' ? DEFAULT_RULE_PRIORITY : Number(rule.priority);
+
+  return {
+    id: rule.id ? String(rule.id) : `rule-${index + 1}`,
+    pattern,
+    flags,
+    category: String(rule.category ?? '').padStart(2, '0'),
+    name: String(rule.name ?? '').trim(),
+    priority,
+    enabled: rule.enabled !== false
+  };
+};
+
+// Normalise a rule set object (fills defaults, keeps unknown rule fields out)
+export const normalizeRuleSet = (ruleSet) => {
+  if (!ruleSet || typeof ruleSet !== 'object') {
+    throw new Error('Rule set must be an object');
+  }
+
+  const rawRules = Array.isArray(ruleSet) ? ruleSet : ruleSet.rules;
+
+  if (!Array.isArray(rawRules)) {
+    throw new Error('Rule set must contain a "rules" array');
+  }
+
+  return {
+    id: ruleSet.id ? String(ruleSet.id) : `ruleset-${Date.now().toString(36)}`,
+    name: ruleSet.name ? String(ruleSet.name) : 'Imported Rules',
+    description: ruleSet.description ? String(ruleSet.description) : '',
+    readOnly: false,
+    rules: rawRules.map(normalizeRule)
+  };
+};
+
+// Parse a rule set from JSON file content
+export const parseRuleSetJSON = (jsonContent) => {
+  try {
+    const parsed = JSON.parse(jsonContent);
+    return normalizeRuleSet(parsed);
+  } catch (error) {
+    throw new Error(`Rule set import failed: ${error.message}`);
+  }
+};
+
+// Serialise a rule set for download
+export const serializeRuleSet = (ruleSet) => {
+  const { readOnly, ...exportable } = ruleSet;
+  return JSON.stringify(exportable, null, 2);
+};
+
+// Pattern specificity = number of required literal characters, e.g. ^EB\d+ (2) beats ^E\d+ (1)
+export const calculatePatternSpecificity = (source) => {
+  const pattern = String(source || '');
+  let specificity = 0;
+  let i = 0;
+
+  while (i < pattern.length) {
+    const char = pattern[i];
+    let literal;
+
+    if (char === '\\') {
+      literal = !/[dDwWsSbB]/.test(pattern[i + 1] || '');
+      i += 2;
+    } else if (char === '[') {
+      const close = pattern.indexOf(']', i + 1);
+      literal = false;
+      i = close === -1 ? pattern.length : close + 1;
+    } else {
+      literal = !'^$.|()?*+{}'.includes(char);
+      i++;
+    }
+
+    // Optional tokens don't make a pattern more specific
+    const quantifier = pattern[i];
+    if (quantifier === '?' || quantifier === '*') {
+      literal = false;
+      i++;
+    } else if (quantifier === '+') {
+      i++;
+    } else if (quantifier === '{') {
+      const close = pattern.indexOf('}', i);
+      if (parseInt(pattern.slice(i + 1, close), 10) === 0) literal = false;
+      i = close === -1 ? pattern.length : close + 1;
+    }
+
+    if (literal) specificity++;
+  }
+
+  return specificity;
+};
+
+// Rule precedence: priority (desc) -> specificity (desc) -> rule order (asc)
+export const compareRulePrecedence = (a, b) =>
+  (b.priority - a.priority) || (b.specificity - a.specificity) || (a.order - b.order);
+
+// Compile a rule set into ordered, executable rules (invalid/disabled rules are skipped)
+export const compileRuleSet = (ruleSet) => {
+  const rules = (ruleSet?.rules || buildDefaultRuleSet().rules);
+
+  return rules
+    .map((rule, order) => {
+      if (!rule.enabled) return null;
+      try {
+        return {
+          ...rule,
+          order,
+          specificity: calculatePatternSpecificity(rule.pattern),
+          regex: new RegExp(rule.pattern, sanitizeRuleFlags(rule.flags))
+        };
+      } catch (error) {
+        console.warn(`Skipping rule "${rule.id}" - invalid pattern: ${error.message}`);
+        return null;
+      }
+    })
+    .filter(Boolean)
+    .sort(compareRulePrecedence);
+};
+
+// Generate a few sample strings a simple anchored pattern matches. Returns [] when the
+// pattern uses constructs (groups, alternation, lookarounds) we don't try to expand.
+const generatePatternSamples = (source) => {
+  if (!source.startsWith('^') || /[()|]/.test(source)) return [];
+
+  const tokens = [];
+  let i = 1;
+
+  while (i < source.length) {
+    let token;
+    const char = source[i];
+
+    if (char === '$') {
+      i++;
+      continue;
+    } else if (char === '\\') {
+      const escaped = source[i + 1];
+      if (escaped === 'd') token = '1';
+      else if (escaped === 'w') token = 'A';
+      else if (escaped === 's') token = ' ';
+      else if (/[a-zA-Z]/.test(escaped)) return [];
+      else token = escaped;
+      i += 2;
+    } else if (char === '[') {
+      const close = source.indexOf(']', i);
+      if (close === -1) return [];
+      const body = source.slice(i + 1, close).replace(/^\^/, '');
+      if (source[i + 1] === '^' || !body) return [];
+      token = body.startsWith('\\d') ? '1' : body[0];
+      i = close + 1;
+    } else if (char === '.') {
+      token = 'X';
+      i++;
+    } else {
+      token = char;
+      i++;
+    }
+
+    // Quantifier
+    const quantifier = source[i];
+    let optional = false;
+    if (quantifier === '?' || quantifier === '*') {
+      optional = true;
+      i++;
+    } else if (quantifier === '+') {
+      i++;
+    } else if (quantifier === '{') {
+      const close = source.indexOf('}', i);
+      if (close === -1) return [];
+      const min = parseInt(source.slice(i + 1, close), 10) || 0;
+      optional = min === 0;
+      token = token.repeat(Math.max(min, 1));
+      i = close + 1;
+    }
+
+    tokens.push({ token, optional });
+  }
+
+  let samples = [''];
+  tokens.forEach(({ token, optional }) => {
+    const next = [];
+    samples.forEach(sample => {
+      next.push(sample + token);
+      if (optional) next.push(sample);
+    });
+    samples = next.slice(0, 16);
+  });
+
+  return [...new Set(samples)].filter(sample => sample !== '');
+};
+
+// Validate a rule set: bad regexes, unknown categories, duplicate ids, unreachable rules
+export const validateRuleSet = (ruleSet) => {
+  const errors = [];
+  const warnings = [];
+  const ruleIssues = {};
+
+  const addIssue = (rule, severity, message) => {
+    const entry = `Rule "${rule.name || rule.id}": ${message}`;
+    (severity === 'error' ? errors : warnings).push(entry);
+    ruleIssues[rule.id] = [...(ruleIssues[rule.id] || []), { severity, message }];
+  };
+
+  const rules = ruleSet?.rules || [];
+
+  if (rules.length === 0) {
+    errors.push('Rule set contains no rules');
+  }
+
+  const seenIds = new Set();
+  const compiled = [];
+
+  rules.forEach((rule, order) => {
+    if (seenIds.has(rule.id)) {
+      addIssue(rule, 'error', `duplicate rule id "${rule.id}"`);
+    }
+    seenIds.add(rule.id);
+
+    if (!rule.pattern) {
+      addIssue(rule, 'error', 'pattern is empty');
+      return;
+    }
+
+    if (!EQUIPMENT_CATEGORIES[rule.category] || rule.category === '99') {
+      addIssue(rule, 'error', `unknown category "${rule.category}"`);
+    }
+
+    if (!Number.isFinite(rule.priority)) {
+      addIssue(rule, 'error', 'priority must be a number');
+    }
+
+    if (!rule.name) {
+      addIssue(rule, 'warning', 'has no friendly name');
+    }
+
+    const unsupportedFlags = getUnsupportedRuleFlags(rule.flags);
+    if (unsupportedFlags.length > 0) {
+      addIssue(rule, 'error', `unsupported regex flags "${unsupportedFlags.join('')}" - only ${ALLOWED_RULE_FLAGS.join(', ')} are allowed`);
+    }
+
+    let regex;
+    try {
+      regex = new RegExp(rule.pattern, sanitizeRuleFlags(rule.flags));
+    } catch (error) {
+      addIssue(rule, 'error', `invalid regular expression (${error.message})`);
+      return;
+    }
+
+    if (rule.enabled !== false) {
+      compiled.push({ ...rule, order, specificity: calculatePatternSpecificity(rule.pattern), regex });
+    }
+  });
+
+  // Unreachable rules: every sample the rule matches is already taken by a rule
+  // evaluated before it (see compareRulePrecedence)
+  const ordered = [...compiled].sort(compareRulePrecedence);
+
+  ordered.forEach((rule, position) => {
+    const earlierRules = ordered.slice(0, position);
+
+    if (rule.regex.test('')) {
+      addIssue(rule, 'warning', 'matches every equipment number - lower priority rules will never be reached');
+    }
+
+    const duplicate = earlierRules.find(other =>
+      other.pattern === rule.pattern && (other.flags || '') === (rule.flags || '')
+    );
+    if (duplicate) {
+      addIssue(rule, 'warning', `unreachable - identical pattern already handled by "${duplicate.name || duplicate.id}" (category ${duplicate.category})`);
+      return;
+    }
+
+    const samples = generatePatternSamples(rule.pattern).filter(sample => rule.regex.test(sample.toUpperCase()));
+    if (samples.length === 0) return;
+
+    const shadowingRule = earlierRules.find(other =>
+      samples.every(sample => other.regex.test(sample.toUpperCase()))
+    );
+    if (shadowingRule && shadowingRule.category === rule.category) {
+      addIssue(rule, 'warning', `redundant - tags it matches (e.g. "${samples[0]}") are already matched by "${shadowingRule.name || shadowingRule.id}" in the same category`);
+    } else if (shadowingRule) {
+      addIssue(rule, 'warning', `likely unreachable - tags it matches (e.g. "${samples[0]}") are already matched by "${shadowingRule.name || shadowingRule.id}" (category ${shadowingRule.category})`);
+    }
+  });
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    warnings,
+    ruleIssues
+  };
+};
@@ -0,0 +1,97 @@
+import {
+  normalizeRuleSet,
+  compileRuleSet,
+  validateRuleSet,
+  calculatePatternSpecificity,
+  createPrefixRule
+} from './ruleSets';
+import { categorizeEquipment } from './equipmentProcessor';
+
+const rule = (id, pattern, category, extra = {}) => ({
+  id, pattern, flags: 'i', category, name: id, priority: 100, enabled: true, ...extra
+});
+
+const categoryOf = async (ruleSet, equipmentNumber) => {
+  const result = await categorizeEquipment([{
+    equipment_number: equipmentNumber,
+    description: 'Test item',
+    commissioning_yn: 'Y',
+    subsystem: 'Sub A - +Z01',
+    plu_field: ''
+  }], { ruleSet });
+  return result.equipment.find(item => item.equipment_number === equipmentNumber).category;
+};
+
+describe('rule precedence', () => {
+  test('specificity counts required literal characters', () => {
+    expect(calculatePatternSpecificity('^EB\\d+')).toBe(2);
+    expect(calculatePatternSpecificity('^E\\d+')).toBe(1);
+    expect(calculatePatternSpecificity('^[A-Z]+\\d')).toBe(0);
+  });
+
+  test('priority beats specificity, specificity beats rule order', async () => {
+    const ordered = compileRuleSet({ rules: [
+      rule('general', '^E', '02'),
+      rule('specific', '^EB', '03'),
+      rule('urgent', '^E', '04', { priority: 200 })
+    ] });
+    expect(ordered.map(entry => entry.id)).toEqual(['urgent', 'specific', 'general']);
+
+    const bySpecificity = normalizeRuleSet({ rules: [rule('general', '^E', '02'), rule('specific', '^EB', '03')] });
+    expect(await categoryOf(bySpecificity, 'EB101')).toBe('03');
+    expect(await categoryOf(bySpecificity, 'EC101')).toBe('02');
+
+    const byPriority = normalizeRuleSet({ rules: [rule('general', '^E', '02', { priority: 200 }), rule('specific', '^EB', '03')] });
+    expect(await categoryOf(byPriority, 'EB101')).toBe('02');
+  });
+
+  test('equal priority and specificity fall back to rule order', () => {
+    const compiled = compileRuleSet({ rules: [rule('first', '^A', '02'), rule('second', '^B', '03')] });
+    expect(compiled.map(entry => entry.id)).toEqual(['first', 'second']);
+  });
+});
+
+describe('rule flags', () => {
+  test('normalizeRule keeps only i, m, s and u', () => {
+    const ruleSet = normalizeRuleSet({ rules: [rule('a', '^A', '02', { flags: 'gimy' })] });
+    expect(ruleSet.rules[0].flags).toBe('im');
+  });
+
+  test('compiled rules are not stateful', () => {
+    const [compiled] = compileRuleSet({ rules: [rule('a', '^A', '02', { flags: 'gi' })] });
+    expect(compiled.regex.flags).toBe('i');
+    expect(compiled.regex.test('A1')).toBe(true);
+    expect(compiled.regex.test('A1')).toBe(true);
+  });
+
+  test('validateRuleSet reports unsupported flags', () => {
+    const validation = validateRuleSet({ rules: [rule('a', '^A', '02', { flags: 'gy' })] });
+    expect(validation.isValid).toBe(false);
+    expect(validation.errors[0]).toContain('unsupported regex flags "gy"');
+  });
+});
+
+describe('rule overlap', () => {
+  test('rules shadowed by an earlier rule are reported', () => {
+    const validation = validateRuleSet({ rules: [
+      rule('broad', '^EB', '02', { priority: 200 }),
+      rule('narrow', '^EB\\d+', '03'),
+      rule('copy', '^EB', '02', { priority: 200 })
+    ] });
+
+    expect(validation.isValid).toBe(true);
+    expect(validation.ruleIssues.narrow[0].message).toContain('likely unreachable');
+    expect(validation.ruleIssues.copy[0].message).toContain('identical pattern');
+  });
+});
+
+describe('createPrefixRule', () => {
+  test('matches every tag starting with the literal prefix', async () => {
+    const prefixRule = createPrefixRule('+Z.X', '06');
+    expect(prefixRule).toMatchObject({ pattern: '^\\+Z\\.X', flags: 'i', category: '06' });
+
+    const ruleSet = normalizeRuleSet({ rules: [prefixRule] });
+    expect(await categoryOf(ruleSet, '+Z.X12')).toBe('06');
+    expect(await categoryOf(ruleSet, '+ZAX12')).toBe('99');
+  });
+});
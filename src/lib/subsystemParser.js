@@ -0,0 +1,150 @@
+/**
+ * Subsystem Parser
+ *
+ * One parser for subsystem values - the subsystem column of an equipment list (equipment
+ * processor, project comparer) and the subsystem names of an existing WBS (P6 paste parser).
+ * Formats are tried in order, the first match wins:
+ *   wbs_code_name  "S1 | +Z01 - 33kV Switchroom 1"  (P6)
+ *   wbs_pipe       "S1 | +Z01 | 33kV Switchroom 1"  (generated by this app)
+ *   name_paren     "33kV Switchroom 1 (+Z01)"
+ *   name_code      "33kV Switchroom 1 - +Z01"      (names may contain hyphens)
+ *   code_name      "+Z01 - 33kV Switchroom 1"
+ *   code_only      "+Z01"
+ * Built-in formats can be switched off and custom regex formats (named groups `code`, `name`
+ * and optionally `number`) added per browser - see the subsystemFormats store slice.
+ *
+ * Subsystems are ordered by a user-defined order (identities, see getSubsystemIdentity), then
+ * naturally by code. In locked mode S-numbers already issued are kept and new subsystems
+ * are numbered after the highest issued one.
+ *
+ * Codes are normalised: "Z1", "z01" and "+Z001" all become "+Z01". A code needs a "+" or
+ * a Z prefix so names such as "Pump Station - P1" are not read as codes. Values no format
+ * matches keep their text as the name with no code - no code is made up for them.
+ */
+
+// "+Z01", "+H5", "Z1"
+const CODE_PATTERN = '(?:\\+[A-Za-z]{1,3}\\d{1,4}|[Zz]\\d{1,4})';
+const SEPARATOR_PATTERN = '\\s*[-–|:]\\s*';
+
+export const SUBSYSTEM_FORMATS = [
+  {
+    id: 'wbs_code_name',
+    label: 'S-number | Code - Name',
+    example: 'S1 | +Z01 - 33kV Switchroom 1',
+    pattern: `^S(?<number>\\d+)\\s*\\|\\s*(?<code>${CODE_PATTERN})\\s*[-–]\\s*(?<name>.+)$`
+  },
+  {
+    id: 'wbs_pipe',
+    label: 'S-number | Code | Name',
+    example: 'S1 | +Z01 | 33kV Switchroom 1',
+    pattern: `^S(?<number>\\d+)\\s*\\|\\s*(?<code>${CODE_PATTERN})\\s*\\|\\s*(?<name>.+)$`
+  },
+  {
+    id: 'name_paren',
+    label: 'Name (Code)',
+    example: '33kV Switchroom 1 (+Z01)',
+    pattern: `^(?<name>.+?)\\s*\\((?<code>${CODE_PATTERN})\\)$`
+  },
+  {
+    id: 'name_code',
+    label: 'Name - Code',
+    example: '33kV Switchroom 1 - +Z01',
+    pattern: `^(?<name>.+?)${SEPARATOR_PATTERN}(?<code>${CODE_PATTERN})$`
+  },
+  {
+    id: 'code_name',
+    label: 'Code - Name',
+    example: '+Z01 - 33kV Switchroom 1',
+    pattern: `^(?<code>${CODE_PATTERN})${SEPARATOR_PATTERN}(?<name>.+)$`
+  },
+  {
+    id: 'code_only',
+    label: 'Code only',
+    example: '+Z01',
+    pattern: `^(?<code>${CODE_PATTERN})$`
+  }
+];
+
+// A custom pattern needs to compile and capture at least a code or a name
+export const validateSubsystemFormatPattern = (pattern) => {
+  let regex;
+  try {
+    regex = new RegExp(pattern, 'i');
+  } catch (error) {
+    return `Invalid pattern: ${error.message}`;
+  }
+  if (!/\(\?<(code|name)>/.test(regex.source)) {
+    return 'Pattern needs a (?<code>...) or (?<name>...) group';
+  }
+  return null;
+};
+
+// Enabled formats (built-in minus the disabled ones, then the custom ones) with compiled regexes
+export const buildSubsystemFormats = ({ disabled = [], custom = [] } = {}) => [
+  ...SUBSYSTEM_FORMATS.filter(format => !disabled.includes(format.id)),
+  ...custom.filter(format => !validateSubsystemFormatPattern(format.pattern))
+].map(format => ({ ...format, regex: new RegExp(format.pattern, 'i') }));
+
+export const DEFAULT_SUBSYSTEM_FORMATS = buildSubsystemFormats();
+
+// "z1" → "+Z01", "+Z001" → "+Z01", "+H5" → "+H05"
+export const normalizeSubsystemCode = (code) => {
+  const compact = String(code || '').replace(/\s+/g, '').toUpperCase();
+  const match = compact.match(/^\+?([A-Z]+)(\d+)$/);
+  if (!match) return compact;
+  return `+${match[1]}${String(parseInt(match[2], 10)).padStart(2, '0')}`;
+};
+
+// { raw, code, name, number, format, isParsed } - format is null when nothing matched
+export const parseSubsystemValue = (value, formats = DEFAULT_SUBSYSTEM_FORMATS) => {
+  const raw = String(value ?? '').trim().replace(/\s+/g, ' ');
+
+  for (const format of formats) {
+    const match = raw.match(format.regex);
+    if (!match) continue;
+
+    const groups = match.groups || {};
+    return {
+      raw,
+      code: groups.code ? normalizeSubsystemCode(groups.code) : '',
+      name: (groups.name || '').trim(),
+      number: groups.number ? parseInt(groups.number, 10) : null,
+      format: format.id,
+      isParsed: true
+    };
+  }
+
+  return { raw, code: '', name: raw, number: null, format: null, isParsed: false };
+};
+
+// Subsystem WBS node name in an existing WBS - only names carrying an S-number and a code count
+export const parseSubsystemWBSName = (wbsName, formats = DEFAULT_SUBSYSTEM_FORMATS) => {
+  const parsed = parseSubsystemValue(wbsName, formats);
+  return parsed.isParsed && parsed.number !== null && parsed.code ? parsed : null;
+};
+
+// Stable identity of a subsystem for ordering and issued S-numbers - the code, else the text
+export const getSubsystemIdentity = (parsed) => parsed.code || parsed.raw;
+
+// Issued S-numbers (identity → number) plus those of the preview subsystems not issued yet
+export const getIssuedSubsystemNumbers = (preview = [], issued = {}) => preview
+  .filter(entry => entry.identity && !entry.merged_into)
+  .reduce((numbers, entry) => (
+    numbers[entry.identity] ? numbers : { ...numbers, [entry.identity]: entry.index }
+  ), { ...issued });
+
+// "S1 | +Z01 | Name", or "S3 | Name" when there is no code
+export const formatSubsystemFullName = (index, code, name) => (
+  [`S${index}`, code, name].filter(Boolean).join(' | ')
+);
+
+// Order for subsystem codes: prefix letters, then the number ("+Z2" before "+Z10")
+export const compareSubsystemCodes = (a, b) => {
+  const [, prefixA = '', numberA = '0'] = String(a).match(/^\+?([A-Z]*)(\d*)/i) || [];
+  const [, prefixB = '', numberB = '0'] = String(b).match(/^\+?([A-Z]*)(\d*)/i) || [];
+  return prefixA.localeCompare(prefixB) || (parseInt(numberA, 10) || 0) - (parseInt(numberB, 10) || 0);
+};
+
+export const getSubsystemFormatLabel = (formatId, formats = DEFAULT_SUBSYSTEM_FORMATS) => (
+  formats.find(format => format.id === formatId)?.label || 'Not recognised'
+);
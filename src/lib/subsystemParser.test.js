@@ -0,0 +1,112 @@
+import { categorizeEquipment } from './equipmentProcessor';
+import {
+  buildSubsystemFormats,
+  compareSubsystemCodes,
+  getIssuedSubsystemNumbers,
+  normalizeSubsystemCode,
+  parseSubsystemValue,
+  parseSubsystemWBSName,
+  validateSubsystemFormatPattern
+} from './subsystemParser';
+
+const row = (equipmentNumber, subsystem) => ({
+  equipment_number: equipmentNumber,
+  description: 'Protection relay',
+  commissioning_yn: 'Y',
+  subsystem,
+  plu_field: ''
+});
+
+const sNumbers = (preview) => Object.fromEntries(preview.map(entry => [entry.identity, entry.index]));
+
+describe('subsystem ordering', () => {
+  test('codes sort naturally', () => {
+    expect(['+Z10', '+Z2', '+H1'].sort(compareSubsystemCodes)).toEqual(['+H1', '+Z2', '+Z10']);
+  });
+
+  test('a user-defined order comes before the natural order', async () => {
+    const rows = [row('+UH1', 'Sub 10 - +Z10'), row('+UH2', 'Sub 2 - +Z2'), row('+UH3', 'Sub 3 - +Z3')];
+
+    const natural = await categorizeEquipment(rows, {});
+    expect(sNumbers(natural.subsystemPreview)).toEqual({ '+Z02': 1, '+Z03': 2, '+Z10': 3 });
+
+    const arranged = await categorizeEquipment(rows, { subsystemOrder: ['+Z10'] });
+    expect(sNumbers(arranged.subsystemPreview)).toEqual({ '+Z10': 1, '+Z02': 2, '+Z03': 3 });
+  });
+
+  test('locked S-numbers never change and new subsystems are numbered after the highest', async () => {
+    const first = await categorizeEquipment([row('+UH1', 'Sub 5 - +Z5'), row('+UH2', 'Sub 9 - +Z9')], {});
+    const issued = getIssuedSubsystemNumbers(first.subsystemPreview);
+    expect(issued).toEqual({ '+Z05': 1, '+Z09': 2 });
+
+    // +Z1 sorts first naturally but may not take an issued number
+    const second = await categorizeEquipment(
+      [row('+UH1', 'Sub 5 - +Z5'), row('+UH2', 'Sub 9 - +Z9'), row('+UH3', 'Sub 1 - +Z1')],
+      { issuedSubsystemNumbers: issued }
+    );
+    expect(sNumbers(second.subsystemPreview)).toEqual({ '+Z05': 1, '+Z09': 2, '+Z01': 3 });
+    expect(second.subsystemPreview.find(entry => entry.identity === '+Z01').is_locked).toBe(false);
+    expect(second.subsystemPreview.find(entry => entry.identity === '+Z05').is_locked).toBe(true);
+
+    // Issuing keeps the numbers already issued
+    expect(getIssuedSubsystemNumbers(second.subsystemPreview, issued)).toEqual({ '+Z05': 1, '+Z09': 2, '+Z01': 3 });
+  });
+});
+
+describe('subsystem values', () => {
+  test('each built-in format gives the same code and name', () => {
+    const values = [
+      'S1 | +Z01 - 33kV Switchroom 1',
+      'S1 | +Z01 | 33kV Switchroom 1',
+      '33kV Switchroom 1 (+Z01)',
+      '33kV Switchroom 1 - +Z01',
+      '+Z01 - 33kV Switchroom 1'
+    ];
+
+    values.forEach(value => {
+      expect(parseSubsystemValue(value)).toMatchObject({ code: '+Z01', name: '33kV Switchroom 1', isParsed: true });
+    });
+    expect(parseSubsystemValue('S4 | +Z01 | Room').number).toBe(4);
+    expect(parseSubsystemValue('z1')).toMatchObject({ code: '+Z01', name: '', format: 'code_only' });
+  });
+
+  test('names with hyphens keep them and values without a code get none', () => {
+    expect(parseSubsystemValue('Sub-Station North - +Z02')).toMatchObject({ code: '+Z02', name: 'Sub-Station North' });
+    expect(parseSubsystemValue('Pump Station - P1')).toEqual({
+      raw: 'Pump Station - P1', code: '', name: 'Pump Station - P1', number: null, format: null, isParsed: false
+    });
+  });
+
+  test('codes are normalised', () => {
+    expect(normalizeSubsystemCode('z1')).toBe('+Z01');
+    expect(normalizeSubsystemCode('+Z001')).toBe('+Z01');
+    expect(normalizeSubsystemCode('+h5')).toBe('+H05');
+    expect(normalizeSubsystemCode('+Z123')).toBe('+Z123');
+  });
+
+  test('WBS names only count with an S-number and a code', () => {
+    expect(parseSubsystemWBSName('S3 | +Z03 | Room')).toMatchObject({ number: 3, code: '+Z03' });
+    expect(parseSubsystemWBSName('+Z03 - Room')).toBeNull();
+  });
+
+  test('built-in formats can be disabled and custom formats added', () => {
+    expect(validateSubsystemFormatPattern('([')).toMatch(/^Invalid pattern/);
+    expect(validateSubsystemFormatPattern('^Area (\\d+)$')).toBe('Pattern needs a (?<code>...) or (?<name>...) group');
+
+    const formats = buildSubsystemFormats({
+      disabled: ['name_code'],
+      custom: [{ id: 'area', label: 'Area', pattern: '^Area (?<code>\\+?Z\\d+) (?<name>.+)$' }]
+    });
+
+    expect(parseSubsystemValue('Room - +Z01', formats).isParsed).toBe(false);
+    expect(parseSubsystemValue('Area Z7 Yard', formats)).toMatchObject({ code: '+Z07', name: 'Yard', format: 'area' });
+  });
+
+  test('values with the same code share one subsystem', async () => {
+    const result = await categorizeEquipment([row('+UH1', 'Switchroom - +Z01'), row('+UH2', '+Z1')], {});
+    const subsystems = result.subsystemPreview.filter(entry => !entry.merged_into);
+
+    expect(subsystems).toHaveLength(1);
+    expect(subsystems[0]).toMatchObject({ identity: '+Z01', index: 1 });
+  });
+});
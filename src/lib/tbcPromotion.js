@@ -0,0 +1,92 @@
+/**
+ * TBC Promotion
+ *
+ * Confirms TBC equipment as Y in a generated WBS without renumbering the rest of it:
+ *   inline TBC nodes (tbcPlacement 'inline') keep their code - only the status and the
+ *     [TBC] marker in the name change
+ *   TBC section nodes move under the category node of their subsystem (the category the
+ *     rules proposed for them) and take the next free number there; the gap left in the
+ *     TBC section is not closed up
+ * Section items whose category node is not in the WBS are returned as `unplaced` and stay TBC.
+ * Promotions are saved per project (the tbcPromotions store slice) and re-applied as commissioning
+ * overrides when its equipment list is processed again - the user's override map is not touched.
+ */
+
+import { COMMISSIONING_STATUS, EQUIPMENT_CATEGORIES } from '../constants';
+import { unmarkTBCName } from './wbsTemplates';
+import { normalizeOverrideKey } from './equipmentOverrides';
+import { sortWBSStructureHierarchically } from './wbsGenerator';
+
+const TBC_SECTION_CATEGORY = 'TBC';
+
+// Category node an item of this subsystem is placed under (subsystem-first or category-first layout)
+const findCategoryNode = (wbsStructure, categoryId, subsystem) => wbsStructure.find(node => (
+  !node.is_equipment &&
+  !node.structural_type &&
+  node.category === categoryId &&
+  node.subsystem === (subsystem || 'Default')
+));
+
+const getNextChildNumber = (wbsStructure, parentCode) => wbsStructure
+  .filter(node => node.parent_wbs_code === parentCode)
+  .reduce((highest, node) => Math.max(highest, parseInt(node.wbs_code.split('.').pop(), 10) || 0), 0) + 1;
+
+export const isPromotableTBCNode = (node) => !!node?.is_equipment && node.commissioning_yn === COMMISSIONING_STATUS.TBC;
+
+// Returns { wbsStructure, promoted: [{ equipment_number, wbs_code, previous_wbs_code }], unplaced: [...] }
+export const promoteTBCEquipment = (wbsStructure = [], equipmentNumbers = []) => {
+  const tags = new Set(equipmentNumbers);
+  const structure = wbsStructure.map(node => ({ ...node }));
+  const promoted = [];
+  const unplaced = [];
+
+  structure.forEach(node => {
+    if (!isPromotableTBCNode(node) || !tags.has(node.equipment_number)) return;
+
+    const previousCode = node.wbs_code;
+
+    if (node.category !== TBC_SECTION_CATEGORY) {
+      // Inline: already in its category - same code
+      node.wbs_name = unmarkTBCName(node.wbs_name);
+    } else {
+      const categoryNode = node.proposed_category && findCategoryNode(structure, node.proposed_category, node.subsystem);
+      if (!categoryNode) {
+        unplaced.push({
+          equipment_number: node.equipment_number,
+          wbs_code: previousCode,
+          reason: node.proposed_category
+            ? `No category ${node.proposed_category} node for subsystem "${node.subsystem || 'Default'}" in the WBS`
+            : 'No proposed category'
+        });
+        return;
+      }
+
+      const wbsCode = `${categoryNode.wbs_code}.${getNextChildNumber(structure, categoryNode.wbs_code)}`;
+      node.wbs_code = wbsCode;
+      node.parent_wbs_code = categoryNode.wbs_code;
+      node.level = wbsCode.split('.').length;
+      node.category = node.proposed_category;
+      node.category_name = EQUIPMENT_CATEGORIES[node.proposed_category] || 'Unrecognised Equipment';
+    }
+
+    node.commissioning_yn = COMMISSIONING_STATUS.YES;
+    node.promoted_from_tbc = true;
+    promoted.push({ equipment_number: node.equipment_number, wbs_code: node.wbs_code, previous_wbs_code: previousCode });
+  });
+
+  console.log(`TBC PROMOTION: ${promoted.length} promoted to Y, ${unplaced.length} left as TBC`);
+
+  return {
+    wbsStructure: sortWBSStructureHierarchically(structure),
+    promoted,
+    unplaced
+  };
+};
+
+// Equipment overrides plus commissioning_yn Y for the promoted equipment numbers
+export const addTBCPromotionOverrides = (overrides = {}, promotedEquipmentNumbers = []) => (
+  promotedEquipmentNumbers.reduce((merged, equipmentNumber) => {
+    const key = normalizeOverrideKey(equipmentNumber);
+    return { ...merged, [key]: { ...merged[key], commissioning_yn: COMMISSIONING_STATUS.YES } };
+  }, { ...overrides })
+);
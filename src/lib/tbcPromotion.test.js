@@ -0,0 +1,63 @@
+import { categorizeEquipment } from './equipmentProcessor';
+import { generateWBSStructure } from './wbsGenerator';
+import { promoteTBCEquipment, addTBCPromotionOverrides } from './tbcPromotion';
+import { TBC_PLACEMENT_MODES } from '../constants';
+
+const rows = [
+  { equipment_number: '+UH101', description: 'Protection relay', commissioning_yn: 'Y', subsystem: 'Sub A - +Z01', plu_field: '' },
+  { equipment_number: '+UH102', description: 'Protection relay', commissioning_yn: 'TBC', subsystem: 'Sub A - +Z01', plu_field: '' },
+  { equipment_number: '+UH103', description: 'Protection relay', commissioning_yn: 'Y', subsystem: 'Sub A - +Z01', plu_field: '' }
+];
+
+const generate = async (tbcPlacement) => {
+  const processed = await categorizeEquipment(rows, { tbcPlacement });
+  const generated = await generateWBSStructure(
+    { ...processed, equipment: processed.categorizedEquipment },
+    'Project',
+    { tbcPlacement }
+  );
+  return generated.wbsStructure;
+};
+
+const codeOf = (wbsStructure, equipmentNumber) => (
+  wbsStructure.find(node => node.is_equipment && node.equipment_number === equipmentNumber).wbs_code
+);
+
+describe('promoteTBCEquipment', () => {
+  test('moves a TBC section item into its category without renumbering the rest', async () => {
+    const wbsStructure = await generate(TBC_PLACEMENT_MODES.SECTION);
+    const before = Object.fromEntries(wbsStructure.map(node => [node.wbs_code, node.wbs_name]));
+
+    const result = promoteTBCEquipment(wbsStructure, ['+UH102']);
+
+    expect(result.promoted).toHaveLength(1);
+    const promotedNode = result.wbsStructure.find(node => node.equipment_number === '+UH102');
+    expect(promotedNode).toMatchObject({ commissioning_yn: 'Y', promoted_from_tbc: true });
+    expect(promotedNode.parent_wbs_code).toBe(
+      wbsStructure.find(node => node.wbs_code === codeOf(wbsStructure, '+UH101')).parent_wbs_code
+    );
+    result.wbsStructure
+      .filter(node => node.equipment_number !== '+UH102')
+      .forEach(node => expect(before[node.wbs_code]).toBe(node.wbs_name));
+  });
+
+  test('keeps the code of an inline TBC item', async () => {
+    const wbsStructure = await generate(TBC_PLACEMENT_MODES.INLINE);
+    const result = promoteTBCEquipment(wbsStructure, ['+UH102']);
+
+    expect(result.promoted[0].wbs_code).toBe(codeOf(wbsStructure, '+UH102'));
+    expect(result.promoted[0].previous_wbs_code).toBe(result.promoted[0].wbs_code);
+  });
+});
+
+describe('addTBCPromotionOverrides', () => {
+  test('adds commissioning Y without changing the user overrides', () => {
+    const overrides = { '+UH102': { category: '02' } };
+
+    expect(addTBCPromotionOverrides(overrides, ['+UH102', '+UH105'])).toEqual({
+      '+UH102': { category: '02', commissioning_yn: 'Y' },
+      '+UH105': { commissioning_yn: 'Y' }
+    });
+    expect(overrides).toEqual({ '+UH102': { category: '02' } });
+  });
+});
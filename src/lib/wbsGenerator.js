@@ -1,12 +1,31 @@
 import { 
-  EQUIPMENT_CATEGORIES, 
   PREPARATION_ITEMS, 
   INTERFACE_TESTING_PHASES, 
   WBS_LEVEL_COLORS,
   COMMISSIONING_STATUS,
-  BRAND_COLORS
+  BRAND_COLORS,
+  STRUCTURAL_ITEM_TYPES,
+  TBC_PLACEMENT_MODES
 } from '../constants';
 import { stringHelpers, wbsHelpers, arrayHelpers } from '../utils';
+import { compareEquipmentLists } from './projectComparer';
+import { reconcileEquipmentWithWBS } from './wbsReconciliation';
+import { extractEquipmentAndSubsystemData } from './p6Parser';
+import {
+  buildDefaultWBSTemplate,
+  normalizeWBSTemplate,
+  formatTemplateName,
+  markTBCName,
+  applyEmptyCategoryMode,
+  shouldCreateEmptyCategory,
+  WBS_SECTION_TYPES,
+  OUT_OF_SCOPE_SECTION,
+  WBS_GROUPING_LEVELS,
+  FALLBACK_CATEGORY_ID
+} from './wbsTemplates';
+import { getCategorySegment, DEFAULT_NUMBERING_SCHEME } from './wbsNumbering';
+import { formatSourceLocation } from './fileParser';
+import { formatSubsystemFullName } from './subsystemParser';
 
 /**
  * Enhanced WBS Generator - MULTIPLE SUBSYSTEMS with ALL CATEGORIES
@@ -14,16 +33,63 @@ import { stringHelpers, wbsHelpers, arrayHelpers } from '../utils';
  * - parent_equipment_number (NOT parent_equipment_code)
  * - commissioning_yn (NOT commissioning_status)
  * UPDATED: Creates multiple subsystems (S1, S2, S3...) each with ALL standard categories
+ * ENHANCED: Sections, grouping order, categories and naming come from a WBS template
+ *           (lib/wbsTemplates.js) - the default template is the standard layout
+ * ENHANCED: 01 gets the preparation items, 09 the interface testing phases and the
+ *           project gets E | Energisation - all configurable per project
+ * ENHANCED: Results carry a reconciliation (lib/wbsReconciliation.js) proving every
+ *           accepted item was placed exactly once
+ * ENHANCED: Optional OOS | Out of Scope section lists the N equipment (includeOutOfScope)
+ * ENHANCED: Inline TBC placement (tbcPlacement 'inline') - TBC items arrive classified with the
+ *           Y equipment and get a [TBC] marker in their name instead of the TBC section
  */
 
+// Subsystem section name for equipment with no (known) subsystem
+const UNASSIGNED_SUBSYSTEM_NAME = 'Unassigned Subsystem';
+
+// Structural children created under a category before its equipment
+const CATEGORY_STRUCTURAL_ITEMS = {
+  '01': { type: STRUCTURAL_ITEM_TYPES.PREPARATION, optionKey: 'preparationItems' },
+  '09': { type: STRUCTURAL_ITEM_TYPES.INTERFACE_TESTING, optionKey: 'interfaceTestingPhases' }
+};
+
+// Fill in defaults for the per-project generation options
+const resolveGenerationOptions = (options = {}) => ({
+  numberingScheme: options.numberingScheme || DEFAULT_NUMBERING_SCHEME,
+  includeEnergisation: options.includeEnergisation !== false,
+  includeOutOfScope: options.includeOutOfScope === true,
+  tbcPlacement: options.tbcPlacement === TBC_PLACEMENT_MODES.INLINE ? TBC_PLACEMENT_MODES.INLINE : TBC_PLACEMENT_MODES.SECTION,
+  preparationItems: Array.isArray(options.preparationItems) ? options.preparationItems : PREPARATION_ITEMS,
+  interfaceTestingPhases: Array.isArray(options.interfaceTestingPhases) ? options.interfaceTestingPhases : INTERFACE_TESTING_PHASES
+});
+
+// Names of the structural children for a category (empty for most categories)
+// Also used by lib/projectComparer.js so a subsystem added to an existing WBS gets the same items
+export const getCategoryStructuralItems = (categoryId, generationOptions = {}) => {
+  const definition = CATEGORY_STRUCTURAL_ITEMS[categoryId];
+  if (!definition) return [];
+
+  return (resolveGenerationOptions(generationOptions)[definition.optionKey] || [])
+    .map(name => String(name).trim())
+    .filter(Boolean)
+    .map(name => ({ name, type: definition.type }));
+};
+
 // Enhanced WBS Structure Generation
-export const generateWBSStructure = (inputData, projectName = '5737 Summerfield Project') => {
+export const generateWBSStructure = (inputData, projectName = '5737 Summerfield Project', options = {}) => {
   try {
+    const template = applyEmptyCategoryMode(
+      normalizeWBSTemplate(options.template || buildDefaultWBSTemplate()),
+      options.emptyCategoryMode,
+      options.keepEmptyCategories
+    );
+    const generationOptions = resolveGenerationOptions(options);
     console.log('ENHANCED WBS GENERATION - MULTIPLE SUBSYSTEMS WITH ALL CATEGORIES');
     
     // Handle input data format
     let actualEquipmentArray = [];
     let actualTBCArray = [];
+    let actualOutOfScopeCount = 0;
     let actualSubsystemMapping = {};
     let processedEquipmentData = null;
 
@@ -31,6 +97,7 @@ export const generateWBSStructure = (inputData, projectName = '5737 Summerfield
       // Object format from enhanced processor
       actualEquipmentArray = inputData.categorizedEquipment || inputData.equipment || [];
       actualTBCArray = inputData.tbcEquipment || [];
+      actualOutOfScopeCount = generationOptions.includeOutOfScope ? (inputData.outOfScopeEquipment?.length || 0) : 0;
       actualSubsystemMapping = inputData.subsystemMapping || {};
       projectName = inputData.projectName || projectName;
       processedEquipmentData = inputData;
@@ -43,12 +110,12 @@ export const generateWBSStructure = (inputData, projectName = '5737 Summerfield
       console.log(`Legacy array: ${actualEquipmentArray.length} items`);
     }
 
-    if (actualEquipmentArray.length === 0 && actualTBCArray.length === 0) {
+    if (actualEquipmentArray.length === 0 && actualTBCArray.length === 0 && actualOutOfScopeCount === 0) {
       console.log('No equipment provided, creating empty WBS structure');
-      return generateEmptyWBSStructure(projectName);
+      return generateEmptyWBSStructure(projectName, template, generationOptions);
     }
 
-    return generateEnhancedWBSStructure(processedEquipmentData || { equipment: actualEquipmentArray, tbcEquipment: actualTBCArray, subsystemMapping: actualSubsystemMapping }, projectName);
+    return generateEnhancedWBSStructure(processedEquipmentData || { equipment: actualEquipmentArray, tbcEquipment: actualTBCArray, subsystemMapping: actualSubsystemMapping }, projectName, template, generationOptions);
 
   } catch (error) {
     console.error('WBS generation failed:', error);
@@ -56,9 +123,46 @@ export const generateWBSStructure = (inputData, projectName = '5737 Summerfield
   }
 };
 
-// Enhanced WBS Structure Generation with Multiple Subsystems
-const generateEnhancedWBSStructure = (processedEquipmentData, projectName) => {
-  console.log('CREATING MULTIPLE SUBSYSTEMS - EACH WITH ALL CATEGORIES');
+// Structural (non-equipment) WBS node with the standard empty fields
+const createStructuralNode = (fields) => ({
+  equipment_number: null,
+  commissioning_yn: null,
+  category: null,
+  category_name: null,
+  is_equipment: false,
+  is_structural: true,
+  subsystem: null,
+  ...fields,
+  level: fields.wbs_code.split('.').length
+});
+
+// Placeholder values for subsystem names in the template
+const getSubsystemNameValues = (subsystemData) => ({
+  subsystem_full_name: subsystemData.full_name,
+  subsystem_code: subsystemData.code,
+  subsystem_name: subsystemData.name,
+  subsystem_index: subsystemData.index
+});
+
+// Add a static template section and its nested children
+const addStaticSection = (wbsStructure, section, sectionCode, parentCode) => {
+  wbsStructure.push(createStructuralNode({
+    wbs_code: sectionCode,
+    parent_wbs_code: parentCode,
+    wbs_name: section.name,
+    description: section.description
+  }));
+  console.log(`Added section: ${sectionCode} - ${section.name}`);
+
+  section.children.forEach((child, childIndex) => {
+    addStaticSection(wbsStructure, child, `${sectionCode}.${childIndex + 1}`, sectionCode);
+  });
+};
+
+// Enhanced WBS Structure Generation - the skeleton comes from the WBS template
+const generateEnhancedWBSStructure = (processedEquipmentData, projectName, template, generationOptions = resolveGenerationOptions()) => {
+  const { numberingScheme } = generationOptions;
+  console.log(`CREATING WBS FROM TEMPLATE "${template.name}" (grouping: ${template.grouping.join(' → ')}, numbering: ${numberingScheme})`);
   console.log(`Equipment data:`, {
     allYEquipment: processedEquipmentData.equipment?.length || 0,
     tbcEquipment: processedEquipmentData.tbcEquipment?.length || 0,
@@ -68,88 +172,54 @@ const generateEnhancedWBSStructure = (processedEquipmentData, projectName) => {
   });
 
   const wbsStructure = [];
-  let wbsCodeCounter = { level1: 1, level2: 1, level3: 1, level4: 1, level5: 1 };
+  const { naming } = template;
 
   // Step 1: Create Project Root Structure
   console.log('STEP 1: Creating Project Root Structure');
-  
-  // Project Root (Level 1)
-  const projectRoot = {
+
+  const projectRootName = formatTemplateName(naming.root, { project_name: projectName });
+  wbsStructure.push(createStructuralNode({
     wbs_code: '1',
     parent_wbs_code: null,
-    wbs_name: projectName,
-    equipment_number: null,
-    description: projectName,
-    commissioning_yn: null,
-    category: null,
-    category_name: null,
-    level: 1,
-    is_equipment: false,
-    is_structural: true,
-    subsystem: null
-  };
-  
-  wbsStructure.push(projectRoot);
-  console.log(`Added project root: 1 - ${projectName}`);
+    wbs_name: projectRootName,
+    description: projectName
+  }));
+  console.log(`Added project root: 1 - ${projectRootName}`);
 
-  // Step 2: Create Standard Structure (M | Milestones, P | Pre-requisites)
-  console.log('STEP 2: Creating Standard Structure');
-  
-  const milestoneStructure = {
-    wbs_code: '1.1',
-    parent_wbs_code: '1',
-    wbs_name: 'M | Milestones',
-    equipment_number: null,
-    description: 'Project Milestones',
-    commissioning_yn: null,
-    category: null,
-    category_name: null,
-    level: 2,
-    is_equipment: false,
-    is_structural: true,
-    subsystem: null
-  };
-  
-  wbsStructure.push(milestoneStructure);
-  console.log(`Added milestones: 1.1 - M | Milestones`);
-
-  const prerequisiteStructure = {
-    wbs_code: '1.2',
-    parent_wbs_code: '1',
-    wbs_name: 'P | Pre-requisites',
-    equipment_number: null,
-    description: 'Project Prerequisites',
-    commissioning_yn: null,
-    category: null,
-    category_name: null,
-    level: 2,
-    is_equipment: false,
-    is_structural: true,
-    subsystem: null
-  };
-  
-  wbsStructure.push(prerequisiteStructure);
-  console.log(`Added prerequisites: 1.2 - P | Pre-requisites`);
+  // Step 2: Prepare subsystems and equipment placement
+  console.log('STEP 2: Preparing Subsystems and Categories');
 
-  // Step 3: Create Multiple Subsystems - Each with ALL Categories
-  console.log('STEP 3: Creating Multiple Subsystems with ALL Categories');
-  
   const subsystemMapping = processedEquipmentData.subsystemMapping || {};
   const subsystemEntries = Object.entries(subsystemMapping)
     .sort(([, a], [, b]) => a.index - b.index); // Sort by index to ensure S1, S2, S3... order
-  
+
   if (subsystemEntries.length === 0) {
     console.log('No subsystems found, creating default S1 subsystem');
     // Create default subsystem
-    subsystemEntries.push(['Default', { 
+    subsystemEntries.push(['Default', {
+      code: 'Z01',
+      name: 'Main Subsystem',
       full_name: 'S1 | Z01 | Main Subsystem',
-      index: 1 
+      index: 1
     }]);
   }
 
-  console.log(`Creating ${subsystemEntries.length} subsystems in correct order:`, 
+  console.log(`Creating ${subsystemEntries.length} subsystems in correct order:`,
     subsystemEntries.map(([key, data]) => data.full_name));
 
+  // Equipment in a category the template doesn't list goes under the fallback (99) category
+  const templateCategoryOrder = template.categories.map(category => category.id);
+  const templateCategoryIds = new Set(templateCategoryOrder);
+  const getPlacementCategory = (item) => (
+    templateCategoryIds.has(item.category) ? item.category : FALLBACK_CATEGORY_ID
+  );
+
+  const remappedCount = (processedEquipmentData.equipment || [])
+    .filter(item => !templateCategoryIds.has(item.category)).length;
+  if (remappedCount > 0) {
+    console.log(`⚠️ ${remappedCount} items are in categories not in the template - placing under ${FALLBACK_CATEGORY_ID}`);
+  }
+
   // Group equipment by subsystem for distribution
   const equipmentBySubsystem = {};
   processedEquipmentData.equipment?.forEach(item => {
@@ -160,121 +230,261 @@ const generateEnhancedWBSStructure = (processedEquipmentData, projectName) => {
     equipmentBySubsystem[subsystemKey].push(item);
   });
 
-  subsystemEntries.forEach(([subsystemKey, subsystemData], subsystemIndex) => {
-    const subsystemWBSCode = `1.${subsystemIndex + 3}`; // 1.3, 1.4, 1.5, etc.
-    
-    // Create subsystem header
-    const subsystemStructure = {
+  // ENHANCED: Equipment whose subsystem is not in the mapping (e.g. blank) gets its own
+  // subsystem section after the mapped ones instead of being dropped
+  const mappedSubsystemKeys = new Set(subsystemEntries.map(([subsystemKey]) => subsystemKey));
+  Object.keys(equipmentBySubsystem)
+    .filter(subsystemKey => !mappedSubsystemKeys.has(subsystemKey))
+    .forEach(subsystemKey => {
+      // After the highest S-number - locked numbering can leave gaps
+      const index = Math.max(0, ...subsystemEntries.map(([, data]) => data.index)) + 1;
+      const name = subsystemKey === 'Default' ? UNASSIGNED_SUBSYSTEM_NAME : subsystemKey;
+      console.log(`⚠️ ${equipmentBySubsystem[subsystemKey].length} items in unmapped subsystem "${subsystemKey}" - adding S${index}`);
+      subsystemEntries.push([subsystemKey, {
+        code: '',
+        name,
+        full_name: formatSubsystemFullName(index, '', name),
+        index,
+        is_unassigned: true
+      }]);
+    });
+
+  // Step 3: Create template sections in order (level 2: 1.1, 1.2, ...)
+  console.log('STEP 3: Creating Template Sections');
+
+  let sectionCounter = 0;
+  let omittedCategories = 0;
+  const nextSectionCode = () => `1.${++sectionCounter}`;
+
+  const addCategoryNode = (categoryWBSCode, parentCode, category, subsystemKey) => {
+    wbsStructure.push(createStructuralNode({
+      wbs_code: categoryWBSCode,
+      parent_wbs_code: parentCode,
+      wbs_name: formatTemplateName(naming.category, { category_id: category.id, category_name: category.name }),
+      description: category.name,
+      category: category.id,
+      category_name: category.name,
+      subsystem: subsystemKey
+    }));
+  };
+
+  // Preparation items / interface testing phases, numbered ahead of the equipment
+  const addCategoryStructuralItems = (parentCode, structuralItems, category, subsystemKey) => {
+    structuralItems.forEach((structuralItem, index) => {
+      wbsStructure.push(createStructuralNode({
+        wbs_code: `${parentCode}.${index + 1}`,
+        parent_wbs_code: parentCode,
+        wbs_name: structuralItem.name,
+        description: structuralItem.name,
+        category: category.id,
+        category_name: category.name,
+        subsystem: subsystemKey,
+        structural_type: structuralItem.type
+      }));
+    });
+
+    if (structuralItems.length > 0) {
+      console.log(`   Category ${category.id}: ${structuralItems.length} ${structuralItems[0].type} items`);
+    }
+    return structuralItems.length;
+  };
+
+  const addSubsystemNode = (subsystemWBSCode, parentCode, subsystemKey, subsystemData, category = null) => {
+    const subsystemName = formatTemplateName(naming.subsystem, getSubsystemNameValues(subsystemData));
+    wbsStructure.push(createStructuralNode({
       wbs_code: subsystemWBSCode,
-      parent_wbs_code: '1',
-      wbs_name: subsystemData.full_name,
-      equipment_number: null,
+      parent_wbs_code: parentCode,
+      wbs_name: subsystemName,
       description: subsystemData.full_name,
-      commissioning_yn: null,
-      category: null,
-      category_name: null,
-      level: 2,
-      is_equipment: false,
-      is_structural: true,
+      category: category?.id || null,
+      category_name: category?.name || null,
       subsystem: subsystemKey
-    };
-    
-    wbsStructure.push(subsystemStructure);
-    console.log(`Added subsystem: ${subsystemWBSCode} - ${subsystemData.full_name}`);
+    }));
+    console.log(`Added subsystem: ${subsystemWBSCode} - ${subsystemName}`);
+  };
+
+  // Subsystem sections, each containing the template categories
+  const addSubsystemFirstSections = () => {
+    // Section number follows the S-number, so locked numbering that skips one leaves a gap
+    const firstSubsystemSection = sectionCounter;
+    sectionCounter += Math.max(0, ...subsystemEntries.map(([, data]) => data.index));
+
+    subsystemEntries.forEach(([subsystemKey, subsystemData]) => {
+      const subsystemWBSCode = `1.${firstSubsystemSection + subsystemData.index}`;
+      addSubsystemNode(subsystemWBSCode, '1', subsystemKey, subsystemData);
 
-    // Create ALL standard categories under this subsystem (in sequential order 01-99)
-    const sortedCategories = Object.entries(EQUIPMENT_CATEGORIES)
-      .sort(([a], [b]) => a.localeCompare(b)); // Sort by category ID (01, 02, 03... 99)
-    
-    sortedCategories.forEach(([categoryId, categoryName], categoryIndex) => {
-      const categoryWBSCode = `${subsystemWBSCode}.${categoryIndex + 1}`;
-      
-      const categoryStructure = {
-        wbs_code: categoryWBSCode,
-        parent_wbs_code: subsystemWBSCode,
-        wbs_name: `${categoryId} | ${categoryName}`,
-        equipment_number: null,
-        description: categoryName,
-        commissioning_yn: null,
-        category: categoryId,
-        category_name: categoryName,
-        level: 3,
-        is_equipment: false,
-        is_structural: true,
-        subsystem: subsystemKey
-      };
-      
-      wbsStructure.push(categoryStructure);
-      
-      // Add equipment for this subsystem + category combination
       const equipmentForThisSubsystem = equipmentBySubsystem[subsystemKey] || [];
-      const equipmentForThisCategory = equipmentForThisSubsystem.filter(item => item.category === categoryId);
-      
-      if (equipmentForThisCategory.length > 0) {
-        console.log(`   Category ${categoryId}: ${equipmentForThisCategory.length} equipment items`);
-        addEquipmentToCategory(wbsStructure, categoryWBSCode, equipmentForThisCategory, processedEquipmentData);
-      } else {
-        console.log(`   Category ${categoryId}: 0 equipment items (empty but created)`);
+
+      // Categories keep their WBS segment (see lib/wbsNumbering.js), even when empty ones are skipped
+      template.categories.forEach(category => {
+        const equipmentForThisCategory = equipmentForThisSubsystem.filter(item => getPlacementCategory(item) === category.id);
+        const structuralItems = getCategoryStructuralItems(category.id, generationOptions);
+
+        if (equipmentForThisCategory.length === 0 && structuralItems.length === 0 && !shouldCreateEmptyCategory(template, category.id)) {
+          console.log(`   Category ${category.id}: 0 equipment items (omitted)`);
+          omittedCategories++;
+          return;
+        }
+
+        const categoryWBSCode = `${subsystemWBSCode}.${getCategorySegment(category.id, numberingScheme, templateCategoryOrder)}`;
+        addCategoryNode(categoryWBSCode, subsystemWBSCode, category, subsystemKey);
+        const structuralCount = addCategoryStructuralItems(categoryWBSCode, structuralItems, category, subsystemKey);
+
+        if (equipmentForThisCategory.length > 0) {
+          console.log(`   Category ${category.id}: ${equipmentForThisCategory.length} equipment items`);
+          addEquipmentToCategory(wbsStructure, categoryWBSCode, equipmentForThisCategory, naming, structuralCount + 1);
+        } else if (structuralCount === 0) {
+          console.log(`   Category ${category.id}: 0 equipment items (empty but created)`);
+        }
+      });
+    });
+  };
+
+  // Category sections, each containing the subsystems that have equipment in that category
+  const addCategoryFirstSections = () => {
+    // Every template category reserves its section number, so omitted ones leave a gap
+    const firstCategorySection = sectionCounter + 1;
+    sectionCounter += template.categories.length;
+
+    template.categories.forEach((category, categoryIndex) => {
+      const equipmentForThisCategory = (processedEquipmentData.equipment || [])
+        .filter(item => getPlacementCategory(item) === category.id);
+      const structuralItems = getCategoryStructuralItems(category.id, generationOptions);
+
+      if (equipmentForThisCategory.length === 0 && structuralItems.length === 0 && !shouldCreateEmptyCategory(template, category.id)) {
+        console.log(`   Category ${category.id}: 0 equipment items (omitted)`);
+        omittedCategories++;
+        return;
       }
+
+      const categoryWBSCode = `1.${firstCategorySection + categoryIndex}`;
+      addCategoryNode(categoryWBSCode, '1', category, null);
+      console.log(`Added category section: ${categoryWBSCode} - ${category.id} | ${category.name}`);
+
+      // Subsystems keep their S-number as WBS segment
+      subsystemEntries.forEach(([subsystemKey, subsystemData]) => {
+        const equipmentForThisSubsystem = equipmentForThisCategory
+          .filter(item => (item.subsystem || 'Default') === subsystemKey);
+
+        if (equipmentForThisSubsystem.length === 0 && structuralItems.length === 0) return;
+
+        const subsystemWBSCode = `${categoryWBSCode}.${subsystemData.index}`;
+        addSubsystemNode(subsystemWBSCode, categoryWBSCode, subsystemKey, subsystemData, category);
+        const structuralCount = addCategoryStructuralItems(subsystemWBSCode, structuralItems, category, subsystemKey);
+        if (equipmentForThisSubsystem.length > 0) {
+          addEquipmentToCategory(wbsStructure, subsystemWBSCode, equipmentForThisSubsystem, naming, structuralCount + 1);
+        }
+      });
     });
-  });
+  };
 
-  // Step 3.5: Add TBC Equipment Section (NEW ADDITION)
-  console.log('STEP 3.5: Adding TBC Equipment Section');
-  
-  if (processedEquipmentData.tbcEquipment && processedEquipmentData.tbcEquipment.length > 0) {
-    // Calculate next available WBS code after all subsystems
-    const nextSectionNumber = subsystemEntries.length + 3; // +3 for M, P, and subsystems start at 3
-    const tbcSectionCode = `1.${nextSectionNumber}`;
-    
-    console.log(`Creating TBC section: ${tbcSectionCode} with ${processedEquipmentData.tbcEquipment.length} TBC items`);
-    
-    // Create TBC section header
-    const tbcSectionStructure = {
-      wbs_code: tbcSectionCode,
+  // Flat project-level section listing equipment outside the category tree (TBC, Out of Scope)
+  const addFlatEquipmentSection = (section, items, fields) => {
+    const sectionCode = nextSectionCode();
+    console.log(`Creating ${fields.category} section: ${sectionCode} with ${items.length} items`);
+
+    wbsStructure.push(createStructuralNode({
+      wbs_code: sectionCode,
       parent_wbs_code: '1',
-      wbs_name: 'TBC - Equipment To Be Confirmed',
-      equipment_number: null,
-      description: 'Equipment To Be Confirmed',
-      commissioning_yn: 'TBC',
-      category: 'TBC',
-      category_name: 'Equipment To Be Confirmed',
-      level: 2,
-      is_equipment: false,
-      is_structural: true,
-      subsystem: null
-    };
-    
-    wbsStructure.push(tbcSectionStructure);
-    console.log(`Added TBC section: ${tbcSectionCode} - TBC - Equipment To Be Confirmed`);
-    
-    // Add all TBC equipment under this section
-    processedEquipmentData.tbcEquipment.forEach((tbcItem, index) => {
-      const tbcItemCode = `${tbcSectionCode}.${index + 1}`;
-      
-      const tbcItemStructure = {
-        wbs_code: tbcItemCode,
-        parent_wbs_code: tbcSectionCode,
-        wbs_name: `${tbcItem.equipment_number} | ${tbcItem.description}`,
-        equipment_number: tbcItem.equipment_number,
-        description: tbcItem.description,
-        commissioning_yn: 'TBC',
-        category: 'TBC',
-        category_name: 'Equipment To Be Confirmed',
-        level: 3,
+      wbs_name: section.name,
+      description: section.description,
+      ...fields
+    }));
+
+    items.forEach((item, index) => {
+      const itemCode = `${sectionCode}.${index + 1}`;
+
+      wbsStructure.push({
+        wbs_code: itemCode,
+        parent_wbs_code: sectionCode,
+        wbs_name: formatTemplateName(naming.equipment, item),
+        equipment_number: item.equipment_number,
+        description: item.description,
+        ...fields,
+        level: itemCode.split('.').length,
         is_equipment: true,
         is_structural: false,
-        subsystem: tbcItem.subsystem,
+        subsystem: item.subsystem,
         is_sub_equipment: false,
-        parent_equipment_number: null
-      };
-      
-      wbsStructure.push(tbcItemStructure);
+        parent_equipment_number: null,
+        proposed_category: item.proposed_category || null,
+        classification: item.classification,
+        is_overridden: !!item.is_overridden,
+        overridden_fields: item.overridden_fields || [],
+        original_values: item.original_values || {},
+        source_file: item.source_file || null,
+        source_sheet: item.source_sheet || null,
+        source_row: item.source_row ?? null
+      });
     });
-    
-    console.log(`Added ${processedEquipmentData.tbcEquipment.length} TBC equipment items to section ${tbcSectionCode}`);
-  } else {
-    console.log('No TBC equipment to add');
+
+    console.log(`Added ${items.length} ${fields.category} equipment items to section ${sectionCode}`);
+  };
+
+  // TBC section - only created when there is TBC equipment
+  const addTBCSection = (section) => {
+    const tbcEquipment = processedEquipmentData.tbcEquipment || [];
+
+    if (tbcEquipment.length === 0) {
+      console.log('No TBC equipment to add');
+      return;
+    }
+
+    addFlatEquipmentSection(section, tbcEquipment, {
+      commissioning_yn: 'TBC',
+      category: 'TBC',
+      category_name: 'Equipment To Be Confirmed'
+    });
+  };
+
+  // Out of Scope section - N equipment, only when enabled for the project and there is some
+  let outOfScopeAdded = false;
+  const addOutOfScopeSection = (section) => {
+    const outOfScopeEquipment = processedEquipmentData.outOfScopeEquipment || [];
+
+    if (!generationOptions.includeOutOfScope) {
+      console.log('OOS | Out of Scope disabled for this project');
+      return;
+    }
+    if (outOfScopeEquipment.length === 0) {
+      console.log('No out of scope equipment to add');
+      return;
+    }
+
+    addFlatEquipmentSection(section, outOfScopeEquipment, {
+      commissioning_yn: 'N',
+      category: 'OOS',
+      category_name: 'Out of Scope',
+      is_out_of_scope: true
+    });
+    outOfScopeAdded = true;
+  };
+
+  template.sections.forEach(section => {
+    if (section.type === WBS_SECTION_TYPES.STATIC) {
+      addStaticSection(wbsStructure, section, nextSectionCode(), '1');
+    } else if (section.type === WBS_SECTION_TYPES.ENERGISATION) {
+      if (generationOptions.includeEnergisation) {
+        addEnergisationSection(wbsStructure, section, nextSectionCode(), '1');
+      } else {
+        console.log('E | Energisation disabled for this project');
+      }
+    } else if (section.type === WBS_SECTION_TYPES.EQUIPMENT) {
+      if (template.grouping[0] === WBS_GROUPING_LEVELS.SUBSYSTEM) {
+        addSubsystemFirstSections();
+      } else {
+        addCategoryFirstSections();
+      }
+    } else if (section.type === WBS_SECTION_TYPES.TBC) {
+      addTBCSection(section);
+    } else if (section.type === WBS_SECTION_TYPES.OUT_OF_SCOPE) {
+      addOutOfScopeSection(section);
+    }
+  });
+
+  // Templates saved before the Out of Scope section existed still get it last
+  if (!template.sections.some(section => section.type === WBS_SECTION_TYPES.OUT_OF_SCOPE)) {
+    addOutOfScopeSection(OUT_OF_SCOPE_SECTION);
   }
 
   // Step 4: Calculate Final Statistics
@@ -295,8 +505,8 @@ const generateEnhancedWBSStructure = (processedEquipmentData, projectName) => {
       structuralItems++;
     }
     
-    if (item.level && levelCounts[item.level] !== undefined) {
-      levelCounts[item.level]++;
+    if (item.level) {
+      levelCounts[item.level] = (levelCounts[item.level] || 0) + 1;
     }
     
     if (item.is_equipment && item.parent_equipment_number) {
@@ -304,8 +514,8 @@ const generateEnhancedWBSStructure = (processedEquipmentData, projectName) => {
     }
   });
 
-  // Count categories with/without equipment
-  Object.keys(EQUIPMENT_CATEGORIES).forEach(categoryId => {
+  // Count template categories with/without equipment
+  template.categories.forEach(({ id: categoryId }) => {
     if (processedEquipmentData.categoryStats) {
       const hasEquipment = processedEquipmentData.categoryStats[categoryId]?.count > 0;
       if (hasEquipment) {
@@ -322,6 +532,7 @@ const generateEnhancedWBSStructure = (processedEquipmentData, projectName) => {
   console.log(`   Structural Items: ${structuralItems}`);
   console.log(`   Categories with Equipment: ${categoriesWithEquipment}`);
   console.log(`   Empty Categories: ${emptyCategories}`);
+  console.log(`   Omitted Empty Category Nodes: ${omittedCategories}`);
   console.log(`   Parent-Child Pairs: ${parentChildPairs}`);
 
   // Sort WBS structure hierarchically
@@ -331,6 +542,9 @@ const generateEnhancedWBSStructure = (processedEquipmentData, projectName) => {
   const validation = validateWBSStructure(sortedWBSStructure);
   console.log('WBS validation completed - validation passed:', validation.isValid);
 
+  // ENHANCED: Every accepted Y and TBC item must appear exactly once
+  const reconciliation = reconcileEquipmentWithWBS(processedEquipmentData, sortedWBSStructure);
+
   return {
     wbsStructure: sortedWBSStructure,
     totalWBSItems: sortedWBSStructure.length,
@@ -338,169 +552,139 @@ const generateEnhancedWBSStructure = (processedEquipmentData, projectName) => {
     structuralItems: structuralItems,
     categoriesWithEquipment: categoriesWithEquipment,
     emptyCategories: emptyCategories,
+    omittedCategories: omittedCategories,
     parentChildPairs: parentChildPairs,
     levelDistribution: levelCounts,
     validation: validation,
+    reconciliation: reconciliation,
     metadata: {
       projectName: projectName,
       generatedAt: new Date().toISOString(),
+      template: { id: template.id, name: template.name },
+      numberingScheme: numberingScheme,
+      includeEnergisation: generationOptions.includeEnergisation,
+      includeOutOfScope: generationOptions.includeOutOfScope,
+      tbcPlacement: generationOptions.tbcPlacement,
       totalEquipment: processedEquipmentData.equipment?.length || 0,
       tbcEquipment: processedEquipmentData.tbcEquipment?.length || 0,
+      outOfScopeEquipment: outOfScopeAdded ? processedEquipmentData.outOfScopeEquipment.length : 0,
       categoryStats: processedEquipmentData.categoryStats || {}
     }
   };
 };
 
-// Enhanced equipment addition for categories with proper parent-child handling
-const addEquipmentToCategory = (wbsStructure, categoryWBSCode, equipmentList, processedEquipmentData) => {
+// Equipment WBS node - the level follows the code depth, so nesting can go as deep as the data
+// TBC items placed inline are marked in the name
+const createEquipmentNode = (equipment, wbsCode, parentWBSCode, naming, isSubEquipment) => ({
+  wbs_code: wbsCode,
+  parent_wbs_code: parentWBSCode,
+  wbs_name: equipment.commissioning_yn === COMMISSIONING_STATUS.TBC
+    ? markTBCName(formatTemplateName(naming.equipment, equipment))
+    : formatTemplateName(naming.equipment, equipment),
+  equipment_number: equipment.equipment_number,
+  description: equipment.description,
+  commissioning_yn: equipment.commissioning_yn,
+  category: equipment.category,
+  category_name: equipment.category_name,
+  level: wbsCode.split('.').length,
+  is_equipment: true,
+  is_structural: false,
+  subsystem: equipment.subsystem,
+  is_sub_equipment: isSubEquipment,
+  parent_equipment_number: equipment.parent_equipment_number,
+  classification: equipment.classification,
+  is_overridden: !!equipment.is_overridden,
+  overridden_fields: equipment.overridden_fields || [],
+  original_values: equipment.original_values || {},
+  source_file: equipment.source_file || null,
+  source_sheet: equipment.source_sheet || null,
+  source_row: equipment.source_row ?? null
+});
+
+// Enhanced equipment addition for categories - parent/child trees of any depth
+const addEquipmentToCategory = (wbsStructure, categoryWBSCode, equipmentList, naming, firstNumber = 1) => {
   console.log(`Adding equipment to category ${categoryWBSCode}: ${equipmentList.length} items`);
   
-  // Separate parent and child equipment
-  const parentEquipment = equipmentList.filter(item => !item.is_sub_equipment);
-  const childEquipment = equipmentList.filter(item => item.is_sub_equipment);
-  
-  console.log(`   Parents: ${parentEquipment.length}, Children: ${childEquipment.length}`);
+  // Group children under their parent; items whose parent is not in this category start a tree
+  const listedNumbers = new Set(equipmentList.map(item => item.equipment_number));
+  const childrenByParent = new Map();
+  const topLevelEquipment = [];
   
-  // Add parent equipment first
-  let equipmentCounter = 1;
-  parentEquipment.forEach(equipment => {
-    const equipmentWBSCode = `${categoryWBSCode}.${equipmentCounter}`;
-    
-    const equipmentStructure = {
-      wbs_code: equipmentWBSCode,
-      parent_wbs_code: categoryWBSCode,
-      wbs_name: `${equipment.equipment_number} | ${equipment.description}`,
-      equipment_number: equipment.equipment_number,
-      description: equipment.description,
-      commissioning_yn: equipment.commissioning_yn,
-      category: equipment.category,
-      category_name: equipment.category_name,
-      level: 4,
-      is_equipment: true,
-      is_structural: false,
-      subsystem: equipment.subsystem,
-      is_sub_equipment: false,
-      parent_equipment_number: equipment.parent_equipment_number
-    };
-    
-    wbsStructure.push(equipmentStructure);
-    
-    // Add child equipment under this parent
-    const childrenForThisParent = childEquipment.filter(child => 
-      child.parent_equipment_number === equipment.equipment_number
-    );
-    
-    if (childrenForThisParent.length > 0) {
-      console.log(`   Adding ${childrenForThisParent.length} children for parent ${equipment.equipment_number}`);
-      
-      childrenForThisParent.forEach((child, childIndex) => {
-        const childWBSCode = `${equipmentWBSCode}.${childIndex + 1}`;
-        
-        const childStructure = {
-          wbs_code: childWBSCode,
-          parent_wbs_code: equipmentWBSCode,
-          wbs_name: `${child.equipment_number} | ${child.description}`,
-          equipment_number: child.equipment_number,
-          description: child.description,
-          commissioning_yn: child.commissioning_yn,
-          category: child.category,
-          category_name: child.category_name,
-          level: 5,
-          is_equipment: true,
-          is_structural: false,
-          subsystem: child.subsystem,
-          is_sub_equipment: true,
-          parent_equipment_number: child.parent_equipment_number
-        };
-        
-        wbsStructure.push(childStructure);
-        console.log(`     Added child: ${childWBSCode} - ${child.equipment_number}`);
-      });
+  equipmentList.forEach(item => {
+    const parentNumber = item.parent_equipment_number;
+    if (parentNumber && parentNumber !== item.equipment_number && listedNumbers.has(parentNumber)) {
+      if (!childrenByParent.has(parentNumber)) {
+        childrenByParent.set(parentNumber, []);
+      }
+      childrenByParent.get(parentNumber).push(item);
+    } else {
+      topLevelEquipment.push(item);
     }
-    
-    equipmentCounter++;
   });
   
-  console.log(`   Finished adding ${parentEquipment.length} parent equipment items to ${categoryWBSCode}`);
-};
-
-// Enhanced energisation section generation
-const addEnergisationSection = (wbsStructure, parentCode) => {
-  console.log(`Adding E | Energisation section under parent: ${parentCode}`);
+  console.log(`   Top-level: ${topLevelEquipment.length}, Nested: ${equipmentList.length - topLevelEquipment.length}`);
   
-  // Split the parent code and increment for energisation
-  const parentParts = parentCode.split('.');
-  const energisationNumber = parseInt(parentParts[parentParts.length - 1]) + 1;
-  const energisationCode = parentParts.slice(0, -1).concat([energisationNumber]).join('.');
+  const placedItems = new Set();
+  let deepestLevel = 0;
   
-  const energisationSection = {
-    wbs_code: energisationCode,
-    parent_wbs_code: parentCode,
-    wbs_name: 'E | Energisation',
-    equipment_number: null,
-    description: 'Project Energisation',
-    commissioning_yn: null,
-    category: null,
-    category_name: null,
-    level: parentParts.length,
-    is_equipment: false,
-    is_structural: true,
-    subsystem: null
+  const addEquipmentBranch = (equipment, wbsCode, parentWBSCode, isSubEquipment) => {
+    placedItems.add(equipment);
+    const node = createEquipmentNode(equipment, wbsCode, parentWBSCode, naming, isSubEquipment);
+    deepestLevel = Math.max(deepestLevel, node.level);
+    wbsStructure.push(node);
+    
+    // Skip anything already placed - guards against circular parent references
+    const children = (childrenByParent.get(equipment.equipment_number) || [])
+      .filter(child => !placedItems.has(child));
+    children.forEach((child, childIndex) => {
+      addEquipmentBranch(child, `${wbsCode}.${childIndex + 1}`, wbsCode, true);
+    });
   };
   
-  wbsStructure.push(energisationSection);
-  console.log(`Added energisation: ${energisationCode} - E | Energisation`);
+  let equipmentCounter = firstNumber;
+  topLevelEquipment.forEach(equipment => {
+    addEquipmentBranch(equipment, `${categoryWBSCode}.${equipmentCounter}`, categoryWBSCode, false);
+    equipmentCounter++;
+  });
   
-  return energisationCode;
-};
-
-// Enhanced empty WBS structure generation for fallback
-const generateEmptyWBSStructure = (projectName) => {
-  console.log('GENERATING EMPTY WBS STRUCTURE');
+  // Items only reachable through a loop (A → B → A) are added at the top so nothing is dropped
+  const unplacedEquipment = equipmentList.filter(item => !placedItems.has(item));
+  unplacedEquipment.forEach(equipment => {
+    if (placedItems.has(equipment)) return;
+    console.log(`   ⚠️ Circular parent reference at ${equipment.equipment_number} - placed at top level`);
+    addEquipmentBranch(equipment, `${categoryWBSCode}.${equipmentCounter}`, categoryWBSCode, false);
+    equipmentCounter++;
+  });
   
-  const wbsStructure = [];
+  console.log(`   Finished adding ${equipmentCounter - firstNumber} equipment trees to ${categoryWBSCode} (deepest level ${deepestLevel})`);
+};
 
-  // Project Root
-  wbsStructure.push({
-    wbs_code: '1',
-    parent_wbs_code: null,
-    wbs_name: projectName,
-    level: 1,
-    is_equipment: false,
-    is_structural: true
-  });
+// Enhanced energisation section generation - a project-level section (sibling of M, P and the subsystems)
+const addEnergisationSection = (wbsStructure, section, sectionCode, projectRootCode) => {
+  wbsStructure.push(createStructuralNode({
+    wbs_code: sectionCode,
+    parent_wbs_code: projectRootCode,
+    wbs_name: section.name,
+    description: section.description,
+    structural_type: STRUCTURAL_ITEM_TYPES.ENERGISATION
+  }));
+  console.log(`Added energisation: ${sectionCode} - ${section.name}`);
 
-  // Standard sections
-  ['M | Milestones', 'P | Pre-requisites', 'S1 | Z01 | Main Subsystem'].forEach((name, index) => {
-    wbsStructure.push({
-      wbs_code: `1.${index + 1}`,
-      parent_wbs_code: '1',
-      wbs_name: name,
-      level: 2,
-      is_equipment: false,
-      is_structural: true
-    });
-  });
+  return sectionCode;
+};
 
-  // All standard categories under main subsystem (in sequential order)
-  const sortedCategories = Object.entries(EQUIPMENT_CATEGORIES)
-    .sort(([a], [b]) => a.localeCompare(b)); // Sort by category ID (01, 02, 03... 99)
-    
-  sortedCategories.forEach(([categoryId, categoryName], index) => {
-    wbsStructure.push({
-      wbs_code: `1.3.${index + 1}`,
-      parent_wbs_code: '1.3',
-      wbs_name: `${categoryId} | ${categoryName}`,
-      level: 3,
-      is_equipment: false,
-      is_structural: true,
-      category: categoryId,
-      category_name: categoryName
-    });
-  });
+// Enhanced empty WBS structure generation for fallback - the template skeleton with the default subsystem
+const generateEmptyWBSStructure = (projectName, template, generationOptions) => {
+  console.log('GENERATING EMPTY WBS STRUCTURE');
 
-  // Add E | Energisation
-  addEnergisationSection(wbsStructure, '1');
+  // The template adds E | Energisation (when enabled) like any other section
+  const emptyResult = generateEnhancedWBSStructure(
+    { equipment: [], tbcEquipment: [], subsystemMapping: {} },
+    projectName,
+    template,
+    generationOptions
+  );
+  const wbsStructure = emptyResult.wbsStructure;
 
   return {
     wbsStructure: wbsStructure,
@@ -508,9 +692,10 @@ const generateEmptyWBSStructure = (projectName) => {
     equipmentItems: 0,
     structuralItems: wbsStructure.length,
     categoriesWithEquipment: 0,
-    emptyCategories: Object.keys(EQUIPMENT_CATEGORIES).length,
+    emptyCategories: template.categories.length,
     parentChildPairs: 0,
-    validation: { isValid: true, errors: [], warnings: [] }
+    validation: emptyResult.validation,
+    reconciliation: emptyResult.reconciliation
   };
 };
 
@@ -524,7 +709,7 @@ const convertToLegacyWBSFormat = (enhancedWBSStructure) => {
 };
 
 // Enhanced hierarchical sorting
-const sortWBSStructureHierarchically = (wbsStructure) => {
+export const sortWBSStructureHierarchically = (wbsStructure) => {
   return wbsStructure.sort((a, b) => {
     const aParts = a.wbs_code.split('.').map(part => parseInt(part) || 0);
     const bParts = b.wbs_code.split('.').map(part => parseInt(part) || 0);
@@ -555,16 +740,26 @@ export const validateWBSStructure = (wbsStructure) => {
       max_level: 0,
       unique_wbs_codes: new Set(wbsStructure.map(item => item.wbs_code)).size,
       records_with_parents: wbsStructure.filter(item => item.parent_wbs_code && item.parent_wbs_code !== '').length,
-      root_records: wbsStructure.filter(item => !item.parent_wbs_code || item.parent_wbs_code === '').length
+      root_records: wbsStructure.filter(item => !item.parent_wbs_code || item.parent_wbs_code === '').length,
+      preparation_items: wbsStructure.filter(item => item.structural_type === STRUCTURAL_ITEM_TYPES.PREPARATION).length,
+      interface_testing_items: wbsStructure.filter(item => item.structural_type === STRUCTURAL_ITEM_TYPES.INTERFACE_TESTING).length,
+      energisation_sections: wbsStructure.filter(item => item.structural_type === STRUCTURAL_ITEM_TYPES.ENERGISATION).length
     }
   };
 
   const wbsCodes = new Set();
+  const itemsByCode = new Map(wbsStructure.map(item => [item.wbs_code, item]));
+
+  // ENHANCED: Point equipment messages back at the spreadsheet row
+  const sourceSuffix = (item) => {
+    const location = formatSourceLocation(item);
+    return location ? ` (${location})` : '';
+  };
 
   wbsStructure.forEach((item, index) => {
     // Check for duplicate WBS codes
     if (wbsCodes.has(item.wbs_code)) {
-      validation.errors.push(`Duplicate WBS code: ${item.wbs_code}`);
+      validation.errors.push(`Duplicate WBS code: ${item.wbs_code}${sourceSuffix(item)}`);
       validation.isValid = false;
     }
     wbsCodes.add(item.wbs_code);
@@ -576,7 +771,7 @@ export const validateWBSStructure = (wbsStructure) => {
 
     // Validate required fields
     if (!item.wbs_code || !item.wbs_name) {
-      validation.errors.push(`Row ${index + 1}: Missing required WBS fields`);
+      validation.errors.push(`Row ${index + 1}: Missing required WBS fields${sourceSuffix(item)}`);
       validation.isValid = false;
     }
   });
@@ -584,25 +779,83 @@ export const validateWBSStructure = (wbsStructure) => {
   // Check for orphaned items
   wbsStructure.forEach(item => {
     if (item.parent_wbs_code && item.parent_wbs_code !== '' && !wbsCodes.has(item.parent_wbs_code)) {
-      validation.warnings.push(`Orphaned item: ${item.wbs_code} references missing parent ${item.parent_wbs_code}`);
+      validation.warnings.push(`Orphaned item: ${item.wbs_code} references missing parent ${item.parent_wbs_code}${sourceSuffix(item)}`);
     }
   });
 
+  // ENHANCED: Structural children must sit where the generator puts them
+  wbsStructure.forEach(item => {
+    const parent = itemsByCode.get(item.parent_wbs_code);
+    if (!parent) return;
+
+    if (item.structural_type === STRUCTURAL_ITEM_TYPES.ENERGISATION && parent.parent_wbs_code) {
+      validation.warnings.push(`Energisation ${item.wbs_code} should be directly under the project root, not ${parent.wbs_code}`);
+    }
+
+    const isCategoryChild = item.structural_type === STRUCTURAL_ITEM_TYPES.PREPARATION ||
+      item.structural_type === STRUCTURAL_ITEM_TYPES.INTERFACE_TESTING;
+    if (isCategoryChild && parent.category !== item.category) {
+      validation.warnings.push(`${item.wbs_name} (${item.wbs_code}) is not under its ${item.category} category`);
+    }
+  });
+
+  if (validation.statistics.energisation_sections > 1) {
+    validation.errors.push(`Found ${validation.statistics.energisation_sections} E | Energisation sections - expected at most one`);
+    validation.isValid = false;
+  }
+
   console.log('WBS Validation Results:');
   console.log(`   Unique WBS Codes: ${validation.statistics.unique_wbs_codes}/${validation.statistics.total_items}`);
   console.log(`   Max Level: ${validation.statistics.max_level}`);
   console.log(`   Root Records: ${validation.statistics.root_records}`);
   console.log(`   Records with Parents: ${validation.statistics.records_with_parents}`);
+  console.log(`   Preparation / Interface Testing / Energisation: ${validation.statistics.preparation_items} / ${validation.statistics.interface_testing_items} / ${validation.statistics.energisation_sections}`);
   console.log(`   Errors: ${validation.errors.length}`);
   console.log(`   Warnings: ${validation.warnings.length}`);
 
   return validation;
 };
 
-// Additional utility functions for backward compatibility
-export const continueWBSStructure = (existingWBS, newEquipment, lastWBSCode) => {
-  // Implementation for continue project functionality
-  throw new Error('Continue WBS Structure functionality not yet implemented in enhanced version');
+// Continue an existing project: new equipment gets WBS codes that follow on
+// from the existing numbering (parent → existing subsystem → new subsystem)
+export const continueWBSStructure = async (existingWBS, newEquipmentList, projectInfo = {}, options = {}) => {
+  try {
+    console.log('=== CONTINUING EXISTING WBS STRUCTURE ===');
+    console.log(`Existing WBS items: ${existingWBS?.length || 0}, New equipment list: ${newEquipmentList?.length || 0}`);
+
+    if (!existingWBS || existingWBS.length === 0) {
+      throw new Error('Existing WBS structure is empty');
+    }
+
+    if (!newEquipmentList || newEquipmentList.length === 0) {
+      throw new Error('New equipment list is empty');
+    }
+
+    // Step 1: Index equipment and subsystems already in the project
+    const enhancedData = extractEquipmentAndSubsystemData(existingWBS, options.subsystemFormats);
+
+    const existingProject = {
+      wbsStructure: existingWBS,
+      projectInfo,
+      equipmentCodes: enhancedData.equipmentCodes,
+      equipmentMapping: enhancedData.equipmentMapping,
+      existingSubsystems: enhancedData.existingSubsystems
+    };
+
+    // Step 2: Categorise the new list and assign continuing WBS codes
+    const comparisonResult = await compareEquipmentLists(existingProject, newEquipmentList, options);
+
+    console.log(`✅ Continue WBS complete: ${comparisonResult.wbs_assignment.new_wbs_items.length} new WBS items`);
+
+    return {
+      existingProject,
+      ...comparisonResult
+    };
+
+  } catch (error) {
+    console.error('Continue WBS structure failed:', error);
+    throw new Error(`Continue WBS structure failed: ${error.message}`);
+  }
 };
 
 export const buildWBSTree = (wbsStructure) => {
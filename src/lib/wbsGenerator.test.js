@@ -0,0 +1,143 @@
+import { categorizeEquipment } from './equipmentProcessor';
+import { generateWBSStructure, continueWBSStructure } from './wbsGenerator';
+
+const row = (equipmentNumber, subsystem, description = 'Protection relay') => ({
+  equipment_number: equipmentNumber,
+  description,
+  commissioning_yn: 'Y',
+  subsystem,
+  plu_field: ''
+});
+
+const generate = async (rows, options = {}) => {
+  const processed = await categorizeEquipment(rows, {});
+  const generated = await generateWBSStructure({ ...processed, equipment: processed.categorizedEquipment }, 'Project', options);
+  return generated.wbsStructure;
+};
+
+const codeOf = (wbsStructure, equipmentNumber) => (
+  wbsStructure.find(node => node.is_equipment && node.equipment_number === equipmentNumber)?.wbs_code
+);
+
+describe('continueWBSStructure', () => {
+  const baseline = [row('+UH101', 'Sub A - +Z01'), row('+UH102', 'Sub A - +Z01'), row('+UH201', 'Sub B - +Z02')];
+
+  test('new equipment continues the existing numbering and removed equipment is reported', async () => {
+    const existingWBS = await generate(baseline);
+    const updated = [row('+UH101', 'Sub A - +Z01'), row('+UH103', 'Sub A - +Z01'), row('+UH201', 'Sub B - +Z02'), row('+UH301', 'Sub C - +Z03')];
+
+    const result = await continueWBSStructure(existingWBS, updated, { projectName: 'Project' });
+
+    expect(result.comparison.added.map(item => item.equipment_number).sort()).toEqual(['+UH103', '+UH301']);
+    expect(result.comparison.removed).toEqual(['+UH102']);
+
+    // Existing codes are untouched and new codes do not collide with them
+    const existingCodes = new Set(existingWBS.map(node => node.wbs_code));
+    result.export_ready.forEach(item => expect(existingCodes.has(item.wbs_code)).toBe(false));
+
+    // +UH103 goes into the category node of +UH101 in the existing subsystem
+    const uh103 = result.export_ready.find(item => item.wbs_name.startsWith('+UH103'));
+    const uh101Code = codeOf(existingWBS, '+UH101');
+    expect(uh103.parent_wbs_code).toBe(uh101Code.split('.').slice(0, -1).join('.'));
+
+    // +UH301 needs a new subsystem node
+    expect(result.export_ready.some(item => /^S3 \| \+Z03/.test(item.wbs_name))).toBe(true);
+  });
+
+  test('a new subsystem gets the same structural items as a generated one', async () => {
+    const options = { preparationItems: ['Test bay'], interfaceTestingPhases: ['Phase 1', 'Phase 2'] };
+    const existingWBS = await generate(baseline, options);
+    const updated = [...baseline, row('+UH301', 'Sub C - +Z03')];
+
+    const result = await continueWBSStructure(existingWBS, updated, { projectName: 'Project' }, options);
+
+    const subsystem = result.export_ready.find(item => /^S3 \| \+Z03/.test(item.wbs_name));
+    const childNames = (categoryName) => {
+      const category = result.export_ready.find(item => item.wbs_name === categoryName && item.parent_wbs_code === subsystem.wbs_code);
+      return result.export_ready.filter(item => item.parent_wbs_code === category.wbs_code).map(item => item.wbs_name);
+    };
+    expect(childNames('01 | Preparations and set-up')).toEqual(['Test bay']);
+    expect(childNames('09 | Interface Testing')).toEqual(['Phase 1', 'Phase 2']);
+
+    // Category codes match the existing subsystems
+    const existingPreparation = existingWBS.find(node => node.wbs_name === '01 | Preparations and set-up');
+    const newPreparation = result.export_ready.find(item => item.wbs_name === '01 | Preparations and set-up');
+    expect(newPreparation.wbs_code.split('.').pop()).toBe(existingPreparation.wbs_code.split('.').pop());
+  });
+
+  test('an empty existing WBS is rejected', async () => {
+    await expect(continueWBSStructure([], baseline)).rejects.toThrow('Existing WBS structure is empty');
+  });
+});
+
+describe('structural items', () => {
+  const rows = [row('+UH101', 'Sub A - +Z01'), row('+UH201', 'Sub B - +Z02')];
+  const childNames = (wbsStructure, parentName, parentCode) => {
+    const parent = wbsStructure.find(node => node.wbs_name === parentName && node.parent_wbs_code === parentCode);
+    return wbsStructure.filter(node => node.parent_wbs_code === parent.wbs_code).map(node => node.wbs_name);
+  };
+
+  test('E | Energisation is a project-level section that can be switched off', async () => {
+    const withEnergisation = await generate(rows);
+    const energisation = withEnergisation.find(node => node.structural_type === 'energisation');
+    expect(energisation).toMatchObject({ wbs_name: 'E | Energisation', parent_wbs_code: '1' });
+
+    const withoutEnergisation = await generate(rows, { includeEnergisation: false });
+    expect(withoutEnergisation.some(node => node.structural_type === 'energisation')).toBe(false);
+  });
+
+  test('every subsystem gets the preparation items under 01 and the test phases under 09', async () => {
+    const wbsStructure = await generate(rows, { preparationItems: ['Test bay'], interfaceTestingPhases: ['Phase 1', 'Phase 2', 'Phase 3'] });
+
+    ['1.3', '1.4'].forEach(subsystemCode => {
+      expect(childNames(wbsStructure, '01 | Preparations and set-up', subsystemCode)).toEqual(['Test bay']);
+      expect(childNames(wbsStructure, '09 | Interface Testing', subsystemCode)).toEqual(['Phase 1', 'Phase 2', 'Phase 3']);
+    });
+  });
+});
+
+describe('parent/child nesting', () => {
+  test('each generation is nested one level below its parent', async () => {
+    const wbs = await generate([
+      row('+UH101', 'Sub A - +Z01'),
+      { ...row('-F101', 'Sub A - +Z01'), parent_equipment_number: '+UH101' },
+      { ...row('-K101', 'Sub A - +Z01'), parent_equipment_number: '-F101' }
+    ]);
+    const parentCode = codeOf(wbs, '+UH101');
+    const childCode = codeOf(wbs, '-F101');
+    const grandchildCode = codeOf(wbs, '-K101');
+
+    expect(childCode).toBe(`${parentCode}.1`);
+    expect(grandchildCode).toBe(`${childCode}.1`);
+    expect(wbs.find(node => node.wbs_code === grandchildCode)).toMatchObject({ parent_wbs_code: childCode, is_sub_equipment: true });
+  });
+});
+
+describe('out of scope section', () => {
+  const rows = [row('+UH101', 'Sub A - +Z01'), { ...row('+UH102', 'Sub A - +Z01'), commissioning_yn: 'N' }];
+
+  test('N equipment is only listed when the section is enabled', async () => {
+    const withoutSection = await generate(rows);
+    expect(codeOf(withoutSection, '+UH102')).toBeUndefined();
+
+    const withSection = await generate(rows, { includeOutOfScope: true });
+    const outOfScopeNode = withSection.find(node => node.equipment_number === '+UH102');
+    const sectionNode = withSection.find(node => node.wbs_code === outOfScopeNode.parent_wbs_code);
+
+    expect(outOfScopeNode).toMatchObject({ is_out_of_scope: true, commissioning_yn: 'N', category: 'OOS' });
+    expect(sectionNode.wbs_name).toContain('Out of Scope');
+  });
+
+  test('items that come into scope are new and flagged, items still N are not removed', async () => {
+    const existingWBS = await generate(rows, { includeOutOfScope: true });
+    const updated = [row('+UH101', 'Sub A - +Z01'), row('+UH102', 'Sub A - +Z01')];
+
+    const result = await continueWBSStructure(existingWBS, updated, { projectName: 'Project' });
+    expect(result.newly_in_scope.map(item => item.equipment_number)).toEqual(['+UH102']);
+    expect(result.comparison.added.map(item => item.equipment_number)).toEqual(['+UH102']);
+
+    const unchanged = await continueWBSStructure(existingWBS, rows, { projectName: 'Project' });
+    expect(unchanged.newly_in_scope).toEqual([]);
+    expect(unchanged.comparison.removed).toEqual([]);
+  });
+});
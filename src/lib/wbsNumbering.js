@@ -0,0 +1,83 @@
+import { EQUIPMENT_CATEGORIES } from '../constants';
+
+/**
+ * WBS Numbering
+ *
+ * One place that decides the WBS segment of a category node below a subsystem,
+ * used by both generation (wbsGenerator) and comparison (projectComparer):
+ *   positional    - position in the category list:  01 → .1, 02 → .2, 99 → .11
+ *   category_code - the padded category id:         01 → .01, 02 → .02, 99 → .99
+ *
+ * Comparison follows the scheme the existing WBS already uses (detectNumberingScheme),
+ * so equipment added later gets the same codes a fresh generation would.
+ */
+
+export const NUMBERING_SCHEMES = {
+  POSITIONAL: 'positional',
+  CATEGORY_CODE: 'category_code'
+};
+
+export const DEFAULT_NUMBERING_SCHEME = NUMBERING_SCHEMES.POSITIONAL;
+
+export const NUMBERING_SCHEME_LABELS = {
+  [NUMBERING_SCHEMES.POSITIONAL]: 'Positional (99 | Unrecognised → .11)',
+  [NUMBERING_SCHEMES.CATEGORY_CODE]: 'Category code (99 | Unrecognised → .99)'
+};
+
+// Category ids in standard order (01, 02, ... 99)
+export const getStandardCategoryIds = () => Object.keys(EQUIPMENT_CATEGORIES).sort();
+
+// Category id from a category node name, e.g. "08 | Building Services" → "08"
+export const getCategoryIdFromName = (wbsName) => {
+  const match = String(wbsName || '').match(/^(\d{2})\s*\|/);
+  return match ? match[1] : null;
+};
+
+// WBS segment for a category under its parent, e.g. ('99', positional) → '11'
+export const getCategorySegment = (categoryId, scheme = DEFAULT_NUMBERING_SCHEME, categoryIds = getStandardCategoryIds()) => {
+  const paddedId = String(categoryId).padStart(2, '0');
+
+  if (scheme === NUMBERING_SCHEMES.CATEGORY_CODE) {
+    return paddedId;
+  }
+
+  const position = categoryIds.indexOf(paddedId);
+  if (position === -1) {
+    // Not in the list - place after the known categories so it cannot collide
+    return String(categoryIds.length + 1);
+  }
+
+  return String(position + 1);
+};
+
+// Work out which scheme an existing WBS uses from its category nodes (positions in categoryIds).
+// Returns the fallback when there are no category nodes to judge by.
+export const detectNumberingScheme = (wbsStructure = [], fallback = DEFAULT_NUMBERING_SCHEME, categoryIds = getStandardCategoryIds()) => {
+  const votes = {
+    [NUMBERING_SCHEMES.POSITIONAL]: 0,
+    [NUMBERING_SCHEMES.CATEGORY_CODE]: 0
+  };
+
+  wbsStructure.forEach(item => {
+    const categoryId = getCategoryIdFromName(item.wbs_name);
+    if (!categoryId || !item.wbs_code) return;
+
+    const lastSegment = item.wbs_code.split('.').pop();
+    const positionalSegment = getCategorySegment(categoryId, NUMBERING_SCHEMES.POSITIONAL, categoryIds);
+    if (positionalSegment === categoryId) return; // e.g. "10" - same under both schemes
+
+    if (lastSegment === categoryId) {
+      votes[NUMBERING_SCHEMES.CATEGORY_CODE]++;
+    } else if (lastSegment === positionalSegment) {
+      votes[NUMBERING_SCHEMES.POSITIONAL]++;
+    }
+  });
+
+  if (votes[NUMBERING_SCHEMES.CATEGORY_CODE] === 0 && votes[NUMBERING_SCHEMES.POSITIONAL] === 0) {
+    return fallback;
+  }
+
+  return votes[NUMBERING_SCHEMES.CATEGORY_CODE] > votes[NUMBERING_SCHEMES.POSITIONAL]
+    ? NUMBERING_SCHEMES.CATEGORY_CODE
+    : NUMBERING_SCHEMES.POSITIONAL;
+};
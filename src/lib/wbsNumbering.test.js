@@ -0,0 +1,54 @@
+import { categorizeEquipment } from './equipmentProcessor';
+import { generateWBSStructure, continueWBSStructure } from './wbsGenerator';
+import { buildDefaultWBSTemplate, EMPTY_CATEGORY_MODES } from './wbsTemplates';
+import { getCategorySegment, detectNumberingScheme, NUMBERING_SCHEMES } from './wbsNumbering';
+
+const row = (equipmentNumber, description) => ({
+  equipment_number: equipmentNumber,
+  description,
+  commissioning_yn: 'Y',
+  subsystem: 'Sub A - +Z01',
+  plu_field: ''
+});
+
+describe('getCategorySegment', () => {
+  test('positional segments follow the category order, category_code segments the id', () => {
+    expect(getCategorySegment('99', NUMBERING_SCHEMES.POSITIONAL)).toBe('11');
+    expect(getCategorySegment('05', NUMBERING_SCHEMES.POSITIONAL, ['05', '01', '99'])).toBe('1');
+    expect(getCategorySegment('07', NUMBERING_SCHEMES.POSITIONAL, ['05', '01', '99'])).toBe('4');
+    expect(getCategorySegment('5', NUMBERING_SCHEMES.CATEGORY_CODE)).toBe('05');
+  });
+
+  test('the scheme of an existing WBS is detected from its category nodes', () => {
+    const wbsStructure = [{ wbs_code: '1.2.11', wbs_name: '99 | Unrecognised Equipment' }];
+    expect(detectNumberingScheme(wbsStructure)).toBe(NUMBERING_SCHEMES.POSITIONAL);
+    expect(detectNumberingScheme([{ wbs_code: '1.2.99', wbs_name: '99 | Unrecognised Equipment' }])).toBe(NUMBERING_SCHEMES.CATEGORY_CODE);
+    expect(detectNumberingScheme([], NUMBERING_SCHEMES.CATEGORY_CODE)).toBe(NUMBERING_SCHEMES.CATEGORY_CODE);
+  });
+});
+
+describe('category segments of added equipment', () => {
+  test('match a fresh generation with the same (reordered) template', async () => {
+    const defaultTemplate = buildDefaultWBSTemplate();
+    const template = { ...defaultTemplate, categories: [...defaultTemplate.categories].reverse() };
+    const templateCategoryOrder = template.categories.map(category => category.id);
+    const options = { template, emptyCategoryMode: EMPTY_CATEGORY_MODES.OMIT, keepEmptyCategories: [] };
+
+    const generate = async (rows) => {
+      const processed = await categorizeEquipment(rows, {});
+      const generated = await generateWBSStructure({ ...processed, equipment: processed.categorizedEquipment }, 'Project', options);
+      return generated.wbsStructure;
+    };
+    const codeOf = (wbsStructure, equipmentNumber) => wbsStructure.find(node => node.equipment_number === equipmentNumber).wbs_code;
+
+    const baseline = [row('+UH101', 'Protection relay')];
+    const added = row('-T101', 'Power transformer');
+    const existingWBS = await generate(baseline);
+    const regenerated = await generate([...baseline, added]);
+
+    const continued = await continueWBSStructure(existingWBS, [...baseline, added], {}, { templateCategoryOrder });
+    const addedItem = continued.export_ready.find(item => item.wbs_name.startsWith('-T101'));
+
+    expect(addedItem.wbs_code).toBe(codeOf(regenerated, '-T101'));
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * WBS Reconciliation
+ *
+ * Proves that every accepted equipment item (Y and TBC) from categorizeEquipment
+ * appears exactly once in the generated WBS. Counts are compared per tag, so a
+ * tag listed twice in the equipment list is expected twice in the WBS.
+ *
+ *   missing    - accepted items with no (or too few) WBS nodes
+ *   duplicated - tags with more WBS nodes than accepted items
+ *   unexpected - equipment nodes whose tag is not in the accepted list
+ *
+ * Nodes in the optional Out of Scope section (N items) are not accepted items and are
+ * only counted, not reconciled.
+ *
+ * Export of the WBS is blocked while `isReconciled` is false, unless the user overrides.
+ */
+
+const countByTag = (items) => {
+  const counts = new Map();
+  items.forEach(item => {
+    const tag = item.equipment_number;
+    if (!tag) return;
+    counts.set(tag, (counts.get(tag) || 0) + 1);
+  });
+  return counts;
+};
+
+export const reconcileEquipmentWithWBS = (processedEquipmentData, wbsStructure = []) => {
+  const yEquipment = processedEquipmentData?.categorizedEquipment || processedEquipmentData?.equipment || [];
+  const tbcEquipment = processedEquipmentData?.tbcEquipment || [];
+  const acceptedItems = [...yEquipment, ...tbcEquipment];
+  // Inline TBC placement puts TBC items in the categorized list
+  const tbcCount = acceptedItems.filter(item => item.commissioning_yn === 'TBC').length;
+
+  const equipmentNodes = wbsStructure.filter(item => item.is_equipment && item.equipment_number && !item.is_out_of_scope);
+  const outOfScopeNodes = wbsStructure.filter(item => item.is_equipment && item.is_out_of_scope);
+  const expectedCounts = countByTag(acceptedItems);
+  const foundCounts = countByTag(equipmentNodes);
+
+  const missing = [];
+  const duplicated = [];
+  const unexpected = [];
+
+  expectedCounts.forEach((expected, tag) => {
+    const found = foundCounts.get(tag) || 0;
+    const item = acceptedItems.find(candidate => candidate.equipment_number === tag);
+
+    if (found < expected) {
+      missing.push({
+        equipment_number: tag,
+        description: item.description || '',
+        subsystem: item.subsystem || '',
+        category: item.category || '',
+        commissioning_yn: item.commissioning_yn || '',
+        source_file: item.source_file || null,
+        source_sheet: item.source_sheet || null,
+        source_row: item.source_row ?? null,
+        expected,
+        found
+      });
+    } else if (found > expected) {
+      duplicated.push({
+        equipment_number: tag,
+        expected,
+        found,
+        wbs_codes: equipmentNodes.filter(node => node.equipment_number === tag).map(node => node.wbs_code)
+      });
+    }
+  });
+
+  foundCounts.forEach((found, tag) => {
+    if (expectedCounts.has(tag)) return;
+    unexpected.push({
+      equipment_number: tag,
+      found,
+      wbs_codes: equipmentNodes.filter(node => node.equipment_number === tag).map(node => node.wbs_code)
+    });
+  });
+
+  const isReconciled = missing.length === 0 && duplicated.length === 0 && unexpected.length === 0;
+
+  if (isReconciled) {
+    console.log(`✅ RECONCILIATION: ${acceptedItems.length} accepted items, ${equipmentNodes.length} equipment nodes - all placed exactly once`);
+  } else {
+    console.log(`❌ RECONCILIATION FAILED: ${missing.length} missing, ${duplicated.length} duplicated, ${unexpected.length} unexpected`);
+  }
+
+  return {
+    isReconciled,
+    expected: {
+      y_items: acceptedItems.length - tbcCount,
+      tbc_items: tbcCount,
+      total: acceptedItems.length
+    },
+    found: equipmentNodes.length,
+    out_of_scope: outOfScopeNodes.length,
+    missing,
+    duplicated,
+    unexpected,
+    checked_at: new Date().toISOString()
+  };
+};
+
+// One-line summary for alerts and logs
+export const describeReconciliation = (reconciliation) => {
+  if (!reconciliation) return '';
+  if (reconciliation.isReconciled) {
+    return `All ${reconciliation.expected.total} accepted items (${reconciliation.expected.y_items} Y, ${reconciliation.expected.tbc_items} TBC) appear exactly once in the WBS.`;
+  }
+
+  const parts = [];
+  if (reconciliation.missing.length > 0) parts.push(`${reconciliation.missing.length} missing`);
+  if (reconciliation.duplicated.length > 0) parts.push(`${reconciliation.duplicated.length} duplicated`);
+  if (reconciliation.unexpected.length > 0) parts.push(`${reconciliation.unexpected.length} not in the equipment list`);
+
+  return `Expected ${reconciliation.expected.total} equipment items, found ${reconciliation.found} in the WBS (${parts.join(', ')}).`;
+};
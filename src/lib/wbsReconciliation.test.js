@@ -0,0 +1,59 @@
+import { categorizeEquipment } from './equipmentProcessor';
+import { generateWBSStructure } from './wbsGenerator';
+import { reconcileEquipmentWithWBS, describeReconciliation } from './wbsReconciliation';
+
+const item = (equipmentNumber, extra = {}) => ({
+  equipment_number: equipmentNumber,
+  description: 'Test item',
+  subsystem: 'Sub A - +Z01',
+  category: '02',
+  commissioning_yn: 'Y',
+  ...extra
+});
+
+const node = (equipmentNumber, wbsCode, extra = {}) => ({
+  wbs_code: wbsCode,
+  equipment_number: equipmentNumber,
+  is_equipment: true,
+  ...extra
+});
+
+describe('reconcileEquipmentWithWBS', () => {
+  test('every accepted Y and TBC item placed once is reconciled', () => {
+    const processed = { categorizedEquipment: [item('+UH101')], tbcEquipment: [item('+UH102', { commissioning_yn: 'TBC' })] };
+    const reconciliation = reconcileEquipmentWithWBS(processed, [node('+UH101', '1.2.1'), node('+UH102', '1.5.1')]);
+
+    expect(reconciliation).toMatchObject({ isReconciled: true, expected: { y_items: 1, tbc_items: 1, total: 2 }, found: 2 });
+    expect(describeReconciliation(reconciliation)).toBe('All 2 accepted items (1 Y, 1 TBC) appear exactly once in the WBS.');
+  });
+
+  test('missing, duplicated and unexpected tags are listed', () => {
+    const processed = { categorizedEquipment: [item('+UH101', { source_row: 4 }), item('+UH102')] };
+    const reconciliation = reconcileEquipmentWithWBS(processed, [
+      node('+UH102', '1.2.1'),
+      node('+UH102', '1.2.2'),
+      node('+UH999', '1.2.3'),
+      node('-N101', '1.6.1', { is_out_of_scope: true })
+    ]);
+
+    expect(reconciliation.isReconciled).toBe(false);
+    expect(reconciliation.missing).toEqual([expect.objectContaining({ equipment_number: '+UH101', source_row: 4, expected: 1, found: 0 })]);
+    expect(reconciliation.duplicated).toEqual([{ equipment_number: '+UH102', expected: 1, found: 2, wbs_codes: ['1.2.1', '1.2.2'] }]);
+    expect(reconciliation.unexpected).toEqual([{ equipment_number: '+UH999', found: 1, wbs_codes: ['1.2.3'] }]);
+    expect(reconciliation.out_of_scope).toBe(1);
+    expect(describeReconciliation(reconciliation)).toBe(
+      'Expected 2 equipment items, found 3 in the WBS (1 missing, 1 duplicated, 1 not in the equipment list).'
+    );
+  });
+
+  test('a generated WBS reconciles, including equipment with no subsystem', async () => {
+    const processed = await categorizeEquipment([
+      { equipment_number: '+UH101', description: 'Switchboard', commissioning_yn: 'Y', subsystem: 'Sub A - +Z01', plu_field: '' },
+      { equipment_number: '+UH102', description: 'Switchboard', commissioning_yn: 'Y', subsystem: '', plu_field: '' }
+    ], {});
+    const generated = await generateWBSStructure({ ...processed, equipment: processed.categorizedEquipment }, 'Project');
+
+    expect(generated.reconciliation.isReconciled).toBe(true);
+    expect(generated.reconciliation.found).toBe(2);
+  });
+});
@@ -0,0 +1,301 @@
+import { EQUIPMENT_CATEGORIES } from '../constants';
+
+/**
+ * WBS Templates
+ *
+ * A template declares the skeleton the generator builds around the equipment:
+ *   {
+ *     id, name, description,
+ *     sections: [                        // level 2 under the project root, numbered 1.1, 1.2, ...
+ *       { type: 'static', name: 'M | Milestones', description, children: [...] },
+ *       { type: 'equipment' },           // expands to one section per subsystem (or per category)
+ *       { type: 'energisation', name: 'E | Energisation' },  // skipped when disabled for the project
+ *       { type: 'tbc', name: 'TBC - Equipment To Be Confirmed' },
+ *       { type: 'out_of_scope', name: 'OOS - Out of Scope' }  // N items, only when enabled for the project
+ *     ],
+ *     grouping: ['subsystem', 'category'],   // or ['category', 'subsystem']
+ *     categories: [{ id: '01', name: 'Preparations and set-up' }, ...],
+ *     includeEmptyCategories: true,          // false = only categories with equipment...
+ *     keepEmptyCategories: ['01', '09'],     // ...plus these, even when empty
+ *     naming: { root, subsystem, category, equipment }  // {placeholder} patterns
+ *   }
+ *
+ * The built-in default template reproduces the standard M / P / S# / 01-99 layout.
+ *
+ * Numbering is stable: a category always gets the same segment (its position in
+ * `categories`, or its code - see lib/wbsNumbering.js) whether or not empty
+ * categories are created, so a category added later lands on the code it would have had.
+ */
+
+export const DEFAULT_WBS_TEMPLATE_ID = 'default';
+
+export const WBS_SECTION_TYPES = {
+  STATIC: 'static',
+  EQUIPMENT: 'equipment',
+  ENERGISATION: 'energisation',
+  TBC: 'tbc',
+  OUT_OF_SCOPE: 'out_of_scope'
+};
+
+export const OUT_OF_SCOPE_SECTION = {
+  type: WBS_SECTION_TYPES.OUT_OF_SCOPE,
+  name: 'OOS - Out of Scope',
+  description: 'Equipment Not In Commissioning Scope'
+};
+
+// Recognises the Out of Scope section in an existing (P6/XER) WBS by its name
+export const isOutOfScopeSectionName = (name) => /^OOS\b|out of scope/i.test(String(name || '').trim());
+
+export const WBS_GROUPING_LEVELS = {
+  SUBSYSTEM: 'subsystem',
+  CATEGORY: 'category'
+};
+
+// How empty categories are handled for a project (overrides the template setting)
+export const EMPTY_CATEGORY_MODES = {
+  TEMPLATE: 'template',   // use the template's includeEmptyCategories / keepEmptyCategories
+  KEEP_ALL: 'keep_all',   // create every category under every subsystem
+  OMIT: 'omit',           // only categories with equipment
+  WHITELIST: 'whitelist'  // categories with equipment plus the selected ones
+};
+
+// Category that receives equipment whose category is not part of the template
+export const FALLBACK_CATEGORY_ID = '99';
+
+const DEFAULT_NAMING = {
+  root: '{project_name}',
+  subsystem: '{subsystem_full_name}',
+  category: '{category_id} | {category_name}',
+  equipment: '{equipment_number} | {description}'
+};
+
+const buildCategoryList = () => Object.entries(EQUIPMENT_CATEGORIES)
+  .sort(([a], [b]) => a.localeCompare(b))
+  .map(([id, name]) => ({ id, name }));
+
+// The standard layout: 1 Project → M, P → S1..Sn → 01..99 → equipment, then E and TBC
+export const buildDefaultWBSTemplate = () => ({
+  id: DEFAULT_WBS_TEMPLATE_ID,
+  name: 'Standard (M / P / S# / 01-99)',
+  description: 'Milestones and Pre-requisites, then one section per subsystem containing every equipment category',
+  readOnly: true,
+  sections: [
+    { type: WBS_SECTION_TYPES.STATIC, name: 'M | Milestones', description: 'Project Milestones', children: [] },
+    { type: WBS_SECTION_TYPES.STATIC, name: 'P | Pre-requisites', description: 'Project Prerequisites', children: [] },
+    { type: WBS_SECTION_TYPES.EQUIPMENT },
+    { type: WBS_SECTION_TYPES.ENERGISATION, name: 'E | Energisation', description: 'Project Energisation' },
+    { type: WBS_SECTION_TYPES.TBC, name: 'TBC - Equipment To Be Confirmed', description: 'Equipment To Be Confirmed' },
+    { ...OUT_OF_SCOPE_SECTION }
+  ],
+  grouping: [WBS_GROUPING_LEVELS.SUBSYSTEM, WBS_GROUPING_LEVELS.CATEGORY],
+  categories: buildCategoryList(),
+  includeEmptyCategories: true,
+  keepEmptyCategories: [],
+  naming: { ...DEFAULT_NAMING }
+});
+
+// Same sections, but categories at level 2 with the subsystems that use them underneath
+const buildCategoryFirstTemplate = () => ({
+  ...buildDefaultWBSTemplate(),
+  id: 'category-first',
+  name: 'Category First (M / P / 01-99 / S#)',
+  description: 'One section per equipment category, split by subsystem. Only categories with equipment are created.',
+  grouping: [WBS_GROUPING_LEVELS.CATEGORY, WBS_GROUPING_LEVELS.SUBSYSTEM],
+  includeEmptyCategories: false
+});
+
+export const getBuiltInWBSTemplates = () => [
+  buildDefaultWBSTemplate(),
+  buildCategoryFirstTemplate()
+];
+
+// Replace {placeholder} tokens; unknown tokens are left as-is so typos are visible
+export const formatTemplateName = (pattern, values = {}) =>
+  String(pattern || '').replace(/\{(\w+)\}/g, (match, key) => (
+    values[key] !== undefined && values[key] !== null ? String(values[key]) : match
+  ));
+
+// Marker on the name of TBC equipment placed inline - removed when the item is promoted to Y
+export const TBC_NAME_MARKER = ' [TBC]';
+
+export const markTBCName = (name) => (String(name).endsWith(TBC_NAME_MARKER) ? name : `${name}${TBC_NAME_MARKER}`);
+
+export const unmarkTBCName = (name) => (
+  String(name || '').endsWith(TBC_NAME_MARKER) ? String(name).slice(0, -TBC_NAME_MARKER.length) : name
+);
+
+// Normalise a static section (and its nested children) from user input or JSON
+const normalizeStaticSection = (section, path) => {
+  const name = String(section.name ?? '').trim();
+  if (!name) {
+    throw new Error(`Section ${path} needs a name`);
+  }
+
+  const children = Array.isArray(section.children) ? section.children : [];
+
+  return {
+    type: WBS_SECTION_TYPES.STATIC,
+    name,
+    description: section.description ? String(section.description) : name,
+    children: children.map((child, index) => normalizeStaticSection(child, `${path}.${index + 1}`))
+  };
+};
+
+// Normalise a template object (fills defaults, rejects layouts the generator cannot build)
+export const normalizeWBSTemplate = (template) => {
+  if (!template || typeof template !== 'object' || Array.isArray(template)) {
+    throw new Error('WBS template must be an object');
+  }
+
+  const defaults = buildDefaultWBSTemplate();
+  const rawSections = template.sections ?? defaults.sections;
+
+  if (!Array.isArray(rawSections)) {
+    throw new Error('WBS template "sections" must be an array');
+  }
+
+  const sections = rawSections.map((section, index) => {
+    const type = section?.type || WBS_SECTION_TYPES.STATIC;
+
+    if (type === WBS_SECTION_TYPES.STATIC) {
+      return normalizeStaticSection(section, String(index + 1));
+    }
+    if (type === WBS_SECTION_TYPES.EQUIPMENT) {
+      return { type };
+    }
+    if (type === WBS_SECTION_TYPES.ENERGISATION) {
+      return {
+        type,
+        name: section.name ? String(section.name) : 'E | Energisation',
+        description: section.description ? String(section.description) : 'Project Energisation'
+      };
+    }
+    if (type === WBS_SECTION_TYPES.TBC) {
+      return {
+        type,
+        name: section.name ? String(section.name) : 'TBC - Equipment To Be Confirmed',
+        description: section.description ? String(section.description) : 'Equipment To Be Confirmed'
+      };
+    }
+    if (type === WBS_SECTION_TYPES.OUT_OF_SCOPE) {
+      return {
+        type,
+        name: section.name ? String(section.name) : OUT_OF_SCOPE_SECTION.name,
+        description: section.description ? String(section.description) : OUT_OF_SCOPE_SECTION.description
+      };
+    }
+
+    throw new Error(`Section ${index + 1} has unknown type "${type}"`);
+  });
+
+  const equipmentSections = sections.filter(section => section.type === WBS_SECTION_TYPES.EQUIPMENT).length;
+  if (equipmentSections !== 1) {
+    throw new Error(`WBS template needs exactly one "equipment" section (found ${equipmentSections})`);
+  }
+  [WBS_SECTION_TYPES.ENERGISATION, WBS_SECTION_TYPES.TBC, WBS_SECTION_TYPES.OUT_OF_SCOPE].forEach(singleType => {
+    if (sections.filter(section => section.type === singleType).length > 1) {
+      throw new Error(`WBS template can have at most one "${singleType}" section`);
+    }
+  });
+
+  const grouping = template.grouping ?? defaults.grouping;
+  const validGrouping = Array.isArray(grouping) &&
+    grouping.length === 2 &&
+    grouping.includes(WBS_GROUPING_LEVELS.SUBSYSTEM) &&
+    grouping.includes(WBS_GROUPING_LEVELS.CATEGORY);
+
+  if (!validGrouping) {
+    throw new Error('WBS template "grouping" must be ["subsystem", "category"] or ["category", "subsystem"]');
+  }
+
+  const rawCategories = template.categories ?? defaults.categories;
+  if (!Array.isArray(rawCategories) || rawCategories.length === 0) {
+    throw new Error('WBS template "categories" must be a non-empty array');
+  }
+
+  const seenCategories = new Set();
+  const categories = rawCategories.map(category => {
+    const id = String(typeof category === 'object' ? category.id : category).padStart(2, '0');
+    if (seenCategories.has(id)) {
+      throw new Error(`Category ${id} is listed more than once`);
+    }
+    seenCategories.add(id);
+
+    const name = typeof category === 'object' && category.name
+      ? String(category.name)
+      : EQUIPMENT_CATEGORIES[id];
+    if (!name) {
+      throw new Error(`Category ${id} needs a name`);
+    }
+
+    return { id, name };
+  });
+
+  if (!seenCategories.has(FALLBACK_CATEGORY_ID)) {
+    throw new Error(`WBS template categories must include ${FALLBACK_CATEGORY_ID} (unrecognised equipment)`);
+  }
+
+  return {
+    id: template.id ? String(template.id) : `template-${Date.now().toString(36)}`,
+    name: template.name ? String(template.name) : 'Imported Template',
+    description: template.description ? String(template.description) : '',
+    readOnly: !!template.readOnly,
+    sections,
+    grouping: [...grouping],
+    categories,
+    includeEmptyCategories: template.includeEmptyCategories !== false,
+    keepEmptyCategories: (Array.isArray(template.keepEmptyCategories) ? template.keepEmptyCategories : [])
+      .map(id => String(id).padStart(2, '0'))
+      .filter(id => seenCategories.has(id)),
+    naming: { ...DEFAULT_NAMING, ...(template.naming || {}) }
+  };
+};
+
+// Apply the project's empty-category mode on top of a (normalised) template
+export const applyEmptyCategoryMode = (template, mode = EMPTY_CATEGORY_MODES.TEMPLATE, keepCategories = []) => {
+  switch (mode) {
+    case EMPTY_CATEGORY_MODES.KEEP_ALL:
+      return { ...template, includeEmptyCategories: true, keepEmptyCategories: [] };
+    case EMPTY_CATEGORY_MODES.OMIT:
+      return { ...template, includeEmptyCategories: false, keepEmptyCategories: [] };
+    case EMPTY_CATEGORY_MODES.WHITELIST:
+      return { ...template, includeEmptyCategories: false, keepEmptyCategories: [...keepCategories] };
+    default:
+      return template;
+  }
+};
+
+// Whether a category node is created when it has no equipment
+export const shouldCreateEmptyCategory = (template, categoryId) =>
+  template.includeEmptyCategories || template.keepEmptyCategories.includes(categoryId);
+
+// Parse a template from JSON file content
+export const parseWBSTemplateJSON = (jsonContent) => {
+  try {
+    const parsed = JSON.parse(jsonContent);
+    return { ...normalizeWBSTemplate(parsed), readOnly: false };
+  } catch (error) {
+    throw new Error(`WBS template import failed: ${error.message}`);
+  }
+};
+
+// Serialise a template for download
+export const serializeWBSTemplate = (template) => {
+  const { readOnly, ...exportable } = template;
+  return JSON.stringify(exportable, null, 2);
+};
+
+// One-line outline of the skeleton, e.g. "M | Milestones → P | Pre-requisites → S# → 01-99 → TBC"
+export const describeWBSTemplate = (template) => {
+  const groupingLabel = template.grouping
+    .map(level => (level === WBS_GROUPING_LEVELS.SUBSYSTEM ? 'S#' : 'Category'))
+    .join(' / ');
+
+  return template.sections.map(section => {
+    if (section.type === WBS_SECTION_TYPES.EQUIPMENT) return `[${groupingLabel}]`;
+    if (section.type === WBS_SECTION_TYPES.ENERGISATION) return 'E';
+    if (section.type === WBS_SECTION_TYPES.TBC) return 'TBC';
+    if (section.type === WBS_SECTION_TYPES.OUT_OF_SCOPE) return 'OOS';
+    return section.name;
+  }).join(' → ');
+};
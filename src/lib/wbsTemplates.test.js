@@ -0,0 +1,123 @@
+import { categorizeEquipment } from './equipmentProcessor';
+import { generateWBSStructure } from './wbsGenerator';
+import {
+  buildDefaultWBSTemplate,
+  getBuiltInWBSTemplates,
+  normalizeWBSTemplate,
+  parseWBSTemplateJSON,
+  serializeWBSTemplate,
+  formatTemplateName,
+  applyEmptyCategoryMode,
+  shouldCreateEmptyCategory,
+  WBS_SECTION_TYPES,
+  EMPTY_CATEGORY_MODES
+} from './wbsTemplates';
+
+const row = (equipmentNumber, subsystem, description = 'Protection relay') => ({
+  equipment_number: equipmentNumber,
+  description,
+  commissioning_yn: 'Y',
+  subsystem,
+  plu_field: ''
+});
+
+const generate = async (rows, options = {}) => {
+  const processed = await categorizeEquipment(rows, {});
+  const generated = await generateWBSStructure({ ...processed, equipment: processed.categorizedEquipment }, 'Project', options);
+  return generated.wbsStructure;
+};
+
+const names = (wbsStructure, parentCode) => wbsStructure
+  .filter(node => node.parent_wbs_code === parentCode)
+  .map(node => node.wbs_name);
+
+describe('normalizeWBSTemplate', () => {
+  test('fills defaults and pads category ids', () => {
+    const template = normalizeWBSTemplate({ name: 'Minimal', categories: [2, '99'] });
+    expect(template.sections).toEqual(buildDefaultWBSTemplate().sections);
+    expect(template.categories.map(category => category.id)).toEqual(['02', '99']);
+    expect(template.naming.category).toBe('{category_id} | {category_name}');
+  });
+
+  test('rejects layouts the generator cannot build', () => {
+    expect(() => normalizeWBSTemplate({ sections: [] })).toThrow('exactly one "equipment" section');
+    expect(() => normalizeWBSTemplate({ grouping: ['subsystem'] })).toThrow('"grouping"');
+    expect(() => normalizeWBSTemplate({ categories: ['02'] })).toThrow('must include 99');
+    expect(() => normalizeWBSTemplate({ categories: ['02', '2', '99'] })).toThrow('listed more than once');
+  });
+
+  test('round trips through JSON', () => {
+    const template = buildDefaultWBSTemplate();
+    const imported = parseWBSTemplateJSON(serializeWBSTemplate(template));
+    expect(imported).toEqual({ ...template, readOnly: false });
+    expect(() => parseWBSTemplateJSON('{')).toThrow('WBS template import failed');
+  });
+
+  test('unknown placeholders are left visible', () => {
+    expect(formatTemplateName('{category_id} | {categroy_name}', { category_id: '02' })).toBe('02 | {categroy_name}');
+  });
+});
+
+describe('template-driven generation', () => {
+  const rows = [row('+UH101', 'Sub A - +Z01'), row('+UH201', 'Sub B - +Z02')];
+
+  test('the default template reproduces the M / P / S# / 01-99 layout', async () => {
+    const wbsStructure = await generate(rows);
+    expect(names(wbsStructure, '1')).toEqual([
+      'M | Milestones', 'P | Pre-requisites', 'S1 | +Z01 | Sub A', 'S2 | +Z02 | Sub B', 'E | Energisation'
+    ]);
+    expect(names(wbsStructure, '1.3')).toHaveLength(buildDefaultWBSTemplate().categories.length);
+  });
+
+  test('category-first templates put categories at level 2 with subsystems underneath', async () => {
+    const template = getBuiltInWBSTemplates().find(candidate => candidate.id === 'category-first');
+    const wbsStructure = await generate(rows, { template });
+    const protectionNode = wbsStructure.find(node => node.wbs_name === '02 | Protection Panels');
+
+    expect(protectionNode.parent_wbs_code).toBe('1');
+    expect(names(wbsStructure, protectionNode.wbs_code)).toEqual(['S1 | +Z01 | Sub A', 'S2 | +Z02 | Sub B']);
+  });
+
+  test('custom static sections and naming patterns are used', async () => {
+    const template = normalizeWBSTemplate({
+      sections: [
+        { type: WBS_SECTION_TYPES.STATIC, name: 'H | Handover', children: [{ name: 'Dossiers' }] },
+        { type: WBS_SECTION_TYPES.EQUIPMENT }
+      ],
+      naming: { equipment: '{equipment_number}' }
+    });
+    const wbsStructure = await generate(rows, { template });
+
+    expect(names(wbsStructure, '1')[0]).toBe('H | Handover');
+    expect(names(wbsStructure, '1.1')).toEqual(['Dossiers']);
+    expect(wbsStructure.some(node => node.wbs_name === '+UH101')).toBe(true);
+  });
+});
+
+describe('empty categories', () => {
+  const rows = [row('+UH101', 'Sub A - +Z01')];
+  // No preparation items or test phases, so 01 and 09 are empty too
+  const noStructuralItems = { preparationItems: [], interfaceTestingPhases: [] };
+  const categoryNodes = (wbsStructure) => wbsStructure.filter(node => node.parent_wbs_code === '1.3');
+
+  test('omitting empty categories keeps the codes of the remaining ones', async () => {
+    const full = await generate(rows, { ...noStructuralItems, emptyCategoryMode: EMPTY_CATEGORY_MODES.KEEP_ALL });
+    const pruned = await generate(rows, { ...noStructuralItems, emptyCategoryMode: EMPTY_CATEGORY_MODES.OMIT });
+
+    expect(categoryNodes(pruned).map(node => node.wbs_name)).toEqual(['02 | Protection Panels']);
+    const fullCodes = Object.fromEntries(full.map(node => [node.wbs_name, node.wbs_code]));
+    pruned.forEach(node => expect(node.wbs_code).toBe(fullCodes[node.wbs_name]));
+  });
+
+  test('the whitelist keeps the selected empty categories', async () => {
+    const wbsStructure = await generate(rows, { ...noStructuralItems, emptyCategoryMode: EMPTY_CATEGORY_MODES.WHITELIST, keepEmptyCategories: ['01'] });
+    expect(categoryNodes(wbsStructure).map(node => node.wbs_name)).toEqual(['01 | Preparations and set-up', '02 | Protection Panels']);
+  });
+
+  test('applyEmptyCategoryMode overrides the template setting', () => {
+    const template = buildDefaultWBSTemplate();
+    expect(shouldCreateEmptyCategory(applyEmptyCategoryMode(template, EMPTY_CATEGORY_MODES.OMIT), '05')).toBe(false);
+    expect(shouldCreateEmptyCategory(applyEmptyCategoryMode(template, EMPTY_CATEGORY_MODES.WHITELIST, ['05']), '05')).toBe(true);
+    expect(applyEmptyCategoryMode(template, EMPTY_CATEGORY_MODES.TEMPLATE)).toBe(template);
+  });
+});
@@ -5,10 +5,23 @@
  * existing WBS structure for Missing Equipment functionality.
  * 
  * FIXED: Now supports both TAB and SPACE format for PROJWBS table detection
+ *
+ * ENHANCED: Also reads the schedule - PROJECT, TASK, TASKPRED, ACTVTYPE/ACTVCODE/TASKACTV and
+ * UDFTYPE/UDFVALUE - into typed records (ids stay strings, *_date fields become Dates, counts,
+ * quantities and percentages become numbers). Activities are linked to their WBS node and each
+ * WBS item carries activity_count (its own) and total_activity_count (including descendants).
+ *
+ * ENHANCED: Exports with several projects - PROJWBS records are grouped by proj_id and one
+ * project is loaded (options.projectId, else the first one - see readXERProjects). The node
+ * with proj_node_flag Y is the project root; its EPS parent is not part of the WBS.
  */
 
+// Schedule tables read besides PROJWBS - all optional
+export const XER_SCHEDULE_TABLES = ['PROJECT', 'TASK', 'TASKPRED', 'ACTVTYPE', 'ACTVCODE', 'TASKACTV', 'UDFTYPE', 'UDFVALUE'];
+
 // Main XER parsing function with enhanced debugging
-export const parseXERFile = (xerContent) => {
+// options.projectId picks the project of a multi-project export
+export const parseXERFile = (xerContent, options = {}) => {
   return new Promise((resolve, reject) => {
     try {
       console.log('=== STARTING XER FILE PARSING ===');
@@ -26,25 +39,43 @@ export const parseXERFile = (xerContent) => {
       console.log(`✅ Extracted PROJWBS records: ${projwbsData.records.length}`);
       console.log('Field map keys:', Object.keys(projwbsData.fieldMap));
 
+      // Step 2b: Keep the records of one project
+      console.log('\n=== STEP 2b: SELECTING PROJECT ===');
+      const tables = readXERTables(xerContent, XER_SCHEDULE_TABLES);
+      const projects = buildXERProjectList(projwbsData.records, projwbsData.fieldMap, tables);
+      const projectId = selectXERProject(projects, options.projectId);
+      const projectRecords = resolveProjectWBSRecords(projwbsData.records, projwbsData.fieldMap, projectId);
+      console.log(`✅ Project ${projectId || '(no proj_id)'}: ${projectRecords.length} of ${projwbsData.records.length} PROJWBS records (${projects.length} projects in file)`);
+
       // Step 3: Build WBS lookup table with logging
       console.log('\n=== STEP 3: BUILDING WBS LOOKUP TABLE ===');
-      const wbsLookup = buildWBSLookupTable(projwbsData.records, projwbsData.fieldMap);
+      const wbsLookup = buildWBSLookupTable(projectRecords, projwbsData.fieldMap);
       console.log(`✅ Built WBS lookup: ${Object.keys(wbsLookup).length} entries`);
       console.log('Sample lookup entries:', Object.entries(wbsLookup).slice(0, 3));
 
       // Step 4: Convert to standard format with logging
       console.log('\n=== STEP 4: CONVERTING TO WBS STRUCTURE ===');
-      const wbsStructure = convertToWBSStructure(projwbsData.records, projwbsData.fieldMap, wbsLookup);
+      const wbsStructure = convertToWBSStructure(projectRecords, projwbsData.fieldMap, wbsLookup);
       console.log(`✅ Converted WBS structure: ${wbsStructure.length} items`);
 
+      // Step 4b: Expand short names into full WBS codes
+      console.log('\n=== STEP 4b: BUILDING FULL WBS CODES ===');
+      buildFullWBSCodes(wbsStructure);
+      console.log('✅ Full WBS codes built from parent chain');
+
       // Step 5: Validate and sort results with logging
       console.log('\n=== STEP 5: VALIDATING AND SORTING ===');
       const finalStructure = validateAndSortWBS(wbsStructure);
       console.log(`✅ Final WBS structure: ${finalStructure.length} items`);
 
+      // Step 5b: Read the schedule tables and link activities to their WBS nodes
+      console.log('\n=== STEP 5b: READING SCHEDULE TABLES ===');
+      const schedule = buildScheduleData(filterTablesByProject(tables, projectId), finalStructure);
+      console.log(`✅ Schedule: ${schedule.activities.length} activities, ${schedule.relationships.length} relationships (tables: ${schedule.tables.join(', ') || 'none'})`);
+
       // Step 6: Extract project info with logging
       console.log('\n=== STEP 6: EXTRACTING PROJECT INFO ===');
-      const projectInfo = extractProjectInfo(xerContent);
+      const projectInfo = extractProjectInfo(schedule, finalStructure);
       console.log('✅ Project info:', projectInfo);
 
       // Step 7: Build final result with logging
@@ -56,6 +87,8 @@ export const parseXERFile = (xerContent) => {
         dataLength: finalStructure.length,
         originalHeaders: ['wbs_code', 'parent_wbs_code', 'wbs_name'],
         projectInfo: projectInfo,
+        projects,
+        schedule,
         validation: {
           isValid: true,
           errors: [],
@@ -367,6 +400,41 @@ const convertToWBSStructure = (records, fieldMap, wbsLookup) => {
   return wbsStructure;
 };
 
+// FIXED: P6 stores only the WBS short name per node - the displayed WBS code is
+// the parent chain joined with "." (e.g. 5737.1064.1575), matching P6 paste data
+const buildFullWBSCodes = (wbsStructure) => {
+  const itemsById = new Map(wbsStructure.map(item => [item._wbs_id, item]));
+  const fullCodes = new Map();
+
+  const resolveCode = (item, visited = new Set()) => {
+    if (fullCodes.has(item._wbs_id)) return fullCodes.get(item._wbs_id);
+
+    const parent = itemsById.get(item._parent_wbs_id);
+    let fullCode = item.wbs_code;
+
+    if (parent && !visited.has(parent._wbs_id)) {
+      visited.add(item._wbs_id);
+      const parentCode = resolveCode(parent, visited);
+      // Short names that already carry the full path are kept as-is
+      fullCode = item.wbs_code.startsWith(`${parentCode}.`) ? item.wbs_code : `${parentCode}.${item.wbs_code}`;
+    }
+
+    fullCodes.set(item._wbs_id, fullCode);
+    return fullCode;
+  };
+
+  wbsStructure.forEach(item => resolveCode(item));
+
+  wbsStructure.forEach(item => {
+    const parent = itemsById.get(item._parent_wbs_id);
+    item.wbs_code = fullCodes.get(item._wbs_id);
+    item.parent_wbs_code = parent ? fullCodes.get(parent._wbs_id) : '';
+    item._level = item.wbs_code.split('.').length;
+  });
+
+  return wbsStructure;
+};
+
 // Validate and sort WBS structure
 const validateAndSortWBS = (wbsStructure) => {
   console.log('Validating and sorting WBS structure...');
@@ -388,11 +456,12 @@ const validateAndSortWBS = (wbsStructure) => {
     return 0;
   });
 
-  // Remove metadata fields for final output
+  // Remove metadata fields for final output - the P6 wbs_id is kept to link activities
   const cleanedStructure = sortedStructure.map(item => ({
     wbs_code: item.wbs_code,
     parent_wbs_code: item.parent_wbs_code,
-    wbs_name: item.wbs_name
+    wbs_name: item.wbs_name,
+    wbs_id: item._wbs_id
   }));
 
   // Final validation
@@ -438,68 +507,275 @@ const validateWBSHierarchy = (wbsStructure) => {
   }
 };
 
-// Enhanced project info extraction with detailed logging
-const extractProjectInfo = (content) => {
-  console.log('Extracting project info...');
-  
-  try {
-    const lines = content.split('\n');
-    
-    // Look for PROJECT table
-    const projectTableIndex = lines.findIndex(line => line.trim() === '%T\tPROJECT' || line.trim() === '%T PROJECT');
-    console.log('PROJECT table index:', projectTableIndex);
-    
-    if (projectTableIndex === -1) {
-      console.warn('PROJECT table not found in XER file');
-      return { 
-        projectName: 'Unknown Project', 
-        extractedAt: new Date().toISOString() 
-      };
+// ENHANCED: Generic table reader - one pass over the file, every %T block whose name is in
+// tableNames (all tables when null) becomes { fields, records } with typed record objects
+export const readXERTables = (content, tableNames = null) => {
+  const wanted = tableNames ? new Set(tableNames) : null;
+  const tables = {};
+  let current = null;
+
+  content.split('\n').forEach(rawLine => {
+    const line = rawLine.replace(/\r$/, '');
+
+    if (line.startsWith('%T')) {
+      const tableName = line.substring(2).trim();
+      current = !wanted || wanted.has(tableName) ? { name: tableName, fields: null, records: [] } : null;
+      if (current) tables[tableName] = current;
+      return;
     }
 
-    // Find field definition
-    const fieldLineIndex = projectTableIndex + 1;
-    if (fieldLineIndex < lines.length && lines[fieldLineIndex].startsWith('%F')) {
-      const fields = lines[fieldLineIndex].substring(2).split('\t');
-      console.log('PROJECT table fields found:', fields.length);
-      
-      const projNameIndex = fields.findIndex(field => 
-        field.includes('proj_short_name') || field.includes('proj_name')
-      );
-      console.log('Project name field index:', projNameIndex);
-      
-      // Find data record
-      const dataLineIndex = projectTableIndex + 2;
-      if (dataLineIndex < lines.length && lines[dataLineIndex].startsWith('%R')) {
-        const values = parseDataLine(lines[dataLineIndex].substring(2));
-        console.log('PROJECT table data values:', values.length);
-        
-        if (projNameIndex >= 0 && values[projNameIndex]) {
-          const projectName = values[projNameIndex].replace(/^["']|["']$/g, '').trim();
-          console.log(`✅ Extracted project name: "${projectName}"`);
-          
-          return {
-            projectName: projectName,
-            extractedAt: new Date().toISOString(),
-            totalWBSItems: 0 // Will be filled later
-          };
-        }
-      }
+    if (!current) return;
+
+    if (line.startsWith('%F')) {
+      current.fields = line.substring(2).replace(/^[\t ]/, '').split('\t').map(field => field.trim());
+    } else if (line.startsWith('%R') && current.fields) {
+      const values = parseDataLine(line.substring(2).replace(/^[\t ]/, ''));
+      const record = {};
+      current.fields.forEach((field, index) => {
+        record[field] = typeXERValue(field, values[index]);
+      });
+      current.records.push(record);
+    } else if (line.startsWith('%E')) {
+      current = null;
+    }
+  });
+
+  Object.values(tables).forEach(table => {
+    console.log(`  ${table.name}: ${table.records.length} records, ${table.fields?.length || 0} fields`);
+  });
+
+  return tables;
+};
+
+// ENHANCED: Projects in the export - { proj_id, proj_short_name, name, wbs_count, activity_count },
+// in PROJECT table order. Empty when PROJWBS has no proj_id column (single project)
+const buildXERProjectList = (records, fieldMap, tables) => {
+  if (fieldMap.proj_id === undefined) return [];
+
+  const projects = new Map();
+  const getProject = (projId) => {
+    if (!projects.has(projId)) {
+      projects.set(projId, { proj_id: projId, proj_short_name: '', name: '', wbs_count: 0, activity_count: 0 });
+    }
+    return projects.get(projId);
+  };
+
+  getTableRecords(tables, 'PROJECT').forEach(project => {
+    getProject(project.proj_id).proj_short_name = project.proj_short_name || '';
+  });
+  records.forEach(record => {
+    const project = getProject(record[fieldMap.proj_id]);
+    project.wbs_count++;
+    if (record[fieldMap.proj_node_flag] === 'Y') {
+      project.name = record[fieldMap.wbs_name];
+      project.proj_short_name = project.proj_short_name || record[fieldMap.wbs_short_name];
+    }
+  });
+  getTableRecords(tables, 'TASK').forEach(task => {
+    if (projects.has(task.proj_id)) projects.get(task.proj_id).activity_count++;
+  });
+
+  return [...projects.values()].filter(project => project.wbs_count > 0);
+};
+
+// The requested project when the file has it, else the first one
+const selectXERProject = (projects, requestedProjectId = null) => {
+  if (projects.length === 0) return null;
+  if (requestedProjectId && projects.some(project => project.proj_id === requestedProjectId)) {
+    return requestedProjectId;
+  }
+  if (requestedProjectId) {
+    console.warn(`Project ${requestedProjectId} not in XER file - loading the first project`);
+  } else if (projects.length > 1) {
+    console.warn(`XER file contains ${projects.length} projects - loading ${projects[0].proj_short_name || projects[0].proj_id}`);
+  }
+  return projects[0].proj_id;
+};
+
+// PROJWBS records of one project with the project node (proj_node_flag Y) as the only root -
+// its EPS parent is dropped and nodes whose parent is outside the project hang under it
+const resolveProjectWBSRecords = (records, fieldMap, projectId) => {
+  if (!projectId) return records;
+
+  const projectRecords = records.filter(record => record[fieldMap.proj_id] === projectId);
+  const wbsIds = new Set(projectRecords.map(record => record[fieldMap.wbs_id]));
+  const projectNode = fieldMap.proj_node_flag !== undefined
+    ? projectRecords.find(record => record[fieldMap.proj_node_flag] === 'Y')
+    : null;
+  const rootId = projectNode ? projectNode[fieldMap.wbs_id] : '';
+  let reattachedCount = 0;
+
+  const resolved = projectRecords.map(record => {
+    const parentId = record[fieldMap.parent_wbs_id];
+    if (record === projectNode) {
+      const root = [...record];
+      root[fieldMap.parent_wbs_id] = '';
+      return root;
+    }
+    if (parentId && wbsIds.has(parentId)) return record;
+
+    const reattached = [...record];
+    reattached[fieldMap.parent_wbs_id] = rootId;
+    if (rootId) reattachedCount++;
+    return reattached;
+  });
+
+  if (reattachedCount > 0) {
+    console.warn(`⚠️ ${reattachedCount} WBS nodes had a parent outside project ${projectId} - placed under the project node`);
+  }
+  return resolved;
+};
+
+// Records of one project - rows without a proj_id (global codes and UDF types) are kept
+const filterTablesByProject = (tables, projectId) => {
+  if (!projectId) return tables;
+  return Object.fromEntries(Object.entries(tables).map(([tableName, table]) => [tableName, {
+    ...table,
+    records: table.records.filter(record => !record.proj_id || record.proj_id === projectId)
+  }]));
+};
+
+// Project list of an XER export, read before parsing so the user can choose one
+export const readXERProjects = (xerContent) => {
+  validateXERFormat(xerContent);
+  const projwbsData = extractPROJWBSTable(xerContent);
+  const tables = readXERTables(xerContent, ['PROJECT', 'TASK']);
+  return buildXERProjectList(projwbsData.records, projwbsData.fieldMap, tables);
+};
+
+// "2024-01-15 08:00" → Date (local time, as shown in P6); unreadable dates are kept as text
+const parseXERDate = (value) => {
+  const match = value.match(/^(\d{4})-(\d{2})-(\d{2})(?:\s+(\d{2}):(\d{2}))?/);
+  if (!match) return value;
+  const [, year, month, day, hours = '0', minutes = '0'] = match;
+  return new Date(Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes));
+};
+
+// Field type from the P6 naming convention - ids stay text so they can be used as keys
+const typeXERValue = (field, value) => {
+  const text = (value ?? '').trim();
+  if (text === '') return null;
+  if (/_date$/.test(field)) return parseXERDate(text);
+  if (/(_cnt|_qty|_cost|_pct|_num|_number)$/.test(field)) {
+    const number = Number(text);
+    return Number.isNaN(number) ? text : number;
+  }
+  return text;
+};
+
+const getTableRecords = (tables, tableName) => tables[tableName]?.records || [];
+
+// Link activities, relationships, activity codes and UDF values together and to the WBS items
+// (sets activity_count / total_activity_count on each WBS item)
+const buildScheduleData = (tables, wbsStructure) => {
+  const wbsById = new Map(wbsStructure.filter(item => item.wbs_id).map(item => [item.wbs_id, item]));
+
+  // Activity codes: TASKACTV assignment → code value → code type
+  const activityCodeTypes = getTableRecords(tables, 'ACTVTYPE');
+  const activityCodes = getTableRecords(tables, 'ACTVCODE');
+  const activityCodeAssignments = getTableRecords(tables, 'TASKACTV');
+  const codeTypesById = new Map(activityCodeTypes.map(type => [type.actv_code_type_id, type]));
+  const codesById = new Map(activityCodes.map(code => [code.actv_code_id, code]));
+  const codesByTask = {};
+  activityCodeAssignments.forEach(assignment => {
+    const code = codesById.get(assignment.actv_code_id);
+    (codesByTask[assignment.task_id] = codesByTask[assignment.task_id] || []).push({
+      type: codeTypesById.get(assignment.actv_code_type_id)?.actv_code_type || assignment.actv_code_type_id,
+      code: code?.short_name || assignment.actv_code_id,
+      name: code?.actv_code_name || ''
+    });
+  });
+
+  // UDF values: fk_id is the id of the record in the UDF type's table
+  const udfTypes = getTableRecords(tables, 'UDFTYPE');
+  const udfValues = getTableRecords(tables, 'UDFVALUE');
+  const udfTypesById = new Map(udfTypes.map(type => [type.udf_type_id, type]));
+  const taskUDFs = {};
+  udfValues.forEach(udfValue => {
+    const udfType = udfTypesById.get(udfValue.udf_type_id);
+    if (udfType && udfType.table_name !== 'TASK') return;
+    const label = udfType?.udf_type_label || udfType?.udf_type_name || udfValue.udf_type_id;
+    const value = udfValue.udf_text ?? udfValue.udf_number ?? udfValue.udf_date ?? udfValue.udf_code_id ?? null;
+    (taskUDFs[udfValue.fk_id] = taskUDFs[udfValue.fk_id] || {})[label] = value;
+  });
+
+  const activities = getTableRecords(tables, 'TASK').map(task => ({
+    ...task,
+    wbs_code: wbsById.get(task.wbs_id)?.wbs_code || '',
+    activity_codes: codesByTask[task.task_id] || [],
+    udfs: taskUDFs[task.task_id] || {}
+  }));
+  const activitiesById = new Map(activities.map(activity => [activity.task_id, activity]));
+
+  const relationships = getTableRecords(tables, 'TASKPRED').map(relationship => ({
+    ...relationship,
+    task_code: activitiesById.get(relationship.task_id)?.task_code || '',
+    pred_task_code: activitiesById.get(relationship.pred_task_id)?.task_code || ''
+  }));
+
+  // Activity counts per WBS node - own activities, then rolled up to every ancestor
+  wbsStructure.forEach(item => {
+    item.activity_count = 0;
+    item.total_activity_count = 0;
+  });
+  activities.forEach(activity => {
+    const node = wbsById.get(activity.wbs_id);
+    if (node) node.activity_count++;
+  });
+  const wbsByCode = new Map(wbsStructure.map(item => [item.wbs_code, item]));
+  wbsStructure.forEach(item => {
+    if (item.activity_count === 0) return;
+    let node = item;
+    const visited = new Set();
+    while (node && !visited.has(node.wbs_code)) {
+      visited.add(node.wbs_code);
+      node.total_activity_count += item.activity_count;
+      node = wbsByCode.get(node.parent_wbs_code);
     }
+  });
 
-    console.warn('Could not extract project name from XER file');
-    return { 
-      projectName: 'Unknown Project', 
-      extractedAt: new Date().toISOString() 
-    };
-
-  } catch (error) {
-    console.warn('Error extracting project info:', error.message);
-    return { 
-      projectName: 'Unknown Project', 
-      extractedAt: new Date().toISOString() 
-    };
+  const unlinkedCount = activities.filter(activity => !activity.wbs_code).length;
+  if (unlinkedCount > 0) {
+    console.warn(`⚠️ ${unlinkedCount} activities reference a WBS node that is not in PROJWBS`);
   }
+
+  return {
+    tables: Object.keys(tables),
+    projects: getTableRecords(tables, 'PROJECT'),
+    activities,
+    relationships,
+    activityCodeTypes,
+    activityCodes,
+    activityCodeAssignments,
+    udfTypes,
+    udfValues
+  };
+};
+
+// FIXED: Project info from the typed PROJECT record instead of guessing from the raw text
+// ENHANCED: projectCode is the project short name (the root WBS code), the same identifier a
+// paste of the project's WBS gives (lib/p6Parser.js)
+const extractProjectInfo = (schedule, wbsStructure = []) => {
+  console.log('Extracting project info...');
+
+  const project = schedule.projects[0];
+  if (!project) {
+    console.warn('PROJECT table not found in XER file');
+  } else if (schedule.projects.length > 1) {
+    console.warn(`XER file contains ${schedule.projects.length} projects - using ${project.proj_short_name}`);
+  }
+
+  return {
+    projectName: project?.proj_short_name || 'Unknown Project',
+    projectId: project?.proj_id || null,
+    projectCode: project?.proj_short_name || wbsStructure[0]?.wbs_code.split('.')[0] || null,
+    planStartDate: project?.plan_start_date || null,
+    planEndDate: project?.plan_end_date || project?.scd_end_date || null,
+    dataDate: project?.last_recalc_date || null,
+    activityCount: schedule.activities.length,
+    relationshipCount: schedule.relationships.length,
+    extractedAt: new Date().toISOString()
+  };
 };
 
 // Utility function to get equipment codes from WBS structure
@@ -0,0 +1,123 @@
+import { parseXERFile, readXERProjects, readXERTables } from './xerParser';
+
+// XER text from { TABLE: [fields, ...rows] }
+const xer = (tables) => [
+  'ERMHDR\t19.12\t2024-01-15\tProject\tadmin\tAdmin\tdbxDatabaseNoName\tProject Management\tAUD',
+  ...Object.entries(tables).flatMap(([tableName, [fields, ...rows]]) => [
+    `%T\t${tableName}`,
+    `%F\t${fields.join('\t')}`,
+    ...rows.map(values => `%R\t${values.join('\t')}`)
+  ]),
+  '%E'
+].join('\r\n');
+
+const PROJWBS_FIELDS = ['wbs_id', 'proj_id', 'seq_num', 'proj_node_flag', 'wbs_short_name', 'wbs_name', 'parent_wbs_id'];
+const TASK_FIELDS = ['task_id', 'proj_id', 'wbs_id', 'task_code', 'task_name', 'target_drtn_hr_cnt', 'target_start_date'];
+
+const singleProject = () => xer({
+  PROJECT: [['proj_id', 'proj_short_name', 'plan_start_date'], ['7', 'P5737', '2024-02-01 08:00']],
+  PROJWBS: [
+    PROJWBS_FIELDS,
+    ['100', '7', '1', 'Y', 'P5737', 'Summerfield', '1'],
+    ['101', '7', '1', 'N', '1', 'S1 | +Z01 | Switchroom', '100'],
+    ['102', '7', '1', 'N', '2', '02 | Protection Panels', '101']
+  ],
+  TASK: [
+    TASK_FIELDS,
+    ['500', '7', '102', 'A1000', 'Test relay', '16', '2024-02-05 08:00'],
+    ['501', '7', '102', 'A1010', 'Energise', '8', ''],
+    ['502', '7', '101', 'A1020', 'Walkdown', '4', '']
+  ],
+  TASKPRED: [['task_pred_id', 'task_id', 'pred_task_id', 'pred_type', 'lag_hr_cnt'], ['900', '501', '500', 'PR_FS', '0']],
+  ACTVTYPE: [['actv_code_type_id', 'actv_code_type'], ['20', 'Discipline']],
+  ACTVCODE: [['actv_code_id', 'actv_code_type_id', 'short_name', 'actv_code_name'], ['30', '20', 'ELE', 'Electrical']],
+  TASKACTV: [['task_id', 'actv_code_type_id', 'actv_code_id', 'proj_id'], ['500', '20', '30', '7']],
+  UDFTYPE: [['udf_type_id', 'table_name', 'udf_type_name', 'udf_type_label'], ['40', 'TASK', 'user_field_1', 'ITP Ref']],
+  UDFVALUE: [['udf_type_id', 'fk_id', 'proj_id', 'udf_text'], ['40', '500', '7', 'ITP-001']]
+});
+
+describe('readXERTables', () => {
+  test('records are typed by field name and ids stay text', () => {
+    const { TASK, PROJWBS } = readXERTables(singleProject());
+
+    expect(TASK.records[0]).toMatchObject({ task_id: '500', wbs_id: '102', target_drtn_hr_cnt: 16 });
+    expect(TASK.records[0].target_start_date).toEqual(new Date(2024, 1, 5, 8, 0));
+    expect(TASK.records[1].target_start_date).toBeNull();
+    expect(PROJWBS.records).toHaveLength(3);
+  });
+
+  test('only the requested tables are read', () => {
+    expect(Object.keys(readXERTables(singleProject(), ['TASK', 'TASKPRED']))).toEqual(['TASK', 'TASKPRED']);
+  });
+});
+
+describe('parseXERFile schedule', () => {
+  test('activities, relationships, codes and UDFs are linked to the WBS', async () => {
+    const result = await parseXERFile(singleProject());
+    const { activities, relationships } = result.schedule;
+    const byCode = Object.fromEntries(result.data.map(item => [item.wbs_code, item]));
+
+    expect(activities[0]).toMatchObject({
+      task_code: 'A1000',
+      wbs_code: 'P5737.1.2',
+      activity_codes: [{ type: 'Discipline', code: 'ELE', name: 'Electrical' }],
+      udfs: { 'ITP Ref': 'ITP-001' }
+    });
+    expect(relationships[0]).toMatchObject({ task_code: 'A1010', pred_task_code: 'A1000', pred_type: 'PR_FS' });
+
+    expect(byCode['P5737.1.2']).toMatchObject({ activity_count: 2, total_activity_count: 2 });
+    expect(byCode['P5737.1']).toMatchObject({ activity_count: 1, total_activity_count: 3 });
+    expect(byCode.P5737).toMatchObject({ activity_count: 0, total_activity_count: 3 });
+
+    expect(result.projectInfo).toMatchObject({ projectName: 'P5737', projectId: '7', projectCode: 'P5737', activityCount: 3, relationshipCount: 1 });
+    expect(result.projectInfo.planStartDate).toEqual(new Date(2024, 1, 1, 8, 0));
+  });
+});
+
+describe('multi-project exports', () => {
+  const twoProjects = () => xer({
+    PROJECT: [['proj_id', 'proj_short_name'], ['7', 'P5737'], ['8', 'P5800']],
+    PROJWBS: [
+      PROJWBS_FIELDS,
+      ['100', '7', '1', 'Y', 'P5737', 'Summerfield', '1'],
+      ['101', '7', '1', 'N', '1', 'S1 | +Z01 | Switchroom', '100'],
+      ['200', '8', '1', 'Y', 'P5800', 'Northgate', '1'],
+      ['201', '8', '1', 'N', '1', 'S1 | +Z01 | Yard', '200'],
+      ['202', '8', '2', 'N', '2', 'S2 | +Z02 | Control Room', '999']
+    ],
+    TASK: [
+      TASK_FIELDS,
+      ['500', '7', '101', 'A1000', 'Test relay', '16', ''],
+      ['600', '8', '201', 'B1000', 'Test relay', '16', ''],
+      ['601', '8', '202', 'B1010', 'Walkdown', '4', '']
+    ]
+  });
+
+  test('projects are listed with their WBS and activity counts', () => {
+    expect(readXERProjects(twoProjects())).toEqual([
+      { proj_id: '7', proj_short_name: 'P5737', name: 'Summerfield', wbs_count: 2, activity_count: 1 },
+      { proj_id: '8', proj_short_name: 'P5800', name: 'Northgate', wbs_count: 3, activity_count: 2 }
+    ]);
+  });
+
+  test('only the selected project is loaded, rooted at its project node', async () => {
+    const result = await parseXERFile(twoProjects(), { projectId: '8' });
+
+    expect(result.data.map(item => [item.wbs_code, item.parent_wbs_code])).toEqual([
+      ['P5800', ''],
+      ['P5800.1', 'P5800'],
+      ['P5800.2', 'P5800']
+    ]);
+    expect(result.schedule.activities.map(activity => activity.task_code)).toEqual(['B1000', 'B1010']);
+    expect(result.projectInfo).toMatchObject({ projectName: 'P5800', projectId: '8' });
+  });
+
+  test('the first project is loaded without a selection or with an unknown one', async () => {
+    const withoutSelection = await parseXERFile(twoProjects());
+    const unknownSelection = await parseXERFile(twoProjects(), { projectId: '99' });
+
+    expect(withoutSelection.data[0].wbs_code).toBe('P5737');
+    expect(unknownSelection.data[0].wbs_code).toBe('P5737');
+    expect(withoutSelection.projects).toHaveLength(2);
+  });
+});
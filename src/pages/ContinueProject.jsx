@@ -1 +1,591 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Typography,
+  Container,
+  Paper,
+  Button,
+  Alert,
+  Grid,
+  List,
+  ListItem,
+  ListItemIcon,
+  ListItemText,
+  Breadcrumbs,
+  Link
+} from '@mui/material';
+import {
+  CloudUpload,
+  CheckCircle,
+  Info,
+  Warning,
+  ArrowBack,
+  Refresh,
+  GetApp,
+  Home as HomeIcon,
+  NavigateNext
+} from '@mui/icons-material';
+import { styled } from '@mui/material/styles';
+import { useNavigate } from 'react-router-dom';
 
+import useProjectStore from '../store/projectStore';
+import FileUpload from '../components/FileUpload';
+import WBSVisualization from '../components/WBSVisualization';
+import ExportButton from '../components/ExportButton';
+import LoadingSpinner from '../components/LoadingSpinner';
+import RuleSetSelector from '../components/RuleSetSelector';
+import EquipmentOverridesPanel from '../components/EquipmentOverridesPanel';
+import AmbiguousMatchesReport from '../components/AmbiguousMatchesReport';
+import RelationshipIssuesReport from '../components/RelationshipIssuesReport';
+import DuplicatePolicySelector from '../components/DuplicatePolicySelector';
+import DuplicateEquipmentReport from '../components/DuplicateEquipmentReport';
+import CommissioningValuesReport from '../components/CommissioningValuesReport';
+import SubsystemPreviewReport from '../components/SubsystemPreviewReport';
+import { BRAND_COLORS } from '../constants';
+import { canExportDeltaXER } from '../lib/exporter';
+
+// Styled components matching MissingEquipment.jsx
+const StyledPaper = styled(Paper)(({ theme }) => ({
+  padding: theme.spacing(3),
+  marginBottom: theme.spacing(3),
+  border: `1px solid ${BRAND_COLORS.level2}`,
+  borderRadius: theme.spacing(2)
+}));
+
+const StyledButton = styled(Button)(({ theme, variant }) => ({
+  backgroundColor: variant === 'contained' ? BRAND_COLORS.accent : 'transparent',
+  color: variant === 'contained' ? BRAND_COLORS.white : BRAND_COLORS.accent,
+  borderColor: BRAND_COLORS.accent,
+  '&:hover': {
+    backgroundColor: variant === 'contained' ? BRAND_COLORS.level5 : `${BRAND_COLORS.accent}10`,
+    borderColor: BRAND_COLORS.level5
+  },
+  '&:disabled': {
+    backgroundColor: BRAND_COLORS.level2,
+    color: BRAND_COLORS.white
+  }
+}));
+
+const NavigationHeader = styled(Box)(({ theme }) => ({
+  display: 'flex',
+  justifyContent: 'space-between',
+  alignItems: 'center',
+  marginBottom: theme.spacing(3),
+  padding: theme.spacing(2, 0)
+}));
+
+const ProgressStep = styled(Box)(({ theme, isActive, isCompleted }) => ({
+  display: 'flex',
+  alignItems: 'center',
+  flex: 1,
+  '& .step-circle': {
+    width: 32,
+    height: 32,
+    borderRadius: '50%',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginRight: theme.spacing(1),
+    backgroundColor: isCompleted ? BRAND_COLORS.level4 : isActive ? BRAND_COLORS.accent : BRAND_COLORS.level2,
+    color: BRAND_COLORS.white,
+    fontSize: '14px',
+    fontWeight: 600
+  },
+  '& .step-text': {
+    color: isActive || isCompleted ? BRAND_COLORS.accent : BRAND_COLORS.text,
+    fontWeight: isActive ? 600 : 400
+  }
+}));
+
+const ProgressDivider = styled(Box)(({ theme }) => ({
+  height: 1,
+  flex: 1,
+  backgroundColor: BRAND_COLORS.level2,
+  margin: `0 ${theme.spacing(1)}`
+}));
+
+const SummaryTile = ({ value, label, color }) => (
+  <Box sx={{
+    p: 3,
+    backgroundColor: `${color}15`,
+    borderRadius: 2,
+    textAlign: 'center'
+  }}>
+    <Typography variant="h3" sx={{ color, fontWeight: 700 }}>
+      {value}
+    </Typography>
+    <Typography variant="body2" sx={{ color }}>
+      {label}
+    </Typography>
+  </Box>
+);
+
+const ContinueProject = () => {
+  // Navigation hook
+  const navigate = useNavigate();
+
+  // Store state
+  const {
+    continueProject: {
+      existingProject,
+      comparisonResult,
+      combinedWBS,
+      exportData
+    },
+    uploads: {
+      xer_file,
+      equipment_list
+    },
+    ui: { processing, error, success },
+    processContinueProject,
+    resetContinueProject,
+    clearComparison,
+    clearMessages,
+    setSuccess
+  } = useProjectStore();
+
+  const [currentStep, setCurrentStep] = useState(1);
+
+  const isProcessing = ['parsing', 'categorizing_equipment', 'generating_wbs', 'building_tree']
+    .includes(processing.stage);
+  const isProcessingReady = !!xer_file?.file && !!equipment_list?.file && !isProcessing;
+
+  // Step 1: Parse XER + equipment list and assign continuing WBS codes
+  const handleProcessFiles = async () => {
+    clearMessages();
+
+    const result = await processContinueProject(xer_file.file, equipment_list.file);
+
+    if (result) {
+      setCurrentStep(2);
+    }
+  };
+
+  const handleBackToStep = (step) => {
+    setCurrentStep(step);
+    clearMessages();
+  };
+
+  const handleReset = () => {
+    resetContinueProject();
+    clearComparison();
+    clearMessages();
+    setCurrentStep(1);
+  };
+
+  // Handle export completion
+  const handleExportComplete = (exportResult) => {
+    setSuccess(`Export completed successfully! Downloaded ${exportResult.recordCount} items.`);
+  };
+
+  // Render progress indicator
+  const renderProgressIndicator = () => (
+    <Box sx={{ mb: 4 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', mb: 2 }}>
+        <ProgressStep isActive={currentStep === 1} isCompleted={currentStep > 1}>
+          <div className="step-circle">1</div>
+          <Typography variant="body2" className="step-text">Upload XER & Equipment List</Typography>
+        </ProgressStep>
+        <ProgressDivider />
+        <ProgressStep isActive={currentStep === 2} isCompleted={currentStep > 2}>
+          <div className="step-circle">2</div>
+          <Typography variant="body2" className="step-text">Review Merged WBS</Typography>
+        </ProgressStep>
+        <ProgressDivider />
+        <ProgressStep isActive={currentStep === 3} isCompleted={currentStep > 3}>
+          <div className="step-circle">3</div>
+          <Typography variant="body2" className="step-text">Export New Items</Typography>
+        </ProgressStep>
+      </Box>
+    </Box>
+  );
+
+  return (
+    <Container maxWidth="lg">
+      {/* Loading Spinner */}
+      <LoadingSpinner variant="modal" />
+
+      {/* Navigation Header */}
+      <NavigationHeader>
+        <Breadcrumbs separator={<NavigateNext fontSize="small" />} sx={{ color: BRAND_COLORS.text }}>
+          <Link
+            component="button"
+            variant="body2"
+            onClick={() => navigate('/')}
+            sx={{
+              display: 'flex',
+              alignItems: 'center',
+              color: BRAND_COLORS.accent,
+              textDecoration: 'none',
+              '&:hover': { textDecoration: 'underline' }
+            }}
+          >
+            <HomeIcon sx={{ mr: 0.5 }} fontSize="inherit" />
+            Home
+          </Link>
+          <Typography variant="body2" sx={{ color: BRAND_COLORS.text }}>
+            Continue Project
+          </Typography>
+        </Breadcrumbs>
+
+        <StyledButton
+          variant="outlined"
+          startIcon={<HomeIcon />}
+          onClick={() => navigate('/')}
+        >
+          Home
+        </StyledButton>
+      </NavigationHeader>
+
+      {/* Header */}
+      <Box sx={{ mb: 4 }}>
+        <Typography variant="h4" component="h1" sx={{ mb: 2, color: BRAND_COLORS.text, fontWeight: 600 }}>
+          Continue Project
+        </Typography>
+        <Typography variant="body1" sx={{ color: BRAND_COLORS.text, opacity: 0.8 }}>
+          Load an existing P6 project (XER) and add new equipment using the project's existing WBS numbering
+        </Typography>
+      </Box>
+
+      {/* Progress Indicator */}
+      {renderProgressIndicator()}
+
+      {/* Success/Error Messages */}
+      {error && (
+        <Alert severity="error" sx={{ mb: 3 }} icon={<Warning />}>
+          {error}
+        </Alert>
+      )}
+
+      {success && (
+        <Alert severity="success" sx={{ mb: 3 }} icon={<CheckCircle />}>
+          {success}
+        </Alert>
+      )}
+
+      {/* Processing Status */}
+      {isProcessing && (
+        <Box sx={{ mb: 3 }}>
+          <LoadingSpinner message={processing.message} progress={processing.progress} />
+        </Box>
+      )}
+
+      {/* Step 1: Upload Files */}
+      {currentStep === 1 && (
+        <StyledPaper>
+          <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 3 }}>
+            <Typography variant="h5" sx={{ color: BRAND_COLORS.text, fontWeight: 600 }}>
+              Step 1: Upload Existing Project & Equipment List
+            </Typography>
+            <StyledButton
+              onClick={handleReset}
+              variant="outlined"
+              size="small"
+              startIcon={<Refresh />}
+            >
+              Reset
+            </StyledButton>
+          </Box>
+
+          <Alert severity="info" sx={{ mb: 3 }} icon={<Info />}>
+            <Typography variant="body2" sx={{ mb: 1 }}>
+              New equipment is placed using the same priority rules as Missing Equipment:
+            </Typography>
+            <List dense>
+              <ListItem sx={{ py: 0 }}>
+                <ListItemIcon sx={{ minWidth: 20 }}>1.</ListItemIcon>
+                <ListItemText primary="Under its parent equipment, if the parent already exists in P6" />
+              </ListItem>
+              <ListItem sx={{ py: 0 }}>
+                <ListItemIcon sx={{ minWidth: 20 }}>2.</ListItemIcon>
+                <ListItemText primary="Under its category in an existing subsystem (+Z01, +Z02, ...)" />
+              </ListItem>
+              <ListItem sx={{ py: 0 }}>
+                <ListItemIcon sx={{ minWidth: 20 }}>3.</ListItemIcon>
+                <ListItemText primary="In a new subsystem numbered after the last existing one" />
+              </ListItem>
+            </List>
+          </Alert>
+
+          <RuleSetSelector disabled={isProcessing} />
+          <Box sx={{ mb: 3 }}>
+            <DuplicatePolicySelector disabled={isProcessing} />
+          </Box>
+          <EquipmentOverridesPanel />
+
+          <Grid container spacing={3}>
+            <Grid item xs={12} md={6}>
+              <FileUpload
+                uploadType="xer_file"
+                title="Upload Existing Project"
+                description="P6 XER export of the current project"
+                accept=".xer,.txt"
+                disabled={isProcessing}
+              />
+            </Grid>
+            <Grid item xs={12} md={6}>
+              <FileUpload
+                uploadType="equipment_list"
+                mapColumns
+                title="Upload Equipment List"
+                description="CSV or Excel file containing existing + new equipment"
+                accept=".csv,.xlsx,.xls"
+                disabled={isProcessing}
+              />
+            </Grid>
+          </Grid>
+
+          <Box sx={{ mt: 1 }}>
+            <StyledButton
+              variant="contained"
+              size="large"
+              onClick={handleProcessFiles}
+              disabled={!isProcessingReady}
+              startIcon={<CloudUpload />}
+            >
+              {isProcessing ? 'Processing...' : 'Process Project Update'}
+            </StyledButton>
+          </Box>
+        </StyledPaper>
+      )}
+
+      {/* Step 2: Review Merged WBS */}
+      {currentStep === 2 && comparisonResult && (
+        <StyledPaper>
+          <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 3 }}>
+            <Typography variant="h5" sx={{ color: BRAND_COLORS.text, fontWeight: 600 }}>
+              Step 2: Review Merged WBS
+            </Typography>
+            <Box sx={{ display: 'flex', gap: 1 }}>
+              <StyledButton
+                onClick={() => handleBackToStep(1)}
+                variant="outlined"
+                size="small"
+                startIcon={<ArrowBack />}
+              >
+                Back to Upload
+              </StyledButton>
+              <StyledButton
+                onClick={handleReset}
+                variant="outlined"
+                size="small"
+                startIcon={<Refresh />}
+              >
+                Start Over
+              </StyledButton>
+            </Box>
+          </Box>
+
+          {/* Results Summary */}
+          <Grid container spacing={3} sx={{ mb: 4 }}>
+            <Grid item xs={12} sm={6} md={3}>
+              <SummaryTile
+                value={existingProject.wbsStructure.length}
+                label="Existing WBS Items"
+                color={BRAND_COLORS.level4}
+              />
+            </Grid>
+            <Grid item xs={12} sm={6} md={3}>
+              <SummaryTile
+                value={comparisonResult.comparison.existing.length}
+                label={comparisonResult.summary?.existing_with_activities
+                  ? `Equipment Already in P6 (${comparisonResult.summary.existing_with_activities} with activities)`
+                  : 'Equipment Already in P6'}
+                color={BRAND_COLORS.level3}
+              />
+            </Grid>
+            <Grid item xs={12} sm={6} md={3}>
+              <SummaryTile
+                value={comparisonResult.comparison.added.length}
+                label="New Equipment Found"
+                color={BRAND_COLORS.accent}
+              />
+            </Grid>
+            <Grid item xs={12} sm={6} md={3}>
+              <SummaryTile
+                value={exportData.length}
+                label="New WBS Items"
+                color={BRAND_COLORS.level5}
+              />
+            </Grid>
+          </Grid>
+
+          {comparisonResult.comparison.added.length === 0 && (
+            <Alert severity="info" sx={{ mb: 3 }}>
+              No new equipment found. All equipment items already exist in the project.
+            </Alert>
+          )}
+
+          {comparisonResult.newly_in_scope?.length > 0 && (
+            <Alert severity="warning" sx={{ mb: 3 }}>
+              {comparisonResult.newly_in_scope.length} item{comparisonResult.newly_in_scope.length === 1 ? ' was' : 's were'} out
+              of scope (N) and {comparisonResult.newly_in_scope.length === 1 ? 'is' : 'are'} now in the commissioning scope:{' '}
+              <strong>{comparisonResult.newly_in_scope.map(item => item.equipment_number).join(', ')}</strong>.
+              They are placed as new equipment - remove them from the Out of Scope section in P6.
+            </Alert>
+          )}
+
+          {comparisonResult.removed_with_activities?.length > 0 && (
+            <Alert severity="warning" sx={{ mb: 3 }}>
+              {comparisonResult.removed_with_activities.length} item{comparisonResult.removed_with_activities.length === 1 ? ' is' : 's are'} no
+              longer in the equipment list but already {comparisonResult.removed_with_activities.length === 1 ? 'has' : 'have'} activities
+              in P6:{' '}
+              <strong>{comparisonResult.removed_with_activities.join(', ')}</strong>.
+              Check these activities before removing the equipment from the schedule.
+            </Alert>
+          )}
+
+          {comparisonResult.commissioning_summary?.length > 0 && (
+            <Box sx={{ mb: 3 }}>
+              <CommissioningValuesReport
+                summary={comparisonResult.commissioning_summary}
+                excluded={comparisonResult.excluded_equipment}
+                onMappingChange={handleProcessFiles}
+                disabled={isProcessing}
+              />
+            </Box>
+          )}
+
+          {comparisonResult.subsystem_preview?.length > 0 && (
+            <Box sx={{ mb: 3 }}>
+              <SubsystemPreviewReport
+                preview={comparisonResult.subsystem_preview}
+                onFormatsChange={handleProcessFiles}
+                disabled={isProcessing}
+              />
+            </Box>
+          )}
+
+          {comparisonResult.ambiguous_matches?.length > 0 && (
+            <Box sx={{ mb: 3 }}>
+              <AmbiguousMatchesReport matches={comparisonResult.ambiguous_matches} />
+            </Box>
+          )}
+
+          {comparisonResult.relationship_issues?.length > 0 && (
+            <Box sx={{ mb: 3 }}>
+              <RelationshipIssuesReport issues={comparisonResult.relationship_issues} />
+            </Box>
+          )}
+
+          {comparisonResult.duplicate_equipment?.length > 0 && (
+            <Box sx={{ mb: 3 }}>
+              <DuplicateEquipmentReport
+                duplicates={comparisonResult.duplicate_equipment}
+                onPolicyChange={handleProcessFiles}
+                disabled={isProcessing}
+              />
+            </Box>
+          )}
+
+          <WBSVisualization
+            wbsData={combinedWBS}
+            title={`${existingProject.projectInfo?.projectName || 'Existing Project'} - Merged WBS`}
+            showNewBadges={true}
+            onOverridesChanged={handleProcessFiles}
+          />
+
+          <Box sx={{ mt: 3 }}>
+            <StyledButton
+              variant="contained"
+              onClick={() => setCurrentStep(3)}
+              disabled={exportData.length === 0}
+              endIcon={<ArrowBack sx={{ transform: 'rotate(180deg)' }} />}
+            >
+              Continue to Export
+            </StyledButton>
+          </Box>
+        </StyledPaper>
+      )}
+
+      {/* Step 3: Export New Items */}
+      {currentStep === 3 && comparisonResult && (
+        <StyledPaper>
+          <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 3 }}>
+            <Typography variant="h5" sx={{ color: BRAND_COLORS.text, fontWeight: 600 }}>
+              Step 3: Export New Items
+            </Typography>
+            <StyledButton
+              onClick={() => handleBackToStep(2)}
+              variant="outlined"
+              size="small"
+              startIcon={<ArrowBack />}
+            >
+              Back to Review
+            </StyledButton>
+          </Box>
+
+          <Grid container spacing={3}>
+            <Grid item xs={12} md={6}>
+              <Typography variant="body1" sx={{ color: BRAND_COLORS.text, mb: 2 }}>
+                {canExportDeltaXER(comparisonResult)
+                  ? 'Download the new WBS items as a P6-compatible CSV or as a delta XER to import into the existing project:'
+                  : 'Download the new WBS items in P6-compatible CSV format:'}
+              </Typography>
+              <List>
+                <ListItem sx={{ py: 0 }}>
+                  <ListItemIcon sx={{ minWidth: 20 }}>•</ListItemIcon>
+                  <ListItemText primary={`Contains ${exportData.length} new WBS items`} />
+                </ListItem>
+                <ListItem sx={{ py: 0 }}>
+                  <ListItemIcon sx={{ minWidth: 20 }}>•</ListItemIcon>
+                  <ListItemText primary="WBS codes continue the existing project numbering" />
+                </ListItem>
+                <ListItem sx={{ py: 0 }}>
+                  <ListItemIcon sx={{ minWidth: 20 }}>•</ListItemIcon>
+                  <ListItemText primary="CSV: wbs_code, parent_wbs_code, wbs_name" />
+                </ListItem>
+                {canExportDeltaXER(comparisonResult) && (
+                  <ListItem sx={{ py: 0 }}>
+                    <ListItemIcon sx={{ minWidth: 20 }}>•</ListItemIcon>
+                    <ListItemText primary="XER: PROJWBS records attached to the project's existing WBS nodes" />
+                  </ListItem>
+                )}
+              </List>
+
+              <Box sx={{ mt: 3 }}>
+                <ExportButton
+                  data={comparisonResult}
+                  exportType="comparison"
+                  variant="contained"
+                  size="large"
+                  customLabel="Export New Items to P6"
+                  onExportComplete={handleExportComplete}
+                  startIcon={<GetApp />}
+                />
+              </Box>
+            </Grid>
+
+            <Grid item xs={12} md={6}>
+              <Alert severity="info" icon={<Info />}>
+                <Typography variant="body2" sx={{ fontWeight: 600, mb: 1 }}>
+                  New Items Summary:
+                </Typography>
+                <List dense>
+                  {exportData.slice(0, 8).map(item => (
+                    <ListItem key={item.wbs_code} sx={{ py: 0 }}>
+                      <ListItemText
+                        primary={`${item.wbs_code} - ${item.wbs_name}`}
+                        primaryTypographyProps={{ variant: 'body2' }}
+                      />
+                    </ListItem>
+                  ))}
+                  {exportData.length > 8 && (
+                    <ListItem sx={{ py: 0 }}>
+                      <ListItemText
+                        primary={`... and ${exportData.length - 8} more`}
+                        primaryTypographyProps={{ variant: 'body2', style: { fontStyle: 'italic' } }}
+                      />
+                    </ListItem>
+                  )}
+                </List>
+              </Alert>
+            </Grid>
+          </Grid>
+        </StyledPaper>
+      )}
+    </Container>
+  );
+};
+
+export default ContinueProject;
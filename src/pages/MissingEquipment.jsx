@@ -37,6 +37,8 @@ import FileUpload from '../components/FileUpload';
 import WBSVisualization from '../components/WBSVisualization';
 import ExportButton from '../components/ExportButton';
 import LoadingSpinner from '../components/LoadingSpinner';
+import RuleSetSelector from '../components/RuleSetSelector';
+import EquipmentOverridesPanel from '../components/EquipmentOverridesPanel';
 import { parseFile } from '../lib/fileParser';
 import { categorizeEquipment } from '../lib/equipmentProcessor';
 import { compareEquipmentLists } from '../lib/projectComparer';
@@ -135,7 +137,9 @@ const MissingEquipment = () => {
     setError,
     setSuccess,
     clearMessages,
-    setFileUpload
+    setFileUpload,
+    getProcessingOptions,
+    getParseOptions
   } = useProjectStore();
 
   const [currentStep, setCurrentStep] = useState(1);
@@ -218,7 +222,8 @@ const MissingEquipment = () => {
       setProcessingStage('parsing', 20, 'Parsing equipment file...');
 
       console.log('Parsing equipment file...');
-      const parseResult = await parseFile(file);
+      const parseOptions = getParseOptions('equipment_list');
+      const parseResult = await parseFile(file, parseOptions);
       
       if (parseResult.type !== 'equipment_list') {
         throw new Error(`Expected equipment list, got ${parseResult.type}. Please upload an equipment CSV or Excel file.`);
@@ -243,7 +248,9 @@ const MissingEquipment = () => {
         file: file,
         status: 'success',
         error: null,
-        data: parseResult.data
+        data: parseResult.data,
+        columnMapping: parseOptions.columnMapping,
+        sheetSelection: parseOptions.sheetSelection
       });
 
       setProcessingStage('complete', 100, 'Equipment file processed successfully!');
@@ -299,7 +306,10 @@ const MissingEquipment = () => {
         setProcessingStage('categorizing', 30, 'Categorizing equipment...');
         console.log('Step 1: Categorizing raw equipment data...');
         
-        const categorizedResult = await categorizeEquipment(equipmentFileData);
+        const processingOptions = getProcessingOptions();
+        addDebugInfo(`Using classification rule set: ${processingOptions.ruleSet.name}`);
+        addDebugInfo(`Equipment overrides: ${Object.keys(processingOptions.overrides).length}`);
+        const categorizedResult = await categorizeEquipment(equipmentFileData, processingOptions);
         
         if (!categorizedResult || !categorizedResult.equipment || categorizedResult.equipment.length === 0) {
           throw new Error('Equipment categorization failed - no equipment was processed successfully.');
@@ -322,7 +332,7 @@ const MissingEquipment = () => {
     
         // Use the categorized equipment data for comparison
         console.log('Step 2: Using 3-tier priority comparison logic...');
-        const comparisonData = await compareEquipmentLists(existingProject, categorizedResult.equipment);
+        const comparisonData = await compareEquipmentLists(existingProject, categorizedResult.equipment, processingOptions);
         
         console.log('3-tier priority comparison completed:', {
           newEquipment: comparisonData.comparison?.added?.length || 0,
@@ -749,8 +759,12 @@ const MissingEquipment = () => {
               </List>
             </Alert>
 
+            <RuleSetSelector />
+            <EquipmentOverridesPanel />
+
             <FileUpload 
               uploadType="equipment_list"
+              mapColumns
               title="Upload Equipment List"
               description="Upload your CSV or Excel file containing equipment data"
               accept=".csv,.xlsx,.xls"
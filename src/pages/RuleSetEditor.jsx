@@ -0,0 +1,545 @@
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import {
+  Box,
+  Typography,
+  Container,
+  Paper,
+  Button,
+  Alert,
+  Grid,
+  TextField,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  Switch,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableContainer,
+  IconButton,
+  Tooltip,
+  Chip,
+  Breadcrumbs,
+  Link
+} from '@mui/material';
+import {
+  Add,
+  Delete,
+  Save,
+  ContentCopy,
+  FileUpload as FileUploadIcon,
+  FileDownload,
+  CheckCircle,
+  Warning,
+  Error as ErrorIcon,
+  Home as HomeIcon,
+  NavigateNext
+} from '@mui/icons-material';
+import { styled } from '@mui/material/styles';
+import { useNavigate } from 'react-router-dom';
+
+import useProjectStore from '../store/projectStore';
+import {
+  DEFAULT_RULE_PRIORITY,
+  calculatePatternSpecificity,
+  createRuleId,
+  compileRuleSet,
+  normalizeRuleSet,
+  parseRuleSetJSON,
+  serializeRuleSet,
+  validateRuleSet
+} from '../lib/ruleSets';
+import { BRAND_COLORS, EQUIPMENT_CATEGORIES } from '../constants';
+
+// Styled components matching the workflow pages
+const StyledPaper = styled(Paper)(({ theme }) => ({
+  padding: theme.spacing(3),
+  marginBottom: theme.spacing(3),
+  border: `1px solid ${BRAND_COLORS.level2}`,
+  borderRadius: theme.spacing(2)
+}));
+
+const StyledButton = styled(Button)(({ theme, variant }) => ({
+  backgroundColor: variant === 'contained' ? BRAND_COLORS.accent : 'transparent',
+  color: variant === 'contained' ? BRAND_COLORS.white : BRAND_COLORS.accent,
+  borderColor: BRAND_COLORS.accent,
+  '&:hover': {
+    backgroundColor: variant === 'contained' ? BRAND_COLORS.level5 : `${BRAND_COLORS.accent}10`,
+    borderColor: BRAND_COLORS.level5
+  },
+  '&:disabled': {
+    backgroundColor: BRAND_COLORS.level2,
+    color: BRAND_COLORS.white
+  }
+}));
+
+const NavigationHeader = styled(Box)(({ theme }) => ({
+  display: 'flex',
+  justifyContent: 'space-between',
+  alignItems: 'center',
+  marginBottom: theme.spacing(3),
+  padding: theme.spacing(2, 0)
+}));
+
+// Categories a rule can assign (99 is the fallback, never a rule target)
+const ASSIGNABLE_CATEGORIES = Object.entries(EQUIPMENT_CATEGORIES).filter(([id]) => id !== '99');
+
+const RuleSetEditor = () => {
+  const navigate = useNavigate();
+
+  const {
+    project,
+    ruleSets,
+    getRuleSets,
+    saveRuleSet,
+    deleteRuleSet,
+    selectRuleSet
+  } = useProjectStore();
+
+  const availableRuleSets = getRuleSets();
+
+  const [editingId, setEditingId] = useState(project.rule_set_id);
+  const [draft, setDraft] = useState(null);
+  const [isDirty, setIsDirty] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [testTag, setTestTag] = useState('');
+  const fileInputRef = useRef(null);
+
+  // Load the selected rule set into the local draft
+  useEffect(() => {
+    const source = getRuleSets().find(ruleSet => ruleSet.id === editingId) || getRuleSets()[0];
+    setDraft(JSON.parse(JSON.stringify(source)));
+    setIsDirty(false);
+  }, [editingId, ruleSets, getRuleSets]);
+
+  const validation = useMemo(() => (draft ? validateRuleSet(draft) : null), [draft]);
+
+  // Show which rule classifies the test tag
+  const testResult = useMemo(() => {
+    if (!draft || !testTag.trim()) return null;
+    const cleanedTag = testTag.toUpperCase().trim();
+    const matchedRule = compileRuleSet(draft).find(rule => rule.regex.test(cleanedTag));
+    return matchedRule || { category: '99', name: 'No rule matched' };
+  }, [draft, testTag]);
+
+  if (!draft) return null;
+
+  const isReadOnly = !!draft.readOnly;
+
+  const updateDraft = (changes) => {
+    setDraft(prev => ({ ...prev, ...changes }));
+    setIsDirty(true);
+  };
+
+  const updateRule = (ruleId, field, value) => {
+    updateDraft({
+      rules: draft.rules.map(rule => (rule.id === ruleId ? { ...rule, [field]: value } : rule))
+    });
+  };
+
+  const handleAddRule = () => {
+    updateDraft({
+      rules: [
+        ...draft.rules,
+        {
+          id: createRuleId(),
+          pattern: '',
+          flags: 'i',
+          category: '02',
+          name: '',
+          priority: DEFAULT_RULE_PRIORITY,
+          enabled: true
+        }
+      ]
+    });
+  };
+
+  const handleDeleteRule = (ruleId) => {
+    updateDraft({ rules: draft.rules.filter(rule => rule.id !== ruleId) });
+  };
+
+  const handleDuplicate = () => {
+    const copy = {
+      ...JSON.parse(JSON.stringify(draft)),
+      id: `ruleset-${Date.now().toString(36)}`,
+      name: `${draft.name} (copy)`,
+      readOnly: false
+    };
+    saveRuleSet(copy);
+    setEditingId(copy.id);
+    setMessage({ severity: 'success', text: `Created "${copy.name}" - you can now edit its rules.` });
+  };
+
+  const handleSave = () => {
+    if (!validation.isValid) {
+      setMessage({ severity: 'error', text: 'Fix the rule errors before saving.' });
+      return;
+    }
+    saveRuleSet(normalizeRuleSet(draft));
+    setIsDirty(false);
+    setMessage({ severity: 'success', text: `Rule set "${draft.name}" saved.` });
+  };
+
+  const handleDelete = () => {
+    deleteRuleSet(draft.id);
+    setEditingId(availableRuleSets[0].id);
+    setMessage({ severity: 'info', text: `Rule set "${draft.name}" deleted.` });
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    try {
+      const imported = parseRuleSetJSON(await file.text());
+      // Never overwrite an existing set silently
+      if (availableRuleSets.some(ruleSet => ruleSet.id === imported.id)) {
+        imported.id = `${imported.id}-${Date.now().toString(36)}`;
+      }
+      const importValidation = validateRuleSet(imported);
+      saveRuleSet(imported);
+      setEditingId(imported.id);
+      setMessage({
+        severity: importValidation.isValid ? 'success' : 'warning',
+        text: `Imported "${imported.name}" with ${imported.rules.length} rules` +
+          (importValidation.isValid ? '.' : ` - ${importValidation.errors.length} rules need fixing.`)
+      });
+    } catch (error) {
+      setMessage({ severity: 'error', text: error.message });
+    } finally {
+      e.target.value = '';
+    }
+  };
+
+  const handleExport = () => {
+    const blob = new Blob([serializeRuleSet(draft)], { type: 'application/json' });
+    const url = window.URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${draft.name.replace(/[^a-z0-9]+/gi, '_')}.json`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    window.URL.revokeObjectURL(url);
+  };
+
+  const renderRuleIssues = (ruleId) => {
+    const issues = validation.ruleIssues[ruleId];
+    if (!issues) return null;
+
+    const hasError = issues.some(issue => issue.severity === 'error');
+    return (
+      <Tooltip title={issues.map(issue => issue.message).join('; ')}>
+        {hasError ? <ErrorIcon color="error" fontSize="small" /> : <Warning color="warning" fontSize="small" />}
+      </Tooltip>
+    );
+  };
+
+  return (
+    <Container maxWidth="lg">
+      {/* Navigation Header */}
+      <NavigationHeader>
+        <Breadcrumbs separator={<NavigateNext fontSize="small" />} sx={{ color: BRAND_COLORS.text }}>
+          <Link
+            component="button"
+            variant="body2"
+            onClick={() => navigate('/')}
+            sx={{
+              display: 'flex',
+              alignItems: 'center',
+              color: BRAND_COLORS.accent,
+              textDecoration: 'none',
+              '&:hover': { textDecoration: 'underline' }
+            }}
+          >
+            <HomeIcon sx={{ mr: 0.5 }} fontSize="inherit" />
+            Home
+          </Link>
+          <Typography variant="body2" sx={{ color: BRAND_COLORS.text }}>
+            Classification Rules
+          </Typography>
+        </Breadcrumbs>
+
+        <StyledButton variant="outlined" onClick={() => navigate(-1)}>
+          Back
+        </StyledButton>
+      </NavigationHeader>
+
+      {/* Header */}
+      <Box sx={{ mb: 4 }}>
+        <Typography variant="h4" component="h1" sx={{ mb: 2, color: BRAND_COLORS.text, fontWeight: 600 }}>
+          Classification Rules
+        </Typography>
+        <Typography variant="body1" sx={{ color: BRAND_COLORS.text, opacity: 0.8 }}>
+          Equipment numbers are matched against every rule; overlaps go to the highest priority, then the most specific pattern, then rule order
+        </Typography>
+      </Box>
+
+      {message && (
+        <Alert severity={message.severity} sx={{ mb: 3 }} onClose={() => setMessage(null)}>
+          {message.text}
+        </Alert>
+      )}
+
+      {/* Rule Set Toolbar */}
+      <StyledPaper>
+        <Grid container spacing={2} alignItems="center">
+          <Grid item xs={12} md={5}>
+            <FormControl size="small" fullWidth>
+              <InputLabel id="edit-rule-set-label">Rule Set</InputLabel>
+              <Select
+                labelId="edit-rule-set-label"
+                label="Rule Set"
+                value={draft.id}
+                onChange={(e) => setEditingId(e.target.value)}
+              >
+                {availableRuleSets.map(ruleSet => (
+                  <MenuItem key={ruleSet.id} value={ruleSet.id}>
+                    {ruleSet.name}{ruleSet.readOnly ? ' (built-in)' : ''}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid item xs={12} md={7}>
+            <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', justifyContent: { md: 'flex-end' } }}>
+              <StyledButton size="small" variant="outlined" startIcon={<ContentCopy />} onClick={handleDuplicate}>
+                Duplicate
+              </StyledButton>
+              <StyledButton size="small" variant="outlined" startIcon={<FileUploadIcon />} onClick={() => fileInputRef.current?.click()}>
+                Import JSON
+              </StyledButton>
+              <StyledButton size="small" variant="outlined" startIcon={<FileDownload />} onClick={handleExport}>
+                Export JSON
+              </StyledButton>
+              {!isReadOnly && (
+                <StyledButton size="small" variant="outlined" startIcon={<Delete />} onClick={handleDelete}>
+                  Delete
+                </StyledButton>
+              )}
+              <StyledButton
+                size="small"
+                variant="contained"
+                startIcon={<CheckCircle />}
+                disabled={project.rule_set_id === draft.id || isDirty}
+                onClick={() => selectRuleSet(draft.id)}
+              >
+                {project.rule_set_id === draft.id ? 'Used by Current Project' : 'Use for Current Project'}
+              </StyledButton>
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept=".json,application/json"
+                onChange={handleImport}
+                style={{ display: 'none' }}
+              />
+            </Box>
+          </Grid>
+
+          <Grid item xs={12} md={5}>
+            <TextField
+              label="Name"
+              size="small"
+              fullWidth
+              value={draft.name}
+              disabled={isReadOnly}
+              onChange={(e) => updateDraft({ name: e.target.value })}
+            />
+          </Grid>
+          <Grid item xs={12} md={7}>
+            <TextField
+              label="Description"
+              size="small"
+              fullWidth
+              value={draft.description || ''}
+              disabled={isReadOnly}
+              onChange={(e) => updateDraft({ description: e.target.value })}
+            />
+          </Grid>
+        </Grid>
+
+        {isReadOnly && (
+          <Alert severity="info" sx={{ mt: 2 }}>
+            The built-in rule set is read-only. Duplicate it to create an editable copy.
+          </Alert>
+        )}
+      </StyledPaper>
+
+      {/* Validation Summary */}
+      {validation.errors.length > 0 && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          <Typography variant="body2" sx={{ fontWeight: 600, mb: 1 }}>
+            {validation.errors.length} error(s) - invalid rules are skipped during classification:
+          </Typography>
+          {validation.errors.slice(0, 8).map((error, index) => (
+            <Typography key={index} variant="body2">• {error}</Typography>
+          ))}
+        </Alert>
+      )}
+      {validation.warnings.length > 0 && (
+        <Alert severity="warning" sx={{ mb: 2 }}>
+          <Typography variant="body2" sx={{ fontWeight: 600, mb: 1 }}>
+            {validation.warnings.length} warning(s):
+          </Typography>
+          {validation.warnings.slice(0, 8).map((warning, index) => (
+            <Typography key={index} variant="body2">• {warning}</Typography>
+          ))}
+          {validation.warnings.length > 8 && (
+            <Typography variant="body2" sx={{ fontStyle: 'italic' }}>
+              ... and {validation.warnings.length - 8} more
+            </Typography>
+          )}
+        </Alert>
+      )}
+
+      {/* Rule Tester */}
+      <StyledPaper>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, flexWrap: 'wrap' }}>
+          <TextField
+            label="Test an equipment number"
+            size="small"
+            value={testTag}
+            onChange={(e) => setTestTag(e.target.value)}
+            placeholder="e.g. +UH101"
+          />
+          {testResult && (
+            <Chip
+              label={`${testResult.category} | ${EQUIPMENT_CATEGORIES[testResult.category]} - ${testResult.name}`}
+              sx={{
+                backgroundColor: testResult.category === '99' ? BRAND_COLORS.level2 : BRAND_COLORS.accent,
+                color: BRAND_COLORS.white
+              }}
+            />
+          )}
+        </Box>
+      </StyledPaper>
+
+      {/* Rules Table */}
+      <StyledPaper>
+        <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 2 }}>
+          <Typography variant="h6" sx={{ color: BRAND_COLORS.text, fontWeight: 600 }}>
+            Rules ({draft.rules.length})
+          </Typography>
+          {!isReadOnly && (
+            <Box sx={{ display: 'flex', gap: 1 }}>
+              <StyledButton size="small" variant="outlined" startIcon={<Add />} onClick={handleAddRule}>
+                Add Rule
+              </StyledButton>
+              <StyledButton size="small" variant="contained" startIcon={<Save />} onClick={handleSave} disabled={!isDirty}>
+                Save Changes
+              </StyledButton>
+            </Box>
+          )}
+        </Box>
+
+        <TableContainer sx={{ maxHeight: '60vh' }}>
+          <Table size="small" stickyHeader>
+            <TableHead>
+              <TableRow>
+                <TableCell sx={{ width: 90 }}>Priority</TableCell>
+                <TableCell>Pattern (RegExp)</TableCell>
+                <TableCell sx={{ width: 80 }}>
+                  <Tooltip title="Required literal characters - breaks ties between rules with equal priority">
+                    <span>Specificity</span>
+                  </Tooltip>
+                </TableCell>
+                <TableCell sx={{ width: 70 }}>Flags</TableCell>
+                <TableCell sx={{ width: 220 }}>Category</TableCell>
+                <TableCell>Name</TableCell>
+                <TableCell sx={{ width: 70 }}>Enabled</TableCell>
+                <TableCell sx={{ width: 80 }} />
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {draft.rules.map(rule => (
+                <TableRow key={rule.id} sx={{ opacity: rule.enabled ? 1 : 0.5 }}>
+                  <TableCell>
+                    <TextField
+                      type="number"
+                      size="small"
+                      variant="standard"
+                      value={rule.priority}
+                      disabled={isReadOnly}
+                      onChange={(e) => updateRule(rule.id, 'priority', e.target.value === '' ? '' : Number(e.target.value))}
+                    />
+                  </TableCell>
+                  <TableCell>
+                    <TextField
+                      size="small"
+                      variant="standard"
+                      fullWidth
+                      value={rule.pattern}
+                      disabled={isReadOnly}
+                      onChange={(e) => updateRule(rule.id, 'pattern', e.target.value)}
+                      inputProps={{ style: { fontFamily: 'monospace' } }}
+                    />
+                  </TableCell>
+                  <TableCell sx={{ textAlign: 'center' }}>
+                    {calculatePatternSpecificity(rule.pattern)}
+                  </TableCell>
+                  <TableCell>
+                    <TextField
+                      size="small"
+                      variant="standard"
+                      value={rule.flags}
+                      disabled={isReadOnly}
+                      onChange={(e) => updateRule(rule.id, 'flags', e.target.value)}
+                      inputProps={{ style: { fontFamily: 'monospace' } }}
+                    />
+                  </TableCell>
+                  <TableCell>
+                    <Select
+                      size="small"
+                      variant="standard"
+                      fullWidth
+                      value={ASSIGNABLE_CATEGORIES.some(([id]) => id === rule.category) ? rule.category : ''}
+                      disabled={isReadOnly}
+                      onChange={(e) => updateRule(rule.id, 'category', e.target.value)}
+                    >
+                      {ASSIGNABLE_CATEGORIES.map(([id, name]) => (
+                        <MenuItem key={id} value={id}>{id} | {name}</MenuItem>
+                      ))}
+                    </Select>
+                  </TableCell>
+                  <TableCell>
+                    <TextField
+                      size="small"
+                      variant="standard"
+                      fullWidth
+                      value={rule.name}
+                      disabled={isReadOnly}
+                      onChange={(e) => updateRule(rule.id, 'name', e.target.value)}
+                    />
+                  </TableCell>
+                  <TableCell>
+                    <Switch
+                      size="small"
+                      checked={rule.enabled}
+                      disabled={isReadOnly}
+                      onChange={(e) => updateRule(rule.id, 'enabled', e.target.checked)}
+                    />
+                  </TableCell>
+                  <TableCell>
+                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+                      {renderRuleIssues(rule.id)}
+                      {!isReadOnly && (
+                        <IconButton size="small" onClick={() => handleDeleteRule(rule.id)}>
+                          <Delete fontSize="small" />
+                        </IconButton>
+                      )}
+                    </Box>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </StyledPaper>
+    </Container>
+  );
+};
+
+export default RuleSetEditor;
@@ -29,6 +29,7 @@ import {
   ExpandLess,
   Info,
   Warning,
+  Rule,
   Error as ErrorIcon
 } from '@mui/icons-material';
 import { styled } from '@mui/material/styles';
@@ -49,6 +50,20 @@ import FileUpload from '../components/FileUpload';
 import WBSVisualization from '../components/WBSVisualization';
 import ExportButton from '../components/ExportButton';
 import LoadingSpinner from '../components/LoadingSpinner';
+import RuleSetSelector from '../components/RuleSetSelector';
+import EquipmentOverridesPanel from '../components/EquipmentOverridesPanel';
+import WBSTemplateSelector from '../components/WBSTemplateSelector';
+import WBSGenerationOptions from '../components/WBSGenerationOptions';
+import AmbiguousMatchesReport from '../components/AmbiguousMatchesReport';
+import RelationshipIssuesReport from '../components/RelationshipIssuesReport';
+import ReconciliationReport from '../components/ReconciliationReport';
+import DuplicatePolicySelector from '../components/DuplicatePolicySelector';
+import DuplicateEquipmentReport from '../components/DuplicateEquipmentReport';
+import CommissioningValuesReport from '../components/CommissioningValuesReport';
+import SubsystemPreviewReport from '../components/SubsystemPreviewReport';
+import SubsystemOrderPanel from '../components/SubsystemOrderPanel';
+import { EXCLUSION_REASONS } from '../lib/commissioningStatus';
+import UnrecognisedTriage from '../components/UnrecognisedTriage';
 
 // Styled components
 const StyledPaper = styled(Paper)(({ theme }) => ({
@@ -93,17 +108,25 @@ const StartNewProject = () => {
     initializeProject,
     updateEquipmentList,
     updateWBSStructure,
+    setReconciliation,
     setProcessingStage,
     setLoading,
     setError,
     setSuccess,
-    clearMessages
+    clearMessages,
+    getProcessingOptions,
+    getParseOptions,
+    getWBSGenerationOptions,
+    appendRulesToActiveRuleSet,
+    recordIssuedSubsystemNumbers
   } = useProjectStore();
 
   // Local state
   const [activeStep, setActiveStep] = useState(0);
   const [processingResults, setProcessingResults] = useState(null);
   const [showInstructions, setShowInstructions] = useState(true);
+  const [pendingCategorization, setPendingCategorization] = useState(null);
+  const [parsedEquipment, setParsedEquipment] = useState(null);
 
   // Clear messages on component mount
   useEffect(() => {
@@ -142,18 +165,19 @@ const StartNewProject = () => {
       console.log('PHASE 1: ENHANCED FILE PARSING');
       setProcessingStage('parsing', 20, 'Parsing equipment data...');
       
-      const parseResult = await parseFile(uploadedFile);
+      const parseResult = await parseFile(uploadedFile, getParseOptions('equipment_list'));
       if (!parseResult.hasData) {
         throw new Error('No valid data found in uploaded file');
       }
       
       console.log('Successfully parsed', parseResult.dataLength, 'raw equipment items');
+      setParsedEquipment(parseResult.data);
 
       // PHASE 2: Enhanced Equipment Processing
       console.log('PHASE 2: ENHANCED EQUIPMENT PROCESSING WITH ALL FIXES');
       setProcessingStage('processing', 40, 'Categorizing equipment...');
       
-      const processedData = await categorizeEquipment(parseResult.data);
+      const processedData = await categorizeEquipment(parseResult.data, getProcessingOptions());
       console.log('Equipment processing completed:', {
         totalProcessed: processedData.totalProcessed,
         originalCount: processedData.originalCount,
@@ -165,143 +189,292 @@ const StartNewProject = () => {
         categoryStats: processedData.categoryStats
       });
 
-      // CRITICAL FIX: Debug the actual data structure
-      console.log('🔍 DEBUGGING EQUIPMENT PROCESSOR OUTPUT:');
-      console.log('processedData keys:', Object.keys(processedData));
-      console.log('categorizedEquipment array length:', processedData.categorizedEquipment?.length || 'UNDEFINED');
-      console.log('equipment array length:', processedData.equipment?.length || 'UNDEFINED');
-      console.log('First categorized item:', processedData.categorizedEquipment?.[0] || 'NONE');
-      console.log('First equipment item:', processedData.equipment?.[0] || 'NONE');
-
-      // CRITICAL FIX: Ensure we use the correct property with fallbacks
-      const actualEquipmentArray = processedData.categorizedEquipment || processedData.equipment || [];
-      const actualTBCArray = processedData.tbcEquipment || [];
-      const actualSubsystemMapping = processedData.subsystemMapping || {};
-
-      console.log('🔧 CRITICAL FIX VERIFICATION:');
-      console.log('actualEquipmentArray length:', actualEquipmentArray.length);
-      console.log('actualTBCArray length:', actualTBCArray.length);
-      console.log('actualSubsystemMapping keys:', Object.keys(actualSubsystemMapping));
-
-    // CRITICAL FIX: Properly structure data for WBS generator with bulletproof fallbacks
-    const wbsInputData = {
-      // CRITICAL: Use multiple fallbacks to ensure data gets through
-      categorizedEquipment: actualEquipmentArray,
-      equipment: actualEquipmentArray, // Duplicate for compatibility
-      
-      // TBC equipment separately  
-      tbcEquipment: actualTBCArray,
-      
-      // Subsystem mapping
-      subsystemMapping: actualSubsystemMapping,
-      
-      // Project metadata
-      projectName: processedData.projectName || '5737 Summerfield Project',
-      
-      // CRITICAL FIX: Move categoryStats to top level
-      categoryStats: processedData.categoryStats || {},  // ← MOVED TO TOP LEVEL
-      
-      // Statistics for validation
-      stats: {
-        totalEquipment: processedData.totalProcessed || actualEquipmentArray.length,
-        parentChildRelationships: processedData.parentChildRelationships || {}
-        // ← categoryStats REMOVED from here
-      },
+      // ENHANCED: Pause for review when tags are unrecognised (99), matched rules in more than one category,
+      // have parent/child problems, are repeated or were excluded for anything other than commissioning "N"
+      const unrecognisedCount = processedData.categoryStats?.['99']?.count || 0;
+      const unexpectedExclusions = (processedData.excludedEquipment || [])
+        .filter(item => item.reason !== EXCLUSION_REASONS.NOT_COMMISSIONED);
+      if (unrecognisedCount > 0 ||
+          processedData.ambiguousMatches?.length > 0 ||
+          processedData.relationshipIssues?.length > 0 ||
+          processedData.duplicateEquipment?.length > 0 ||
+          unexpectedExclusions.length > 0) {
+        console.log(`⚠️ ${unrecognisedCount} unrecognised, ${processedData.ambiguousMatches.length} ambiguous classifications, ${processedData.relationshipIssues.length} relationship issues, ${processedData.duplicateEquipment.length} duplicate tags, ${unexpectedExclusions.length} unexpected exclusions - waiting for review`);
+        setPendingCategorization({ rawData: parseResult.data, processedData, categoryAssignments: {} });
+        setProcessingStage('review', 50, 'Review equipment classification');
+        setActiveStep(1);
+        return;
+      }
+
+      setPendingCategorization(null);
+      await generateProjectWBS(processedData);
+
+    } catch (error) {
+      console.error('Enhanced processing failed:', error);
+      setError(`Processing failed: ${error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Generate the WBS + export data from categorized equipment (PHASES 3-4)
+  const generateProjectWBS = async (processedData) => {
+    // CRITICAL FIX: Debug the actual data structure
+    console.log('🔍 DEBUGGING EQUIPMENT PROCESSOR OUTPUT:');
+    console.log('processedData keys:', Object.keys(processedData));
+    console.log('categorizedEquipment array length:', processedData.categorizedEquipment?.length || 'UNDEFINED');
+    console.log('equipment array length:', processedData.equipment?.length || 'UNDEFINED');
+    console.log('First categorized item:', processedData.categorizedEquipment?.[0] || 'NONE');
+    console.log('First equipment item:', processedData.equipment?.[0] || 'NONE');
+
+    // CRITICAL FIX: Ensure we use the correct property with fallbacks
+    const actualEquipmentArray = processedData.categorizedEquipment || processedData.equipment || [];
+    const actualTBCArray = processedData.tbcEquipment || [];
+    const actualSubsystemMapping = processedData.subsystemMapping || {};
+
+    console.log('🔧 CRITICAL FIX VERIFICATION:');
+    console.log('actualEquipmentArray length:', actualEquipmentArray.length);
+    console.log('actualTBCArray length:', actualTBCArray.length);
+    console.log('actualSubsystemMapping keys:', Object.keys(actualSubsystemMapping));
+
+  // CRITICAL FIX: Properly structure data for WBS generator with bulletproof fallbacks
+  const wbsInputData = {
+    // CRITICAL: Use multiple fallbacks to ensure data gets through
+    categorizedEquipment: actualEquipmentArray,
+    equipment: actualEquipmentArray, // Duplicate for compatibility
     
-            // Additional fallback properties that wbsGenerator might expect
-            processed: processedData,
-            totalProcessed: processedData.totalProcessed || actualEquipmentArray.length
-          };
-
-      console.log('🎯 FINAL WBS INPUT DATA VERIFICATION:');
-      console.log('wbsInputData structure:', {
-        categorizedEquipmentCount: wbsInputData.categorizedEquipment?.length || 0,
-        equipmentCount: wbsInputData.equipment?.length || 0,
-        tbcEquipmentCount: wbsInputData.tbcEquipment?.length || 0,
-        subsystemCount: Object.keys(wbsInputData.subsystemMapping || {}).length,
-        projectName: wbsInputData.projectName,
-        hasStats: !!wbsInputData.stats,
-        totalProcessed: wbsInputData.totalProcessed
-      });
+    // TBC equipment separately  
+    tbcEquipment: actualTBCArray,
 
-      // PHASE 3: Enhanced WBS Structure Generation
-      console.log('PHASE 3: ENHANCED WBS STRUCTURE GENERATION WITH ALL STANDARD CATEGORIES');
-      setProcessingStage('generating', 60, 'Generating WBS structure...');
-      
-      // Pass the properly structured data to WBS generator
-      const wbsResult = await generateWBSStructure(wbsInputData);
-      console.log('WBS generation completed:', {
-        totalWBSItems: wbsResult.wbsStructure?.length || 0,
-        equipmentItems: wbsResult.stats?.equipmentItems || 0,
-        structuralItems: wbsResult.stats?.structuralItems || 0,
-        categoriesWithEquipment: wbsResult.stats?.categoriesWithEquipment || 0,
-        emptyCategories: wbsResult.stats?.emptyCategories || 0,
-        subsystemsCreated: wbsResult.stats?.subsystemsCreated || 0
+    // N equipment for the optional Out of Scope section
+    outOfScopeEquipment: processedData.outOfScopeEquipment || [],
+    
+    // Subsystem mapping
+    subsystemMapping: actualSubsystemMapping,
+    
+    // Project metadata
+    projectName: processedData.projectName || '5737 Summerfield Project',
+    
+    // CRITICAL FIX: Move categoryStats to top level
+    categoryStats: processedData.categoryStats || {},  // ← MOVED TO TOP LEVEL
+    
+    // Statistics for validation
+    stats: {
+      totalEquipment: processedData.totalProcessed || actualEquipmentArray.length,
+      parentChildRelationships: processedData.parentChildRelationships || {}
+      // ← categoryStats REMOVED from here
+    },
+  
+          // Additional fallback properties that wbsGenerator might expect
+          processed: processedData,
+          totalProcessed: processedData.totalProcessed || actualEquipmentArray.length
+        };
+
+    console.log('🎯 FINAL WBS INPUT DATA VERIFICATION:');
+    console.log('wbsInputData structure:', {
+      categorizedEquipmentCount: wbsInputData.categorizedEquipment?.length || 0,
+      equipmentCount: wbsInputData.equipment?.length || 0,
+      tbcEquipmentCount: wbsInputData.tbcEquipment?.length || 0,
+      subsystemCount: Object.keys(wbsInputData.subsystemMapping || {}).length,
+      projectName: wbsInputData.projectName,
+      hasStats: !!wbsInputData.stats,
+      totalProcessed: wbsInputData.totalProcessed
+    });
+
+    // PHASE 3: Enhanced WBS Structure Generation
+    console.log('PHASE 3: ENHANCED WBS STRUCTURE GENERATION WITH ALL STANDARD CATEGORIES');
+    setProcessingStage('generating', 60, 'Generating WBS structure...');
+    
+    // Pass the properly structured data to WBS generator
+    const wbsOptions = getWBSGenerationOptions();
+    console.log(`Using WBS template "${wbsOptions.template.name}" (empty categories: ${wbsOptions.emptyCategoryMode})`);
+    const wbsResult = await generateWBSStructure(wbsInputData, wbsInputData.projectName, wbsOptions);
+    console.log('WBS generation completed:', {
+      totalWBSItems: wbsResult.wbsStructure?.length || 0,
+      equipmentItems: wbsResult.stats?.equipmentItems || 0,
+      structuralItems: wbsResult.stats?.structuralItems || 0,
+      categoriesWithEquipment: wbsResult.stats?.categoriesWithEquipment || 0,
+      emptyCategories: wbsResult.stats?.emptyCategories || 0,
+      subsystemsCreated: wbsResult.stats?.subsystemsCreated || 0
+    });
+
+    // PHASE 4: Enhanced Export Preparation
+    console.log('PHASE 4: ENHANCED EXPORT PREPARATION WITH DUPLICATE PREVENTION');
+    setProcessingStage('exporting', 80, 'Preparing export data...');
+    
+    const exportResult = await formatDataForP6(wbsResult.wbsStructure);
+    console.log('Export preparation completed:', {
+      exportRecords: exportResult.data?.length || 0,
+      duplicatesRemoved: exportResult.duplicatesRemoved || 0,
+      levelDistribution: exportResult.levelDistribution || {},
+      validationPassed: exportResult.validationPassed || false,
+      validationErrors: exportResult.validationErrors?.length || 0,
+      validationWarnings: exportResult.validationWarnings?.length || 0
+    });
+
+    // Update store with all processed data
+    // ENHANCED: Keep the processed items (category + classification explanation) for the equipment export
+    updateEquipmentList([...actualEquipmentArray, ...actualTBCArray]);
+    updateWBSStructure(wbsResult.wbsStructure);
+    setReconciliation(wbsResult.reconciliation);
+    // ENHANCED: With locked S-numbers, new subsystems keep the number they were generated with
+    recordIssuedSubsystemNumbers(processedData.subsystemPreview);
+
+    // Set processing results for UI display
+    setProcessingResults({
+      equipment: {
+        total_processed: processedData.totalProcessed,
+        grouped: processedData.categoryStats,
+        summary: processedData
+      },
+      wbs: {
+        total_items: wbsResult.wbsStructure?.length || 0,
+        max_level: exportResult.levelDistribution?.level5 ? 5 : 
+                   exportResult.levelDistribution?.level4 ? 4 :
+                   exportResult.levelDistribution?.level3 ? 3 : 2
+      }
+    });
+
+    setProcessingStage('complete', 100, 'Processing complete!');
+
+    // COMPREHENSIVE FINAL SUMMARY
+    console.log('ALL ENHANCED PHASES COMPLETE - Comprehensive Final Summary:');
+    console.log('   SUCCESS: All critical fixes applied successfully!');
+    console.log('   Equipment processed:', processedData.totalProcessed, '(from', processedData.originalCount, 'original)');
+    console.log('   Filtered out (status N):', processedData.originalCount - processedData.afterCommissioningFilter, 'items');
+    console.log('   WBS items created:', wbsResult.wbsStructure?.length || 0);
+    console.log('   ALL categories created:', Object.keys(processedData.categoryStats || {}).length, '(including', wbsResult.stats?.emptyCategories || 0, 'empty)');
+    console.log('   Parent-child relationships:', Object.keys(processedData.parentChildRelationships || {}).length);
+    console.log('   Export records:', exportResult.data?.length || 0, '(' + (exportResult.duplicatesRemoved || 0) + ' duplicates removed)');
+    console.log('   Expected vs Actual:', '1208 vs', (exportResult.data?.length || 0), '(' + Math.round(((exportResult.data?.length || 0) / 1208) * 100) + '%)');
+    console.log('   FIXES APPLIED:');
+    console.log('      All standard categories created (even empty ones like "03 | HV Switchboards")');
+    console.log('      Commissioning "N" status completely filtered out');
+    console.log('      Proper parent-child nesting (+UH → -F relationships)');
+    console.log('      Export duplicates eliminated');
+    console.log('      Hierarchical sorting and validation');
+
+    // Move to WBS review
+    setActiveStep(2);
+  };
+
+  // Triage: apply manual assignments (and optional new rules), then re-run categorisation
+  const handleApplyTriage = async (assignments, newRules) => {
+    if (!pendingCategorization) return;
+
+    try {
+      setLoading(true);
+
+      if (newRules.length > 0) {
+        const updatedRuleSet = appendRulesToActiveRuleSet(newRules);
+        console.log(`Saved ${newRules.length} triage rules to rule set "${updatedRuleSet.name}"`);
+      }
+
+      const categoryAssignments = { ...pendingCategorization.categoryAssignments, ...assignments };
+      const processedData = await categorizeEquipment(pendingCategorization.rawData, {
+        ...getProcessingOptions(),
+        categoryAssignments
       });
 
-      // PHASE 4: Enhanced Export Preparation
-      console.log('PHASE 4: ENHANCED EXPORT PREPARATION WITH DUPLICATE PREVENTION');
-      setProcessingStage('exporting', 80, 'Preparing export data...');
-      
-      const exportResult = await formatDataForP6(wbsResult.wbsStructure);
-      console.log('Export preparation completed:', {
-        exportRecords: exportResult.data?.length || 0,
-        duplicatesRemoved: exportResult.duplicatesRemoved || 0,
-        levelDistribution: exportResult.levelDistribution || {},
-        validationPassed: exportResult.validationPassed || false,
-        validationErrors: exportResult.validationErrors?.length || 0,
-        validationWarnings: exportResult.validationWarnings?.length || 0
+      setPendingCategorization({ ...pendingCategorization, processedData, categoryAssignments });
+      setSuccess(`Re-categorised equipment - ${processedData.categoryStats?.['99']?.count || 0} items still unrecognised`);
+    } catch (error) {
+      console.error('Re-categorisation failed:', error);
+      setError(`Re-categorisation failed: ${error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Duplicate policy changed during review - re-run categorisation with the new policy
+  const handleDuplicatePolicyChanged = async (duplicatePolicy) => {
+    if (!pendingCategorization) return;
+
+    try {
+      setLoading(true);
+      const processedData = await categorizeEquipment(pendingCategorization.rawData, {
+        ...getProcessingOptions(),
+        duplicatePolicy,
+        categoryAssignments: pendingCategorization.categoryAssignments
       });
 
-      // Update store with all processed data
-      updateEquipmentList(parseResult.data);
-      updateWBSStructure(wbsResult.wbsStructure);
-
-      // Set processing results for UI display
-      setProcessingResults({
-        equipment: {
-          total_processed: processedData.totalProcessed,
-          grouped: processedData.categoryStats,
-          summary: processedData
-        },
-        wbs: {
-          total_items: wbsResult.wbsStructure?.length || 0,
-          max_level: exportResult.levelDistribution?.level5 ? 5 : 
-                     exportResult.levelDistribution?.level4 ? 4 :
-                     exportResult.levelDistribution?.level3 ? 3 : 2
-        }
+      setPendingCategorization({ ...pendingCategorization, processedData });
+      setSuccess(`Duplicates resolved - ${processedData.duplicateEquipment.length} repeated tags, ${processedData.totalProcessed} items`);
+    } catch (error) {
+      console.error('Re-categorisation failed:', error);
+      setError(`Re-categorisation failed: ${error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Commissioning value map, subsystem formats or subsystem order changed - re-run categorisation with the new
+  // settings (and regenerate the WBS when they were changed after generation)
+  const handleProcessingOptionsChanged = async () => {
+    const rawData = pendingCategorization?.rawData || parsedEquipment;
+    if (!rawData) return;
+
+    try {
+      setLoading(true);
+      const processedData = await categorizeEquipment(rawData, {
+        ...getProcessingOptions(),
+        categoryAssignments: pendingCategorization?.categoryAssignments || {}
       });
 
-      setProcessingStage('complete', 100, 'Processing complete!');
-
-      // COMPREHENSIVE FINAL SUMMARY
-      console.log('ALL ENHANCED PHASES COMPLETE - Comprehensive Final Summary:');
-      console.log('   SUCCESS: All critical fixes applied successfully!');
-      console.log('   Equipment processed:', processedData.totalProcessed, '(from', processedData.originalCount, 'original)');
-      console.log('   Filtered out (status N):', processedData.originalCount - processedData.afterCommissioningFilter, 'items');
-      console.log('   WBS items created:', wbsResult.wbsStructure?.length || 0);
-      console.log('   ALL categories created:', Object.keys(processedData.categoryStats || {}).length, '(including', wbsResult.stats?.emptyCategories || 0, 'empty)');
-      console.log('   Parent-child relationships:', Object.keys(processedData.parentChildRelationships || {}).length);
-      console.log('   Export records:', exportResult.data?.length || 0, '(' + (exportResult.duplicatesRemoved || 0) + ' duplicates removed)');
-      console.log('   Expected vs Actual:', '1208 vs', (exportResult.data?.length || 0), '(' + Math.round(((exportResult.data?.length || 0) / 1208) * 100) + '%)');
-      console.log('   FIXES APPLIED:');
-      console.log('      All standard categories created (even empty ones like "03 | HV Switchboards")');
-      console.log('      Commissioning "N" status completely filtered out');
-      console.log('      Proper parent-child nesting (+UH → -F relationships)');
-      console.log('      Export duplicates eliminated');
-      console.log('      Hierarchical sorting and validation');
-
-      // Move to next step
-      handleNext();
+      if (pendingCategorization) {
+        setPendingCategorization({ ...pendingCategorization, processedData });
+      } else {
+        await generateProjectWBS(processedData);
+      }
+      setSuccess(`Equipment re-processed - ${processedData.totalProcessed} items, ${processedData.tbcCount} TBC, ${processedData.excludedEquipment.length} excluded, ${Object.keys(processedData.subsystemMapping).length} subsystems`);
+    } catch (error) {
+      console.error('Re-categorisation failed:', error);
+      setError(`Re-categorisation failed: ${error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Continue after the classification has been reviewed
+  const handleConfirmCategorization = async () => {
+    if (!pendingCategorization) return;
 
+    try {
+      setLoading(true);
+      await generateProjectWBS(pendingCategorization.processedData);
     } catch (error) {
-      console.error('Enhanced processing failed:', error);
+      console.error('WBS generation failed:', error);
       setError(`Processing failed: ${error.message}`);
     } finally {
       setLoading(false);
     }
   };
 
+  // Overrides edited from the WBS review - re-run categorisation and regenerate the WBS
+  const handleOverridesChanged = async () => {
+    if (!parsedEquipment) return;
+
+    try {
+      setLoading(true);
+      const processedData = await categorizeEquipment(parsedEquipment, {
+        ...getProcessingOptions(),
+        categoryAssignments: pendingCategorization?.categoryAssignments || {}
+      });
+
+      if (pendingCategorization) {
+        setPendingCategorization({ ...pendingCategorization, processedData });
+      }
+
+      await generateProjectWBS(processedData);
+      setSuccess(`Overrides applied to ${processedData.overridesApplied || 0} equipment items`);
+    } catch (error) {
+      console.error('Applying overrides failed:', error);
+      setError(`Applying overrides failed: ${error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
   // Handle step navigation
   const handleNext = () => {
     setActiveStep((prevActiveStep) => prevActiveStep + 1);
@@ -314,6 +487,8 @@ const StartNewProject = () => {
   const handleReset = () => {
     setActiveStep(0);
     setProcessingResults(null);
+    setPendingCategorization(null);
+    setParsedEquipment(null);
     initializeProject('New Project');
     clearMessages();
   };
@@ -368,9 +543,25 @@ const StartNewProject = () => {
               </Collapse>
             </Box>
 
+            {/* Classification Rule Set */}
+            <RuleSetSelector />
+
+            {/* Repeated equipment numbers */}
+            <Box sx={{ mb: 3 }}>
+              <DuplicatePolicySelector />
+            </Box>
+
+            {/* WBS Template */}
+            <WBSTemplateSelector />
+            <WBSGenerationOptions />
+
+            {/* Saved equipment overrides */}
+            <EquipmentOverridesPanel />
+
             {/* File Upload */}
             <FileUpload
               uploadType="equipment_list"
+              mapColumns
               title="Upload Equipment List"
               description="Upload your CSV or Excel file containing equipment data"
               accept=".csv,.xlsx,.xls"
@@ -468,10 +659,35 @@ const StartNewProject = () => {
                     </Alert>
                   )}
 
+                  <Box sx={{ mt: 3 }}>
+                    <CommissioningValuesReport
+                      summary={processingResults.equipment.summary.commissioningSummary}
+                      excluded={processingResults.equipment.summary.excludedEquipment}
+                      onMappingChange={handleProcessingOptionsChanged}
+                      disabled={ui.loading}
+                    />
+                  </Box>
+
+                  <Box sx={{ mt: 3 }}>
+                    <SubsystemPreviewReport
+                      preview={processingResults.equipment.summary.subsystemPreview}
+                      onFormatsChange={handleProcessingOptionsChanged}
+                      disabled={ui.loading}
+                    />
+                  </Box>
+
+                  <Box sx={{ mt: 3 }}>
+                    <SubsystemOrderPanel
+                      preview={processingResults.equipment.summary.subsystemPreview}
+                      onChange={handleProcessingOptionsChanged}
+                      disabled={ui.loading}
+                    />
+                  </Box>
+
                   <Box sx={{ mt: 3, display: 'flex', justifyContent: 'flex-end' }}>
                     <StyledButton
                       variant="contained"
-                      onClick={handleNext}
+                      onClick={() => setActiveStep(2)}
                       endIcon={<AccountTree />}
                     >
                       View WBS Structure
@@ -484,6 +700,97 @@ const StartNewProject = () => {
         );
 
       case 1:
+        return (
+          <Box>
+            <Typography variant="h6" sx={{ mb: 2, color: BRAND_COLORS.text, fontWeight: 600 }}>
+              Review Equipment Classification
+            </Typography>
+            
+            <Typography variant="body2" sx={{ mb: 3, color: BRAND_COLORS.text, opacity: 0.8 }}>
+              Check how commissioning values were read, resolve unrecognised equipment and check ambiguous classifications and parent/child problems before the WBS is generated.
+            </Typography>
+
+            {pendingCategorization ? (
+              <>
+                <StyledPaper>
+                  <CommissioningValuesReport
+                    summary={pendingCategorization.processedData.commissioningSummary}
+                    excluded={pendingCategorization.processedData.excludedEquipment}
+                    onMappingChange={handleProcessingOptionsChanged}
+                    disabled={ui.loading}
+                  />
+                </StyledPaper>
+
+                <StyledPaper>
+                  <SubsystemPreviewReport
+                    preview={pendingCategorization.processedData.subsystemPreview}
+                    onFormatsChange={handleProcessingOptionsChanged}
+                    disabled={ui.loading}
+                  />
+                </StyledPaper>
+
+                <StyledPaper>
+                  <SubsystemOrderPanel
+                    preview={pendingCategorization.processedData.subsystemPreview}
+                    onChange={handleProcessingOptionsChanged}
+                    disabled={ui.loading}
+                  />
+                </StyledPaper>
+
+                <StyledPaper>
+                  <UnrecognisedTriage
+                    items={(pendingCategorization.processedData.categorizedEquipment || []).filter(item => item.category === '99')}
+                    onApply={handleApplyTriage}
+                    disabled={ui.loading}
+                  />
+                </StyledPaper>
+
+                <StyledPaper>
+                  <AmbiguousMatchesReport matches={pendingCategorization.processedData.ambiguousMatches} />
+                </StyledPaper>
+
+                <StyledPaper>
+                  <RelationshipIssuesReport issues={pendingCategorization.processedData.relationshipIssues} />
+                </StyledPaper>
+
+                <StyledPaper>
+                  <DuplicateEquipmentReport
+                    duplicates={pendingCategorization.processedData.duplicateEquipment}
+                    onPolicyChange={handleDuplicatePolicyChanged}
+                    disabled={ui.loading}
+                  />
+                </StyledPaper>
+              </>
+            ) : (
+              <Alert severity="success" sx={{ mb: 3 }}>
+                Every item was classified by a single rule - nothing to review.
+              </Alert>
+            )}
+
+            {/* Navigation */}
+            <Box sx={{ display: 'flex', justifyContent: 'space-between', mt: 3 }}>
+              <StyledButton
+                onClick={handleBack}
+                variant="outlined"
+                disabled={ui.loading}
+              >
+                Back to Upload
+              </StyledButton>
+              {pendingCategorization && (
+                <StyledButton
+                  variant="contained"
+                  onClick={handleConfirmCategorization}
+                  disabled={ui.loading}
+                  endIcon={<AccountTree />}
+                >
+                  Generate WBS
+                </StyledButton>
+              )}
+            </Box>
+          </Box>
+        );
+
+      case 2:
         return (
           <Box>
             <Typography variant="h6" sx={{ mb: 2, color: BRAND_COLORS.text, fontWeight: 600 }}>
@@ -494,22 +801,25 @@ const StartNewProject = () => {
               Review the generated WBS structure. You can expand/collapse sections and search for specific items.
             </Typography>
 
+            <ReconciliationReport reconciliation={project.reconciliation} />
+
             {/* WBS Visualization */}
             <StyledPaper>
               <WBSVisualization 
                 showSearch={true}
                 showNewBadges={false}
                 expandAllByDefault={false}
+                onOverridesChanged={handleOverridesChanged}
               />
             </StyledPaper>
 
             {/* Navigation */}
             <Box sx={{ display: 'flex', justifyContent: 'space-between', mt: 3 }}>
               <StyledButton
-                onClick={handleBack}
+                onClick={() => setActiveStep(pendingCategorization ? 1 : 0)}
                 variant="outlined"
               >
-                Back to Upload
+                {pendingCategorization ? 'Back to Classification' : 'Back to Upload'}
               </StyledButton>
               <StyledButton
                 variant="contained"
@@ -522,7 +832,7 @@ const StartNewProject = () => {
           </Box>
         );
 
-      case 2:
+      case 3:
         return (
           <Box>
             <Typography variant="h6" sx={{ mb: 2, color: BRAND_COLORS.text, fontWeight: 600 }}>
@@ -674,6 +984,12 @@ const StartNewProject = () => {
       icon: <CloudUpload />,
       optional: false
     },
+    {
+      label: 'Review Classification',
+      description: 'Triage unrecognised and ambiguous equipment',
+      icon: <Rule />,
+      optional: true
+    },
     {
       label: 'Review WBS Structure',
       description: 'Examine the generated hierarchical structure',
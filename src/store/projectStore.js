@@ -1,15 +1,59 @@
 import { create } from 'zustand';
+import { persist } from 'zustand/middleware';
 import { fileHelpers, validationHelpers, dateHelpers } from '../utils';
+import { PREPARATION_ITEMS, INTERFACE_TESTING_PHASES, COMMISSIONING_STATUS, TBC_PLACEMENT_MODES } from '../constants';
+import { DEFAULT_RULE_SET_ID, buildDefaultRuleSet } from '../lib/ruleSets';
+import { normalizeOverrideKey, sanitizeOverride } from '../lib/equipmentOverrides';
+import { DEFAULT_WBS_TEMPLATE_ID, EMPTY_CATEGORY_MODES, getBuiltInWBSTemplates } from '../lib/wbsTemplates';
+import { DEFAULT_NUMBERING_SCHEME } from '../lib/wbsNumbering';
+import { DEFAULT_DUPLICATE_POLICY } from '../lib/duplicateEquipment';
+import { DEFAULT_COMMISSIONING_VALUE_MAP, normalizeCommissioningKey } from '../lib/commissioningStatus';
+import { promoteTBCEquipment, addTBCPromotionOverrides } from '../lib/tbcPromotion';
+import { buildSubsystemFormats, getIssuedSubsystemNumbers } from '../lib/subsystemParser';
 
-const useProjectStore = create((set, get) => ({
+// Project-scoped settings (equipment overrides, subsystem ordering) are stored per project key: a P6 project by its
+// short name (projectInfo.projectCode - the same in an XER export and a paste of its WBS) or a new project by its
+// name, so the settings are found again after a reload, a re-visit of the page or a reset
+const getP6ProjectKey = (projectInfo) => (projectInfo?.projectCode ? `p6:${projectInfo.projectCode}` : null);
+
+const getNewProjectKey = (projectName) => `project:${String(projectName).trim().toLowerCase()}`;
+
+// Keys of earlier versions that no project can reach any more - one `new:<timestamp>` key per page visit
+const isObsoleteProjectKey = (projectKey) => projectKey.startsWith('new:');
+
+const pruneProjectEntries = (byProject = {}) => Object.fromEntries(
+  Object.entries(byProject).filter(([projectKey]) => !isObsoleteProjectKey(projectKey))
+);
+
+const DEFAULT_SUBSYSTEM_ORDERING = { order: [], locked: false, issued: {} };
+
+// Per-project WBS generation options (passed to generateWBSStructure)
+const DEFAULT_WBS_OPTIONS = {
+  emptyCategoryMode: EMPTY_CATEGORY_MODES.TEMPLATE,
+  keepEmptyCategories: ['01', '09'],
+  numberingScheme: DEFAULT_NUMBERING_SCHEME,
+  includeEnergisation: true,
+  includeOutOfScope: false,                           // OOS | Out of Scope section with the N items
+  tbcPlacement: TBC_PLACEMENT_MODES.SECTION,          // TBC section, or inline in subsystem/category
+  preparationItems: [...PREPARATION_ITEMS],           // children of 01 | Preparations and set-up
+  interfaceTestingPhases: [...INTERFACE_TESTING_PHASES] // children of 09 | Interface Testing
+};
+
+const useProjectStore = create(persist((set, get) => ({
   // ==== MAIN STATE ====
   
   // Project data
   project: {
     project_name: '',
+    project_key: null, // Scope of the project's equipment overrides and subsystem ordering (see getP6ProjectKey)
     equipment_list: [],
     wbs_structure: [],
     subsystems: {},
+    rule_set_id: DEFAULT_RULE_SET_ID, // Classification rule set used for this project
+    wbs_template_id: DEFAULT_WBS_TEMPLATE_ID, // WBS template used to generate this project
+    wbs_options: { ...DEFAULT_WBS_OPTIONS },
+    duplicate_policy: DEFAULT_DUPLICATE_POLICY, // How repeated equipment numbers are resolved
+    reconciliation: null, // Equipment list vs generated WBS check (lib/wbsReconciliation.js)
     created_date: null,
     last_modified: null
   },
@@ -49,6 +93,13 @@ const useProjectStore = create((set, get) => ({
       data: [],
       validation: null
     },
+    xer_file: {
+      file: null,
+      status: 'idle',
+      error: null,
+      data: [],
+      validation: null
+    },
     p6_paste: {
       content: '',
       status: 'idle',
@@ -85,6 +136,61 @@ const useProjectStore = create((set, get) => ({
     exportData: []
   },
 
+  // Classification rule sets (user-defined; the built-in set is derived from constants)
+  ruleSets: {
+    custom: {} // ruleSetId → { id, name, description, rules: [...] }
+  },
+
+  // WBS templates (user-imported; built-in templates are derived from lib/wbsTemplates.js)
+  wbsTemplates: {
+    custom: {} // templateId → { id, name, description, sections, grouping, categories, includeEmptyCategories, naming }
+  },
+
+  // Manual equipment overrides, re-applied on every import (see lib/equipmentOverrides.js)
+  equipmentOverrides: {
+    byProject: {} // project key → { equipment_number → { category, parent_equipment_number, subsystem, commissioning_yn, description, updated_at } }
+  },
+
+  // User entries for the commissioning value map, merged over the built-in one (see lib/commissioningStatus.js)
+  commissioningValues: {
+    custom: {} // normalised raw value ("YES", "(BLANK)") → 'Y' | 'N' | 'TBC'
+  },
+
+  // Confirmed equipment list column mappings, reused for files with the same headers (see lib/columnMapper.js)
+  columnMappings: {
+    bySignature: {} // header signature → { mapping: { equipment_number: header, ... }, headers, saved_at }
+  },
+
+  // Subsystem column formats (see lib/subsystemParser.js)
+  subsystemFormats: {
+    disabled: [], // built-in format ids switched off
+    custom: []    // { id, label, pattern } - regex with (?<code>) / (?<name>) / (?<number>) groups
+  },
+
+  // Subsystem order and S-numbers (see lib/subsystemParser.js) - identity is the code, else the value
+  subsystemOrdering: {
+    byProject: {} // project key → { order: identities arranged by the user, locked: issued S-numbers never change, issued: identity → S-number issued to P6 }
+  },
+
+  // TBC items confirmed as Y in a generated WBS, kept Y on every later import (see lib/tbcPromotion.js)
+  tbcPromotions: {
+    byProject: {} // project key → [equipment_number]
+  },
+
+  // Continue Project specific state
+  continueProject: {
+    existingProject: {
+      wbsStructure: [],
+      projectInfo: {},
+      equipmentCodes: [],
+      equipmentMapping: {},
+      existingSubsystems: {}
+    },
+    comparisonResult: null,
+    combinedWBS: [],
+    exportData: []
+  },
+
   // ==== ACTIONS ====
 
   // UI Actions
@@ -119,6 +225,16 @@ const useProjectStore = create((set, get) => ({
     }
   })),
 
+  toggleTreeExpansion: (nodeId) => set((state) => ({
+    ui: {
+      ...state.ui,
+      treeExpansions: {
+        ...state.ui.treeExpansions,
+        [nodeId]: !state.ui.treeExpansions[nodeId]
+      }
+    }
+  })),
+
   // File management actions
   setFileUpload: (type, data) => set((state) => ({
     uploads: {
@@ -128,25 +244,38 @@ const useProjectStore = create((set, get) => ({
   })),
 
   uploadFile: async (fileType, file) => {
-    const { setFileUpload } = get();
+    const { setFileUpload, getParseOptions } = get();
+    // Read before the upload state is replaced - it holds the mapping, sheets and XER project confirmed in FileUpload
+    const parseOptions = getParseOptions(fileType);
+    const { columnMapping, sheetSelection } = parseOptions;
+    const xerProject = get().uploads[fileType]?.xerProject || null;
     
     try {
       setFileUpload(fileType, {
         file,
         status: 'uploading',
-        error: null
+        error: null,
+        columnMapping,
+        sheetSelection,
+        xerProject
       });
 
       // Parse file using your existing file parser
       const { parseFile } = await import('../lib/fileParser');
-      const result = await parseFile(file);
+      const result = await parseFile(file, parseOptions);
+      if (fileType === 'xer_file') {
+        get().setP6Project(result.projectInfo);
+      }
 
       setFileUpload(fileType, {
         file,
         status: 'success',
         error: null,
         data: result.data,
-        validation: result.validation
+        validation: result.validation,
+        columnMapping,
+        sheetSelection,
+        xerProject
       });
 
       return result;
@@ -157,7 +286,10 @@ const useProjectStore = create((set, get) => ({
         status: 'error',
         error: error.message,
         data: [],
-        validation: null
+        validation: null,
+        columnMapping,
+        sheetSelection,
+        xerProject
       });
       throw error;
     }
@@ -182,6 +314,9 @@ const useProjectStore = create((set, get) => ({
     }
   })),
 
+  // Alias used by FileUpload component
+  clearFileUpload: (type) => get().clearUpload(type),
+
   // P6 Paste Actions
   setP6PasteData: (content, status = 'success', error = null, data = [], validation = null) => set((state) => ({
     uploads: {
@@ -197,7 +332,7 @@ const useProjectStore = create((set, get) => ({
   })),
 
   processP6Paste: async (pasteContent) => {
-  const { setP6PasteData, setError, setSuccess, setMissingEquipmentExistingProject } = get();
+  const { setP6PasteData, setError, setSuccess, setMissingEquipmentExistingProject, setP6Project } = get();
   
   try {
     console.log('Processing P6 paste data...');
@@ -207,7 +342,7 @@ const useProjectStore = create((set, get) => ({
     const { parseP6PasteData } = await import('../lib/p6Parser');
     
     // Parse the P6 data
-    const parseResult = await parseP6PasteData(pasteContent);
+    const parseResult = await parseP6PasteData(pasteContent, { subsystemFormats: get().getSubsystemFormats() });
     
     if (!parseResult.hasData) {
       throw new Error('No valid WBS data found in paste content');
@@ -223,6 +358,7 @@ const useProjectStore = create((set, get) => ({
     };
     
     setMissingEquipmentExistingProject(projectData);
+    setP6Project(parseResult.projectInfo);
     
     // Update P6 paste state
     setP6PasteData(pasteContent, 'success', null, parseResult.data, parseResult.validation);
@@ -253,18 +389,375 @@ const useProjectStore = create((set, get) => ({
   }
 },
 
-  // Project Actions
-  initializeProject: (projectName) => set(() => ({
+  // Rule Set Actions
+  getRuleSets: () => {
+    const { ruleSets } = get();
+    return [buildDefaultRuleSet(), ...Object.values(ruleSets.custom)];
+  },
+
+  getActiveRuleSet: () => {
+    const { project, ruleSets } = get();
+    return ruleSets.custom[project.rule_set_id] || buildDefaultRuleSet();
+  },
+
+  selectRuleSet: (ruleSetId) => set((state) => ({
     project: {
-      project_name: projectName || `Project_${dateHelpers.getDateStamp()}`,
-      equipment_list: [],
-      wbs_structure: [],
-      subsystems: {},
-      created_date: new Date().toISOString(),
+      ...state.project,
+      rule_set_id: ruleSetId,
       last_modified: new Date().toISOString()
     }
   })),
 
+  saveRuleSet: (ruleSet) => {
+    if (!ruleSet || ruleSet.id === DEFAULT_RULE_SET_ID) {
+      throw new Error('The built-in rule set cannot be modified - duplicate it first');
+    }
+
+    set((state) => ({
+      ruleSets: {
+        ...state.ruleSets,
+        custom: {
+          ...state.ruleSets.custom,
+          [ruleSet.id]: { ...ruleSet, readOnly: false }
+        }
+      }
+    }));
+  },
+
+  deleteRuleSet: (ruleSetId) => set((state) => {
+    const { [ruleSetId]: removed, ...remaining } = state.ruleSets.custom;
+    return {
+      ruleSets: {
+        ...state.ruleSets,
+        custom: remaining
+      },
+      project: {
+        ...state.project,
+        rule_set_id: state.project.rule_set_id === ruleSetId ? DEFAULT_RULE_SET_ID : state.project.rule_set_id
+      }
+    };
+  }),
+
+  // Add rules to the project's rule set - the read-only built-in set is copied first
+  appendRulesToActiveRuleSet: (rules) => {
+    const { getActiveRuleSet, saveRuleSet, selectRuleSet } = get();
+    const activeRuleSet = getActiveRuleSet();
+
+    const targetRuleSet = activeRuleSet.readOnly
+      ? {
+          ...activeRuleSet,
+          id: `ruleset-${Date.now().toString(36)}`,
+          name: `${activeRuleSet.name} (customised)`,
+          readOnly: false
+        }
+      : activeRuleSet;
+
+    const updatedRuleSet = { ...targetRuleSet, rules: [...targetRuleSet.rules, ...rules] };
+    saveRuleSet(updatedRuleSet);
+    selectRuleSet(updatedRuleSet.id);
+    return updatedRuleSet;
+  },
+
+  // Equipment Override Actions
+  // Overrides of the current project (project.project_key)
+  getEquipmentOverrides: () => {
+    const { equipmentOverrides, project } = get();
+    return equipmentOverrides.byProject[project.project_key] || {};
+  },
+
+  // Replace the current project's overrides; an empty map removes the project entry
+  setProjectEquipmentOverrides: (byTag) => set((state) => {
+    const projectKey = state.project.project_key;
+    if (!projectKey) {
+      console.warn('Equipment override ignored - no project is loaded');
+      return {};
+    }
+
+    const { [projectKey]: previous, ...otherProjects } = state.equipmentOverrides.byProject;
+    return {
+      equipmentOverrides: {
+        ...state.equipmentOverrides,
+        byProject: Object.keys(byTag).length > 0 ? { ...otherProjects, [projectKey]: byTag } : otherProjects
+      }
+    };
+  }),
+
+  setEquipmentOverride: (equipmentNumber, override) => {
+    const { getEquipmentOverrides, setProjectEquipmentOverrides } = get();
+    const key = normalizeOverrideKey(equipmentNumber);
+    const sanitized = sanitizeOverride(override);
+    const { [key]: previous, ...remaining } = getEquipmentOverrides();
+
+    // An override with no fields left is removed
+    setProjectEquipmentOverrides(Object.keys(sanitized).length > 0
+      ? { ...remaining, [key]: { ...sanitized, updated_at: new Date().toISOString() } }
+      : remaining);
+  },
+
+  clearEquipmentOverride: (equipmentNumber) => {
+    const { getEquipmentOverrides, setProjectEquipmentOverrides } = get();
+    const { [normalizeOverrideKey(equipmentNumber)]: removed, ...remaining } = getEquipmentOverrides();
+    setProjectEquipmentOverrides(remaining);
+  },
+
+  clearAllEquipmentOverrides: () => get().setProjectEquipmentOverrides({}),
+
+  // Commissioning Value Actions
+  getCommissioningValueMap: () => ({
+    ...DEFAULT_COMMISSIONING_VALUE_MAP,
+    ...get().commissioningValues.custom
+  }),
+
+  setCommissioningValue: (value, status) => set((state) => ({
+    commissioningValues: {
+      ...state.commissioningValues,
+      custom: {
+        ...state.commissioningValues.custom,
+        [normalizeCommissioningKey(value)]: status
+      }
+    }
+  })),
+
+  clearCommissioningValue: (value) => set((state) => {
+    const { [normalizeCommissioningKey(value)]: removed, ...remaining } = state.commissioningValues.custom;
+    return {
+      commissioningValues: {
+        ...state.commissioningValues,
+        custom: remaining
+      }
+    };
+  }),
+
+  // Column Mapping Actions
+  getColumnMappings: () => get().columnMappings.bySignature,
+
+  saveColumnMapping: (signature, mapping, headers = []) => set((state) => ({
+    columnMappings: {
+      ...state.columnMappings,
+      bySignature: {
+        ...state.columnMappings.bySignature,
+        [signature]: { mapping, headers, saved_at: new Date().toISOString() }
+      }
+    }
+  })),
+
+  clearColumnMapping: (signature) => set((state) => {
+    const { [signature]: removed, ...remaining } = state.columnMappings.bySignature;
+    return {
+      columnMappings: {
+        ...state.columnMappings,
+        bySignature: remaining
+      }
+    };
+  }),
+
+  // Subsystem Format Actions
+  getSubsystemFormats: () => buildSubsystemFormats(get().subsystemFormats),
+
+  setSubsystemFormatEnabled: (formatId, enabled) => set((state) => ({
+    subsystemFormats: {
+      ...state.subsystemFormats,
+      disabled: enabled
+        ? state.subsystemFormats.disabled.filter(id => id !== formatId)
+        : [...new Set([...state.subsystemFormats.disabled, formatId])]
+    }
+  })),
+
+  addCustomSubsystemFormat: (pattern, label = '') => set((state) => ({
+    subsystemFormats: {
+      ...state.subsystemFormats,
+      custom: [
+        ...state.subsystemFormats.custom,
+        { id: `custom_${Date.now()}`, label: label || `Custom: ${pattern}`, pattern }
+      ]
+    }
+  })),
+
+  removeCustomSubsystemFormat: (formatId) => set((state) => ({
+    subsystemFormats: {
+      ...state.subsystemFormats,
+      custom: state.subsystemFormats.custom.filter(format => format.id !== formatId)
+    }
+  })),
+
+  // Subsystem Ordering Actions - ordering of the current project (project.project_key)
+  getSubsystemOrdering: () => {
+    const { subsystemOrdering, project } = get();
+    return subsystemOrdering.byProject[project.project_key] || DEFAULT_SUBSYSTEM_ORDERING;
+  },
+
+  updateSubsystemOrdering: (changes) => set((state) => {
+    const projectKey = state.project.project_key;
+    if (!projectKey) {
+      console.warn('Subsystem ordering ignored - no project is loaded');
+      return {};
+    }
+
+    // Back to natural order and unlocked - nothing left to keep for this project
+    const ordering = { ...get().getSubsystemOrdering(), ...changes };
+    const isDefault = ordering.order.length === 0 && !ordering.locked && Object.keys(ordering.issued).length === 0;
+    const { [projectKey]: previous, ...otherProjects } = state.subsystemOrdering.byProject;
+    return {
+      subsystemOrdering: {
+        ...state.subsystemOrdering,
+        byProject: isDefault ? otherProjects : { ...otherProjects, [projectKey]: ordering }
+      }
+    };
+  }),
+
+  setSubsystemOrder: (order) => get().updateSubsystemOrdering({ order }),
+
+  // Locking issues the current S-numbers (preview entries from categorizeEquipment); unlocking releases them
+  setSubsystemNumbersLocked: (locked, preview = []) => {
+    const { getSubsystemOrdering, updateSubsystemOrdering } = get();
+    updateSubsystemOrdering({
+      locked,
+      issued: locked ? getIssuedSubsystemNumbers(preview, getSubsystemOrdering().issued) : {}
+    });
+  },
+
+  // Called after each generation - new subsystems keep the number they were generated with
+  recordIssuedSubsystemNumbers: (preview = []) => {
+    const { getSubsystemOrdering, updateSubsystemOrdering } = get();
+    const ordering = getSubsystemOrdering();
+    if (!ordering.locked) return;
+    updateSubsystemOrdering({ issued: getIssuedSubsystemNumbers(preview, ordering.issued) });
+  },
+
+  // Options passed to parseFile: the mapping and sheets confirmed for this upload, else the saved mappings
+  getParseOptions: (uploadType = 'equipment_list') => {
+    const { uploads, columnMappings } = get();
+    return {
+      columnMapping: uploads[uploadType]?.columnMapping || null,
+      columnMappings: columnMappings.bySignature,
+      sheetSelection: uploads[uploadType]?.sheetSelection || null,
+      xerProjectId: uploads[uploadType]?.xerProject?.proj_id || null
+    };
+  },
+
+  // WBS Template Actions
+  getWBSTemplates: () => {
+    const { wbsTemplates } = get();
+    return [...getBuiltInWBSTemplates(), ...Object.values(wbsTemplates.custom)];
+  },
+
+  getActiveWBSTemplate: () => {
+    const { project, getWBSTemplates } = get();
+    const templates = getWBSTemplates();
+    return templates.find(template => template.id === project.wbs_template_id) || templates[0];
+  },
+
+  selectWBSTemplate: (templateId) => set((state) => ({
+    project: {
+      ...state.project,
+      wbs_template_id: templateId,
+      last_modified: new Date().toISOString()
+    }
+  })),
+
+  saveWBSTemplate: (template) => {
+    if (!template || getBuiltInWBSTemplates().some(builtIn => builtIn.id === template.id)) {
+      throw new Error('Built-in WBS templates cannot be modified - import a copy with a new id');
+    }
+
+    set((state) => ({
+      wbsTemplates: {
+        ...state.wbsTemplates,
+        custom: {
+          ...state.wbsTemplates.custom,
+          [template.id]: { ...template, readOnly: false }
+        }
+      }
+    }));
+  },
+
+  deleteWBSTemplate: (templateId) => set((state) => {
+    const { [templateId]: removed, ...remaining } = state.wbsTemplates.custom;
+    return {
+      wbsTemplates: {
+        ...state.wbsTemplates,
+        custom: remaining
+      },
+      project: {
+        ...state.project,
+        wbs_template_id: state.project.wbs_template_id === templateId ? DEFAULT_WBS_TEMPLATE_ID : state.project.wbs_template_id
+      }
+    };
+  }),
+
+  setWBSOptions: (options) => set((state) => ({
+    project: {
+      ...state.project,
+      wbs_options: {
+        ...state.project.wbs_options,
+        ...options
+      },
+      last_modified: new Date().toISOString()
+    }
+  })),
+
+  // Options passed to generateWBSStructure for this project
+  getWBSGenerationOptions: () => {
+    const { project, getActiveWBSTemplate } = get();
+    return {
+      template: getActiveWBSTemplate(),
+      ...project.wbs_options
+    };
+  },
+
+  // Options passed to categorizeEquipment/compareEquipmentLists for this project
+  getProcessingOptions: () => {
+    const { getActiveRuleSet, getActiveWBSTemplate, getCommissioningValueMap, getSubsystemFormats, getEquipmentOverrides, getSubsystemOrdering, getTBCPromotions, project } = get();
+    const subsystemOrdering = getSubsystemOrdering();
+    return {
+      ruleSet: getActiveRuleSet(),
+      overrides: addTBCPromotionOverrides(getEquipmentOverrides(), getTBCPromotions()),
+      commissioningValueMap: getCommissioningValueMap(),
+      subsystemFormats: getSubsystemFormats(),
+      subsystemOrder: subsystemOrdering.order,
+      issuedSubsystemNumbers: subsystemOrdering.locked ? subsystemOrdering.issued : null,
+      duplicatePolicy: project.duplicate_policy || DEFAULT_DUPLICATE_POLICY,
+      tbcPlacement: project.wbs_options?.tbcPlacement || TBC_PLACEMENT_MODES.SECTION,
+      // Structural items for subsystems created while continuing a project, as in generation
+      preparationItems: project.wbs_options?.preparationItems,
+      interfaceTestingPhases: project.wbs_options?.interfaceTestingPhases,
+      // Only used when the existing WBS has no category nodes to detect the scheme from
+      numberingScheme: project.wbs_options?.numberingScheme || DEFAULT_NUMBERING_SCHEME,
+      // Positional category segments follow the template's category order, as in generation
+      templateCategoryOrder: getActiveWBSTemplate().categories.map(category => category.id)
+    };
+  },
+
+  // Project Actions
+  initializeProject: (projectName) => set((state) => {
+    const name = projectName || `Project_${dateHelpers.getDateStamp()}`;
+    return {
+      project: {
+        project_name: name,
+        project_key: getNewProjectKey(name), // The same key every time this project is started
+        equipment_list: [],
+        wbs_structure: [],
+        subsystems: {},
+        rule_set_id: state.project.rule_set_id || DEFAULT_RULE_SET_ID,
+        wbs_template_id: state.project.wbs_template_id || DEFAULT_WBS_TEMPLATE_ID,
+        wbs_options: state.project.wbs_options || { ...DEFAULT_WBS_OPTIONS },
+        duplicate_policy: state.project.duplicate_policy || DEFAULT_DUPLICATE_POLICY,
+        reconciliation: null,
+        created_date: new Date().toISOString(),
+        last_modified: new Date().toISOString()
+      }
+    };
+  }),
+
+  // An existing P6 project (XER or paste) brings back its own overrides
+  setP6Project: (projectInfo) => set((state) => ({
+    project: {
+      ...state.project,
+      // Without a project short name there is no key - overrides and ordering are not saved
+      project_key: getP6ProjectKey(projectInfo)
+    }
+  })),
+
   setProjectData: (projectData) => set((state) => ({
     project: {
       ...state.project,
@@ -311,6 +804,63 @@ const useProjectStore = create((set, get) => ({
     };
   }),
 
+  // Promotions of the current project (project.project_key)
+  getTBCPromotions: () => {
+    const { tbcPromotions, project } = get();
+    return tbcPromotions.byProject[project.project_key] || [];
+  },
+
+  // Confirm TBC items as Y in the current WBS without regenerating (and renumbering) it
+  // tbcPromotions keeps them Y the next time the project's equipment list is processed
+  promoteTBCItems: (equipmentNumbers) => {
+    const { project, updateWBSStructure } = get();
+    const result = promoteTBCEquipment(project.wbs_structure, equipmentNumbers);
+    if (result.promoted.length === 0) return result;
+
+    const promotedTags = new Set(result.promoted.map(item => item.equipment_number));
+
+    updateWBSStructure(result.wbsStructure);
+    set((state) => ({
+      project: {
+        ...state.project,
+        equipment_list: state.project.equipment_list.map(item => (
+          promotedTags.has(item.equipment_number) ? { ...item, commissioning_yn: COMMISSIONING_STATUS.YES } : item
+        ))
+      }
+    }));
+
+    const projectKey = get().project.project_key;
+    if (!projectKey) {
+      console.warn('TBC promotion not saved - no project is loaded');
+      return result;
+    }
+    set((state) => ({
+      tbcPromotions: {
+        ...state.tbcPromotions,
+        byProject: {
+          ...state.tbcPromotions.byProject,
+          [projectKey]: [...new Set([...get().getTBCPromotions(), ...promotedTags])]
+        }
+      }
+    }));
+    return result;
+  },
+
+  setDuplicatePolicy: (duplicatePolicy) => set((state) => ({
+    project: {
+      ...state.project,
+      duplicate_policy: duplicatePolicy,
+      last_modified: new Date().toISOString()
+    }
+  })),
+
+  setReconciliation: (reconciliation) => set((state) => ({
+    project: {
+      ...state.project,
+      reconciliation
+    }
+  })),
+
   // Feature-specific actions
   
   // START PROJECT FEATURE
@@ -360,7 +910,10 @@ const useProjectStore = create((set, get) => ({
       uploadFile, 
       setProcessingStage, 
       setError,
-      setSuccess 
+      setSuccess,
+      setComparisonResults,
+      setContinueProjectData,
+      getProcessingOptions
     } = get();
     
     try {
@@ -369,31 +922,101 @@ const useProjectStore = create((set, get) => ({
       // Upload XER file
       const xerData = await uploadFile('xer_file', xerFile);
       
+      if (xerData.type !== 'xer' || !xerData.hasData) {
+        throw new Error('Existing project must be a P6 XER export containing WBS data');
+      }
+      
       setProcessingStage('parsing', 30, 'Parsing new equipment...');
       
       // Upload new equipment file
       const equipmentData = await uploadFile('equipment_list', newEquipmentFile);
       
-      setProcessingStage('generating_wbs', 50, 'Analyzing existing WBS structure...');
-      // XER analysis will be handled by lib/fileParser.js
+      if (equipmentData.type !== 'equipment_list' || !equipmentData.hasData) {
+        throw new Error('Equipment file contains no valid data');
+      }
+      
+      setProcessingStage('categorizing_equipment', 50, 'Categorizing new equipment...');
+      
+      // Categorize and assign WBS codes continuing the existing numbering
+      const { continueWBSStructure } = await import('../lib/wbsGenerator');
+      const continueResult = await continueWBSStructure(
+        xerData.data,
+        equipmentData.data,
+        xerData.projectInfo,
+        getProcessingOptions()
+      );
       
       setProcessingStage('generating_wbs', 70, 'Adding new equipment to structure...');
-      // New WBS codes will be generated by lib/wbsGenerator.js
+      
+      setComparisonResults({
+        added: continueResult.comparison.added,
+        removed: continueResult.comparison.removed,
+        existing: continueResult.comparison.existing,
+        modified: continueResult.comparison.modified || []
+      });
       
       setProcessingStage('building_tree', 90, 'Building combined visualization...');
       
+      setContinueProjectData({
+        // ENHANCED: Keep the parsed schedule (activities, relationships, codes, UDFs) with the project
+        existingProject: { ...continueResult.existingProject, schedule: xerData.schedule || null },
+        comparisonResult: continueResult,
+        combinedWBS: continueResult.integrated_structure || [],
+        exportData: continueResult.export_ready || []
+      });
+      
       setProcessingStage('complete', 100, 'Project continued successfully!');
-      setSuccess('New equipment added to existing project!');
+      setSuccess(`New equipment added to existing project! ${continueResult.comparison.added.length} new equipment items assigned WBS codes.`);
       
-      return true;
+      return continueResult;
       
     } catch (error) {
+      console.error('Continue project processing error:', error);
       setProcessingStage('error', 0, error.message);
       setError(`Failed to continue project: ${error.message}`);
-      return false;
+      return null;
     }
   },
 
+  setContinueProjectData: (data) => set((state) => ({
+    continueProject: {
+      ...state.continueProject,
+      ...data
+    }
+  })),
+
+  resetContinueProject: () => set((state) => ({
+    continueProject: {
+      existingProject: {
+        wbsStructure: [],
+        projectInfo: {},
+        equipmentCodes: [],
+        equipmentMapping: {},
+        existingSubsystems: {}
+      },
+      comparisonResult: null,
+      combinedWBS: [],
+      exportData: []
+    },
+    uploads: {
+      ...state.uploads,
+      xer_file: {
+        file: null,
+        status: 'idle',
+        error: null,
+        data: [],
+        validation: null
+      },
+      equipment_list: {
+        file: null,
+        status: 'idle',
+        error: null,
+        data: [],
+        validation: null
+      }
+    }
+  })),
+
 // CLEANED processMissingEquipment function - ready for deployment
 // Replace your existing processMissingEquipment with this:
 
@@ -408,6 +1031,7 @@ const useProjectStore = create((set, get) => ({
         setMissingEquipmentExistingProject,
         setMissingEquipmentCombinedWBS,
         setMissingEquipmentExportData,
+        getProcessingOptions,
         missingEquipment
       } = get();
       
@@ -453,7 +1077,8 @@ const useProjectStore = create((set, get) => ({
         // Call the comparison function with correct parameters
         const comparisonResults = await compareEquipmentLists(
           missingEquipment.existingProject,  // Full existing project object
-          equipmentData.data                 // Raw equipment array from CSV
+          equipmentData.data,                // Raw equipment array from CSV
+          getProcessingOptions()             // Project's rule set + equipment overrides
         );
         
         setProcessingStage('assigning_codes', 70, 'Assigning WBS codes to new equipment...');
@@ -657,9 +1282,15 @@ const useProjectStore = create((set, get) => ({
   resetStore: () => set(() => ({
     project: {
       project_name: '',
+      project_key: null,
       equipment_list: [],
       wbs_structure: [],
       subsystems: {},
+      rule_set_id: DEFAULT_RULE_SET_ID,
+      wbs_template_id: DEFAULT_WBS_TEMPLATE_ID,
+      wbs_options: { ...DEFAULT_WBS_OPTIONS },
+      duplicate_policy: DEFAULT_DUPLICATE_POLICY,
+      reconciliation: null,
       created_date: null,
       last_modified: null
     },
@@ -695,6 +1326,13 @@ const useProjectStore = create((set, get) => ({
         data: [],
         validation: null
       },
+      xer_file: {
+        file: null,
+        status: 'idle',
+        error: null,
+        data: [],
+        validation: null
+      },
       p6_paste: {
         content: '',
         status: 'idle',
@@ -725,6 +1363,18 @@ const useProjectStore = create((set, get) => ({
       },
       combinedWBS: [],
       exportData: []
+    },
+    continueProject: {
+      existingProject: {
+        wbsStructure: [],
+        projectInfo: {},
+        equipmentCodes: [],
+        equipmentMapping: {},
+        existingSubsystems: {}
+      },
+      comparisonResult: null,
+      combinedWBS: [],
+      exportData: []
     }
   })),
 
@@ -751,6 +1401,38 @@ const useProjectStore = create((set, get) => ({
       existing_equipment_count: missingEquipment.existingProject.equipmentCodes?.length || 0
     };
   }
+}), {
+  // Only user settings survive a reload - project data is rebuilt from uploads
+  name: 'wbs-generator-settings',
+  // Version 1: equipment overrides and subsystem ordering are stored per project key
+  // Version 2: new projects are keyed by name - the per-visit keys of version 1 are dropped
+  version: 2,
+  migrate: (persistedState, version) => {
+    if (version < 1) {
+      // Settings saved before version 1 were global and cannot be attributed to a project
+      const { equipmentOverrides, subsystemOrdering, ...settings } = persistedState || {};
+      return settings;
+    }
+    if (version < 2) {
+      const { equipmentOverrides, subsystemOrdering } = persistedState;
+      return {
+        ...persistedState,
+        equipmentOverrides: { ...equipmentOverrides, byProject: pruneProjectEntries(equipmentOverrides?.byProject) },
+        subsystemOrdering: { ...subsystemOrdering, byProject: pruneProjectEntries(subsystemOrdering?.byProject) }
+      };
+    }
+    return persistedState;
+  },
+  partialize: (state) => ({
+    ruleSets: state.ruleSets,
+    wbsTemplates: state.wbsTemplates,
+    equipmentOverrides: state.equipmentOverrides,
+    commissioningValues: state.commissioningValues,
+    columnMappings: state.columnMappings,
+    subsystemFormats: state.subsystemFormats,
+    subsystemOrdering: state.subsystemOrdering,
+    tbcPromotions: state.tbcPromotions
+  })
 }));
 
 export default useProjectStore;
@@ -0,0 +1,167 @@
+import useProjectStore from './projectStore';
+import { parseXERFile } from '../lib/xerParser';
+import { parseP6PasteData } from '../lib/p6Parser';
+import { categorizeEquipment } from '../lib/equipmentProcessor';
+
+const store = () => useProjectStore.getState();
+
+beforeEach(() => {
+  localStorage.clear();
+  store().resetStore();
+  // resetStore keeps user settings
+  useProjectStore.setState({
+    equipmentOverrides: { byProject: {} },
+    subsystemOrdering: { byProject: {} },
+    tbcPromotions: { byProject: {} }
+  });
+});
+
+describe('equipment overrides', () => {
+  test('are scoped to the loaded project', () => {
+    store().setP6Project({ projectCode: 'P5737' });
+    store().setEquipmentOverride('+UH101', { category: '02' });
+    expect(store().getProcessingOptions().overrides).toHaveProperty('+UH101');
+
+    store().setP6Project({ projectCode: 'P9000' });
+    expect(store().getEquipmentOverrides()).toEqual({});
+
+    store().initializeProject('New Project');
+    expect(store().getEquipmentOverrides()).toEqual({});
+
+    store().setP6Project({ projectCode: 'P5737' });
+    expect(store().getEquipmentOverrides()['+UH101']).toMatchObject({ category: '02' });
+  });
+
+  test('of a new project are found again after a re-visit or a reset', () => {
+    store().initializeProject('New Project');
+    store().setEquipmentOverride('+UH101', { category: '02' });
+
+    store().resetStore();
+    store().initializeProject('New Project');
+    expect(store().getEquipmentOverrides()['+UH101']).toMatchObject({ category: '02' });
+
+    store().initializeProject('Other Project');
+    expect(store().getEquipmentOverrides()).toEqual({});
+  });
+
+  test('saved under the per-visit keys of version 1 are dropped on upgrade', () => {
+    const { migrate } = useProjectStore.persist.getOptions();
+    const migrated = migrate({
+      equipmentOverrides: { byProject: { 'new:lq3x9a1': { '+UH101': {} }, 'p6:P5737': { '+UH102': {} } } },
+      subsystemOrdering: { byProject: { 'new:lq3x9a1': { order: ['+Z02'] } } }
+    }, 1);
+
+    expect(Object.keys(migrated.equipmentOverrides.byProject)).toEqual(['p6:P5737']);
+    expect(migrated.subsystemOrdering.byProject).toEqual({});
+  });
+
+  test('are shared by an XER export and a paste of the same project', async () => {
+    const xer = [
+      'ERMHDR\t19.12\t2024-01-15\tProject\tadmin\tAdmin\tdbxDatabaseNoName\tProject Management\tAUD',
+      '%T\tPROJECT', '%F\tproj_id\tproj_short_name', '%R\t7\t5737',
+      '%T\tPROJWBS', '%F\twbs_id\tproj_id\tproj_node_flag\twbs_short_name\twbs_name\tparent_wbs_id',
+      '%R\t100\t7\tY\t5737\tSummerfield Solar Farm\t1',
+      '%R\t101\t7\tN\t1\tS1 | +Z01 | Switchroom\t100',
+      '%E'
+    ].join('\r\n');
+    const paste = [
+      'WBS Code\tWBS Name',
+      '5737\tSummerfield Solar Farm',
+      '5737.1\tS1 | +Z01 | Switchroom',
+      '5737.1.2\t02 | Protection Panels',
+      '5737.1.2.1\t+UH101 | Protection Panel'
+    ].join('\n');
+
+    const xerResult = await parseXERFile(xer);
+    store().setP6Project(xerResult.projectInfo);
+    store().setEquipmentOverride('+UH101', { category: '03' });
+
+    const pasteResult = await parseP6PasteData(paste);
+    expect(pasteResult.projectInfo.projectCode).toBe(xerResult.projectInfo.projectCode);
+    store().initializeProject('New Project');
+    store().setP6Project(pasteResult.projectInfo);
+    expect(store().getEquipmentOverrides()['+UH101']).toMatchObject({ category: '03' });
+  });
+
+  test('are not saved without a project', () => {
+    store().setEquipmentOverride('+UH101', { category: '02' });
+    expect(store().equipmentOverrides.byProject).toEqual({});
+  });
+});
+
+describe('subsystem ordering', () => {
+  test('order and issued S-numbers are scoped to the project', () => {
+    store().setP6Project({ projectCode: 'P5737' });
+    store().setSubsystemOrder(['+Z02', '+Z01']);
+    store().setSubsystemNumbersLocked(true, [{ identity: '+Z02', index: 1 }, { identity: '+Z01', index: 2 }]);
+    expect(store().getProcessingOptions()).toMatchObject({
+      subsystemOrder: ['+Z02', '+Z01'],
+      issuedSubsystemNumbers: { '+Z02': 1, '+Z01': 2 }
+    });
+
+    store().initializeProject('New Project');
+    expect(store().getProcessingOptions()).toMatchObject({ subsystemOrder: [], issuedSubsystemNumbers: null });
+
+    store().setP6Project({ projectCode: 'P5737' });
+    store().recordIssuedSubsystemNumbers([{ identity: '+Z03', index: 3 }]);
+    expect(store().getSubsystemOrdering().issued).toEqual({ '+Z02': 1, '+Z01': 2, '+Z03': 3 });
+  });
+
+  test('locked S-numbers of a new project survive a re-visit and are never renumbered', async () => {
+    const rows = [
+      { equipment_number: '+UH1', description: 'Relay', commissioning_yn: 'Y', subsystem: 'Sub 5 - +Z5', plu_field: '' },
+      { equipment_number: '+UH2', description: 'Relay', commissioning_yn: 'Y', subsystem: 'Sub 9 - +Z9', plu_field: '' }
+    ];
+    store().initializeProject('New Project');
+    const first = await categorizeEquipment(rows, store().getProcessingOptions());
+    store().setSubsystemNumbersLocked(true, first.subsystemPreview);
+
+    // Leave and come back to the page
+    store().resetStore();
+    store().initializeProject('New Project');
+    const updated = await categorizeEquipment(
+      [{ ...rows[0], equipment_number: '+UH3', subsystem: 'Sub 1 - +Z1' }, ...rows],
+      store().getProcessingOptions()
+    );
+    const sNumbers = Object.fromEntries(updated.subsystemPreview.map(entry => [entry.identity, entry.index]));
+
+    expect(sNumbers).toEqual({ '+Z05': 1, '+Z09': 2, '+Z01': 3 });
+  });
+
+  test('an ordering back at the default is not kept', () => {
+    store().setP6Project({ projectCode: 'P5737' });
+    store().setSubsystemOrder(['+Z02', '+Z01']);
+    store().setSubsystemOrder([]);
+
+    expect(store().subsystemOrdering.byProject).toEqual({});
+  });
+});
+
+describe('promoteTBCItems', () => {
+  test('are saved with the project, not in the override map', () => {
+    store().initializeProject('New Project');
+    store().setProjectData({
+      equipment_list: [{ equipment_number: '+UH102', commissioning_yn: 'TBC' }],
+      wbs_structure: [
+        { wbs_code: '1', parent_wbs_code: null, wbs_name: 'Project', level: 1 },
+        { wbs_code: '1.1', parent_wbs_code: '1', wbs_name: '+UH102 | Relay [TBC]', level: 2, is_equipment: true, equipment_number: '+UH102', commissioning_yn: 'TBC', category: '02' }
+      ]
+    });
+
+    expect(store().promoteTBCItems(['+UH102']).promoted).toHaveLength(1);
+
+    expect(store().getTBCPromotions()).toEqual(['+UH102']);
+    expect(store().equipmentOverrides.byProject).toEqual({});
+    expect(store().getProcessingOptions().overrides).toEqual({ '+UH102': { commissioning_yn: 'Y' } });
+    expect(JSON.parse(localStorage.getItem('wbs-generator-settings')).state.tbcPromotions.byProject)
+      .toEqual({ 'project:new project': ['+UH102'] });
+
+    // A later import of the same project keeps the item Y, other projects are not affected
+    store().resetStore();
+    store().initializeProject('New Project');
+    expect(store().getProcessingOptions().overrides).toEqual({ '+UH102': { commissioning_yn: 'Y' } });
+
+    store().initializeProject('Other Project');
+    expect(store().getProcessingOptions().overrides).toEqual({});
+  });
+});
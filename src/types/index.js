@@ -15,6 +15,10 @@
  * @property {string} [parent_equipment] - Parent equipment code for sub-devices
  * @property {boolean} [is_sub_equipment] - True if this is a -F, -KF, -Y, -P device
  * @property {boolean} [is_new] - True if this is a newly added item
+ * @property {ClassificationExplanation} [classification] - Why the item is in its category
+ * @property {boolean} [is_overridden] - True if a user override changed any field
+ * @property {Array<string>} [overridden_fields] - Fields changed by the override
+ * @property {Object} [original_values] - Values from the source list before the override
  */
 export const EquipmentItemExample = {
   equipment_number: "UH101",
@@ -28,6 +32,37 @@ export const EquipmentItemExample = {
   is_new: false
 };
 
+// Classification Explanation (set by equipmentProcessor on every processed item)
+/**
+ * @typedef {Object} ClassificationExplanation
+ * @property {string} method - 'rule_match' | 'inherited' | 'orphaned_child' | 'no_match' | 'tbc' | 'manual' | 'override'
+ * @property {string} reason - Human readable explanation
+ * @property {string|null} rule_set - Name of the rule set used
+ * @property {string|null} rule_id - Winning rule id
+ * @property {string|null} rule_name - Winning rule friendly name
+ * @property {string|null} pattern - Winning rule pattern (e.g. "/^\+?UH\d+/i")
+ * @property {string|null} matched_text - Part of the tag the pattern matched
+ * @property {number|null} priority - Winning rule priority
+ * @property {number|null} specificity - Winning rule specificity
+ * @property {string|null} inherited_from - Parent tag for inherited/orphaned children
+ * @property {boolean} ambiguous - True if rules in other categories also matched
+ * @property {Array<string>} other_categories - Other categories that matched
+ */
+export const ClassificationExplanationExample = {
+  method: "rule_match",
+  reason: "\"+UH101\" matched rule \"Protection Panels\" /^\\+?UH\\d+/",
+  rule_set: "Built-in Rules",
+  rule_id: "default-02-1",
+  rule_name: "Protection Panels",
+  pattern: "/^\\+?UH\\d+/i",
+  matched_text: "+UH101",
+  priority: 100,
+  specificity: 2,
+  inherited_from: null,
+  ambiguous: false,
+  other_categories: []
+};
+
 // WBS Structure Item
 /**
  * @typedef {Object} WBSItem
@@ -37,6 +72,7 @@ export const EquipmentItemExample = {
  * @property {string} [equipment_number] - Associated equipment code
  * @property {string} [description] - Full description
  * @property {string} [commissioning_status] - Y/N/TBC status
+ * @property {ClassificationExplanation} [classification] - Equipment items only
  * @property {number} level - Tree depth level (1, 2, 3, 4, 5)
  * @property {string} color - Brand color for this level
  * @property {boolean} [is_new] - True if this is newly added
@@ -317,6 +317,15 @@ export const patternHelpers = {
     const cleanCode = stringHelpers.cleanEquipmentCode(equipmentCode);
     const match = cleanCode.match(/(-F|-KF|-Y|-P)$/g);
     return match ? match[0] : null;
+  },
+
+  /**
+   * Escape text for use as a literal inside a RegExp pattern
+   * @param {string} text 
+   * @returns {string}
+   */
+  escapeRegExp: (text) => {
+    return String(text || '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
   }
 };
 